@@ -1,18 +1,16 @@
 /**
- * Account block — customer profile, address book, and order history.
+ * Account block — customer profile, address book, saved items, and order history.
  * Requires login; shows login prompt if not authenticated.
  */
 
 import { commerce } from '../../scripts/commerce/api.js';
-
-const PLACES_API = 'https://aem-productbus-demo-worker.adobeaem.workers.dev/places';
-
-function formatPrice(value, currency = 'USD') {
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
-}
+import { apiUrl } from '../../scripts/commerce/config.js';
+import { formatMoney, getLocale, loadMoneyConfig } from '../../scripts/commerce/money.js';
+import { renderComponents } from '../../scripts/commerce/bundles.js';
+import { renderOptions } from '../../scripts/commerce/variant-options.js';
 
 function formatDate(iso) {
-  return new Date(iso).toLocaleDateString('en-US', {
+  return new Date(iso).toLocaleDateString(getLocale(), {
     year: 'numeric', month: 'short', day: 'numeric',
   });
 }
@@ -279,7 +277,7 @@ function initFormAutocomplete(form) {
             place_id: p.place_id,
             sessiontoken,
           });
-          const resp = await fetch(`${PLACES_API}/details?${params}`);
+          const resp = await fetch(await apiUrl(`/places/details?${params}`));
           if (!resp.ok) return;
           const data = await resp.json();
           if (data.result?.address_components) {
@@ -301,7 +299,7 @@ function initFormAutocomplete(form) {
     debounceTimer = setTimeout(async () => {
       try {
         const params = new URLSearchParams({ input: value, sessiontoken });
-        const resp = await fetch(`${PLACES_API}/autocomplete?${params}`);
+        const resp = await fetch(await apiUrl(`/places/autocomplete?${params}`));
         if (!resp.ok) return;
         const data = await resp.json();
         showDropdown(data.predictions || []);
@@ -422,6 +420,128 @@ function renderAddresses(container, addresses, customerEmail, reload) {
   });
 }
 
+// --- Saved items ---
+
+function renderWishlistItem(item) {
+  const row = document.createElement('div');
+  row.className = 'wishlist-item';
+  row.innerHTML = `
+    <img class="wishlist-item-image" src="${item.image || '/icons/placeholder.png'}" alt="" loading="lazy" width="60" height="60">
+    <div class="wishlist-item-info">
+      <a class="wishlist-item-name" href="${item.url || '#'}">${item.name || item.sku}</a>
+      ${renderOptions(item.options, 'wishlist-item-options')}
+      ${renderComponents(item.components, 'wishlist-item-components')}
+      <span class="wishlist-item-price">${formatMoney(item.price, { currency: item.currency })}</span>
+    </div>
+    <div class="wishlist-item-actions">
+      ${item.variantSku ? '<button type="button" class="wishlist-move-btn">Move to cart</button>' : ''}
+      <button type="button" class="wishlist-remove-btn" aria-label="Remove ${item.name || item.sku} from saved items">Remove</button>
+    </div>
+  `;
+
+  const buttons = row.querySelectorAll('button');
+  const run = async (action) => {
+    buttons.forEach((b) => { b.disabled = true; });
+    try {
+      await action();
+    } catch (err) {
+      buttons.forEach((b) => { b.disabled = false; });
+      // eslint-disable-next-line no-alert
+      alert(err.message || 'Something went wrong. Please try again.');
+    }
+  };
+
+  row.querySelector('.wishlist-move-btn')?.addEventListener('click', () => run(async () => {
+    await commerce.addToCart({
+      sku: item.variantSku,
+      parentSku: item.sku,
+      name: item.name,
+      quantity: 1,
+      price: item.price,
+      currency: item.currency,
+      image: item.image,
+      url: item.url,
+      options: item.options,
+      components: item.components,
+      categories: item.categories,
+      weight: item.weight,
+    });
+    await commerce.removeFromWishlist(item.sku);
+  }));
+
+  row.querySelector('.wishlist-remove-btn').addEventListener('click', () => run(() => commerce.removeFromWishlist(item.sku)));
+
+  return row;
+}
+
+function renderWishlist(container, wishlist) {
+  container.innerHTML = `
+    <div class="account-wishlist">
+      <h3>Saved items</h3>
+    </div>
+  `;
+  const section = container.firstElementChild;
+
+  if (!wishlist?.items.length) {
+    section.insertAdjacentHTML('beforeend', '<p class="account-empty">Nothing saved yet.</p>');
+    return;
+  }
+
+  const list = document.createElement('div');
+  list.className = 'wishlist-list';
+  wishlist.items.forEach((item) => list.append(renderWishlistItem(item)));
+  section.append(list);
+}
+
+// --- Stock alerts ---
+
+function renderStockAlert(subscription, reload) {
+  const row = document.createElement('div');
+  row.className = 'stock-alert';
+  const label = subscription.name || subscription.sku;
+  row.innerHTML = `
+    <div class="stock-alert-info">
+      <a class="stock-alert-name" href="${subscription.url || '#'}">${label}</a>
+      <span class="stock-alert-date">Since ${formatDate(subscription.createdAt)}</span>
+    </div>
+    <button type="button" class="stock-alert-cancel-btn" aria-label="Stop alerts for ${label}">Cancel</button>
+  `;
+
+  const button = row.querySelector('button');
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await commerce.cancelBackInStock(subscription.id);
+      reload();
+    } catch (err) {
+      button.disabled = false;
+      // eslint-disable-next-line no-alert
+      alert(err.message || 'Something went wrong. Please try again.');
+    }
+  });
+
+  return row;
+}
+
+function renderStockAlerts(container, subscriptions, reload) {
+  container.innerHTML = `
+    <div class="account-stock-alerts">
+      <h3>Back-in-stock alerts</h3>
+    </div>
+  `;
+  const section = container.firstElementChild;
+
+  if (!subscriptions.length) {
+    section.insertAdjacentHTML('beforeend', '<p class="account-empty">No alerts set up.</p>');
+    return;
+  }
+
+  const list = document.createElement('div');
+  list.className = 'stock-alert-list';
+  subscriptions.forEach((subscription) => list.append(renderStockAlert(subscription, reload)));
+  section.append(list);
+}
+
 // --- Orders ---
 
 function renderLineItem(item) {
@@ -432,7 +552,7 @@ function renderLineItem(item) {
   const href = item.custom?.url || '';
   const unitPrice = parseFloat(item.price?.final || 0);
   const lineTotal = item.quantity * unitPrice;
-  const currency = item.price?.currency || 'USD';
+  const currency = item.price?.currency;
 
   const nameEl = href
     ? `<a class="order-item-name" href="${href}">${item.name || item.sku}</a>`
@@ -443,11 +563,13 @@ function renderLineItem(item) {
       <img class="order-item-image" src="${image || '/icons/placeholder.png'}" alt="${item.name || item.sku}" loading="lazy" width="60" height="60">
       <div class="order-item-info">
         ${nameEl}
+        ${renderOptions(item.custom?.options, 'order-item-options')}
+        ${renderComponents(item.custom?.components, 'order-item-components')}
         <span class="order-item-sku">${item.sku}</span>
       </div>
       <div class="order-item-pricing">
         <span class="order-item-quantity">Qty: ${item.quantity}</span>
-        <span class="order-item-total">${formatPrice(lineTotal, currency)}</span>
+        <span class="order-item-total">${formatMoney(lineTotal, { currency })}</span>
       </div>
     </div>
   `;
@@ -468,12 +590,13 @@ function renderOrders(container, orders) {
     const orderId = order.id || order.orderId || 'N/A';
     const status = order.state || 'completed';
     const date = order.createdAt ? formatDate(order.createdAt) : '';
-    const total = order.total != null ? formatPrice(order.total) : '';
+    const currency = order.currency || order.items?.[0]?.price?.currency;
+    const total = order.total != null ? formatMoney(order.total, { currency }) : '';
 
     const lineItems = (order.items || []).map(renderLineItem).join('');
 
     return `
-      <div class="order-card">
+      <div class="order-card" id="order-${orderId}">
         <div class="order-header">
           <div class="order-header-left">
             <span class="order-id">#${orderId}</span>
@@ -517,6 +640,7 @@ function renderLoginPrompt(container) {
 
 export default async function decorate(block) {
   block.textContent = '';
+  await loadMoneyConfig();
 
   const wrapper = document.createElement('div');
   wrapper.className = 'account-wrapper';
@@ -527,14 +651,31 @@ export default async function decorate(block) {
   const addressesSection = document.createElement('div');
   addressesSection.className = 'account-addresses-section';
 
+  const wishlistSection = document.createElement('div');
+  wishlistSection.className = 'account-wishlist-section';
+
+  const stockAlertsSection = document.createElement('div');
+  stockAlertsSection.className = 'account-stock-alerts-section';
+
   const ordersSection = document.createElement('div');
   ordersSection.className = 'account-orders-section';
 
-  wrapper.append(profileSection, addressesSection, ordersSection);
+  wrapper.append(
+    profileSection,
+    addressesSection,
+    wishlistSection,
+    stockAlertsSection,
+    ordersSection,
+  );
   block.append(wrapper);
 
   async function loadAddresses(customerEmail) {
     const reload = () => loadAddresses(customerEmail);
+    // stores without an address book skip the section
+    if (!(await commerce.supports('addresses'))) {
+      addressesSection.innerHTML = '';
+      return;
+    }
     try {
       const addresses = await commerce.getAddresses();
       renderAddresses(addressesSection, addresses, customerEmail, reload);
@@ -543,10 +684,34 @@ export default async function decorate(block) {
     }
   }
 
+  async function loadWishlist() {
+    try {
+      renderWishlist(wishlistSection, await commerce.getWishlist());
+    } catch {
+      renderWishlist(wishlistSection, null);
+    }
+  }
+
+  async function loadStockAlerts() {
+    // stores without back-in-stock emails skip the section
+    if (!(await commerce.supports('backInStock'))) {
+      stockAlertsSection.innerHTML = '';
+      return;
+    }
+    try {
+      const subscriptions = await commerce.getBackInStockSubscriptions();
+      renderStockAlerts(stockAlertsSection, subscriptions, loadStockAlerts);
+    } catch {
+      renderStockAlerts(stockAlertsSection, [], loadStockAlerts);
+    }
+  }
+
   async function loadAccount() {
     if (!(await commerce.isLoggedIn())) {
       renderLoginPrompt(profileSection);
       addressesSection.innerHTML = '';
+      wishlistSection.innerHTML = '';
+      stockAlertsSection.innerHTML = '';
       ordersSection.innerHTML = '';
       return;
     }
@@ -568,6 +733,8 @@ export default async function decorate(block) {
       }
 
       await loadAddresses(customerEmail);
+      await loadWishlist();
+      await loadStockAlerts();
 
       const orders = await commerce.getOrders();
       const enriched = await Promise.all(orders.map(async (order) => {
@@ -583,11 +750,19 @@ export default async function decorate(block) {
         }
       }));
       renderOrders(ordersSection, enriched);
+      // links from the order confirmation page point at one order
+      if (window.location.hash.startsWith('#order-')) {
+        const card = document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+        card?.scrollIntoView({ block: 'start' });
+        card?.classList.add('order-card-highlight');
+      }
     } catch {
       const user = await commerce.getCustomer();
       customerEmail = user?.email || '';
       renderProfile(profileSection, { email: customerEmail });
       await loadAddresses(customerEmail);
+      await loadWishlist();
+      await loadStockAlerts();
       renderOrders(ordersSection, []);
     }
   }
@@ -595,4 +770,7 @@ export default async function decorate(block) {
   await loadAccount();
 
   commerce.on(commerce.EVENTS.AUTH_STATE_CHANGED, () => loadAccount());
+  commerce.on(commerce.EVENTS.WISHLIST_UPDATED, async (e) => {
+    if (await commerce.isLoggedIn()) renderWishlist(wishlistSection, e.detail.wishlist);
+  });
 }
@@ -1,38 +1,11 @@
-/**
- * Fetches all products from the product index, handling EDS pagination.
- * @returns {Promise<Array>} All product entries
- */
-async function fetchProductIndex() {
-  const entries = [];
-  let offset = 0;
-  let total = Infinity;
-
-  while (offset < total) {
-    const url = `/products/index.json?offset=${offset}&limit=256`;
-    // eslint-disable-next-line no-await-in-loop
-    const resp = await fetch(url);
-    if (!resp.ok) break;
-    // eslint-disable-next-line no-await-in-loop
-    const json = await resp.json();
-    const sheet = json.data || json;
-    entries.push(...sheet);
-    total = json.total ?? sheet.length;
-    offset += json.limit ?? sheet.length;
-    if (!json.limit) break;
-  }
-
-  return entries;
-}
-
-/**
- * Formats a price as a currency string.
- * @param {number|string} value - Price value
- * @param {string} currency - Currency code
- * @returns {string} Formatted price
- */
-function formatPrice(value, currency = 'USD') {
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(value));
-}
+import {
+  getParents, isOnSale, isOutOfStock, loadProductIndex,
+} from '../../scripts/commerce/catalog.js';
+import { formatMoney, loadMoneyConfig } from '../../scripts/commerce/money.js';
+import {
+  FACETS, createFacetIndex, readFacetState, renderFacets, writeFacetState,
+} from '../../scripts/facets.js';
+import { withWishlistToggle } from '../../scripts/wishlist.js';
 
 /**
  * Sorts products by the given sort key.
@@ -61,7 +34,7 @@ function sortProducts(products, sortKey) {
  * @param {Object} product - Product data from the index
  * @returns {HTMLElement} Product card element
  */
-function buildProductCard(product) {
+export function buildProductCard(product) {
   const card = document.createElement('a');
   card.className = 'all-product-card';
 
@@ -74,13 +47,13 @@ function buildProductCard(product) {
 
   const price = Number(product.price) || 0;
   const regularPrice = Number(product.regularPrice) || 0;
-  const isOnSale = regularPrice > 0 && price < regularPrice;
+  const onSale = isOnSale(product);
 
   // Image container with optional badge
   const imageWrap = document.createElement('div');
   imageWrap.className = 'all-product-image';
 
-  if (isOnSale) {
+  if (onSale) {
     const badge = document.createElement('span');
     badge.className = 'all-badge all-badge-sale';
     badge.textContent = 'SALE';
@@ -106,20 +79,20 @@ function buildProductCard(product) {
 
   const priceEl = document.createElement('p');
   priceEl.className = 'all-product-price';
-  const currency = product.currency || 'USD';
+  const { currency } = product;
 
-  if (isOnSale) {
+  if (onSale) {
     const saleSpan = document.createElement('span');
     saleSpan.className = 'all-price-sale';
-    saleSpan.textContent = formatPrice(price, currency);
+    saleSpan.textContent = formatMoney(price, { currency });
 
     const regSpan = document.createElement('span');
     regSpan.className = 'all-price-regular';
-    regSpan.textContent = formatPrice(regularPrice, currency);
+    regSpan.textContent = formatMoney(regularPrice, { currency });
 
     priceEl.append(saleSpan, ' ', regSpan);
   } else {
-    priceEl.textContent = formatPrice(price, currency);
+    priceEl.textContent = formatMoney(price, { currency });
   }
 
   info.append(name, priceEl);
@@ -136,12 +109,12 @@ function buildProductCard(product) {
 function renderGrid(grid, products) {
   grid.innerHTML = '';
   products.forEach((product) => {
-    grid.append(buildProductCard(product));
+    grid.append(withWishlistToggle(buildProductCard(product), product));
   });
 }
 
 /**
- * All products block. Shows all products with sort controls.
+ * All products block. Shows all products with filter and sort controls.
  * Use the "sale" variant to show only products on sale.
  * @param {HTMLElement} block - The block element
  */
@@ -149,20 +122,11 @@ export default async function decorate(block) {
   const isSaleVariant = block.classList.contains('sale');
   block.innerHTML = '';
 
-  const allProducts = await fetchProductIndex();
-
-  // Filter to parent products that are in stock (no variants, no fully OOS)
-  let parentProducts = allProducts.filter((p) => !p.parentSku
-    && p.availability !== 'https://schema.org/OutOfStock');
-
-  // Sale variant: only show products on sale
-  if (isSaleVariant) {
-    parentProducts = parentProducts.filter((p) => {
-      const price = Number(p.price) || 0;
-      const regularPrice = Number(p.regularPrice) || 0;
-      return regularPrice > 0 && price < regularPrice;
-    });
-  }
+  // Out-of-stock products are never listed, and the sale variant is already on sale
+  const facets = FACETS.filter((f) => f.id !== 'availability' && !(isSaleVariant && f.id === 'sale'));
+  let facetState = readFacetState(facets);
+  let index = createFacetIndex([], { facets });
+  let parentProducts = [];
 
   // Toolbar: count + sort
   const toolbar = document.createElement('div');
@@ -170,7 +134,6 @@ export default async function decorate(block) {
 
   const count = document.createElement('p');
   count.className = 'all-count';
-  count.innerHTML = `<strong>${parentProducts.length}</strong> Products found`;
 
   const sortWrapper = document.createElement('div');
   sortWrapper.className = 'all-sort-wrapper';
@@ -185,17 +148,47 @@ export default async function decorate(block) {
   toolbar.append(count, sortWrapper);
   block.append(toolbar);
 
+  // Filters
+  const facetsContainer = document.createElement('div');
+  facetsContainer.className = 'all-facets';
+  block.append(facetsContainer);
+
   // Product grid
   const grid = document.createElement('div');
   grid.className = 'all-grid';
   block.append(grid);
 
-  // Initial render
-  renderGrid(grid, parentProducts);
+  const sortSelect = toolbar.querySelector('#all-sort');
+
+  function update() {
+    const products = index.filter(facetState, parentProducts);
+    count.innerHTML = `<strong>${products.length}</strong> Products found`;
+    renderGrid(grid, sortProducts(products, sortSelect.value));
+    // eslint-disable-next-line no-use-before-define
+    renderFacets(facetsContainer, index, facetState, onFacetsChange, parentProducts);
+  }
+
+  function onFacetsChange(state) {
+    facetState = state;
+    writeFacetState(index.facets, facetState);
+    update();
+  }
 
   // Sort handler
-  toolbar.querySelector('#all-sort').addEventListener('change', (e) => {
-    const sorted = sortProducts(parentProducts, e.target.value);
-    renderGrid(grid, sorted);
+  sortSelect.addEventListener('change', update);
+
+  // Render each page of the index as it arrives
+  await loadMoneyConfig();
+  await loadProductIndex({
+    onProgress: (entries) => {
+      index = createFacetIndex(entries, { facets });
+      // option facets are known once their rows have arrived; the URL has every selection
+      facetState = readFacetState(index.facets);
+      // Parent products that are in stock (no variants, no fully OOS)
+      parentProducts = getParents(entries).filter((p) => !isOutOfStock(p));
+      // Sale variant: only show products on sale
+      if (isSaleVariant) parentProducts = parentProducts.filter(isOnSale);
+      update();
+    },
   });
 }
@@ -3,76 +3,69 @@
  * Items on the left, checkout form on the right.
  */
 
+import { readBlockConfig } from '../../scripts/aem.js';
 import { commerce } from '../../scripts/commerce/api.js';
+import { DEFAULT_LIMITS, clampQuantity } from '../../scripts/commerce/inventory.js';
+import {
+  formatMoney, getCurrency, loadMoneyConfig,
+} from '../../scripts/commerce/money.js';
+import {
+  confirmationUrl, findCapturedPayment, getProviders, parseProviderIds,
+} from '../../scripts/commerce/payments/registry.js';
+import { renderComponents } from '../../scripts/commerce/bundles.js';
+import { renderOptions } from '../../scripts/commerce/variant-options.js';
+import {
+  addressFields, clearFieldError, contactFields, fillShippingForm, getFormData,
+  getShippingAddress, initAddressAutocomplete, showFieldError, validateForm,
+} from './checkout-form.js';
 
-const PLACES_API = 'https://aem-productbus-demo-worker.adobeaem.workers.dev/places';
-
-function formatPrice(value) {
-  return `$${Number(value).toFixed(2)}`;
-}
-
-// --- Form validation ---
-
-function clearFieldError(input) {
-  input.classList.remove('cart-input-error');
-  const existing = input.parentElement.querySelector('.cart-field-error');
-  if (existing) existing.remove();
-}
-
-function showFieldError(input, message) {
-  input.classList.add('cart-input-error');
-  const existing = input.parentElement.querySelector('.cart-field-error');
-  if (existing) existing.remove();
-  const span = document.createElement('span');
-  span.className = 'cart-field-error';
-  span.textContent = message;
-  input.insertAdjacentElement('afterend', span);
-  input.addEventListener('input', () => clearFieldError(input), { once: true });
-  input.addEventListener('change', () => clearFieldError(input), { once: true });
+/**
+ * The currency a cart is priced in; empty carts use the site currency.
+ * @param {Object|null} cart
+ * @returns {string}
+ */
+function getCartCurrency(cart) {
+  return cart?.currency || getCurrency();
 }
 
-function validateForm(section) {
-  const requiredInputs = section.querySelectorAll('.cart-input[required]');
-  let firstInvalid = null;
-
-  requiredInputs.forEach((input) => {
-    clearFieldError(input);
-    if (!input.checkValidity()) {
-      const msg = input.validationMessage || 'This field is required';
-      showFieldError(input, msg);
-      if (!firstInvalid) firstInvalid = input;
-    }
-  });
+// --- Cart items rendering ---
 
-  if (firstInvalid) {
-    firstInvalid.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    firstInvalid.focus();
-    return false;
-  }
-  return true;
+function getItemNotice(item) {
+  if (item.status === 'unavailable') return 'No longer available';
+  if (item.status === 'out-of-stock') return 'Out of stock';
+  if (item.previousPrice != null) return `Price changed from ${formatMoney(item.previousPrice, { currency: item.currency })}`;
+  if (item.previousQuantity != null) return `Only ${item.quantity} available, was ${item.previousQuantity}`;
+  if (item.quantity < item.limits?.min) return `Minimum order is ${item.limits.min}`;
+  return '';
 }
 
-// --- Cart items rendering ---
-
 function buildLineItem(item) {
   const row = document.createElement('div');
   row.className = 'cart-line-item';
+  row.classList.toggle('cart-line-item-unavailable', !!item.status);
   row.dataset.sku = item.sku;
+  const notice = getItemNotice(item);
+  const limits = item.limits || DEFAULT_LIMITS;
+  const atMax = limits.max != null && item.quantity + limits.increment > limits.max;
 
   row.innerHTML = `
     <img class="cart-item-image" src="${item.image || ''}" alt="${item.name || ''}" loading="lazy" width="80" height="80">
     <div class="cart-item-info">
       <a class="cart-item-name" href="${item.url || '#'}">${item.name || item.sku}</a>
+      ${renderOptions(item.options, 'cart-item-options')}
+      ${renderComponents(item.components, 'cart-item-components')}
       <span class="cart-item-sku">${item.sku}</span>
-      <span class="cart-item-price">${formatPrice(item.price)}</span>
+      <span class="cart-item-price">${formatMoney(item.price, { currency: item.currency })}</span>
+      ${notice ? `<span class="cart-item-notice" role="status">${notice}</span>` : ''}
+      <button type="button" class="cart-item-save">Save for later</button>
     </div>
     <div class="cart-item-actions">
       <div class="cart-item-qty">
         <button class="cart-qty-btn cart-qty-minus" aria-label="Decrease quantity">&minus;</button>
-        <input class="cart-qty-input" type="number" min="1" max="99" value="${item.quantity}" aria-label="Quantity">
-        <button class="cart-qty-btn cart-qty-plus" aria-label="Increase quantity">&plus;</button>
+        <input class="cart-qty-input" type="number" min="${limits.min}" max="${limits.max ?? ''}" step="${limits.increment}" value="${item.quantity}" aria-label="Quantity">
+        <button class="cart-qty-btn cart-qty-plus" aria-label="Increase quantity" ${atMax ? 'disabled' : ''}>&plus;</button>
       </div>
-      <span class="cart-item-total">${formatPrice(item.price * item.quantity)}</span>
+      <span class="cart-item-total">${formatMoney(item.price * item.quantity, { currency: item.currency })}</span>
     </div>
     <button class="cart-item-remove" aria-label="Remove ${item.name || item.sku}">&times;</button>
   `;
@@ -80,8 +73,8 @@ function buildLineItem(item) {
   const input = row.querySelector('.cart-qty-input');
 
   row.querySelector('.cart-qty-minus').addEventListener('click', () => {
-    const newQty = item.quantity - 1;
-    if (newQty <= 0) {
+    const newQty = item.quantity - limits.increment;
+    if (newQty < limits.min) {
       commerce.removeItem(item.sku);
     } else {
       commerce.updateItemQuantity(item.sku, newQty);
@@ -89,7 +82,8 @@ function buildLineItem(item) {
   });
 
   row.querySelector('.cart-qty-plus').addEventListener('click', () => {
-    commerce.updateItemQuantity(item.sku, item.quantity + 1);
+    // a line under the minimum goes straight up to it
+    commerce.updateItemQuantity(item.sku, clampQuantity(item.quantity + limits.increment, limits));
   });
 
   input.addEventListener('change', () => {
@@ -97,7 +91,10 @@ function buildLineItem(item) {
     if (val <= 0 || Number.isNaN(val)) {
       commerce.removeItem(item.sku);
     } else {
-      commerce.updateItemQuantity(item.sku, val);
+      // e.g. more than are left, or between the steps it is sold in
+      const allowed = clampQuantity(val, limits);
+      input.value = allowed;
+      commerce.updateItemQuantity(item.sku, allowed);
     }
   });
 
@@ -105,6 +102,32 @@ function buildLineItem(item) {
     commerce.removeItem(item.sku);
   });
 
+  const save = row.querySelector('.cart-item-save');
+  save.addEventListener('click', async () => {
+    save.disabled = true;
+    try {
+      await commerce.addToWishlist({
+        sku: item.parentSku || item.sku,
+        variantSku: item.sku,
+        name: item.name,
+        price: item.price,
+        currency: item.currency,
+        image: item.image,
+        url: item.url,
+        // a bundle line is moved back with the components chosen for it
+        options: item.options,
+        components: item.components,
+        categories: item.categories,
+        weight: item.weight,
+      });
+      await commerce.removeItem(item.sku);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to save item for later', err);
+      save.disabled = false;
+    }
+  });
+
   return row;
 }
 
@@ -124,6 +147,36 @@ function renderCartItems(container, cart) {
   cart.items.forEach((item) => list.append(buildLineItem(item)));
 }
 
+function renderDiscounts(container, cart) {
+  const currency = getCartCurrency(cart);
+  const rows = container.querySelector('.cart-summary-discounts');
+  const applied = container.querySelector('.cart-coupon-list');
+  if (rows) {
+    rows.innerHTML = '';
+    (cart?.discounts || []).forEach((discount) => {
+      const row = document.createElement('div');
+      row.className = 'cart-summary-row cart-summary-discount';
+      row.innerHTML = `
+        <span>${discount.label || `Discount (${discount.code})`}</span>
+        <span>&minus;${formatMoney(discount.amount, { currency })}</span>
+      `;
+      rows.append(row);
+    });
+  }
+  if (applied) {
+    applied.innerHTML = '';
+    (cart?.coupons || []).forEach((code) => {
+      const li = document.createElement('li');
+      li.className = 'cart-coupon-tag';
+      li.innerHTML = `<span>${code}</span><button type="button" class="cart-coupon-remove" aria-label="Remove promo code ${code}">&times;</button>`;
+      li.querySelector('.cart-coupon-remove').addEventListener('click', () => {
+        commerce.removeCoupon(code);
+      });
+      applied.append(li);
+    });
+  }
+}
+
 function updateSummary(container, cart) {
   const subtotalEl = container.querySelector('.cart-summary-subtotal');
   const shippingEl = container.querySelector('.cart-summary-shipping');
@@ -131,167 +184,123 @@ function updateSummary(container, cart) {
 
   const subtotal = cart?.subtotal || 0;
   const shipping = cart?.shipping || 0;
-  const total = subtotal + shipping;
+  const total = cart?.total ?? subtotal + shipping;
+  const currency = getCartCurrency(cart);
 
-  if (subtotalEl) subtotalEl.textContent = formatPrice(subtotal);
-  if (shippingEl) shippingEl.textContent = shipping === 0 ? 'Free' : formatPrice(shipping);
-  if (totalEl) totalEl.textContent = formatPrice(total);
+  if (subtotalEl) subtotalEl.textContent = formatMoney(subtotal, { currency });
+  if (shippingEl) shippingEl.textContent = shipping === 0 ? 'Free' : formatMoney(shipping, { currency });
+  if (totalEl) totalEl.textContent = formatMoney(total, { currency });
+  renderDiscounts(container, cart);
 }
 
-// --- Address Autocomplete (via worker proxy) ---
-
-function fillAddressFields(section, addressInput, result) {
-  const components = {};
-  result.address_components.forEach((c) => {
-    c.types.forEach((type) => { components[type] = c; });
-  });
-
-  // Street address
-  const streetNumber = components.street_number?.long_name || '';
-  const route = components.route?.long_name || '';
-  addressInput.value = `${streetNumber} ${route}`.trim();
-
-  // Subpremise → address2
-  const address2Input = section.querySelector('[autocomplete="address-line2"]');
-  if (address2Input && components.subpremise) {
-    address2Input.value = components.subpremise.long_name;
-  }
+// --- Tax ---
 
-  // City
-  const cityInput = section.querySelector('[autocomplete="address-level2"]');
-  if (cityInput) {
-    cityInput.value = (components.locality || components.sublocality || components.postal_town)?.long_name || '';
+async function updateTax(container, cart, address) {
+  const labelEl = container.querySelector('.cart-summary-tax-label');
+  const taxEl = container.querySelector('.cart-summary-tax');
+  const totalEl = container.querySelector('.cart-summary-total-value');
+  if (!taxEl || !cart) return;
+  const currency = getCartCurrency(cart);
+
+  try {
+    const tax = await commerce.estimateTax({ cart, address });
+    if (tax.inclusive) {
+      labelEl.textContent = `Includes ${tax.label}`;
+      totalEl.textContent = formatMoney(cart.total, { currency });
+    } else {
+      labelEl.textContent = `Estimated ${tax.label.toLowerCase()}`;
+      totalEl.textContent = formatMoney(cart.total + tax.amount, { currency });
+    }
+    taxEl.textContent = formatMoney(tax.amount, { currency });
+  } catch {
+    labelEl.textContent = 'Estimated tax';
+    taxEl.innerHTML = '&mdash;';
   }
+}
 
-  // State
-  const stateInput = section.querySelector('[autocomplete="address-level1"]');
-  if (stateInput) {
-    stateInput.value = components.administrative_area_level_1?.short_name || '';
-  }
+// --- Promo codes ---
 
-  // ZIP
-  const zipInput = section.querySelector('[autocomplete="postal-code"]');
-  if (zipInput) {
-    zipInput.value = components.postal_code?.long_name || '';
-  }
+function initCouponForm(section) {
+  const form = section.querySelector('.cart-coupon');
+  const input = form.querySelector('[name="coupon"]');
+  const applyBtn = form.querySelector('.cart-coupon-apply');
 
-  // Country
-  const countrySelect = section.querySelector('[autocomplete="country"]');
-  if (countrySelect && components.country) {
-    const code = components.country.short_name;
-    const option = countrySelect.querySelector(`option[value="${code}"]`);
-    if (option) countrySelect.value = code;
-  }
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearFieldError(input);
+    if (!input.value.trim()) {
+      showFieldError(input, 'Enter a promo code');
+      return;
+    }
 
-  // Clear validation errors on auto-filled fields
-  section.querySelectorAll('.cart-input').forEach((input) => {
-    if (input.value && input !== addressInput) {
-      clearFieldError(input);
+    applyBtn.disabled = true;
+    try {
+      await commerce.applyCoupon(input.value);
+      input.value = '';
+    } catch (err) {
+      showFieldError(input, err.message || 'This promo code isn’t valid');
+    } finally {
+      applyBtn.disabled = false;
     }
   });
-  clearFieldError(addressInput);
 }
 
-function initAddressAutocomplete(section) {
-  const addressInput = section.querySelector('[autocomplete="address-line1"]');
-  if (!addressInput) return;
-
-  // Wrap input in a relative container for dropdown positioning
-  const wrapper = document.createElement('div');
-  wrapper.classList.add('places-autocomplete-wrapper');
-  addressInput.parentElement.insertBefore(wrapper, addressInput);
-  wrapper.append(addressInput);
+// --- Shipping methods ---
 
-  // Disable browser autocomplete to avoid duplicate popups
-  addressInput.setAttribute('autocomplete', 'off');
+function formatShippingAmount(amount, currency) {
+  return amount === 0 ? 'Free' : formatMoney(amount, { currency });
+}
 
-  const sessiontoken = crypto.randomUUID();
-  let debounceTimer;
-  let dropdown;
+async function renderShippingMethods(section, cart) {
+  const container = section.querySelector('.cart-shipping-options');
+  if (!container) return;
+  const address = getShippingAddress(section);
+  const methods = await commerce.getShippingMethods({ address });
 
-  function removeDropdown() {
-    if (dropdown) { dropdown.remove(); dropdown = null; }
+  container.innerHTML = '';
+  if (!methods.length) {
+    container.innerHTML = '<p class="cart-shipping-unavailable">We don’t ship to this address yet.</p>';
+    return;
   }
 
-  function showDropdown(predictions) {
-    removeDropdown();
-    if (!predictions.length) return;
-
-    dropdown = document.createElement('ul');
-    dropdown.classList.add('places-autocomplete-dropdown');
-
-    predictions.forEach((p) => {
-      const li = document.createElement('li');
-      li.textContent = p.description;
-      li.addEventListener('mousedown', async (e) => {
-        e.preventDefault();
-        addressInput.value = p.description;
-        removeDropdown();
-
-        try {
-          const params = new URLSearchParams({
-            place_id: p.place_id,
-            sessiontoken,
-          });
-          const resp = await fetch(`${PLACES_API}/details?${params}`);
-          if (!resp.ok) return;
-          const data = await resp.json();
-          if (data.result?.address_components) {
-            fillAddressFields(section, addressInput, data.result);
-          }
-        } catch { /* silent */ }
-      });
-      dropdown.append(li);
+  methods.forEach((method) => {
+    const option = document.createElement('label');
+    option.className = 'cart-shipping-option';
+    option.innerHTML = `
+      <input type="radio" name="shippingMethod" value="${method.id}"${method.id === cart?.shippingMethod ? ' checked' : ''}>
+      <span class="cart-shipping-option-label">
+        ${method.label}
+        ${method.detail ? `<small>${method.detail}</small>` : ''}
+      </span>
+      <span class="cart-shipping-option-amount">${formatShippingAmount(method.amount, getCartCurrency(cart))}</span>
+    `;
+    option.querySelector('input').addEventListener('change', () => {
+      commerce.setShippingMethod(method.id, { address });
     });
-
-    wrapper.append(dropdown);
-  }
-
-  addressInput.addEventListener('input', () => {
-    clearTimeout(debounceTimer);
-    const { value } = addressInput;
-    if (value.length < 3) { removeDropdown(); return; }
-
-    debounceTimer = setTimeout(async () => {
-      try {
-        const params = new URLSearchParams({ input: value, sessiontoken });
-        const resp = await fetch(`${PLACES_API}/autocomplete?${params}`);
-        if (!resp.ok) return;
-        const data = await resp.json();
-        showDropdown(data.predictions || []);
-      } catch { /* silent */ }
-    }, 300);
-  });
-
-  addressInput.addEventListener('blur', () => {
-    setTimeout(removeDropdown, 200);
+    container.append(option);
   });
 }
 
-// --- Address picker ---
-
-function fillShippingForm(section, addr) {
-  const [first, ...rest] = (addr.name || '').split(' ');
-  const fields = {
-    firstName: first || '',
-    lastName: rest.join(' ') || '',
-    address1: addr.address1 || '',
-    address2: addr.address2 || '',
-    city: addr.city || '',
-    state: addr.state || '',
-    zip: addr.zip || '',
-    country: addr.country || '',
-    email: addr.email || '',
-  };
-  Object.entries(fields).forEach(([name, value]) => {
-    const el = section.querySelector(`[name="${name}"]`);
-    if (el) {
-      el.value = value;
-      clearFieldError(el);
+/**
+ * Re-quotes shipping for the address in the form, keeping the current
+ * method when it is still offered. The resulting cart update re-renders the options.
+ */
+async function syncShippingAddress(section) {
+  const address = getShippingAddress(section);
+  try {
+    const methods = await commerce.getShippingMethods({ address });
+    const cart = await commerce.getCart();
+    if (!methods.length) {
+      await renderShippingMethods(section, cart);
+      return;
     }
-  });
+    const method = methods.find((m) => m.id === cart.shippingMethod) || methods[0];
+    await commerce.setShippingMethod(method.id, { address });
+  } catch { /* silent — summary keeps the previous quote */ }
 }
 
+// --- Address picker ---
+
 function showAddressPicker(section, addresses) {
   const overlay = document.createElement('div');
   overlay.className = 'cart-address-overlay';
@@ -333,6 +342,7 @@ function showAddressPicker(section, addresses) {
 
     card.addEventListener('click', () => {
       fillShippingForm(section, addr);
+      syncShippingAddress(section);
       close();
     });
     list.append(card);
@@ -353,75 +363,158 @@ function showAddressPicker(section, addresses) {
   });
 }
 
-// --- Form data helper ---
+// --- Offline and in-flight payments ---
 
-function getFormData(section) {
-  const email = section.querySelector('[name="email"]').value.trim();
-  const firstName = section.querySelector('[name="firstName"]').value.trim();
-  const lastName = section.querySelector('[name="lastName"]').value.trim();
-  const address1 = section.querySelector('[name="address1"]').value.trim();
-  const address2 = section.querySelector('[name="address2"]').value.trim();
-  const city = section.querySelector('[name="city"]').value.trim();
-  const state = section.querySelector('[name="state"]').value.trim();
-  const zip = section.querySelector('[name="zip"]').value.trim();
-  const country = section.querySelector('[name="country"]').value;
+/**
+ * Disables payment while the browser is offline or an order or payment
+ * request is in flight, so it can't be sent twice. The cart itself keeps working.
+ * @param {HTMLElement} section - Checkout section
+ * @param {boolean} [online] - Whether there is a connection
+ */
+function updatePaymentLock(section, online = commerce.isOnline()) {
+  const locked = !online || commerce.isCheckoutBusy();
+  section.classList.toggle('cart-offline', !online);
+  section.querySelector('.cart-offline-notice').hidden = online;
+  section.querySelector('.cart-express-checkout').inert = locked;
+  section.querySelector('.cart-payment').inert = locked;
+  section.setAttribute('aria-busy', commerce.isCheckoutBusy());
+}
 
-  return {
-    customer: { email, firstName, lastName },
-    shipping: {
-      name: `${firstName} ${lastName}`,
-      email,
-      address1,
-      address2,
-      city,
-      state,
-      zip,
-      country,
-    },
-  };
+/**
+ * Tells the shopper their order is waiting for the connection, and moves on
+ * to the confirmation page once the service worker has sent it.
+ * @param {HTMLElement} note - Checkout note element
+ * @param {{id: string}} queued - Queued result from the commerce API
+ * @param {string} url - Where to go once the order is placed
+ */
+function awaitQueuedOrder(note, queued, url) {
+  note.textContent = 'Your payment was approved but the connection dropped. Your order will be placed as soon as you’re back online.';
+  note.classList.remove('cart-checkout-error');
+  const off = commerce.on(commerce.EVENTS.OUTBOX_REPLAYED, (e) => {
+    if (e.detail.id !== queued.id) return;
+    off();
+    if (e.detail.ok) {
+      window.location.href = url;
+    } else {
+      note.textContent = `We couldn’t place your order (error ${e.detail.status}). Please contact us before trying again.`;
+      note.classList.add('cart-checkout-error');
+    }
+  });
 }
 
-// --- PayPal SDK ---
+// --- Capabilities ---
 
-const PAYPAL_CLIENT_ID = 'AYfXbmal8BOpF1lesKHv4Cf1jRGYLaFnz2X8sq1YKdQGhARrLhFngnJBTmFQOp8qD1kIIItrC36YPc-w';
-let paypalSDKPromise = null;
+/**
+ * Hides the parts of checkout the commerce adapter can't handle. Payment
+ * providers check their own capabilities, see renderPaymentProviders.
+ * @param {HTMLElement} section - Checkout section
+ */
+async function hideUnsupported(section) {
+  section.querySelector('.cart-coupon').hidden = !(await commerce.supports('coupons'));
+}
 
-function loadPayPalSDK() {
-  if (paypalSDKPromise) return paypalSDKPromise;
+// --- Payment ---
 
-  paypalSDKPromise = new Promise((resolve, reject) => {
-    const script = document.createElement('script');
-    script.src = `https://www.paypal.com/sdk/js?client-id=${PAYPAL_CLIENT_ID}&currency=USD`;
-    script.addEventListener('load', () => resolve(window.paypal));
-    script.addEventListener('error', () => reject(new Error('Failed to load PayPal SDK')));
-    document.head.append(script);
-  });
+/**
+ * The checkout form as payment providers see it.
+ * @param {HTMLElement} section - Checkout section
+ * @returns {import('../../scripts/commerce/payments/registry.js').CheckoutContext}
+ */
+function createCheckoutContext(section) {
+  const note = section.querySelector('.cart-checkout-note');
 
-  return paypalSDKPromise;
-}
+  function setStatus(message, error = false) {
+    note.textContent = message;
+    note.classList.toggle('cart-checkout-error', error);
+  }
 
-// --- Stripe.js SDK ---
+  return {
+    getDetails: () => getFormData(section),
+    getAddress: () => getShippingAddress(section),
+    setStatus,
+
+    validate() {
+      if (!validateForm(section)) return false;
+      if (!section.querySelector('[name="shippingMethod"]:checked')) {
+        setStatus('Choose a shipping method to continue.', true);
+        return false;
+      }
+      return true;
+    },
 
-const STRIPE_PUBLISHABLE_KEY = 'pk_test_51T20B1J8K3ZPob7hXjCQMZ5bNxcE4KatSkxkhp6avphylnYFaAJtpTWE7fnas9nA9z2MDLPblybCmD41WmkUJKVV00wlcTT7jc';
-let stripeJSPromise = null;
+    complete(provider, paymentId, result) {
+      const url = confirmationUrl(provider, paymentId);
+      if (result?.queued) {
+        awaitQueuedOrder(note, result, url);
+        return;
+      }
+      window.location.href = url;
+    },
+  };
+}
 
-function loadStripeJS() {
-  if (stripeJSPromise) return stripeJSPromise;
+/**
+ * Finishes an order the page was reloaded in the middle of placing. It is
+ * sent again with the checkout attempt's idempotency key, so the order is
+ * placed once either way.
+ * @param {HTMLElement} section - Checkout section
+ * @param {string[]} ids - Provider ids from the block config
+ */
+async function resumeCheckout(section, ids) {
+  const context = createCheckoutContext(section);
+  try {
+    const resumed = await commerce.resumeCheckoutAttempt();
+    if (!resumed) return;
+    const payment = await findCapturedPayment(resumed.result, ids);
+    if (payment) context.complete(payment.provider, payment.id, resumed.result);
+  } catch (err) {
+    context.setStatus(`We couldn’t finish your earlier payment: ${err.message}`, true);
+  }
+}
 
-  stripeJSPromise = new Promise((resolve, reject) => {
-    const script = document.createElement('script');
-    script.src = 'https://js.stripe.com/v3/';
-    script.addEventListener('load', () => resolve(window.Stripe(STRIPE_PUBLISHABLE_KEY)));
-    script.addEventListener('error', () => reject(new Error('Failed to load Stripe.js')));
-    document.head.append(script);
+/**
+ * Renders the available payment providers in the configured order: express
+ * ones above the form, form ones below it. Sections left empty are hidden.
+ * @param {HTMLElement} section - Checkout section
+ * @param {string[]} ids - Provider ids from the block config
+ */
+async function renderPaymentProviders(section, ids) {
+  const context = createCheckoutContext(section);
+  const providers = await getProviders(ids);
+  const available = await Promise.all(
+    providers.map((p) => Promise.resolve(p.isAvailable(context)).catch(() => false)),
+  );
+  const offered = providers.filter((_, i) => available[i]);
+  const slots = {
+    express: section.querySelector('.cart-express-options'),
+    form: section.querySelector('.cart-payment'),
+  };
+
+  offered.forEach((provider) => {
+    const container = document.createElement('div');
+    container.className = `cart-payment-option cart-payment-${provider.id}`;
+    slots[provider.placement].append(container);
+    provider.render(container, context).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.warn(`[payments] ${provider.id} unavailable:`, err);
+      provider.destroy?.(container);
+      container.remove();
+    });
   });
 
-  return stripeJSPromise;
+  const express = offered.some((p) => p.placement === 'express');
+  const form = offered.some((p) => p.placement === 'form');
+  section.querySelector('.cart-express-checkout').hidden = !express;
+  section.querySelector('.cart-payment').hidden = !form;
+  section.querySelector('.cart-divider').hidden = !express || !form;
 }
 
 // --- Checkout form ---
 
-function buildCheckoutForm() {
+/**
+ * @param {string[]} paymentProviders - Payment provider ids, in order
+ */
+function buildCheckoutForm(paymentProviders) {
   const section = document.createElement('div');
   section.className = 'cart-checkout-section';
 
@@ -430,29 +523,42 @@ function buildCheckoutForm() {
       <h3>Order summary</h3>
       <div class="cart-summary-row">
         <span>Subtotal</span>
-        <span class="cart-summary-subtotal">$0.00</span>
+        <span class="cart-summary-subtotal">${formatMoney(0)}</span>
       </div>
       <div class="cart-summary-row">
         <span>Shipping</span>
         <span class="cart-summary-shipping">Free</span>
       </div>
+      <div class="cart-summary-discounts"></div>
+      <div class="cart-summary-row cart-summary-tax-row">
+        <span class="cart-summary-tax-label">Estimated tax</span>
+        <span class="cart-summary-tax">&mdash;</span>
+      </div>
       <div class="cart-summary-row cart-summary-total">
         <span>Total</span>
-        <span class="cart-summary-total-value">$0.00</span>
+        <span class="cart-summary-total-value">${formatMoney(0)}</span>
       </div>
+      <form class="cart-coupon" novalidate>
+        <div class="cart-coupon-row">
+          <input type="text" class="cart-input" name="coupon" placeholder="Promo code" autocomplete="off" aria-label="Promo code">
+          <button type="submit" class="cart-coupon-apply">Apply</button>
+        </div>
+        <ul class="cart-coupon-list"></ul>
+      </form>
     </div>
 
+    <p class="cart-offline-notice" role="status" hidden>You’re offline. Your cart is saved on this device — reconnect to check out.</p>
+
     <div class="cart-express-checkout">
       <h3>Express checkout</h3>
-      <div id="stripe-pr-container" class="cart-stripe-pr-container"></div>
-      <div id="paypal-button-container" class="cart-paypal-container"></div>
+      <div class="cart-express-options"></div>
     </div>
 
     <div class="cart-divider"><span>or</span></div>
 
     <div class="cart-contact">
       <h3>Contact</h3>
-      <input type="email" class="cart-input" name="email" placeholder="Email address" autocomplete="email" required>
+      ${contactFields('cart')}
       <p class="cart-signin-prompt">Already have an account? <a href="#" class="cart-signin-link">Sign in</a></p>
     </div>
 
@@ -461,219 +567,39 @@ function buildCheckoutForm() {
         <h3>Shipping address</h3>
         <button type="button" class="cart-change-address-btn" style="display:none">Change</button>
       </div>
-      <div class="cart-form-row">
-        <input type="text" class="cart-input" name="firstName" placeholder="First name" autocomplete="given-name" required minlength="2">
-        <input type="text" class="cart-input" name="lastName" placeholder="Last name" autocomplete="family-name" required minlength="2">
-      </div>
-      <input type="text" class="cart-input" name="address1" placeholder="Address" autocomplete="address-line1" required>
-      <input type="text" class="cart-input" name="address2" placeholder="Apartment, suite, etc. (optional)" autocomplete="address-line2">
-      <div class="cart-form-row">
-        <input type="text" class="cart-input" name="city" placeholder="City" autocomplete="address-level2" required>
-        <input type="text" class="cart-input" name="state" placeholder="State / Province" autocomplete="address-level1" required>
-      </div>
-      <div class="cart-form-row">
-        <input type="text" class="cart-input" name="zip" placeholder="ZIP / Postal code" autocomplete="postal-code" required pattern="[0-9a-zA-Z\\x20\\x2d]{3,10}" title="Enter a valid postal code">
-        <select class="cart-input" name="country" autocomplete="country" required>
-          <option value="">Country</option>
-          <option value="US" selected>United States</option>
-          <option value="CA">Canada</option>
-          <option value="GB">United Kingdom</option>
-          <option value="AU">Australia</option>
-          <option value="DE">Germany</option>
-          <option value="FR">France</option>
-          <option value="JP">Japan</option>
-        </select>
-      </div>
+      ${addressFields('cart')}
+    </div>
+
+    <div class="cart-shipping-methods">
+      <h3>Shipping method</h3>
+      <div class="cart-shipping-options" role="radiogroup" aria-label="Shipping method"></div>
     </div>
 
-    <button class="cart-checkout-btn" type="button">Pay with card</button>
+    <div class="cart-payment"></div>
     <p class="cart-checkout-note"></p>
   `;
 
-  // place order (Stripe)
-  const placeBtn = section.querySelector('.cart-checkout-btn');
-  placeBtn.addEventListener('click', async () => {
-    if (!validateForm(section)) return;
-
-    const { customer, shipping } = getFormData(section);
+  // --- Payment ---
+  renderPaymentProviders(section, paymentProviders);
 
-    placeBtn.disabled = true;
-    placeBtn.textContent = 'Redirecting to payment…';
+  // --- Promo codes ---
+  initCouponForm(section);
 
-    try {
-      const { url } = await commerce.createCheckoutSession({ customer, shipping });
-      window.location.href = url;
-    } catch (err) {
-      placeBtn.disabled = false;
-      placeBtn.textContent = 'Pay with card';
-      const note = section.querySelector('.cart-checkout-note');
-      note.textContent = `Checkout failed: ${err.message}`;
-      note.classList.add('cart-checkout-error');
-    }
-  });
+  hideUnsupported(section);
 
-  // PayPal button — no form validation required; PayPal collects payer/shipping info
-  loadPayPalSDK().then((paypal) => {
-    const container = section.querySelector('#paypal-button-container');
-    paypal.Buttons({
-      style: { layout: 'horizontal', tagline: false },
-      createOrder: async () => {
-        // Pass form data if filled, but don't require it
-        const formData = getFormData(section);
-        const { id } = await commerce.createPayPalOrder(formData);
-        return id;
-      },
-      onApprove: async (data) => {
-        const note = section.querySelector('.cart-checkout-note');
-        note.textContent = 'Processing payment…';
-        note.classList.remove('cart-checkout-error');
-
-        try {
-          const formData = getFormData(section);
-          await commerce.capturePayPalOrder(data.orderID, formData);
-          window.location.href = `/order-confirmation?paypal_order_id=${data.orderID}`;
-        } catch (err) {
-          note.textContent = `Payment failed: ${err.message}`;
-          note.classList.add('cart-checkout-error');
-        }
-      },
-      onError: (err) => {
-        const note = section.querySelector('.cart-checkout-note');
-        note.textContent = `PayPal error: ${err.message || 'Something went wrong'}`;
-        note.classList.add('cart-checkout-error');
-      },
-      onCancel: () => {
-        const note = section.querySelector('.cart-checkout-note');
-        note.textContent = 'Payment cancelled.';
-        note.classList.remove('cart-checkout-error');
-      },
-    }).render(container);
-  }).catch(() => {
-    // PayPal SDK failed to load — Stripe checkout still works
+  // --- Shipping methods follow the destination country ---
+  section.querySelector('[name="country"]').addEventListener('change', () => {
+    syncShippingAddress(section);
   });
+  syncShippingAddress(section);
 
-  // --- Stripe Payment Request Button (Apple Pay / Google Pay) ---
-  loadStripeJS().then(async (stripe) => {
-    const cart = await commerce.getCart();
-    const subtotal = cart.subtotal || 0;
-    const shipping = cart.shipping || 0;
-    const total = subtotal + shipping;
-
-    const paymentRequest = stripe.paymentRequest({
-      country: 'US',
-      currency: 'usd',
-      total: {
-        label: 'Order total',
-        amount: Math.round(total * 100),
-      },
-      requestPayerName: true,
-      requestPayerEmail: true,
-      requestShipping: true,
-      shippingOptions: [
-        {
-          id: 'standard',
-          label: 'Standard Shipping',
-          detail: subtotal >= 150 ? 'Free' : '$10.00',
-          amount: Math.round(shipping * 100),
-        },
-      ],
-    });
-
-    const canPay = await paymentRequest.canMakePayment();
-    console.log('[stripe-pr] canMakePayment:', canPay);
-    if (!canPay) return;
-
-    const elements = stripe.elements();
-    const prButton = elements.create('paymentRequestButton', { paymentRequest });
-    const container = section.querySelector('#stripe-pr-container');
-    prButton.mount(container);
-
-    paymentRequest.on('paymentmethod', async (ev) => {
-      const note = section.querySelector('.cart-checkout-note');
-      note.textContent = 'Processing payment…';
-      note.classList.remove('cart-checkout-error');
-
-      try {
-        const { clientSecret, id } = await commerce.createStripePaymentIntent();
-        const { error, paymentIntent } = await stripe.confirmCardPayment(
-          clientSecret,
-          { payment_method: ev.paymentMethod.id },
-          { handleActions: false },
-        );
-
-        if (error) {
-          ev.complete('fail');
-          note.textContent = `Payment failed: ${error.message}`;
-          note.classList.add('cart-checkout-error');
-          return;
-        }
-
-        if (paymentIntent.status !== 'succeeded') {
-          ev.complete('fail');
-          note.textContent = 'Payment not completed. Please try again.';
-          note.classList.add('cart-checkout-error');
-          return;
-        }
-
-        ev.complete('success');
-
-        // Extract payer info from the payment sheet event
-        const nameParts = (ev.payerName || '').split(' ');
-        const firstName = nameParts[0] || '';
-        const lastName = nameParts.slice(1).join(' ') || '';
-        const shippingAddr = ev.shippingAddress || {};
-
-        const customer = {
-          email: ev.payerEmail || '',
-          firstName,
-          lastName,
-        };
-        const shippingInfo = {
-          name: ev.payerName || '',
-          email: ev.payerEmail || '',
-          address1: shippingAddr.addressLine?.[0] || '',
-          address2: shippingAddr.addressLine?.[1] || '',
-          city: shippingAddr.city || '',
-          state: shippingAddr.region || '',
-          zip: shippingAddr.postalCode || '',
-          country: shippingAddr.country || '',
-        };
-
-        await commerce.captureStripePaymentIntent(id, { customer, shipping: shippingInfo });
-        window.location.href = `/order-confirmation?payment_intent_id=${id}`;
-      } catch (err) {
-        ev.complete('fail');
-        note.textContent = `Payment failed: ${err.message}`;
-        note.classList.add('cart-checkout-error');
-      }
-    });
-
-    // Update payment request totals when cart changes
-    commerce.on(commerce.EVENTS.CART_UPDATED, (e) => {
-      const c = e.detail.cart;
-      const sub = c?.subtotal || 0;
-      const ship = c?.shipping || 0;
-      paymentRequest.update({
-        total: {
-          label: 'Order total',
-          amount: Math.round((sub + ship) * 100),
-        },
-        shippingOptions: [
-          {
-            id: 'standard',
-            label: 'Standard Shipping',
-            detail: sub >= 150 ? 'Free' : '$10.00',
-            amount: Math.round(ship * 100),
-          },
-        ],
-      });
-    });
-  }).catch((err) => {
-    console.warn('[stripe-pr] Payment Request Button unavailable:', err);
+  // --- Tax follows the destination state ---
+  section.querySelector('[name="state"]').addEventListener('change', async () => {
+    updateTax(section, await commerce.getCart(), getShippingAddress(section));
   });
 
   // --- Address Autocomplete (via worker proxy) ---
-  initAddressAutocomplete(section);
+  initAddressAutocomplete(section, { onFill: () => syncShippingAddress(section) });
 
   // --- Sign-in link ---
   const signinLink = section.querySelector('.cart-signin-link');
@@ -701,6 +627,7 @@ function buildCheckoutForm() {
     // Pre-fill from first address or customer profile
     if (addr) {
       fillShippingForm(section, addr);
+      syncShippingAddress(section);
     } else {
       const fields = {
         firstName: customer?.firstName,
@@ -745,7 +672,9 @@ function buildCheckoutForm() {
 // --- Block entry point ---
 
 export default async function decorate(block) {
+  const config = readBlockConfig(block);
   block.textContent = '';
+  await loadMoneyConfig();
 
   const wrapper = document.createElement('div');
   wrapper.className = 'cart-layout';
@@ -763,7 +692,8 @@ export default async function decorate(block) {
   `;
 
   // checkout section
-  const checkoutSection = buildCheckoutForm();
+  const paymentProviders = parseProviderIds(config['payment-providers']);
+  const checkoutSection = buildCheckoutForm(paymentProviders);
 
   wrapper.append(itemsSection, checkoutSection);
   block.append(wrapper);
@@ -778,7 +708,15 @@ export default async function decorate(block) {
   const cart = await commerce.getCart();
   renderCartItems(itemsSection, cart);
   updateSummary(checkoutSection, cart);
+  updateTax(checkoutSection, cart, getShippingAddress(checkoutSection));
   updateLayout(cart);
+  updatePaymentLock(checkoutSection);
+  resumeCheckout(checkoutSection, paymentProviders);
+
+  commerce.on(commerce.EVENTS.CONNECTIVITY_CHANGED, (e) => {
+    updatePaymentLock(checkoutSection, e.detail.online);
+  });
+  commerce.on(commerce.EVENTS.CHECKOUT_STATE_CHANGED, () => updatePaymentLock(checkoutSection));
 
   // listen for updates
   commerce.on(commerce.EVENTS.CART_UPDATED, (e) => {
@@ -786,5 +724,7 @@ export default async function decorate(block) {
     renderCartItems(itemsSection, updatedCart);
     updateSummary(checkoutSection, updatedCart);
     updateLayout(updatedCart);
+    renderShippingMethods(checkoutSection, updatedCart);
+    updateTax(checkoutSection, updatedCart, getShippingAddress(checkoutSection));
   });
 }
@@ -0,0 +1,357 @@
+/**
+ * Checkout form pieces shared by the cart and checkout blocks: the contact
+ * and address fields, validation, address autocomplete and reading the form.
+ *
+ * Class names take the block's name as a prefix (`cart-input`,
+ * `checkout-input`, …) so each block styles its own fields.
+ */
+
+import { apiUrl } from '../../scripts/commerce/config.js';
+
+// --- Fields ---
+
+const COUNTRIES = [
+  ['US', 'United States'],
+  ['CA', 'Canada'],
+  ['GB', 'United Kingdom'],
+  ['AU', 'Australia'],
+  ['DE', 'Germany'],
+  ['FR', 'France'],
+  ['JP', 'Japan'],
+];
+
+/**
+ * @param {string} prefix - Block name used as class prefix
+ * @returns {string} Email field markup
+ */
+export function contactFields(prefix) {
+  return `<input type="email" class="${prefix}-input" name="email" placeholder="Email address" autocomplete="email" required>`;
+}
+
+/**
+ * @param {string} prefix - Block name used as class prefix
+ * @returns {string} Name and shipping address field markup
+ */
+export function addressFields(prefix) {
+  const countries = COUNTRIES
+    .map(([code, name]) => `<option value="${code}"${code === 'US' ? ' selected' : ''}>${name}</option>`)
+    .join('');
+  return `
+      <div class="${prefix}-form-row">
+        <input type="text" class="${prefix}-input" name="firstName" placeholder="First name" autocomplete="given-name" required minlength="2">
+        <input type="text" class="${prefix}-input" name="lastName" placeholder="Last name" autocomplete="family-name" required minlength="2">
+      </div>
+      <input type="text" class="${prefix}-input" name="address1" placeholder="Address" autocomplete="address-line1" required>
+      <input type="text" class="${prefix}-input" name="address2" placeholder="Apartment, suite, etc. (optional)" autocomplete="address-line2">
+      <div class="${prefix}-form-row">
+        <input type="text" class="${prefix}-input" name="city" placeholder="City" autocomplete="address-level2" required>
+        <input type="text" class="${prefix}-input" name="state" placeholder="State / Province" autocomplete="address-level1" required>
+      </div>
+      <div class="${prefix}-form-row">
+        <input type="text" class="${prefix}-input" name="zip" placeholder="ZIP / Postal code" autocomplete="postal-code" required pattern="[0-9a-zA-Z\\x20\\x2d]{3,10}" title="Enter a valid postal code">
+        <select class="${prefix}-input" name="country" autocomplete="country" required>
+          <option value="">Country</option>
+          ${countries}
+        </select>
+      </div>`;
+}
+
+// --- Validation ---
+
+/**
+ * @param {HTMLElement} input
+ * @param {string} [prefix='cart'] - Block name used as class prefix
+ */
+export function clearFieldError(input, prefix = 'cart') {
+  input.classList.remove(`${prefix}-input-error`);
+  const existing = input.parentElement.querySelector(`.${prefix}-field-error`);
+  if (existing) existing.remove();
+}
+
+/**
+ * @param {HTMLElement} input
+ * @param {string} message
+ * @param {string} [prefix='cart'] - Block name used as class prefix
+ */
+export function showFieldError(input, message, prefix = 'cart') {
+  input.classList.add(`${prefix}-input-error`);
+  const existing = input.parentElement.querySelector(`.${prefix}-field-error`);
+  if (existing) existing.remove();
+  const span = document.createElement('span');
+  span.className = `${prefix}-field-error`;
+  span.textContent = message;
+  input.insertAdjacentElement('afterend', span);
+  input.addEventListener('input', () => clearFieldError(input, prefix), { once: true });
+  input.addEventListener('change', () => clearFieldError(input, prefix), { once: true });
+}
+
+/**
+ * Checks the required fields in a container, marking the invalid ones and
+ * focusing the first.
+ * @param {HTMLElement} section - Container of the fields
+ * @param {string} [prefix='cart'] - Block name used as class prefix
+ * @returns {boolean} Whether every required field is valid
+ */
+export function validateForm(section, prefix = 'cart') {
+  const requiredInputs = section.querySelectorAll(`.${prefix}-input[required]`);
+  let firstInvalid = null;
+
+  requiredInputs.forEach((input) => {
+    clearFieldError(input, prefix);
+    if (!input.checkValidity()) {
+      const msg = input.validationMessage || 'This field is required';
+      showFieldError(input, msg, prefix);
+      if (!firstInvalid) firstInvalid = input;
+    }
+  });
+
+  if (firstInvalid) {
+    firstInvalid.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    firstInvalid.focus();
+    return false;
+  }
+  return true;
+}
+
+// --- Form data ---
+
+/**
+ * @param {HTMLElement} section - Container of the contact and address fields
+ * @returns {import('../../scripts/commerce/payments/registry.js').CheckoutDetails}
+ */
+export function getFormData(section) {
+  const value = (name) => section.querySelector(`[name="${name}"]`)?.value.trim() || '';
+  const email = value('email');
+  const firstName = value('firstName');
+  const lastName = value('lastName');
+
+  return {
+    customer: { email, firstName, lastName },
+    shipping: {
+      name: `${firstName} ${lastName}`,
+      email,
+      address1: value('address1'),
+      address2: value('address2'),
+      city: value('city'),
+      state: value('state'),
+      zip: value('zip'),
+      country: value('country'),
+    },
+  };
+}
+
+/**
+ * @param {HTMLElement} section - Container of the address fields
+ * @returns {{country: string, state: string, zip: string}} Destination for shipping and tax quotes
+ */
+export function getShippingAddress(section) {
+  return {
+    country: section.querySelector('[name="country"]').value,
+    state: section.querySelector('[name="state"]').value.trim(),
+    zip: section.querySelector('[name="zip"]').value.trim(),
+  };
+}
+
+/**
+ * Fills the name and address fields from a saved address.
+ * @param {HTMLElement} section - Container of the fields
+ * @param {Object} addr - Saved address
+ * @param {string} [prefix='cart'] - Block name used as class prefix
+ */
+export function fillShippingForm(section, addr, prefix = 'cart') {
+  const [first, ...rest] = (addr.name || '').split(' ');
+  const fields = {
+    firstName: first || '',
+    lastName: rest.join(' ') || '',
+    address1: addr.address1 || '',
+    address2: addr.address2 || '',
+    city: addr.city || '',
+    state: addr.state || '',
+    zip: addr.zip || '',
+    country: addr.country || '',
+    email: addr.email || '',
+  };
+  Object.entries(fields).forEach(([name, value]) => {
+    const el = section.querySelector(`[name="${name}"]`);
+    if (el) {
+      el.value = value;
+      clearFieldError(el, prefix);
+    }
+  });
+}
+
+// --- Saved Addresses ---
+
+/**
+ * @param {Object} addr - Shipping or saved address
+ * @returns {string[]} Lines of the address as it's printed on a label
+ */
+export function formatAddressLines(addr) {
+  return [
+    addr.name,
+    [addr.address1, addr.address2].filter(Boolean).join(', '),
+    [addr.city, addr.state, addr.zip].filter(Boolean).join(', '),
+    addr.country,
+  ].filter(Boolean);
+}
+
+/**
+ * Renders a button per saved address. Addresses come from the customer's
+ * account, so every value is set as text.
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object[]} addresses - Saved addresses
+ * @param {(addr: Object) => void} onSelect - Called with the address picked
+ * @param {string} [prefix='cart'] - Block name used as class prefix
+ */
+export function renderSavedAddresses(container, addresses, onSelect, prefix = 'cart') {
+  container.replaceChildren(...addresses.map((addr) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `${prefix}-saved-address`;
+    const name = document.createElement('strong');
+    name.textContent = addr.name || '';
+    const line = document.createElement('span');
+    line.textContent = [addr.address1, addr.city, addr.zip].filter(Boolean).join(', ');
+    button.append(name, line);
+    button.addEventListener('click', () => onSelect(addr));
+    return button;
+  }));
+}
+
+// --- Address Autocomplete (via worker proxy) ---
+
+function fillAddressFields(section, addressInput, result, prefix) {
+  const components = {};
+  result.address_components.forEach((c) => {
+    c.types.forEach((type) => { components[type] = c; });
+  });
+
+  // Street address
+  const streetNumber = components.street_number?.long_name || '';
+  const route = components.route?.long_name || '';
+  addressInput.value = `${streetNumber} ${route}`.trim();
+
+  // Subpremise → address2
+  const address2Input = section.querySelector('[autocomplete="address-line2"]');
+  if (address2Input && components.subpremise) {
+    address2Input.value = components.subpremise.long_name;
+  }
+
+  // City
+  const cityInput = section.querySelector('[autocomplete="address-level2"]');
+  if (cityInput) {
+    cityInput.value = (components.locality || components.sublocality || components.postal_town)?.long_name || '';
+  }
+
+  // State
+  const stateInput = section.querySelector('[autocomplete="address-level1"]');
+  if (stateInput) {
+    stateInput.value = components.administrative_area_level_1?.short_name || '';
+  }
+
+  // ZIP
+  const zipInput = section.querySelector('[autocomplete="postal-code"]');
+  if (zipInput) {
+    zipInput.value = components.postal_code?.long_name || '';
+  }
+
+  // Country
+  const countrySelect = section.querySelector('[autocomplete="country"]');
+  if (countrySelect && components.country) {
+    const code = components.country.short_name;
+    const option = countrySelect.querySelector(`option[value="${code}"]`);
+    if (option) countrySelect.value = code;
+  }
+
+  // Clear validation errors on auto-filled fields
+  section.querySelectorAll(`.${prefix}-input`).forEach((input) => {
+    if (input.value && input !== addressInput) {
+      clearFieldError(input, prefix);
+    }
+  });
+  clearFieldError(addressInput, prefix);
+}
+
+/**
+ * Suggests addresses as the shopper types in the first address line.
+ * @param {HTMLElement} section - Container of the address fields
+ * @param {Object} [options]
+ * @param {string} [options.prefix='cart'] - Block name used as class prefix
+ * @param {Function} [options.onFill] - Called after a suggestion fills the fields
+ */
+export function initAddressAutocomplete(section, { prefix = 'cart', onFill = () => {} } = {}) {
+  const addressInput = section.querySelector('[autocomplete="address-line1"]');
+  if (!addressInput) return;
+
+  // Wrap input in a relative container for dropdown positioning
+  const wrapper = document.createElement('div');
+  wrapper.classList.add('places-autocomplete-wrapper');
+  addressInput.parentElement.insertBefore(wrapper, addressInput);
+  wrapper.append(addressInput);
+
+  // Disable browser autocomplete to avoid duplicate popups
+  addressInput.setAttribute('autocomplete', 'off');
+
+  const sessiontoken = crypto.randomUUID();
+  let debounceTimer;
+  let dropdown;
+
+  function removeDropdown() {
+    if (dropdown) { dropdown.remove(); dropdown = null; }
+  }
+
+  function showDropdown(predictions) {
+    removeDropdown();
+    if (!predictions.length) return;
+
+    dropdown = document.createElement('ul');
+    dropdown.classList.add('places-autocomplete-dropdown');
+
+    predictions.forEach((p) => {
+      const li = document.createElement('li');
+      li.textContent = p.description;
+      li.addEventListener('mousedown', async (e) => {
+        e.preventDefault();
+        addressInput.value = p.description;
+        removeDropdown();
+
+        try {
+          const params = new URLSearchParams({
+            place_id: p.place_id,
+            sessiontoken,
+          });
+          const resp = await fetch(await apiUrl(`/places/details?${params}`));
+          if (!resp.ok) return;
+          const data = await resp.json();
+          if (data.result?.address_components) {
+            fillAddressFields(section, addressInput, data.result, prefix);
+            onFill();
+          }
+        } catch { /* silent */ }
+      });
+      dropdown.append(li);
+    });
+
+    wrapper.append(dropdown);
+  }
+
+  addressInput.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    const { value } = addressInput;
+    if (value.length < 3) { removeDropdown(); return; }
+
+    debounceTimer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ input: value, sessiontoken });
+        const resp = await fetch(await apiUrl(`/places/autocomplete?${params}`));
+        if (!resp.ok) return;
+        const data = await resp.json();
+        showDropdown(data.predictions || []);
+      } catch { /* silent */ }
+    }, 300);
+  });
+
+  addressInput.addEventListener('blur', () => {
+    setTimeout(removeDropdown, 200);
+  });
+}
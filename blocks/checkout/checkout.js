@@ -0,0 +1,626 @@
+/**
+ * Checkout block — step-by-step checkout.
+ * Contact, shipping address, shipping method, payment and review, one step
+ * at a time, with the order summary alongside. Each step has its own URL
+ * (?step=…) so back and forward move between steps, and progress is kept in
+ * sessionStorage so a reload resumes where the shopper left off.
+ */
+
+import { readBlockConfig } from '../../scripts/aem.js';
+import { commerce } from '../../scripts/commerce/api.js';
+import {
+  formatMoney, getCurrency, loadMoneyConfig,
+} from '../../scripts/commerce/money.js';
+import {
+  confirmationUrl, findCapturedPayment, getProviders, parseProviderIds,
+} from '../../scripts/commerce/payments/registry.js';
+import { renderComponents } from '../../scripts/commerce/bundles.js';
+import { formatOptions } from '../../scripts/commerce/variant-options.js';
+import {
+  addressFields, clearFieldError, contactFields, fillShippingForm, formatAddressLines, getFormData,
+  getShippingAddress, initAddressAutocomplete, renderSavedAddresses, showFieldError, validateForm,
+} from '../cart/checkout-form.js';
+
+// --- Internal configuration ---
+
+const PREFIX = 'checkout';
+const PROGRESS_KEY = 'checkout-progress';
+const STEP_PARAM = 'step';
+
+const STEPS = [
+  { id: 'contact', title: 'Contact' },
+  { id: 'address', title: 'Shipping address' },
+  { id: 'shipping', title: 'Shipping method' },
+  { id: 'payment', title: 'Payment' },
+  { id: 'review', title: 'Review' },
+];
+
+function getCartCurrency(cart) {
+  return cart?.currency || getCurrency();
+}
+
+function formatShippingAmount(amount, currency) {
+  return amount === 0 ? 'Free' : formatMoney(amount, { currency });
+}
+
+// --- Progress ---
+// { step, completed: [stepId], values: { fieldName: value }, provider, address }
+
+function readProgress() {
+  const empty = {
+    step: STEPS[0].id, completed: [], values: {}, provider: null, address: null,
+  };
+  try {
+    return { ...empty, ...JSON.parse(sessionStorage.getItem(PROGRESS_KEY)) };
+  } catch {
+    return empty;
+  }
+}
+
+function saveProgress(progress) {
+  sessionStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+}
+
+function clearProgress() {
+  sessionStorage.removeItem(PROGRESS_KEY);
+}
+
+/** The first step not yet completed; review once the rest are done */
+function firstOpenStep(progress) {
+  return (STEPS.find((s) => !progress.completed.includes(s.id)) || STEPS[STEPS.length - 1]).id;
+}
+
+/** A step can be shown once every step before it is completed */
+function isReachable(progress, stepId) {
+  const index = STEPS.findIndex((s) => s.id === stepId);
+  return index >= 0 && STEPS.slice(0, index).every((s) => progress.completed.includes(s.id));
+}
+
+function stepFromUrl() {
+  return new URLSearchParams(window.location.search).get(STEP_PARAM);
+}
+
+function urlForStep(stepId) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(STEP_PARAM, stepId);
+  return url;
+}
+
+// --- Form values ---
+
+function readValues(form) {
+  const values = {};
+  form.querySelectorAll(`.${PREFIX}-input[name]`).forEach((input) => {
+    values[input.name] = input.value;
+  });
+  return values;
+}
+
+function restoreValues(form, values) {
+  Object.entries(values).forEach(([name, value]) => {
+    const input = form.querySelector(`.${PREFIX}-input[name="${name}"]`);
+    if (input) input.value = value;
+  });
+}
+
+// --- Order summary ---
+
+async function renderSummary(aside, cart, address) {
+  const currency = getCartCurrency(cart);
+  const items = (cart?.items || []).filter((item) => !item.status);
+
+  aside.querySelector('.checkout-summary-items').innerHTML = items.map((item) => {
+    const options = formatOptions(item.options).join(', ');
+    return `
+      <li class="checkout-summary-item">
+        <span class="checkout-summary-item-name">
+          ${item.name || item.sku} <small>&times; ${item.quantity}</small>
+          ${options ? `<small class="checkout-summary-item-options">${options}</small>` : ''}
+          ${renderComponents(item.components, 'checkout-summary-item-components')}
+        </span>
+        <span>${formatMoney(item.price * item.quantity, { currency: item.currency })}</span>
+      </li>
+    `;
+  }).join('');
+
+  const rows = [
+    ['Subtotal', formatMoney(cart?.subtotal || 0, { currency })],
+    ['Shipping', formatShippingAmount(cart?.shipping || 0, currency)],
+    ...(cart?.discounts || []).map((d) => [
+      d.label || `Discount (${d.code})`, `&minus;${formatMoney(d.amount, { currency })}`,
+    ]),
+  ];
+  let total = cart?.total || 0;
+  try {
+    const tax = await commerce.estimateTax({ cart, address });
+    rows.push([tax.inclusive ? `Includes ${tax.label}` : `Estimated ${tax.label.toLowerCase()}`, formatMoney(tax.amount, { currency })]);
+    if (!tax.inclusive) total += tax.amount;
+  } catch {
+    rows.push(['Estimated tax', '&mdash;']);
+  }
+
+  aside.querySelector('.checkout-summary-rows').innerHTML = `
+    ${rows.map(([label, value]) => `<div class="checkout-summary-row"><span>${label}</span><span>${value}</span></div>`).join('')}
+    <div class="checkout-summary-row checkout-summary-total"><span>Total</span><span>${formatMoney(total, { currency })}</span></div>
+  `;
+}
+
+// --- Shipping methods ---
+
+async function renderShippingMethods(step, cart, address) {
+  const container = step.querySelector('.checkout-shipping-options');
+  const methods = await commerce.getShippingMethods({ address });
+
+  if (!methods.length) {
+    container.innerHTML = '<p class="checkout-error">We don’t ship to this address yet.</p>';
+    return;
+  }
+
+  container.innerHTML = methods.map((method) => `
+    <label class="checkout-option">
+      <input type="radio" name="shippingMethod" value="${method.id}"${method.id === cart?.shippingMethod ? ' checked' : ''}>
+      <span class="checkout-option-label">
+        ${method.label}
+        ${method.detail ? `<small>${method.detail}</small>` : ''}
+      </span>
+      <span class="checkout-option-amount">${formatShippingAmount(method.amount, getCartCurrency(cart))}</span>
+    </label>
+  `).join('');
+
+  container.querySelectorAll('input').forEach((input) => {
+    input.addEventListener('change', () => {
+      commerce.setShippingMethod(input.value, { address });
+    });
+  });
+}
+
+/**
+ * Quotes shipping for the entered address, keeping the current method when
+ * it is still offered.
+ * @returns {Promise<boolean>} Whether the address can be shipped to
+ */
+async function quoteShipping(address) {
+  const methods = await commerce.getShippingMethods({ address });
+  if (!methods.length) return false;
+  const cart = await commerce.getCart();
+  const method = methods.find((m) => m.id === cart.shippingMethod) || methods[0];
+  await commerce.setShippingMethod(method.id, { address });
+  return true;
+}
+
+// --- Review ---
+
+/** A review value, each line set as text */
+function reviewValue(lines) {
+  const dd = document.createElement('dd');
+  lines.forEach((line, i) => {
+    if (i) dd.append(document.createElement('br'));
+    dd.append(line);
+  });
+  return dd;
+}
+
+async function renderReview(step, form, provider) {
+  const details = getFormData(form);
+  const cart = await commerce.getCart();
+  const address = getShippingAddress(form);
+  const methods = await commerce.getShippingMethods({ address });
+  const method = methods.find((m) => m.id === cart.shippingMethod);
+
+  const sections = [
+    ['contact', 'Contact', [details.customer.email]],
+    ['address', 'Ship to', formatAddressLines(details.shipping)],
+    ['shipping', 'Shipping method', [method
+      ? `${method.label} · ${formatShippingAmount(method.amount, getCartCurrency(cart))}`
+      : '—']],
+    ['payment', 'Payment', [provider?.label || '—']],
+  ];
+
+  const list = step.querySelector('.checkout-review-list');
+  list.replaceChildren(...sections.map(([id, label, lines]) => {
+    const item = document.createElement('div');
+    item.className = 'checkout-review-item';
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'checkout-edit';
+    edit.dataset.step = id;
+    edit.setAttribute('aria-label', `Edit ${label.toLowerCase()}`);
+    edit.textContent = 'Edit';
+    item.append(dt, reviewValue(lines), edit);
+    return item;
+  }));
+}
+
+// --- Offline ---
+
+/**
+ * Tells the shopper their order is waiting for the connection, and moves on
+ * to the confirmation page once the service worker has sent it.
+ */
+function awaitQueuedOrder(note, queued, url) {
+  note.textContent = 'Your payment was approved but the connection dropped. Your order will be placed as soon as you’re back online.';
+  note.classList.remove('checkout-error');
+  const off = commerce.on(commerce.EVENTS.OUTBOX_REPLAYED, (e) => {
+    if (e.detail.id !== queued.id) return;
+    off();
+    if (e.detail.ok) {
+      clearProgress();
+      window.location.href = url;
+    } else {
+      note.textContent = `We couldn’t place your order (error ${e.detail.status}). Please contact us before trying again.`;
+      note.classList.add('checkout-error');
+    }
+  });
+}
+
+// --- Layout ---
+
+function buildLayout() {
+  const layout = document.createElement('div');
+  layout.className = 'checkout-layout';
+  layout.innerHTML = `
+    <div class="checkout-main">
+      <ol class="checkout-steps">
+        ${STEPS.map((s, i) => `<li><button type="button" class="checkout-steps-link" data-step="${s.id}">${i + 1}. ${s.title}</button></li>`).join('')}
+      </ol>
+      <form class="checkout-form" novalidate>
+        <section class="checkout-step" data-step="contact">
+          <h2 tabindex="-1">Contact</h2>
+          ${contactFields(PREFIX)}
+          <p class="checkout-signin-prompt">Already have an account? <a href="#" class="checkout-signin-link">Sign in</a></p>
+          <button type="submit" class="checkout-continue">Continue to shipping</button>
+        </section>
+        <section class="checkout-step" data-step="address">
+          <h2 tabindex="-1">Shipping address</h2>
+          <div class="checkout-saved-addresses" hidden></div>
+          ${addressFields(PREFIX)}
+          <button type="submit" class="checkout-continue">Continue to shipping method</button>
+        </section>
+        <section class="checkout-step" data-step="shipping">
+          <h2 tabindex="-1">Shipping method</h2>
+          <div class="checkout-shipping-options" role="radiogroup" aria-label="Shipping method"></div>
+          <button type="submit" class="checkout-continue">Continue to payment</button>
+        </section>
+        <section class="checkout-step" data-step="payment">
+          <h2 tabindex="-1">Payment</h2>
+          <div class="checkout-payment-options" role="radiogroup" aria-label="Payment method"></div>
+          <button type="submit" class="checkout-continue">Review order</button>
+        </section>
+        <section class="checkout-step" data-step="review">
+          <h2 tabindex="-1">Review your order</h2>
+          <dl class="checkout-review-list"></dl>
+          <p class="checkout-offline-notice" role="status" hidden>You’re offline. Reconnect to place your order.</p>
+          <div class="checkout-pay"></div>
+        </section>
+        <p class="checkout-note" role="status"></p>
+      </form>
+    </div>
+    <aside class="checkout-summary">
+      <h2 class="checkout-summary-title">Order summary</h2>
+      <ul class="checkout-summary-items"></ul>
+      <div class="checkout-summary-rows"></div>
+      <a href="/cart" class="checkout-edit-cart">Edit cart</a>
+    </aside>
+  `;
+  return layout;
+}
+
+function showEmpty(block) {
+  block.innerHTML = `
+    <div class="checkout-empty">
+      <p>Your cart is empty</p>
+      <a href="/" class="checkout-continue-shopping">Continue Shopping</a>
+    </div>
+  `;
+}
+
+// --- Block entry point ---
+
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  block.textContent = '';
+  await loadMoneyConfig();
+
+  const cart = await commerce.getCart();
+  if (!cart || cart.itemCount === 0) {
+    showEmpty(block);
+    return;
+  }
+
+  const layout = buildLayout();
+  block.append(layout);
+
+  const form = layout.querySelector('.checkout-form');
+  const aside = layout.querySelector('.checkout-summary');
+  const note = form.querySelector('.checkout-note');
+  const step = (id) => form.querySelector(`.checkout-step[data-step="${id}"]`);
+  const progress = readProgress();
+  restoreValues(form, progress.values);
+
+  function setStatus(message, error = false) {
+    note.textContent = message;
+    note.classList.toggle('checkout-error', error);
+  }
+
+  function save() {
+    progress.values = readValues(form);
+    saveProgress(progress);
+  }
+
+  // --- Payment providers ---
+
+  const providerIds = parseProviderIds(config['payment-providers']);
+  const providers = getProviders(providerIds);
+  const rendered = new Map();
+
+  /** @type {import('../../scripts/commerce/payments/registry.js').CheckoutContext} */
+  const context = {
+    getDetails: () => getFormData(form),
+    getAddress: () => getShippingAddress(form),
+    setStatus,
+
+    validate() {
+      const open = STEPS.find((s) => s.id !== 'review' && !progress.completed.includes(s.id));
+      if (open || !validateForm(form, PREFIX)) {
+        // eslint-disable-next-line no-use-before-define -- steps and providers refer to each other
+        goTo(open?.id || 'contact');
+        return false;
+      }
+      return true;
+    },
+
+    complete(provider, paymentId, result) {
+      const url = confirmationUrl(provider, paymentId);
+      if (result?.queued) {
+        awaitQueuedOrder(note, result, url);
+        return;
+      }
+      clearProgress();
+      window.location.href = url;
+    },
+  };
+
+  const available = providers.then(async (list) => {
+    const checks = await Promise.all(
+      list.map((p) => Promise.resolve(p.isAvailable(context)).catch(() => false)),
+    );
+    return list.filter((_, i) => checks[i]);
+  });
+
+  async function renderPaymentOptions() {
+    const container = step('payment').querySelector('.checkout-payment-options');
+    const list = await available;
+    if (!list.length) {
+      container.innerHTML = '<p class="checkout-error">Payment isn’t available right now. Please try again later.</p>';
+      return;
+    }
+    const selected = list.some((p) => p.id === progress.provider) ? progress.provider : list[0].id;
+    container.innerHTML = list.map((p) => `
+      <label class="checkout-option">
+        <input type="radio" name="paymentProvider" value="${p.id}"${p.id === selected ? ' checked' : ''}>
+        <span class="checkout-option-label">${p.label}</span>
+      </label>
+    `).join('');
+  }
+
+  /** Renders the chosen provider on the review step; each provider renders once */
+  async function showPayment(provider) {
+    const pay = step('review').querySelector('.checkout-pay');
+    [...pay.children].forEach((el) => { el.hidden = el.dataset.provider !== provider?.id; });
+    if (!provider || rendered.has(provider.id)) return;
+
+    const container = document.createElement('div');
+    container.className = `checkout-pay-option checkout-pay-${provider.id}`;
+    container.dataset.provider = provider.id;
+    pay.append(container);
+    rendered.set(provider.id, container);
+    try {
+      await provider.render(container, context);
+      if (!container.childElementCount) {
+        setStatus(`${provider.label} isn’t available on this device. Choose another payment method.`, true);
+      }
+    } catch {
+      provider.destroy?.(container);
+      setStatus(`${provider.label} couldn’t be loaded. Choose another payment method.`, true);
+    }
+  }
+
+  // --- Steps ---
+
+  async function enterStep(id) {
+    const current = await commerce.getCart();
+    const address = getShippingAddress(form);
+    if (id === 'shipping') await renderShippingMethods(step('shipping'), current, address);
+    if (id === 'payment') await renderPaymentOptions();
+    if (id === 'review') {
+      const provider = (await available).find((p) => p.id === progress.provider);
+      await renderReview(step('review'), form, provider);
+      showPayment(provider);
+    }
+  }
+
+  function show(id, { focus = true } = {}) {
+    setStatus('');
+    form.querySelectorAll('.checkout-step').forEach((el) => { el.hidden = el.dataset.step !== id; });
+    layout.querySelectorAll('.checkout-steps-link').forEach((link) => {
+      const current = link.dataset.step === id;
+      link.disabled = !current && !isReachable(progress, link.dataset.step);
+      link.classList.toggle('checkout-steps-done', progress.completed.includes(link.dataset.step));
+      if (current) link.setAttribute('aria-current', 'step');
+      else link.removeAttribute('aria-current');
+    });
+    enterStep(id);
+    if (focus) step(id).querySelector('h2').focus();
+  }
+
+  /**
+   * Shows a step, or the first open one when the step can't be reached yet.
+   * @param {string} id - Step id
+   * @param {{history?: 'push'|'replace'|false, focus?: boolean}} [options]
+   */
+  function goTo(id, { history = 'push', focus = true } = {}) {
+    const target = isReachable(progress, id) ? id : firstOpenStep(progress);
+    progress.step = target;
+    save();
+    if (history === 'push' && stepFromUrl() !== target) {
+      window.history.pushState({ step: target }, '', urlForStep(target));
+    } else if (history === 'replace' || target !== stepFromUrl()) {
+      window.history.replaceState({ step: target }, '', urlForStep(target));
+    }
+    show(target, { focus });
+  }
+
+  function complete(id) {
+    if (!progress.completed.includes(id)) progress.completed.push(id);
+    goTo(firstOpenStep(progress));
+  }
+
+  /** Validates the current step and moves on */
+  async function continueFrom(id) {
+    const el = step(id);
+    setStatus('');
+    if (!validateForm(el, PREFIX)) return;
+
+    if (id === 'address') {
+      const address = getShippingAddress(form);
+      const button = el.querySelector('.checkout-continue');
+      button.disabled = true;
+      try {
+        if (!(await quoteShipping(address))) {
+          showFieldError(form.querySelector('[name="country"]'), 'We don’t ship to this address yet.', PREFIX);
+          return;
+        }
+      } catch (err) {
+        setStatus(`Couldn’t get shipping options: ${err.message}`, true);
+        return;
+      } finally {
+        button.disabled = false;
+      }
+      // A new destination may change which shipping methods apply
+      if (JSON.stringify(address) !== JSON.stringify(progress.address)) {
+        progress.completed = progress.completed.filter((s) => s !== 'shipping');
+      }
+      progress.address = address;
+    }
+
+    if (id === 'shipping' && !el.querySelector('[name="shippingMethod"]:checked')) {
+      setStatus('Choose a shipping method to continue.', true);
+      return;
+    }
+
+    if (id === 'payment') {
+      const choice = el.querySelector('[name="paymentProvider"]:checked');
+      if (!choice) {
+        setStatus('Choose a payment method to continue.', true);
+        return;
+      }
+      progress.provider = choice.value;
+    }
+
+    complete(id);
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    continueFrom(progress.step);
+  });
+
+  form.addEventListener('input', save);
+  form.addEventListener('change', save);
+
+  layout.addEventListener('click', (e) => {
+    const target = e.target.closest('.checkout-edit, .checkout-steps-link');
+    if (target) goTo(target.dataset.step);
+  });
+
+  window.addEventListener('popstate', () => {
+    goTo(stepFromUrl() || STEPS[0].id, { history: false });
+  });
+
+  initAddressAutocomplete(step('address'), { prefix: PREFIX, onFill: save });
+
+  // --- Summary ---
+
+  renderSummary(aside, cart, getShippingAddress(form));
+  commerce.on(commerce.EVENTS.CART_UPDATED, (e) => {
+    const updated = e.detail.cart;
+    if (!updated || updated.itemCount === 0) {
+      showEmpty(block);
+      return;
+    }
+    renderSummary(aside, updated, getShippingAddress(form));
+  });
+
+  // --- Offline and in-flight payments ---
+
+  /** Payment can't be sent offline, or a second time while it is in flight */
+  function updatePaymentLock(online = commerce.isOnline()) {
+    const pay = step('review').querySelector('.checkout-pay');
+    step('review').querySelector('.checkout-offline-notice').hidden = online;
+    pay.inert = !online || commerce.isCheckoutBusy();
+    pay.setAttribute('aria-busy', commerce.isCheckoutBusy());
+  }
+  updatePaymentLock();
+  commerce.on(commerce.EVENTS.CONNECTIVITY_CHANGED, (e) => updatePaymentLock(e.detail.online));
+  commerce.on(commerce.EVENTS.CHECKOUT_STATE_CHANGED, () => updatePaymentLock());
+
+  // An order the page was reloaded in the middle of placing is sent again
+  // with the same idempotency key, so it is placed once either way
+  commerce.resumeCheckoutAttempt().then(async (resumed) => {
+    if (!resumed) return;
+    const payment = await findCapturedPayment(resumed.result, providerIds);
+    if (payment) context.complete(payment.provider, payment.id, resumed.result);
+  }).catch((err) => {
+    setStatus(`We couldn’t finish your earlier payment: ${err.message}`, true);
+  });
+
+  // --- Signed-in customers ---
+
+  form.querySelector('.checkout-signin-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.dispatchEvent(new CustomEvent('commerce:open-auth-panel'));
+  });
+
+  async function applyLoggedInState() {
+    form.querySelector('.checkout-signin-prompt').hidden = true;
+    const [customer, addresses] = await Promise.all([
+      commerce.getCustomerProfile(),
+      commerce.getAddresses(),
+    ]);
+
+    const email = form.querySelector('[name="email"]');
+    const customerEmail = customer?.email || (await commerce.getCustomer())?.email;
+    if (!email.value && customerEmail) {
+      email.value = customerEmail;
+      clearFieldError(email, PREFIX);
+    }
+
+    const saved = step('address').querySelector('.checkout-saved-addresses');
+    const sorted = [...(addresses || [])]
+      .sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0));
+    if (sorted.length && !form.querySelector('[name="address1"]').value) {
+      fillShippingForm(form, sorted[0], PREFIX);
+    }
+    saved.hidden = !sorted.length;
+    renderSavedAddresses(saved, sorted, (addr) => {
+      fillShippingForm(form, addr, PREFIX);
+      save();
+    }, PREFIX);
+    save();
+  }
+
+  try {
+    if (await commerce.isLoggedIn()) await applyLoggedInState();
+  } catch { /* silent — the form works without pre-fill */ }
+
+  document.addEventListener('commerce:auth-state-changed', async (e) => {
+    if (!e.detail?.loggedIn) return;
+    try { await applyLoggedInState(); } catch { /* silent */ }
+  });
+
+  // --- Start ---
+
+  goTo(stepFromUrl() || progress.step, { history: 'replace', focus: false });
+}
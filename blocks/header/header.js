@@ -1,5 +1,6 @@
 import { getMetadata } from '../../scripts/aem.js';
 import { loadFragment } from '../fragment/fragment.js';
+import createSearchBox from './search-box.js';
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia('(min-width: 900px)');
@@ -215,9 +216,12 @@ export default async function decorate(block) {
   toggleMenu(nav, navSections, isDesktop.matches);
   isDesktop.addEventListener('change', () => toggleMenu(nav, navSections, isDesktop.matches));
 
-  // nav tools: sign in + cart
+  // nav tools: search + sign in + cart
   const navTools = nav.querySelector('.nav-tools');
   if (navTools) {
+    // --- Search ---
+    createSearchBox(navTools);
+
     // --- Sign In / Account button ---
     const signinBtn = document.createElement('button');
     signinBtn.className = 'nav-signin';
@@ -253,8 +257,8 @@ export default async function decorate(block) {
     };
 
     signinBtn.addEventListener('click', async () => {
-      const hasToken = !!sessionStorage.getItem('auth_token');
-      if (hasToken) {
+      const { commerce } = await import('../../scripts/commerce/api.js');
+      if (await commerce.isLoggedIn()) {
         window.location.href = '/account';
       } else {
         const panel = await ensureAuthPanel();
@@ -278,17 +282,13 @@ export default async function decorate(block) {
       panel.open();
     });
 
-    // restore auth UI on load
-    try {
-      const userRaw = localStorage.getItem('auth_user');
-      if (userRaw) {
-        const user = JSON.parse(userRaw);
-        const hasToken = !!sessionStorage.getItem('auth_token');
-        if (hasToken && user?.email) {
-          updateAuthUI(true, user.email);
-        }
-      }
-    } catch { /* ignore */ }
+    // restore auth UI on load, from whichever adapter is active
+    import('../../scripts/commerce/api.js')
+      .then(async ({ commerce }) => {
+        const user = await commerce.getCustomer();
+        if (user?.email && await commerce.isLoggedIn()) updateAuthUI(true, user.email);
+      })
+      .catch(() => { /* ignore */ });
 
     // --- Cart button + minicart ---
     const cartBtn = document.createElement('button');
@@ -329,6 +329,15 @@ export default async function decorate(block) {
       if (Number(count) > 0) cartBtn.dataset.count = count;
     }
 
+    // Then from the cart itself, which also keeps the badge in step with other tabs
+    import('../../scripts/commerce/api.js')
+      .then(({ commerce }) => commerce.getCart())
+      .then((cart) => {
+        if (cart.itemCount > 0) cartBtn.dataset.count = cart.itemCount;
+        else delete cartBtn.dataset.count;
+      })
+      .catch(() => { /* the cookie count stays */ });
+
     cartBtn.addEventListener('click', async () => {
       const d = await ensureMinicart();
       d.open();
@@ -3,35 +3,57 @@
  * Renders cart items, handles quantity updates and removal.
  */
 
+import { formatMoney, loadMoneyConfig } from '../../scripts/commerce/money.js';
+import { renderComponents } from '../../scripts/commerce/bundles.js';
+import { DEFAULT_LIMITS, clampQuantity } from '../../scripts/commerce/inventory.js';
+import { renderOptions } from '../../scripts/commerce/variant-options.js';
+
 let commerceApi = null;
 
 async function getCommerce() {
   if (!commerceApi) {
-    const mod = await import('../../scripts/commerce/api.js');
+    const [mod] = await Promise.all([
+      import('../../scripts/commerce/api.js'),
+      loadMoneyConfig(),
+    ]);
     commerceApi = mod.commerce;
   }
   return commerceApi;
 }
 
-function formatPrice(value) {
-  return `$${Number(value).toFixed(2)}`;
+function getItemNotice(item) {
+  if (item.status === 'unavailable') return 'No longer available';
+  if (item.status === 'out-of-stock') return 'Out of stock';
+  if (item.previousPrice != null) {
+    return `Price changed from ${formatMoney(item.previousPrice, { currency: item.currency })}`;
+  }
+  if (item.previousQuantity != null) return `Only ${item.quantity} available`;
+  if (item.quantity < item.limits?.min) return `Minimum order is ${item.limits.min}`;
+  return '';
 }
 
 function buildItemEl(item) {
   const el = document.createElement('div');
   el.className = 'minicart-item';
+  el.classList.toggle('minicart-item-unavailable', !!item.status);
   el.dataset.sku = item.sku;
+  const notice = getItemNotice(item);
+  const limits = item.limits || DEFAULT_LIMITS;
+  const atMax = limits.max != null && item.quantity + limits.increment > limits.max;
 
   el.innerHTML = `
     <img class="minicart-item-image" src="${item.image || ''}" alt="${item.name || ''}" loading="lazy" width="64" height="64">
     <div class="minicart-item-details">
       <a class="minicart-item-name" href="${item.url || '#'}">${item.name || item.sku}</a>
-      <span class="minicart-item-price">${formatPrice(item.price)}</span>
+      ${renderOptions(item.options, 'minicart-item-options')}
+      ${renderComponents(item.components, 'minicart-item-components')}
+      <span class="minicart-item-price">${formatMoney(item.price, { currency: item.currency })}</span>
+      ${notice ? `<span class="minicart-item-notice">${notice}</span>` : ''}
       <div class="minicart-item-actions">
         <div class="minicart-item-qty">
           <button class="minicart-qty-btn" data-delta="-1" aria-label="Decrease quantity">&minus;</button>
           <span class="minicart-qty-value">${item.quantity}</span>
-          <button class="minicart-qty-btn" data-delta="1" aria-label="Increase quantity">&plus;</button>
+          <button class="minicart-qty-btn" data-delta="1" aria-label="Increase quantity" ${atMax ? 'disabled' : ''}>&plus;</button>
         </div>
         <button class="minicart-item-remove" aria-label="Remove ${item.name || item.sku}">Remove</button>
       </div>
@@ -41,10 +63,13 @@ function buildItemEl(item) {
   // quantity +/-
   el.querySelectorAll('.minicart-qty-btn').forEach((btn) => {
     btn.addEventListener('click', async () => {
-      const delta = Number(btn.dataset.delta);
-      const newQty = item.quantity + delta;
+      const delta = Number(btn.dataset.delta) * limits.increment;
+      // a line under the minimum goes straight up to it
+      const newQty = delta > 0
+        ? clampQuantity(item.quantity + delta, limits)
+        : item.quantity + delta;
       const commerce = await getCommerce();
-      if (newQty <= 0) {
+      if (newQty < limits.min) {
         await commerce.removeItem(item.sku);
       } else {
         await commerce.updateItemQuantity(item.sku, newQty);
@@ -75,7 +100,9 @@ function renderItems(container, cart) {
 
 function renderFooter(footer, cart) {
   const subtotal = footer.querySelector('.minicart-subtotal-value');
-  if (subtotal) subtotal.textContent = formatPrice(cart?.subtotal || 0);
+  if (subtotal) {
+    subtotal.textContent = formatMoney(cart?.subtotal || 0, { currency: cart?.currency });
+  }
   footer.style.display = cart && cart.itemCount > 0 ? '' : 'none';
 }
 
@@ -101,7 +128,7 @@ export default function createMinicart(_parent) { // eslint-disable-line no-unus
     <div class="minicart-footer">
       <div class="minicart-subtotal">
         <span>Subtotal</span>
-        <span class="minicart-subtotal-value">$0.00</span>
+        <span class="minicart-subtotal-value">${formatMoney(0)}</span>
       </div>
       <a href="/cart" class="minicart-view-cart">View Cart &amp; Checkout</a>
     </div>
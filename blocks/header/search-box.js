@@ -0,0 +1,189 @@
+/**
+ * Header search box with instant product suggestions.
+ * The search index is loaded the first time the box opens.
+ */
+
+import { formatMoney } from '../../scripts/commerce/money.js';
+
+const SEARCH_PAGE = '/search';
+const MAX_SUGGESTIONS = 6;
+
+let searchModule = null;
+
+async function getSearchIndex() {
+  if (!searchModule) searchModule = await import('../../scripts/search.js');
+  return searchModule.loadSearchIndex();
+}
+
+function productPath(product) {
+  try {
+    return new URL(product.url).pathname;
+  } catch {
+    return product.url || '#';
+  }
+}
+
+function imagePath(product) {
+  const src = product.image || '';
+  return src.startsWith('./') ? `/products/${src.slice(2)}` : src;
+}
+
+function buildSuggestion(product, id) {
+  const li = document.createElement('li');
+  li.id = id;
+  li.className = 'nav-search-suggestion';
+  li.setAttribute('role', 'option');
+  li.setAttribute('aria-selected', 'false');
+  li.innerHTML = `
+    <a href="${productPath(product)}" tabindex="-1">
+      <img src="${imagePath(product)}" alt="" loading="lazy" width="40" height="40">
+      <span class="nav-search-suggestion-title">${product.title || product.sku}</span>
+      <span class="nav-search-suggestion-price">${formatMoney(product.price, { currency: product.currency })}</span>
+    </a>
+  `;
+  return li;
+}
+
+/**
+ * Creates the search button and panel and appends them to the nav tools.
+ * @param {Element} navTools - Nav tools container
+ * @returns {{ open: Function, close: Function }}
+ */
+export default function createSearchBox(navTools) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'nav-search-button';
+  button.textContent = 'Search';
+  button.setAttribute('aria-label', 'Search');
+  button.setAttribute('aria-controls', 'nav-search-panel');
+  button.setAttribute('aria-expanded', 'false');
+
+  const panel = document.createElement('div');
+  panel.id = 'nav-search-panel';
+  panel.className = 'nav-tools-panel nav-search-panel';
+  panel.innerHTML = `
+    <form action="${SEARCH_PAGE}" role="search">
+      <input type="search" name="q" placeholder="Search products" autocomplete="off"
+        aria-label="Search products" role="combobox" aria-autocomplete="list"
+        aria-expanded="false" aria-controls="nav-search-suggestions">
+    </form>
+    <ul id="nav-search-suggestions" class="nav-search-suggestions" role="listbox" aria-label="Suggestions" hidden></ul>
+  `;
+
+  const form = panel.querySelector('form');
+  const input = panel.querySelector('input');
+  const list = panel.querySelector('.nav-search-suggestions');
+  let active = -1;
+  let requestId = 0;
+
+  function setActive(index) {
+    const options = [...list.children];
+    active = options.length ? (index + options.length) % options.length : -1;
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === active)));
+    if (active >= 0) {
+      input.setAttribute('aria-activedescendant', options[active].id);
+      options[active].scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function hideSuggestions() {
+    list.hidden = true;
+    list.innerHTML = '';
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  }
+
+  async function showSuggestions() {
+    const query = input.value.trim();
+    requestId += 1;
+    const current = requestId;
+    if (!query) {
+      hideSuggestions();
+      return;
+    }
+
+    const index = await getSearchIndex();
+    if (current !== requestId) return; // a newer keystroke is in flight
+    const results = index.search(query, { limit: MAX_SUGGESTIONS });
+
+    list.innerHTML = '';
+    results.forEach(({ product }, i) => list.append(buildSuggestion(product, `nav-search-suggestion-${i}`)));
+
+    const all = document.createElement('li');
+    all.id = 'nav-search-suggestion-all';
+    all.className = 'nav-search-suggestion nav-search-suggestion-all';
+    all.setAttribute('role', 'option');
+    all.setAttribute('aria-selected', 'false');
+    const url = `${SEARCH_PAGE}?q=${encodeURIComponent(query)}`;
+    all.innerHTML = results.length
+      ? `<a href="${url}" tabindex="-1">See all results for “<span></span>”</a>`
+      : '<span>No products found for “<span></span>”</span>';
+    all.querySelector('span span, a span').textContent = query;
+    list.append(all);
+
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    setActive(-1);
+  }
+
+  function open() {
+    panel.classList.add('nav-tools-panel--show');
+    button.setAttribute('aria-expanded', 'true');
+    input.focus();
+    getSearchIndex().catch(() => { /* retried on the next keystroke */ });
+  }
+
+  function close() {
+    panel.classList.remove('nav-tools-panel--show');
+    button.setAttribute('aria-expanded', 'false');
+    hideSuggestions();
+  }
+
+  button.addEventListener('click', () => {
+    if (panel.classList.contains('nav-tools-panel--show')) close(); else open();
+  });
+
+  input.addEventListener('input', () => {
+    showSuggestions().catch(hideSuggestions);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (list.hidden) return;
+      e.preventDefault();
+      setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      if (!list.hidden) {
+        hideSuggestions();
+      } else {
+        close();
+        button.focus();
+      }
+    } else if (e.key === 'Enter' && active >= 0) {
+      const link = list.children[active].querySelector('a');
+      if (link) {
+        e.preventDefault();
+        window.location.href = link.href;
+      }
+    }
+  });
+
+  form.addEventListener('submit', (e) => {
+    if (!input.value.trim()) e.preventDefault();
+  });
+
+  list.addEventListener('mousedown', (e) => {
+    // keep focus in the input so focusout doesn't close the panel before the link is followed
+    if (e.target.closest('a')) e.preventDefault();
+  });
+
+  panel.addEventListener('focusout', (e) => {
+    if (!panel.contains(e.relatedTarget) && e.relatedTarget !== button) close();
+  });
+
+  navTools.append(button, panel);
+  return { open, close };
+}
@@ -1,37 +1,6 @@
-/**
- * Fetches all products from the product index, handling pagination.
- * @returns {Promise<Array>} All product entries
- */
-async function fetchProductIndex() {
-  const entries = [];
-  let offset = 0;
-  let total = Infinity;
-
-  while (offset < total) {
-    // eslint-disable-next-line no-await-in-loop
-    const resp = await fetch(`/products/index.json?offset=${offset}&limit=256`);
-    if (!resp.ok) break;
-    // eslint-disable-next-line no-await-in-loop
-    const json = await resp.json();
-    const sheet = json.data || json;
-    entries.push(...sheet);
-    total = json.total ?? sheet.length;
-    offset += json.limit ?? sheet.length;
-    if (!json.limit) break;
-  }
-
-  return entries;
-}
-
-/**
- * Formats a price as a currency string.
- * @param {number|string} value
- * @param {string} currency
- * @returns {string}
- */
-function formatPrice(value, currency = 'USD') {
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(value));
-}
+import { getParents, loadProductIndex } from '../../scripts/commerce/catalog.js';
+import { formatMoney, loadMoneyConfig } from '../../scripts/commerce/money.js';
+import { withWishlistToggle } from '../../scripts/wishlist.js';
 
 /**
  * Builds a product card element.
@@ -83,20 +52,20 @@ function buildProductCard(product) {
 
   const priceEl = document.createElement('p');
   priceEl.className = 'new-arrivals-price';
-  const currency = product.currency || 'USD';
+  const { currency } = product;
 
   if (isOnSale) {
     const saleSpan = document.createElement('span');
     saleSpan.className = 'price-sale';
-    saleSpan.textContent = formatPrice(price, currency);
+    saleSpan.textContent = formatMoney(price, { currency });
 
     const regSpan = document.createElement('span');
     regSpan.className = 'price-regular';
-    regSpan.textContent = formatPrice(regularPrice, currency);
+    regSpan.textContent = formatMoney(regularPrice, { currency });
 
     priceEl.append(saleSpan, ' ', regSpan);
   } else {
-    priceEl.textContent = formatPrice(price, currency);
+    priceEl.textContent = formatMoney(price, { currency });
   }
 
   info.append(name, priceEl);
@@ -122,20 +91,25 @@ export default async function decorate(block) {
 
   block.innerHTML = '';
 
-  const allProducts = await fetchProductIndex();
-
-  // Filter to parent products only (no variants)
-  const parentProducts = allProducts.filter((p) => !p.parentSku && p.categories);
-
-  // Take the first N products
-  const products = parentProducts.slice(0, size);
-
   const grid = document.createElement('div');
   grid.className = 'new-arrivals-grid';
+  block.append(grid);
 
-  products.forEach((product) => {
-    grid.append(buildProductCard(product));
+  await loadMoneyConfig();
+
+  // Render as soon as the first N products have arrived, without waiting for the whole index
+  let rendered = false;
+  await loadProductIndex({
+    onProgress: (entries, { complete }) => {
+      // Parent products only (no variants)
+      const parentProducts = getParents(entries).filter((p) => p.categories);
+      if (rendered || (parentProducts.length < size && !complete)) return;
+      rendered = true;
+
+      // Take the first N products
+      parentProducts.slice(0, size).forEach((product) => {
+        grid.append(withWishlistToggle(buildProductCard(product), product));
+      });
+    },
   });
-
-  block.append(grid);
 }
@@ -1,35 +1,197 @@
 /**
  * Order confirmation block.
- * Shown after a successful Stripe Checkout or PayPal payment.
- * Fetches session/order details from the worker and displays payment status.
+ * Shown after a payment. The payment provider registry works out which
+ * provider the URL's payment belongs to, and that provider reports its status.
+ *
+ * The order itself comes from the commerce backend when the payment names
+ * one, otherwise from the snapshot of the cart taken when the payment was
+ * made. Only what was bought is taken out of the cart.
  */
 
 import { commerce } from '../../scripts/commerce/api.js';
+import {
+  formatMoney, fromMinorUnits, getCurrency, loadMoneyConfig,
+} from '../../scripts/commerce/money.js';
+import { findPayment } from '../../scripts/commerce/payments/registry.js';
+import { pickComponents, renderComponents } from '../../scripts/commerce/bundles.js';
+import { pickOptions, renderOptions } from '../../scripts/commerce/variant-options.js';
 
-const API_ORIGIN = 'https://aem-productbus-demo-worker.adobeaem.workers.dev';
+const ACCOUNT_PATH = '/account';
 
-function formatPrice(amount, currency = 'usd') {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: currency.toUpperCase(),
-  }).format(amount / 100);
+// --- Order details ---
+
+/**
+ * @typedef {Object} OrderDetails
+ * @property {string|null} orderId
+ * @property {string} email
+ * @property {string} currency
+ * @property {Array<{sku: string, name: string, quantity: number, price: number,
+ *   image: string, url: string, options: Array<{id: string, value: string}>}>} items
+ * @property {Object|null} shipping - Shipping name and address
+ * @property {{label: string, amount: number}|null} shippingMethod
+ * @property {Array<{code: string, amount: number}>} discounts
+ * @property {{amount: number, label?: string, inclusive: boolean}|null} tax
+ * @property {number} subtotal
+ * @property {number} total
+ * @property {string} paymentMethod
+ */
+
+function fromOrderItem(item) {
+  return {
+    sku: item.sku,
+    name: item.name || item.sku,
+    quantity: item.quantity,
+    price: Number(item.price?.final ?? item.price) || 0,
+    image: item.custom?.image || item.image || '',
+    url: item.custom?.url || item.url || '',
+    options: pickOptions(item.custom?.options || item.options),
+    components: pickComponents(item.custom?.components || item.components),
+  };
+}
+
+/**
+ * Puts together what is known about the order: the backend's order first,
+ * then the cart snapshot, then the payment itself.
+ * @param {Object} status - Payment status from the provider
+ * @param {Object|null} order - Order from the commerce backend
+ * @param {import('../../scripts/commerce/order-snapshot.js').OrderSnapshot|null} snapshot
+ * @param {import('../../scripts/commerce/payments/registry.js').PaymentProvider} provider
+ * @returns {OrderDetails}
+ */
+function toOrderDetails(status, order, snapshot, provider) {
+  const cart = snapshot?.cart;
+  const currency = (status.currency || cart?.currency
+    || order?.items?.[0]?.price?.currency || getCurrency()).toUpperCase();
+  const items = (order?.items || cart?.items?.filter((item) => !item.status) || [])
+    .map(fromOrderItem);
+
+  const methodAmount = order?.shippingMethod?.amount ?? cart?.shipping;
+  const shippingMethod = methodAmount == null ? null : {
+    label: snapshot?.shippingMethod?.label || 'Shipping',
+    amount: Number(methodAmount),
+  };
+  const discounts = (order?.discounts || cart?.discounts || [])
+    .map(({ code, amount }) => ({ code, amount: Number(amount) || 0 }));
+  const tax = order?.tax || snapshot?.tax || null;
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const discount = discounts.reduce((sum, d) => sum + d.amount, 0);
+  const computed = Math.max(0, subtotal - discount) + (shippingMethod?.amount || 0)
+    + (tax && !tax.inclusive ? Number(tax.amount) || 0 : 0);
+
+  return {
+    orderId: order?.id || status.order_id || null,
+    email: status.customer_email || snapshot?.customer?.email || order?.customer?.email || '',
+    currency,
+    items,
+    shipping: order?.shipping?.address1 ? order.shipping : snapshot?.shipping || null,
+    shippingMethod,
+    discounts,
+    tax,
+    subtotal,
+    total: status.amount_total ? fromMinorUnits(status.amount_total, currency) : computed,
+    paymentMethod: provider.label,
+  };
+}
+
+// --- Rendering ---
+
+function renderItems(details) {
+  const money = (value) => formatMoney(value, { currency: details.currency });
+  return details.items.map((item) => {
+    const name = item.url
+      ? `<a href="${item.url}">${item.name}</a>`
+      : item.name;
+    return `
+      <li class="order-confirmation-item">
+        ${item.image ? `<img src="${item.image}" alt="" loading="lazy" width="64" height="64">` : ''}
+        <div class="order-confirmation-item-info">
+          <span class="order-confirmation-item-name">${name}</span>
+          ${renderOptions(item.options, 'order-confirmation-item-options')}
+          ${renderComponents(item.components, 'order-confirmation-item-components')}
+          <span class="order-confirmation-item-meta">Qty ${item.quantity} × ${money(item.price)}</span>
+        </div>
+        <span class="order-confirmation-item-total">${money(item.price * item.quantity)}</span>
+      </li>`;
+  }).join('');
+}
+
+function renderTotals(details) {
+  const money = (value) => formatMoney(value, { currency: details.currency });
+  const row = (label, value, className = '') => `
+    <div class="order-confirmation-row ${className}"><dt>${label}</dt><dd>${value}</dd></div>`;
+
+  const rows = [row('Subtotal', money(details.subtotal))];
+  details.discounts.forEach((d) => {
+    rows.push(row(`Discount (${d.code})`, `−${money(d.amount)}`, 'order-confirmation-discount'));
+  });
+  if (details.shippingMethod) {
+    const { label, amount } = details.shippingMethod;
+    rows.push(row(`Shipping · ${label}`, amount ? money(amount) : 'Free'));
+  }
+  if (details.tax) {
+    const label = details.tax.inclusive ? `${details.tax.label || 'Tax'} (included)` : details.tax.label || 'Tax';
+    rows.push(row(label, money(Number(details.tax.amount) || 0)));
+  }
+  rows.push(row('Total', money(details.total), 'order-confirmation-grand-total'));
+  return rows.join('');
+}
+
+function renderAddress(shipping) {
+  if (!shipping) return '';
+  const lines = [
+    shipping.name,
+    shipping.address1,
+    shipping.address2,
+    [shipping.city, shipping.state, shipping.zip].filter(Boolean).join(', '),
+    shipping.country,
+  ].filter(Boolean);
+  return `
+    <section class="order-confirmation-section">
+      <h3>Shipping address</h3>
+      <address>${lines.join('<br>')}</address>
+    </section>`;
 }
 
-function showSuccess(block, session) {
-  const email = session.customer_email || '';
-  const total = session.amount_total || 0;
-  const currency = session.currency || 'usd';
+/**
+ * @param {HTMLElement} block
+ * @param {OrderDetails} details
+ * @param {boolean} loggedIn - Whether to link to the order in the account
+ */
+function showSuccess(block, details, loggedIn) {
+  const accountLink = loggedIn && details.orderId
+    ? `<a class="order-confirmation-account" href="${ACCOUNT_PATH}#order-${encodeURIComponent(details.orderId)}">View in your account</a>`
+    : '';
 
   block.innerHTML = `
     <div class="order-confirmation-content">
       <div class="order-confirmation-icon">&#10003;</div>
-      <h2>Payment successful</h2>
-      <p class="order-confirmation-total">${formatPrice(total, currency)}</p>
-      <p>We've sent a confirmation to <strong>${email}</strong>.</p>
-      <p class="order-confirmation-note">Your order is being processed.</p>
+      <h2>Thank you for your order</h2>
+      ${details.orderId ? `<p class="order-confirmation-number">Order #${details.orderId}</p>` : ''}
+      <p class="order-confirmation-total">${formatMoney(details.total, { currency: details.currency })}</p>
+      ${details.email ? `<p>We've sent a confirmation to <strong>${details.email}</strong>.</p>` : ''}
+    </div>
+    <div class="order-confirmation-details">
+      ${details.items.length ? `
+      <section class="order-confirmation-section">
+        <h3>Items</h3>
+        <ul class="order-confirmation-items">${renderItems(details)}</ul>
+        <dl class="order-confirmation-totals">${renderTotals(details)}</dl>
+      </section>` : ''}
+      ${renderAddress(details.shipping)}
+      <section class="order-confirmation-section">
+        <h3>Payment</h3>
+        <p>${details.paymentMethod}</p>
+      </section>
+    </div>
+    <div class="order-confirmation-actions">
+      <button type="button" class="order-confirmation-print">Print receipt</button>
+      ${accountLink}
       <a href="/" class="order-confirmation-continue">Continue Shopping</a>
     </div>
   `;
+
+  block.querySelector('.order-confirmation-print').addEventListener('click', () => window.print());
 }
 
 function showError(block, message) {
@@ -44,13 +206,10 @@ function showError(block, message) {
 
 export default async function decorate(block) {
   block.textContent = '';
+  await loadMoneyConfig();
 
-  const params = new URLSearchParams(window.location.search);
-  const sessionId = params.get('session_id');
-  const paypalOrderId = params.get('paypal_order_id');
-  const paymentIntentId = params.get('payment_intent_id');
-
-  if (!sessionId && !paypalOrderId && !paymentIntentId) {
+  const payment = await findPayment(new URLSearchParams(window.location.search));
+  if (!payment) {
     showError(block, 'Order not found');
     return;
   }
@@ -58,28 +217,25 @@ export default async function decorate(block) {
   // Show loading state
   block.innerHTML = '<div class="order-confirmation-content"><p>Loading order details…</p></div>';
 
+  let status;
   try {
-    let url;
-    if (paypalOrderId) {
-      url = `${API_ORIGIN}/paypal/orders/${encodeURIComponent(paypalOrderId)}`;
-    } else if (paymentIntentId) {
-      url = `${API_ORIGIN}/stripe/payment-intents/${encodeURIComponent(paymentIntentId)}`;
-    } else {
-      url = `${API_ORIGIN}/checkout/session?id=${encodeURIComponent(sessionId)}`;
-    }
-
-    const resp = await fetch(url);
-    if (!resp.ok) throw new Error('Failed to fetch order details');
-
-    const session = await resp.json();
-
-    if (session.payment_status === 'paid') {
-      showSuccess(block, session);
-      await commerce.clearCart();
-    } else {
-      showError(block, 'Payment not completed');
-    }
+    status = await payment.provider.getPayment(payment.id);
   } catch {
     showError(block, 'Unable to verify payment');
+    return;
   }
+  if (status.payment_status !== 'paid') {
+    showError(block, 'Payment not completed');
+    return;
+  }
+
+  const snapshot = commerce.getOrderSnapshot(payment.id);
+  const [order, loggedIn] = await Promise.all([
+    status.order_id ? commerce.getOrder(status.order_id).catch(() => null) : null,
+    commerce.isLoggedIn(),
+  ]);
+  const details = toOrderDetails(status, order, snapshot, payment.provider);
+  showSuccess(block, details, loggedIn);
+
+  await commerce.removePurchasedItems(payment.id, details.items);
 }
@@ -1,4 +1,15 @@
 import { checkVariantOutOfStock, getOfferPricing } from '../../scripts/scripts.js';
+import { toClassName } from '../../scripts/aem.js';
+import {
+  getBundleLimits, getBundleLineSku, pickComponents, priceBundle,
+} from '../../scripts/commerce/bundles.js';
+import {
+  getLowStock, getPurchaseLimits, getQuantityChoices, getStockStatus,
+} from '../../scripts/commerce/inventory.js';
+import { getCurrency } from '../../scripts/commerce/money.js';
+import { pickOptions } from '../../scripts/commerce/variant-options.js';
+import { createWishlistToggle } from '../../scripts/wishlist.js';
+import renderBackInStock from './back-in-stock.js';
 
 /**
  * Checks if a variant is available for sale.
@@ -11,6 +22,37 @@ export function isVariantAvailableForSale(variant, jsonLdData) {
   return !checkVariantOutOfStock(variant.sku, jsonLdData);
 }
 
+/**
+ * Builds a link to the product page that selects the given options again,
+ * in the query string format the options picker reads on load.
+ * @param {Array<{id: string, value: string}>} options - The variant's options
+ * @returns {string} Path with the options as query parameters
+ */
+function getVariantUrl(options) {
+  const params = new URLSearchParams();
+  options.forEach(({ id, value }) => params.set(id, toClassName(value)));
+  const search = params.toString();
+  return search ? `${window.location.pathname}?${search}` : window.location.pathname;
+}
+
+/**
+ * Describes the stock of a variant: how few are left, or how it is sold when
+ * it isn't in stock.
+ * @param {Object} ph - Placeholders object
+ * @param {Object} variant - The variant object
+ * @returns {string} The message, empty when there is nothing to say
+ */
+function getStockMessage(ph, variant) {
+  const left = getLowStock(variant);
+  if (left) return `${ph.only || 'Only'} ${left} ${ph.left || 'left'}`;
+  switch (getStockStatus(variant)) {
+    case 'limited': return ph.limitedAvailability || 'Limited availability';
+    case 'pre-order': return ph.preOrder || 'Pre-order: ships when released';
+    case 'back-order': return ph.backOrder || 'On back-order: ships when restocked';
+    default: return '';
+  }
+}
+
 /**
  * Renders the add to cart section with quantity selector and button.
  * @param {Object} ph - Placeholders object
@@ -27,13 +69,40 @@ export default function renderAddToCart(ph, block, state) {
     if (found) selectedVariant = found;
   }
 
-  const isAvailable = isVariantAvailableForSale(selectedVariant, product);
+  // a bundle sells as many sets as its components' stock makes
+  const bundle = state.get('bundle');
+  const components = bundle ? state.get('bundleComponents') : null;
+  const limits = bundle
+    ? getBundleLimits(getPurchaseLimits(selectedVariant), components || [])
+    : getPurchaseLimits(selectedVariant);
+  const isBundleAvailable = !bundle || Boolean(components?.every((c) => c.available));
+  // e.g. fewer left than the minimum order
+  const isAvailable = isVariantAvailableForSale(selectedVariant, product)
+    && isBundleAvailable && limits.max !== 0;
+  const pricing = components
+    ? priceBundle(components, bundle.discount)
+    : getOfferPricing(selectedVariant);
+  const options = pickOptions(currentSelection?.options || selectedVariant.options);
+  const url = getVariantUrl(options);
 
   const addToCartContainer = document.createElement('div');
   addToCartContainer.classList.add('add-to-cart');
 
   if (!isAvailable) {
     addToCartContainer.classList.add('add-to-cart-unavailable');
+    if (!isBundleAvailable) {
+      const message = document.createElement('p');
+      message.classList.add('add-to-cart-stock');
+      message.dataset.status = 'out-of-stock';
+      message.textContent = ph.bundleOutOfStock || 'Part of this set is out of stock. Choose another option or check back later.';
+      addToCartContainer.append(message);
+      return addToCartContainer;
+    }
+    addToCartContainer.append(renderBackInStock(ph, {
+      sku: selectedVariant.sku,
+      name: product.name || '',
+      url,
+    }));
     return addToCartContainer;
   }
 
@@ -50,41 +119,61 @@ export default function renderAddToCart(ph, block, state) {
   const quantitySelect = document.createElement('select');
   quantitySelect.id = 'pdp-quantity-select';
 
-  const maxQuantity = 10;
-  for (let i = 1; i <= maxQuantity; i += 1) {
+  getQuantityChoices(limits).forEach((quantity) => {
     const option = document.createElement('option');
-    option.value = i;
-    option.textContent = i;
+    option.value = quantity;
+    option.textContent = quantity;
     quantitySelect.appendChild(option);
-  }
+  });
   quantityContainer.appendChild(quantitySelect);
 
   // add to cart button
   const addToCartButton = document.createElement('button');
+  addToCartButton.classList.add('add-to-cart-button');
   addToCartButton.textContent = ph.addToCart || 'Add to Cart';
 
+  const errorMessage = document.createElement('p');
+  errorMessage.classList.add('add-to-cart-error');
+  errorMessage.setAttribute('role', 'alert');
+  errorMessage.hidden = true;
+
   addToCartButton.addEventListener('click', async () => {
+    errorMessage.hidden = true;
     addToCartButton.textContent = ph.adding || 'Adding...';
     addToCartButton.setAttribute('aria-disabled', 'true');
 
     const quantity = +quantitySelect.value;
     const variant = selectedVariant || state.get('selectedVariant');
-    const sku = variant?.sku;
-    const pricing = getOfferPricing(variant);
+    const sku = bundle ? getBundleLineSku(product.sku, components) : variant?.sku;
 
     try {
       const { commerce } = await import('../../scripts/commerce/api.js');
       await commerce.addToCart({
         sku,
+        parentSku: product?.sku,
         name: product?.name || '',
         quantity,
         price: pricing?.final || 0,
+        currency: variant?.priceCurrency || getCurrency(),
         image: block.querySelector('.gallery img')?.src || variant?.image?.[0] || '',
-        url: window.location.pathname,
+        // shown with the line, and the url selects them again on the product page
+        options,
+        url,
+        // a bundle is one line, so its components change quantity and leave the cart together
+        ...(bundle && { components: pickComponents(components) }),
+        // category-scoped promo codes match against these
+        categories: [].concat(product?.category || []),
+        // weight-based shipping tiers read this (schema.org QuantitativeValue)
+        weight: parseFloat(product?.weight?.value ?? product?.weight) || 0,
+        // the adapter keeps the line's quantity within these
+        limits,
       });
     } catch (err) {
       // eslint-disable-next-line no-console
       console.error('Failed to add to cart', err);
+      // e.g. the cart is priced in another currency
+      errorMessage.textContent = err.message;
+      errorMessage.hidden = false;
     } finally {
       addToCartButton.textContent = ph.addToCart || 'Add to Cart';
       addToCartButton.removeAttribute('aria-disabled');
@@ -92,7 +181,29 @@ export default function renderAddToCart(ph, block, state) {
   });
 
   quantityContainer.appendChild(addToCartButton);
+
+  // saved by product, remembering the variant so it can be moved to the cart later;
+  // bundles are chosen again on their page
+  quantityContainer.appendChild(createWishlistToggle({
+    sku: product.sku || selectedVariant.sku,
+    variantSku: bundle ? null : selectedVariant.sku,
+    name: product.name || '',
+    price: pricing?.final || 0,
+    currency: selectedVariant.priceCurrency || getCurrency(),
+    image: block.querySelector('.gallery img')?.src || selectedVariant.image?.[0] || '',
+    url,
+  }));
   addToCartContainer.appendChild(quantityContainer);
 
+  const stockMessage = getStockMessage(ph, selectedVariant);
+  if (stockMessage) {
+    const stock = document.createElement('p');
+    stock.classList.add('add-to-cart-stock');
+    stock.dataset.status = getStockStatus(selectedVariant);
+    stock.textContent = stockMessage;
+    addToCartContainer.appendChild(stock);
+  }
+  addToCartContainer.appendChild(errorMessage);
+
   return addToCartContainer;
 }
@@ -0,0 +1,73 @@
+/**
+ * Renders the "Notify me" form shown in place of add to cart when the
+ * selected variant is out of stock. Signed-in customers' email is filled in.
+ * @param {Object} ph - Placeholders object
+ * @param {Object} product - What to sign up for
+ * @param {string} product.sku - The variant SKU, for products with options
+ * @param {string} product.name - Product name
+ * @param {string} product.url - Product page, selecting the variant
+ * @returns {HTMLFormElement} The signup form
+ */
+export default function renderBackInStock(ph, { sku, name, url }) {
+  const form = document.createElement('form');
+  form.classList.add('back-in-stock');
+  form.noValidate = true;
+  // shown once the store is known to take signups
+  form.hidden = true;
+  form.innerHTML = `
+    <p class="back-in-stock-title">${ph.backInStockTitle || 'Email me when it’s back in stock'}</p>
+    <label for="pdp-back-in-stock-email">${ph.email || 'Email'}</label>
+    <div class="back-in-stock-fields">
+      <input type="email" id="pdp-back-in-stock-email" name="email" autocomplete="email" required>
+      <button type="submit" class="back-in-stock-button">${ph.notifyMe || 'Notify me'}</button>
+    </div>
+    <p class="back-in-stock-status" role="status"></p>
+  `;
+
+  const input = form.querySelector('input');
+  const button = form.querySelector('button');
+  const status = form.querySelector('.back-in-stock-status');
+  const loadCommerce = () => import('../../scripts/commerce/api.js').then((m) => m.commerce);
+
+  loadCommerce().then(async (commerce) => {
+    if (!(await commerce.supports('backInStock'))) {
+      form.remove();
+      return;
+    }
+    form.hidden = false;
+    const customer = await commerce.getCustomer();
+    if (customer?.email && !input.value) input.value = customer.email;
+  }).catch(() => {
+    // without the commerce API there is nothing to sign up with
+    if (form.hidden) form.remove();
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    status.classList.remove('back-in-stock-error');
+    if (!input.checkValidity()) {
+      status.textContent = ph.enterValidEmail || 'Enter a valid email address.';
+      status.classList.add('back-in-stock-error');
+      input.focus();
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const commerce = await loadCommerce();
+      const subscription = await commerce.subscribeBackInStock(sku, input.value.trim(), {
+        name, url,
+      });
+      form.classList.add('back-in-stock-done');
+      status.textContent = `${ph.backInStockConfirmed || 'We’ll email you at'} ${subscription.email}.`;
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('Back-in-stock signup failed', err);
+      status.textContent = err.message;
+      status.classList.add('back-in-stock-error');
+      button.disabled = false;
+    }
+  });
+
+  return form;
+}
@@ -0,0 +1,269 @@
+import { toClassName } from '../../scripts/aem.js';
+import { formatPrice } from '../../scripts/scripts.js';
+import { getPurchaseLimits, isPurchasable } from '../../scripts/commerce/inventory.js';
+import createVariantMatrix from '../../scripts/commerce/variant-matrix.js';
+import { pickOptions } from '../../scripts/commerce/variant-options.js';
+import {
+  formatOptionType,
+  getOptionTypes,
+  renderOptionGroup,
+  updateAvailability,
+  updateSelectionState,
+} from './options.js';
+
+/**
+ * Fetches raw product bus JSON for a given product path.
+ * @param {string} path - Product path, e.g. /products/classic-tee
+ * @returns {Promise<Object|null>} Product data or null on failure
+ */
+async function fetchProduct(path) {
+  try {
+    const resp = await fetch(`${path}.json`);
+    if (!resp.ok) return null;
+    return await resp.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetches the product JSON of every product a bundle can hold.
+ * @param {import('../../scripts/commerce/bundles.js').Bundle} bundle - The bundle
+ * @returns {Promise<Map<string, Object|null>>} Product data by path, null when it failed
+ */
+export async function loadBundleProducts(bundle) {
+  const paths = [...new Set(bundle.slots.flatMap((slot) => slot.items.map((item) => item.path)))];
+  return new Map(await Promise.all(paths.map(async (path) => [path, await fetchProduct(path)])));
+}
+
+/**
+ * Builds a link to a component's product page selecting its options.
+ * @param {string} path - Product path
+ * @param {Array<{id: string, value: string}>} options - The variant's options
+ * @returns {string}
+ */
+function getComponentUrl(path, options) {
+  const params = new URLSearchParams();
+  options.forEach(({ id, value }) => params.set(id, toClassName(value)));
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+/**
+ * Describes what fills a slot: the product chosen, and its variant.
+ * @param {Object} slot - See BundleSlot in scripts/commerce/bundles.js
+ * @param {Object} choice - The slot's choice: item, product, variant
+ * @returns {Object|null} The component, null for an empty slot or a product that didn't load
+ */
+function toComponent(slot, { item, product, variant }) {
+  if (!item || !product) return null;
+  const offer = variant || product;
+  const options = pickOptions(variant?.options);
+  return {
+    sku: offer.sku,
+    parentSku: variant ? product.sku : null,
+    name: product.name || item.sku,
+    quantity: slot.quantity,
+    price: parseFloat(offer.price?.final ?? product.price?.final) || 0,
+    options,
+    url: getComponentUrl(item.path, options),
+    limits: getPurchaseLimits(offer),
+    available: isPurchasable(offer),
+  };
+}
+
+/**
+ * Renders the bundle's components: choice groups, and option swatches for
+ * components with variants. Every change sets `bundleComponents` on the
+ * state, null when a required component can't be had.
+ * @param {Object} ph - Placeholders object
+ * @param {Object} state - The PDP state object, with `bundle` and `bundleProducts`
+ * @returns {Element} The bundle options container
+ */
+export default function renderBundle(ph, state) {
+  const { slots } = state.get('bundle');
+  const products = state.get('bundleProducts');
+
+  const container = document.createElement('div');
+  container.classList.add('options', 'bundle');
+
+  const choices = slots.map((slot) => {
+    const loaded = slot.items.filter((item) => products.get(item.path));
+    // a required product that didn't load is shown as no longer available
+    const first = loaded.find((item) => isPurchasable(products.get(item.path)))
+      || loaded[0] || slot.items[0];
+    return {
+      item: slot.optional ? null : first,
+      product: null,
+      variant: null,
+      selection: {},
+    };
+  });
+
+  function publish() {
+    const components = slots.map((slot, i) => toComponent(slot, choices[i]));
+    const missing = slots.some((slot, i) => !slot.optional && !components[i]);
+    state.set('bundleComponents', missing ? null : components.filter(Boolean));
+  }
+
+  /**
+   * Picks the variant of the slot's product, pinned by the bundle or chosen
+   * by the customer, keeping the choice's selection in line with it.
+   */
+  function resolveVariant(choice, changedId) {
+    const variants = choice.product?.variants || [];
+    if (!choice.item || !variants.length) {
+      choice.variant = null;
+      return;
+    }
+    const pinned = variants.find((v) => v.sku === choice.item.sku);
+    if (pinned || choice.item.sku !== choice.product.sku) {
+      choice.variant = pinned || null;
+      return;
+    }
+    const matrix = createVariantMatrix(variants, {
+      toKey: toClassName,
+      isAvailable: isPurchasable,
+    });
+    const resolved = matrix.resolve(choice.selection, changedId);
+    choice.selection = resolved.selection;
+    choice.variant = resolved.variant;
+  }
+
+  /** Brings a slot's labels, swatches and stock note in line with its choice */
+  function update(slot, choice, element) {
+    const { product, variant } = choice;
+    if (product) {
+      const optionTypes = getOptionTypes(product.variants || []);
+      element.querySelectorAll('.selected-option-label').forEach((label) => {
+        const { optionId } = label.dataset;
+        const values = optionTypes.find((t) => t.id === optionId)?.values || [];
+        const value = values.find((v) => toClassName(v) === choice.selection[optionId]);
+        const typeLabel = formatOptionType(optionId);
+        label.textContent = value ? `${typeLabel}: ${value}` : typeLabel;
+      });
+      element.querySelectorAll('.pdp-option-group').forEach((group) => {
+        updateSelectionState(group, choice.selection[group.dataset.optionId]);
+      });
+      updateAvailability(ph, element, {
+        get: (key) => ({
+          variants: product.variants,
+          product: { offers: product.variants },
+          selectedOptions: choice.selection,
+        })[key],
+      });
+
+      const price = element.querySelector('.bundle-component-price');
+      if (price) price.textContent = formatPrice(toComponent(slot, choice).price, ph);
+      const stock = element.querySelector('.bundle-component-stock');
+      if (stock) {
+        stock.textContent = isPurchasable(variant || product)
+          ? '' : ph.outOfStock || 'Out of stock';
+      }
+    }
+    publish();
+  }
+
+  function renderProduct(slot, choice, element) {
+    element.textContent = '';
+    const { product, item } = choice;
+    if (!item) return;
+
+    const name = document.createElement('p');
+    name.classList.add('bundle-component-name');
+    if (!product) {
+      name.textContent = ph.bundleItemUnavailable || 'This item is no longer available.';
+      element.append(name);
+      return;
+    }
+    const component = toComponent(slot, choice);
+    name.innerHTML = `<span>${slot.quantity} × ${component.name}</span>
+      <span class="bundle-component-price">${formatPrice(component.price, ph)}</span>`;
+    element.append(name);
+
+    const variants = product.variants || [];
+    if (variants.length && choice.item.sku === product.sku) {
+      const optionTypes = getOptionTypes(variants);
+      optionTypes.forEach((type) => {
+        const selection = document.createElement('div');
+        selection.classList.add('selection');
+        const label = document.createElement('div');
+        label.classList.add('selected-option-label');
+        label.dataset.optionId = type.id;
+        selection.append(label);
+        if (type.values.length > 1) {
+          selection.append(renderOptionGroup(type, choice.selection[type.id], (key) => {
+            choice.selection = { ...choice.selection, [type.id]: key };
+            resolveVariant(choice, type.id);
+            update(slot, choice, element);
+          }));
+        }
+        element.append(selection);
+      });
+    } else if (component.options.length) {
+      const fixed = document.createElement('p');
+      fixed.classList.add('bundle-component-options');
+      fixed.textContent = component.options
+        .map((o) => `${formatOptionType(o.id)}: ${o.value}`)
+        .join(', ');
+      element.append(fixed);
+    }
+
+    const stock = document.createElement('p');
+    stock.classList.add('bundle-component-stock');
+    element.append(stock);
+  }
+
+  function choose(slot, choice, element, item) {
+    choice.item = item;
+    choice.product = item ? products.get(item.path) : null;
+    choice.selection = {};
+    const first = choice.product?.variants?.[0];
+    (first?.options || []).forEach((o) => { choice.selection[o.id] = toClassName(o.value); });
+    resolveVariant(choice);
+    renderProduct(slot, choice, element);
+    update(slot, choice, element);
+  }
+
+  slots.forEach((slot, i) => {
+    const choice = choices[i];
+    const slotElement = document.createElement('div');
+    slotElement.classList.add('bundle-slot');
+    slotElement.dataset.slotId = slot.id;
+
+    const productElement = document.createElement('div');
+    productElement.classList.add('bundle-component');
+
+    // choice groups offer their products, by name, as swatches
+    if (slot.items.length > 1 || slot.optional) {
+      // the last value of an optional group leaves it empty
+      const names = slot.items.map((item) => products.get(item.path)?.name || item.sku);
+      const values = slot.optional ? [...names, ph.none || 'None'] : names;
+      const keyOf = (item) => toClassName(item ? names[slot.items.indexOf(item)] : values.at(-1));
+
+      const title = document.createElement('div');
+      title.classList.add('selected-option-label', 'bundle-slot-label');
+      title.textContent = slot.label || ph.chooseOne || 'Choose one';
+      slotElement.append(title);
+
+      const group = renderOptionGroup({ id: slot.id, values }, keyOf(choice.item), (key) => {
+        const index = names.findIndex((n) => toClassName(n) === key);
+        updateSelectionState(group, key);
+        choose(slot, choice, productElement, slot.items[index] || null);
+      });
+      group.setAttribute('aria-label', slot.label || ph.chooseOne || 'Choose one');
+      group.querySelectorAll('[data-option-value]').forEach((swatch, index) => {
+        const product = products.get(slot.items[index]?.path);
+        const unavailable = index < slot.items.length && (!product || !isPurchasable(product));
+        swatch.classList.toggle('pdp-size-swatch-oos', unavailable);
+      });
+      slotElement.append(group);
+    }
+
+    slotElement.append(productElement);
+    container.append(slotElement);
+    choose(slot, choice, productElement, choice.item);
+  });
+
+  return container;
+}
@@ -1,5 +1,6 @@
 import { checkVariantOutOfStock } from '../../scripts/scripts.js';
 import { toClassName } from '../../scripts/aem.js';
+import createVariantMatrix from '../../scripts/commerce/variant-matrix.js';
 
 /**
  * Gets the value of a specific option from a variant's options array.
@@ -55,7 +56,7 @@ function formatOptionLabel(optionId, value) {
  * @param {Array} variants - All product variants
  * @returns {Array<{id: string, values: string[]}>} Option types with unique values
  */
-function getOptionTypes(variants) {
+export function getOptionTypes(variants) {
   const optionMap = new Map();
 
   variants.forEach((variant) => {
@@ -75,30 +76,45 @@ function getOptionTypes(variants) {
   }));
 }
 
+/** @type {WeakMap<Array, Object>} Variant matrices, by the variants they were built from */
+const matrices = new WeakMap();
+
 /**
- * Finds the variant matching all currently selected options.
- * @param {Array} variants - All product variants
- * @param {Object} selectedOptions - Map of optionId -> selected value (className form)
- * @returns {Object|null} The matching variant
+ * Gets the variant matrix of the product, keyed by option values in className form.
+ * @param {Object} state - The PDP state object
+ * @returns {Object} See scripts/commerce/variant-matrix.js
  */
-function findVariant(variants, selectedOptions) {
-  if (Object.keys(selectedOptions).length === 0) return null;
-  return variants.find((v) => {
-    const relevant = v.options.filter((opt) => opt.id in selectedOptions);
-    return relevant.length > 0
-      && relevant.every((opt) => selectedOptions[opt.id] === toClassName(opt.value));
-  });
+function getMatrix(state) {
+  const variants = state.get('variants');
+  if (!matrices.has(variants)) {
+    const product = state.get('product');
+    matrices.set(variants, createVariantMatrix(variants, {
+      toKey: toClassName,
+      isAvailable: (variant) => !checkVariantOutOfStock(variant.sku, product),
+    }));
+  }
+  return matrices.get(variants);
 }
 
 /**
- * Updates a single key in the selectedOptions state.
- * @param {Object} state - The PDP state object
- * @param {string} key - The option ID
- * @param {string} value - The selected value
+ * Formats an option ID for display (e.g., "color" -> "Color").
+ * @param {string} optionId - The option ID
+ * @returns {string}
+ */
+export function formatOptionType(optionId) {
+  return optionId.charAt(0).toUpperCase() + optionId.slice(1);
+}
+
+/**
+ * Finds the authored value of an option from its className form.
+ * @param {Array<{id: string, values: string[]}>} optionTypes - Option types with values
+ * @param {string} optionId - The option ID
+ * @param {string} selected - The value in className form
+ * @returns {string} The authored value
  */
-function setSelectedOption(state, key, value) {
-  const opts = { ...state.get('selectedOptions'), [key]: value };
-  state.set('selectedOptions', opts);
+function getRawValue(optionTypes, optionId, selected) {
+  const type = optionTypes.find((t) => t.id === optionId);
+  return type?.values.find((v) => toClassName(v) === selected) || selected;
 }
 
 /**
@@ -122,28 +138,72 @@ function updateOOSMessage(ph, oosMessage, isParentOutOfStock) {
  * @param {Element} container - The options container for this group
  * @param {string} selectedValue - The selected value (className form)
  */
-function updateSelectionState(container, selectedValue) {
+export function updateSelectionState(container, selectedValue) {
   container.querySelectorAll('[data-option-value]').forEach((el) => {
-    el.classList.toggle('selected', el.dataset.optionValue === selectedValue);
+    const selected = el.dataset.optionValue === selectedValue;
+    el.classList.toggle('selected', selected);
+    el.setAttribute('aria-checked', selected);
   });
 }
 
 /**
- * Handles the change of a variant option.
+ * Marks every swatch with how its value stands against the rest of the
+ * selection: in stock, out of stock, or not made in that combination.
+ * @param {Object} ph - Placeholders object
+ * @param {Element} container - Element holding the option groups
+ * @param {Object} state - The PDP state object
+ */
+export function updateAvailability(ph, container, state) {
+  const availability = getMatrix(state).getAvailability(state.get('selectedOptions'));
+  container.querySelectorAll('.pdp-option-group').forEach((group) => {
+    const statuses = availability[group.dataset.optionId] || {};
+    group.querySelectorAll('[data-option-value]').forEach((swatch) => {
+      const status = statuses[swatch.dataset.optionValue] || 'unavailable';
+      const isOos = status === 'out-of-stock';
+      swatch.dataset.status = status;
+      swatch.classList.toggle('pdp-option-swatch-unavailable', status === 'unavailable');
+      swatch.classList.toggle('pdp-size-swatch-oos', isOos && swatch.classList.contains('pdp-size-swatch'));
+      swatch.querySelector('.pdp-color-inner')?.classList.toggle('pdp-color-swatch-oos', isOos);
+
+      let label = swatch.title;
+      if (isOos) label += `, ${ph.outOfStock || 'out of stock'}`;
+      if (status === 'unavailable') label += `, ${ph.notAvailableWithSelection || 'not available with your other choices'}`;
+      swatch.setAttribute('aria-label', label);
+    });
+  });
+}
+
+/**
+ * Tells screen reader users about options changed for them, and when the
+ * selection is out of stock.
+ * @param {Element} block - The PDP block element
+ * @param {string} message - What to announce
+ */
+function announce(block, message) {
+  const status = block.querySelector('.pdp-options-status');
+  if (status) status.textContent = message;
+}
+
+/**
+ * Applies a selection: moves it to the nearest variant that exists, then
+ * updates the URL, labels, swatches and buy box.
  * @param {Object} ph - Placeholders object
  * @param {Element} block - The PDP block element
  * @param {Object} state - The PDP state object
- * @param {string} optionId - The option ID that changed (e.g., "color", "size")
- * @param {string} value - The new value (className form)
- * @param {boolean} isParentOutOfStock - Whether the parent product is out of stock
+ * @param {Object} selection - Map of optionId -> value (className form)
+ * @param {Object} [options]
+ * @param {string} [options.changedId] - The option just chosen, kept as it is and announced
+ * @param {boolean} [options.isParentOutOfStock] - Whether the parent product is out of stock
  */
-export function onOptionChange(ph, block, state, optionId, value, isParentOutOfStock = false) {
+function applySelection(ph, block, state, selection, {
+  changedId,
+  isParentOutOfStock = false,
+} = {}) {
   const variants = state.get('variants');
   const product = state.get('product');
-
-  // Update selected options state
-  setSelectedOption(state, optionId, value);
-  const selectedOptions = state.get('selectedOptions');
+  const resolved = getMatrix(state).resolve(selection, changedId);
+  state.set('selectedOptions', resolved.selection);
+  const selectedOptions = resolved.selection;
 
   // Update URL with all selected options
   const params = new URLSearchParams();
@@ -160,28 +220,14 @@ export function onOptionChange(ph, block, state, optionId, value, isParentOutOfS
   // eslint-disable-next-line no-restricted-globals
   history.replaceState(null, '', search ? `?${search}` : window.location.pathname);
 
-  // Find the variant matching all selected options
-  const variant = findVariant(variants, selectedOptions);
-  if (!variant) return;
-
-  const { sku } = variant;
-  const oos = checkVariantOutOfStock(sku, product);
-  const buyBox = block.querySelector('.pdp-buy-box');
-  buyBox.dataset.oos = isParentOutOfStock || oos;
-  buyBox.dataset.sku = sku;
-
-  // Update the OOS message
-  const oosMessage = block.querySelector('.pdp-oos-message');
-  updateOOSMessage(ph, oosMessage, isParentOutOfStock);
-
   // Update all option labels and selection states
   optionTypes.forEach((type) => {
     const label = block.querySelector(`.selected-option-label[data-option-id="${type.id}"]`);
     if (label) {
       const selectedVal = selectedOptions[type.id];
-      const typeLabel = type.id.charAt(0).toUpperCase() + type.id.slice(1);
+      const typeLabel = formatOptionType(type.id);
       if (selectedVal) {
-        const rawVal = type.values.find((v) => toClassName(v) === selectedVal) || selectedVal;
+        const rawVal = getRawValue(optionTypes, type.id, selectedVal);
         label.textContent = `${typeLabel}: ${formatOptionLabel(type.id, rawVal)}`;
       } else {
         // Single-value option with no selection — show the only value
@@ -195,11 +241,64 @@ export function onOptionChange(ph, block, state, optionId, value, isParentOutOfS
       updateSelectionState(optGroup, selectedOptions[type.id]);
     }
   });
+  updateAvailability(ph, block, state);
+
+  const { variant } = resolved;
+  if (!variant) return;
+
+  const { sku } = variant;
+  const oos = checkVariantOutOfStock(sku, product);
+  const buyBox = block.querySelector('.pdp-buy-box');
+  buyBox.dataset.oos = isParentOutOfStock || oos;
+  buyBox.dataset.sku = sku;
+
+  // Update the OOS message
+  const oosMessage = block.querySelector('.pdp-oos-message');
+  updateOOSMessage(ph, oosMessage, isParentOutOfStock);
+
+  if (changedId) {
+    const chosen = `${formatOptionType(changedId)}: ${getRawValue(optionTypes, changedId, selectedOptions[changedId])}`;
+    const messages = resolved.corrected.map((id) => {
+      const value = getRawValue(optionTypes, id, selectedOptions[id]);
+      return `${formatOptionType(id)} changed to ${value} to match ${chosen}.`;
+    });
+    if (isParentOutOfStock || oos) messages.push(oosMessage?.textContent || '');
+    announce(block, messages.join(' '));
+  }
 
   // Set selectedVariant — triggers gallery, pricing, and add-to-cart subscribers
   state.set('selectedVariant', variant);
 }
 
+/**
+ * Handles the change of a variant option. A combination that isn't made
+ * moves the other options to the nearest variant that is.
+ * @param {Object} ph - Placeholders object
+ * @param {Element} block - The PDP block element
+ * @param {Object} state - The PDP state object
+ * @param {string} optionId - The option ID that changed (e.g., "color", "size")
+ * @param {string} value - The new value (className form)
+ * @param {boolean} isParentOutOfStock - Whether the parent product is out of stock
+ */
+export function onOptionChange(ph, block, state, optionId, value, isParentOutOfStock = false) {
+  const selection = { ...state.get('selectedOptions'), [optionId]: value };
+  applySelection(ph, block, state, selection, { changedId: optionId, isParentOutOfStock });
+}
+
+/**
+ * Selects several options at once, e.g. from the URL, moving to the nearest
+ * variant that exists when the combination doesn't.
+ * @param {Object} ph - Placeholders object
+ * @param {Element} block - The PDP block element
+ * @param {Object} state - The PDP state object
+ * @param {Object} options - Map of optionId -> value (className form)
+ * @param {boolean} isParentOutOfStock - Whether the parent product is out of stock
+ */
+export function selectOptions(ph, block, state, options, isParentOutOfStock = false) {
+  const selection = { ...state.get('selectedOptions'), ...options };
+  applySelection(ph, block, state, selection, { isParentOutOfStock });
+}
+
 /**
  * Renders the OOS message element.
  * @param {Object} ph - Placeholders object
@@ -292,6 +391,52 @@ function renderSizeOption(value, className, isOos) {
   return swatch;
 }
 
+/**
+ * Renders the swatches of one option type as a radio group.
+ * @param {{id: string, values: string[]}} type - Option type with its values
+ * @param {string} selected - The selected value (className form)
+ * @param {function(string): void} onSelect - Called with the value chosen (className form)
+ * @returns {Element} The option group element
+ */
+export function renderOptionGroup(type, selected, onSelect) {
+  const optionGroup = document.createElement('div');
+  optionGroup.classList.add('pdp-option-group');
+  optionGroup.dataset.optionId = type.id;
+  optionGroup.setAttribute('role', 'radiogroup');
+  optionGroup.setAttribute('aria-label', formatOptionType(type.id));
+
+  type.values.forEach((value) => {
+    const className = toClassName(value);
+
+    // Availability against the rest of the selection is set separately
+    let swatch;
+    if (isColorOption(type.id)) {
+      swatch = renderColorSwatch(value, className, false);
+    } else if (isSizeOption(type.id)) {
+      swatch = renderSizeOption(value, className, false);
+    } else {
+      swatch = renderSizeOption(value, className, false);
+    }
+    swatch.setAttribute('role', 'radio');
+    swatch.tabIndex = 0;
+
+    const isSelected = className === selected;
+    swatch.classList.toggle('selected', isSelected);
+    swatch.setAttribute('aria-checked', isSelected);
+
+    swatch.addEventListener('click', () => onSelect(className));
+    swatch.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      e.preventDefault();
+      onSelect(className);
+    });
+
+    optionGroup.append(swatch);
+  });
+
+  return optionGroup;
+}
+
 /**
  * Renders the options section of the PDP block.
  * @param {Object} ph - Placeholders object
@@ -302,7 +447,6 @@ function renderSizeOption(value, className, isOos) {
  */
 export function renderOptions(ph, block, state, isParentOutOfStock) {
   const variants = state.get('variants');
-  const product = state.get('product');
   const optionsContainer = document.createElement('div');
   optionsContainer.classList.add('options');
 
@@ -342,7 +486,7 @@ export function renderOptions(ph, block, state, isParentOutOfStock) {
     const selectedOptionLabel = document.createElement('div');
     selectedOptionLabel.classList.add('selected-option-label');
     selectedOptionLabel.dataset.optionId = type.id;
-    const typeLabel = type.id.charAt(0).toUpperCase() + type.id.slice(1);
+    const typeLabel = formatOptionType(type.id);
     const displayVal = defaultVal || (type.values.length === 1 ? type.values[0] : null);
     selectedOptionLabel.textContent = displayVal
       ? `${typeLabel}: ${formatOptionLabel(type.id, displayVal)}`
@@ -350,50 +494,23 @@ export function renderOptions(ph, block, state, isParentOutOfStock) {
     selectionContainer.append(selectedOptionLabel);
 
     // Only render swatches if there are multiple values to choose from
+    // Availability against the rest of the selection is set below
     if (type.values.length > 1) {
-      const optionGroup = document.createElement('div');
-      optionGroup.classList.add('pdp-option-group');
-      optionGroup.dataset.optionId = type.id;
-
-      type.values.forEach((value) => {
-        const className = toClassName(value);
-
-        // Check if all variants with this option value are OOS
-        const variantsWithValue = variants.filter(
-          (v) => getOptionValue(v, type.id)
-            && toClassName(getOptionValue(v, type.id)) === className,
-        );
-        const isOos = variantsWithValue.length === 0
-          || variantsWithValue.every((v) => checkVariantOutOfStock(v.sku, product));
-
-        let swatch;
-        if (isColorOption(type.id)) {
-          swatch = renderColorSwatch(value, className, isOos);
-        } else if (isSizeOption(type.id)) {
-          swatch = renderSizeOption(value, className, isOos);
-        } else {
-          swatch = renderSizeOption(value, className, isOos);
-        }
-
-        // Mark default as selected
-        if (className === toClassName(defaultVal)) {
-          swatch.classList.add('selected');
-        }
-
-        swatch.addEventListener('click', () => {
-          onOptionChange(ph, block, state, type.id, className, isParentOutOfStock);
-        });
-
-        optionGroup.append(swatch);
-      });
-
-      selectionContainer.append(optionGroup);
+      selectionContainer.append(renderOptionGroup(type, toClassName(defaultVal), (className) => {
+        onOptionChange(ph, block, state, type.id, className, isParentOutOfStock);
+      }));
     }
 
     optionsContainer.append(selectionContainer);
   });
 
   renderOOSMessage(ph, optionsContainer, isParentOutOfStock);
+  updateAvailability(ph, optionsContainer, state);
+
+  const status = document.createElement('p');
+  status.classList.add('pdp-options-status');
+  status.setAttribute('role', 'status');
+  optionsContainer.append(status);
 
   return optionsContainer;
 }
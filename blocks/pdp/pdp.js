@@ -2,12 +2,14 @@ import { fetchPlaceholders } from '../../scripts/aem.js';
 import renderAddToCart from './add-to-cart.js';
 import renderGallery, { updateGalleryImages } from './gallery.js';
 import renderPricing from './pricing.js';
-import { renderOptions, onOptionChange } from './options.js';
+import { renderOptions, selectOptions } from './options.js';
+import renderBundle, { loadBundleProducts } from './bundle.js';
 import {
   getOfferPricing,
   checkVariantOutOfStock,
   isProductOutOfStock,
 } from '../../scripts/scripts.js';
+import { parseBundle } from '../../scripts/commerce/bundles.js';
 import renderRelatedProducts from './related-products.js';
 
 /**
@@ -78,7 +80,7 @@ function renderTitle(block) {
 }
 
 /**
- * Assembles the buy-box: pricing, options, and add-to-cart.
+ * Assembles the buy-box: pricing, options (or a bundle's components), and add-to-cart.
  * @param {Object} state - The PDP state object
  * @param {Object} ph - Placeholders
  * @param {Element} block - The PDP block element
@@ -89,8 +91,11 @@ function buildBuyBox(state, ph, block, isParentOutOfStock) {
   const buyBox = document.createElement('div');
   buyBox.classList.add('pdp-buy-box');
 
+  // options first: a bundle's components set its price and availability
+  const options = state.get('bundle')
+    ? renderBundle(ph, state)
+    : renderOptions(ph, block, state, isParentOutOfStock);
   const pricing = renderPricing(ph, block, state);
-  const options = renderOptions(ph, block, state, isParentOutOfStock);
   const addToCart = renderAddToCart(ph, block, state);
 
   buyBox.append(pricing, options || '', addToCart);
@@ -135,19 +140,19 @@ function applyInitialSelection(state, ph, block, isParentOutOfStock, buyBox) {
 
   // Apply options from URL query params
   const params = new URLSearchParams(window.location.search);
-  let hasUrlOptions = false;
 
   // Collect all known option IDs from variants
   const optionIds = new Set();
   variants.forEach((v) => (v.options || []).forEach((opt) => optionIds.add(opt.id)));
 
+  // Applied together, so a combination that isn't made moves to the nearest one
+  const urlOptions = {};
   optionIds.forEach((optionId) => {
     const urlVal = params.get(optionId);
-    if (urlVal) {
-      hasUrlOptions = true;
-      onOptionChange(ph, block, state, optionId, urlVal, isParentOutOfStock);
-    }
+    if (urlVal) urlOptions[optionId] = urlVal;
   });
+  const hasUrlOptions = Object.keys(urlOptions).length > 0;
+  if (hasUrlOptions) selectOptions(ph, block, state, urlOptions, isParentOutOfStock);
 
   // Default to first variant when no URL options present
   if (!hasUrlOptions && variants.length > 0) {
@@ -182,12 +187,16 @@ export default async function decorate(block) {
 
   const ph = await fetchPlaceholders();
   const isParentOutOfStock = isProductOutOfStock(jsonLdData);
+  const bundle = parseBundle(jsonLdData);
 
   const state = createState({
     product: jsonLdData,
     variants,
     selectedVariant: null,
     selectedOptions: {},
+    bundle,
+    bundleProducts: bundle ? await loadBundleProducts(bundle) : null,
+    bundleComponents: null,
   });
 
   // Build components
@@ -212,6 +221,12 @@ export default async function decorate(block) {
     if (el) block.querySelector('.add-to-cart')?.replaceWith(el);
   });
 
+  // A bundle's price and stock follow the components chosen
+  state.onChange('bundleComponents', () => {
+    block.querySelector('.pricing')?.replaceWith(renderPricing(ph, block, state));
+    block.querySelector('.add-to-cart')?.replaceWith(renderAddToCart(ph, block, state));
+  });
+
   // Apply initial state
   applyInitialSelection(state, ph, block, isParentOutOfStock, buyBox);
 }
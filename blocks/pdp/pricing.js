@@ -1,4 +1,22 @@
 import { formatPrice, getOfferPricing } from '../../scripts/scripts.js';
+import { priceBundle } from '../../scripts/commerce/bundles.js';
+
+/**
+ * Gets the price to show: the variant's, the sum of a bundle's components
+ * less the bundle discount, or the product's.
+ * @param {Object} state - The PDP state object
+ * @param {Object} [variant] - Optional variant object with price data
+ * @returns {Object|null} The final and regular price
+ */
+function getPricing(state, variant) {
+  if (variant) return variant.price;
+  const bundle = state.get('bundle');
+  if (bundle) {
+    const components = state.get('bundleComponents');
+    return components ? priceBundle(components, bundle.discount) : null;
+  }
+  return getOfferPricing(state.get('product')?.offers?.[0]);
+}
 
 /**
  * Renders the pricing section of the PDP block.
@@ -12,15 +30,13 @@ export default function renderPricing(ph, block, state, variant) {
   const pricingContainer = document.createElement('div');
   pricingContainer.classList.add('pricing');
 
-  const pricing = variant
-    ? variant.price
-    : getOfferPricing(state.get('product')?.offers?.[0]);
+  const pricing = getPricing(state, variant);
   if (!pricing) {
     return pricingContainer;
   }
 
-  // remove the pipeline-rendered pricing text from the DOM
-  if (!variant) {
+  // remove the pipeline-rendered pricing text from the DOM, on the first render
+  if (!variant && !block.querySelector('.pricing')) {
     const pricingElement = block.querySelector('p:nth-of-type(1)');
     if (pricingElement) pricingElement.remove();
   }
@@ -1,53 +1,9 @@
-/**
- * Fetches all products from the product index, handling EDS pagination.
- * @returns {Promise<Array>} All product entries
- */
-async function fetchProductIndex() {
-  const entries = [];
-  let offset = 0;
-  let total = Infinity;
-
-  while (offset < total) {
-    const url = `/products/index.json?offset=${offset}&limit=256`;
-    // eslint-disable-next-line no-await-in-loop
-    const resp = await fetch(url);
-    if (!resp.ok) break;
-    // eslint-disable-next-line no-await-in-loop
-    const json = await resp.json();
-    const sheet = json.data || json;
-    entries.push(...sheet);
-    total = json.total ?? sheet.length;
-    offset += json.limit ?? sheet.length;
-    if (!json.limit) break;
-  }
-
-  return entries;
-}
-
-/**
- * Filters products matching a given category path.
- * Excludes variant children (those with parentSku).
- * @param {Array} products - All product entries
- * @param {string} categoryPath - Category path to match (e.g., "office/tech")
- * @returns {Array} Matching parent products
- */
-function getProductsByCategory(products, categoryPath) {
-  return products.filter((p) => {
-    if (p.parentSku) return false;
-    const cats = p.categories || [];
-    return Array.isArray(cats) && cats.includes(categoryPath);
-  });
-}
-
-/**
- * Formats a price as a currency string.
- * @param {number|string} value - Price value
- * @param {string} currency - Currency code
- * @returns {string} Formatted price
- */
-function formatPrice(value, currency = 'USD') {
-  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(value));
-}
+import { getByCategory, loadProductIndex } from '../../scripts/commerce/catalog.js';
+import { formatMoney, loadMoneyConfig } from '../../scripts/commerce/money.js';
+import {
+  createFacetIndex, readFacetState, renderFacets, writeFacetState,
+} from '../../scripts/facets.js';
+import { withWishlistToggle } from '../../scripts/wishlist.js';
 
 /**
  * Sorts products by the given sort key.
@@ -120,20 +76,20 @@ function buildProductCard(product) {
 
   const priceEl = document.createElement('p');
   priceEl.className = 'plp-product-price';
-  const currency = product.currency || 'USD';
+  const { currency } = product;
 
   if (isOnSale) {
     const saleSpan = document.createElement('span');
     saleSpan.className = 'plp-price-sale';
-    saleSpan.textContent = formatPrice(price, currency);
+    saleSpan.textContent = formatMoney(price, { currency });
 
     const regSpan = document.createElement('span');
     regSpan.className = 'plp-price-regular';
-    regSpan.textContent = formatPrice(regularPrice, currency);
+    regSpan.textContent = formatMoney(regularPrice, { currency });
 
     priceEl.append(saleSpan, ' ', regSpan);
   } else {
-    priceEl.textContent = formatPrice(price, currency);
+    priceEl.textContent = formatMoney(price, { currency });
   }
 
   info.append(name, priceEl);
@@ -190,7 +146,7 @@ export default async function decorate(block) {
   const sortParam = new URLSearchParams(window.location.search).get('sort') || '';
 
   // Fetch products first so we know which categories have results
-  const allProducts = await fetchProductIndex();
+  const [allProducts] = await Promise.all([loadProductIndex(), loadMoneyConfig()]);
 
   // Slug helper
   const toSlug = (text) => text.toLowerCase().replace(/[&,]+/g, '').replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
@@ -198,13 +154,22 @@ export default async function decorate(block) {
   // Determine which categories have products
   const validCategories = categories.filter((cat) => {
     if (!cat.path || !cat.title) return false;
-    return getProductsByCategory(allProducts, cat.path).length > 0;
+    return getByCategory(allProducts, cat.path).length > 0;
+  });
+
+  // Facet index over every product on the page, labelling categories with their authored titles
+  const index = createFacetIndex(allProducts, {
+    labels: Object.fromEntries(validCategories.map((cat) => [cat.path, cat.title])),
   });
+  const pageProducts = [...new Set(validCategories
+    .flatMap((cat) => getByCategory(allProducts, cat.path)))];
+  let facetState = readFacetState(index.facets);
 
   // Anchoring sub-nav header (only categories with products)
   const anchorHeader = document.createElement('div');
   anchorHeader.className = 'plp-anchor-header';
   const anchorUl = document.createElement('ul');
+  const anchorItems = {};
   validCategories.forEach((cat) => {
     const li = document.createElement('li');
     const a = document.createElement('a');
@@ -212,6 +177,7 @@ export default async function decorate(block) {
     a.textContent = cat.title;
     li.append(a);
     anchorUl.append(li);
+    anchorItems[cat.path] = li;
   });
   anchorHeader.append(anchorUl);
   block.append(anchorHeader);
@@ -239,13 +205,25 @@ export default async function decorate(block) {
   });
   block.append(tools);
 
+  // Filters
+  const facetsContainer = document.createElement('div');
+  facetsContainer.className = 'plp-facets';
+  block.append(facetsContainer);
+
   // Category content area
   const content = document.createElement('div');
   content.className = 'plp-categories';
   block.append(content);
 
-  // Render each valid category section
-  validCategories.forEach((cat) => {
+  // Render each valid category section that has products matching the filters
+  const renderCategories = () => validCategories.filter((cat) => {
+    const products = sortProducts(
+      index.filter(facetState, getByCategory(allProducts, cat.path)),
+      sortParam,
+    );
+    anchorItems[cat.path].hidden = products.length === 0;
+    if (!products.length) return false;
+
     const slug = toSlug(cat.title);
     const section = document.createElement('div');
     section.className = 'plp-category-section';
@@ -255,13 +233,11 @@ export default async function decorate(block) {
     heading.textContent = cat.title;
     section.append(heading);
 
-    const products = sortProducts(getProductsByCategory(allProducts, cat.path), sortParam);
-
     const grid = document.createElement('div');
     grid.className = 'plp-grid';
 
     products.forEach((product) => {
-      grid.append(buildProductCard(product));
+      grid.append(withWishlistToggle(buildProductCard(product), product));
     });
 
     // Insert marketing content into the grid if authored
@@ -283,8 +259,26 @@ export default async function decorate(block) {
 
     section.append(grid);
     content.append(section);
+    return true;
   });
 
+  function update() {
+    content.innerHTML = '';
+    if (!renderCategories().length) {
+      content.innerHTML = '<p class="plp-no-results">No products match these filters.</p>';
+    }
+    // eslint-disable-next-line no-use-before-define
+    renderFacets(facetsContainer, index, facetState, onFacetsChange, pageProducts);
+  }
+
+  function onFacetsChange(state) {
+    facetState = state;
+    writeFacetState(index.facets, facetState);
+    update();
+  }
+
+  update();
+
   // Store breadcrumb category
   const pathCategory = window.location.pathname.split('/')[1];
   if (pathCategory) {
@@ -0,0 +1,76 @@
+import { loadMoneyConfig } from '../../scripts/commerce/money.js';
+import { loadSearchIndex } from '../../scripts/search.js';
+import { withWishlistToggle } from '../../scripts/wishlist.js';
+import { buildProductCard } from '../all/all.js';
+
+/**
+ * Renders results for a query.
+ * @param {HTMLElement} block - The block element
+ * @param {Object} index - Search index from loadSearchIndex
+ * @param {string} query - Search query
+ */
+function renderResults(block, index, query) {
+  const count = block.querySelector('.search-count');
+  const grid = block.querySelector('.all-grid');
+  grid.innerHTML = '';
+
+  if (!query) {
+    count.textContent = '';
+    return;
+  }
+
+  const results = index.search(query);
+  count.innerHTML = results.length
+    ? `<strong>${results.length}</strong> ${results.length === 1 ? 'result' : 'results'} for “<span></span>”`
+    : 'No products found for “<span></span>”. Check the spelling or try a more general term.';
+  count.querySelector('span').textContent = query;
+  results.forEach(({ product }) => {
+    grid.append(withWishlistToggle(buildProductCard(product), product));
+  });
+}
+
+/**
+ * Search results block. Reads the query from `?q=` and re-runs it as the
+ * shopper types, keeping the URL in sync so results can be shared.
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  const query = new URLSearchParams(window.location.search).get('q') || '';
+
+  block.innerHTML = `
+    <form class="search-form" role="search">
+      <label for="search-input" class="visually-hidden">Search products</label>
+      <input id="search-input" type="search" name="q" placeholder="Search products" autocomplete="off">
+      <button type="submit">Search</button>
+    </form>
+    <p class="search-count" role="status"></p>
+    <div class="all-grid"></div>
+  `;
+
+  const form = block.querySelector('.search-form');
+  const input = form.querySelector('input');
+  input.value = query;
+
+  const [index] = await Promise.all([loadSearchIndex(), loadMoneyConfig()]);
+
+  const run = () => {
+    const q = input.value.trim();
+    const url = new URL(window.location);
+    if (q) url.searchParams.set('q', q); else url.searchParams.delete('q');
+    window.history.replaceState(window.history.state, '', url);
+    renderResults(block, index, q);
+  };
+
+  let debounce;
+  input.addEventListener('input', () => {
+    clearTimeout(debounce);
+    debounce = setTimeout(run, 200);
+  });
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    clearTimeout(debounce);
+    run();
+  });
+
+  renderResults(block, index, query);
+}
@@ -3,20 +3,139 @@
  * Client-side cart persisted to localStorage, orders via proxy worker.
  */
 
+import {
+  getBundleLimits, parseBundle, pickComponents, priceBundle,
+} from '../bundles.js';
+import { mergeCarts } from '../cart-merge.js';
+import { apiUrl } from '../config.js';
+import { resolveCoupon, calculateDiscounts, getItemDiscount } from '../discounts.js';
+import {
+  checkQuantity, clampQuantity, getPurchaseLimits, isPurchasable,
+} from '../inventory.js';
+import {
+  DEFAULT_SHIPPING_RATES,
+  loadShippingRates,
+  quoteShippingMethods,
+  selectShippingMethod,
+} from '../shipping.js';
+import { createTableTaxCalculator, loadTaxRates } from '../tax.js';
+import { pickOptions, productPath } from '../variant-options.js';
+
 // --- Internal configuration ---
-const API_ORIGIN = 'https://aem-productbus-demo-worker.adobeaem.workers.dev';
 const STORAGE_KEY = 'cart';
 const STORAGE_VERSION = 1;
-const SHIPPING_THRESHOLD = 150;
-const SHIPPING_COST = 10;
 const COOKIE_EXPIRY_DAYS = 30;
 const AUTH_TOKEN_KEY = 'auth_token';
 const AUTH_USER_KEY = 'auth_user';
+const WISHLIST_KEY = 'wishlist';
+const WISHLIST_VERSION = 1;
+const RECONCILE_TTL = 60 * 1000;
+
+/** Set by the service worker on the 202 it returns for a request queued offline */
+const QUEUED_HEADER = 'X-Commerce-Queued';
+
+/** Lets the worker answer a repeated order or payment request with its first answer */
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/** How a guest cart is merged into the customer's saved cart on login, see cart-merge.js */
+const CART_MERGE_STRATEGY = 'sum';
+
+/** What happens to the cart on logout: 'clear' (it stays saved on the account) or 'keep' */
+const LOGOUT_CART_POLICY = 'clear';
+
+/** Worker paths of a payment's status, by the payment capability it was made with */
+const PAYMENT_STATUS_PATHS = {
+  hostedCheckout: (id) => `/checkout/session?id=${encodeURIComponent(id)}`,
+  paypal: (id) => `/paypal/orders/${encodeURIComponent(id)}`,
+  stripe: (id) => `/stripe/payment-intents/${encodeURIComponent(id)}`,
+};
+
+// --- Auth helpers ---
+
+function authFetch(url, options = {}) {
+  const token = sessionStorage.getItem(AUTH_TOKEN_KEY);
+  if (!token) throw new Error('Not authenticated');
+
+  const headers = new Headers(options.headers || {});
+  headers.set('Authorization', `Bearer ${token}`);
+
+  return fetch(url, { ...options, headers }).then((resp) => {
+    if (resp.status === 401) {
+      sessionStorage.removeItem(AUTH_TOKEN_KEY);
+      localStorage.removeItem(AUTH_USER_KEY);
+      document.dispatchEvent(new CustomEvent('commerce:auth-state-changed', {
+        detail: { loggedIn: false, email: null, reason: 'token_expired' },
+      }));
+    }
+    return resp;
+  });
+}
+
+/**
+ * Tells the service worker who is signed in, so order requests it queued
+ * offline are replayed with the current token; it doesn't store tokens with
+ * the requests it queues.
+ */
+function shareOutboxAuth() {
+  const token = sessionStorage.getItem(AUTH_TOKEN_KEY);
+  window.navigator?.serviceWorker?.controller?.postMessage({
+    type: 'commerce:outbox-auth',
+    authorization: token ? `Bearer ${token}` : null,
+  });
+}
+
+window.addEventListener('online', shareOutboxAuth);
+
+/**
+ * A resource URL under the logged-in customer, or null for guests.
+ * @param {string} resource - e.g. 'cart', 'wishlist'
+ * @returns {Promise<string|null>}
+ */
+async function customerUrl(resource) {
+  if (!sessionStorage.getItem(AUTH_TOKEN_KEY)) return null;
+  let user = null;
+  try {
+    user = JSON.parse(localStorage.getItem(AUTH_USER_KEY));
+  } catch { /* treated as signed out */ }
+  return user?.email ? apiUrl(`/customers/${encodeURIComponent(user.email)}/${resource}`) : null;
+}
 
 // --- Cart storage ---
+// The cart lives in localStorage. For logged-in customers every change is
+// also saved to their account so the cart follows them between devices; on
+// login the guest cart is merged into the saved one.
 
 let items = {};
+let coupons = [];
+let shippingMethod = null;
+let shippingCountry = '';
+let shippingRates = DEFAULT_SHIPPING_RATES;
+let updatedAt = 0;
 let persistTimer = null;
+let cartSynced = false;
+/** Lines the login merge left out, reported with the next reconciliation */
+let mergeChanges = [];
+
+function cartState() {
+  return {
+    items: Object.values(items),
+    coupons,
+    shippingMethod,
+    shippingCountry,
+    updatedAt,
+  };
+}
+
+function applyCartState(state) {
+  items = (state.items || []).reduce((acc, item) => {
+    acc[item.sku] = item;
+    return acc;
+  }, {});
+  coupons = state.coupons || [];
+  shippingMethod = state.shippingMethod || null;
+  shippingCountry = state.shippingCountry || '';
+  updatedAt = state.updatedAt || 0;
+}
 
 function restore() {
   const raw = localStorage.getItem(STORAGE_KEY);
@@ -27,89 +146,521 @@ function restore() {
       localStorage.removeItem(STORAGE_KEY);
       return;
     }
-    items = (parsed.items || []).reduce((acc, item) => {
-      acc[item.sku] = item;
-      return acc;
-    }, {});
+    applyCartState(parsed);
   } catch {
     localStorage.removeItem(STORAGE_KEY);
   }
 }
 
-function persistNow() {
+function writeStorage() {
   const count = Object.values(items).reduce((sum, i) => sum + i.quantity, 0);
   const expires = new Date(Date.now() + COOKIE_EXPIRY_DAYS * 864e5).toUTCString();
   document.cookie = `cart_items_count=${count}; expires=${expires}; path=/`;
   localStorage.setItem(STORAGE_KEY, JSON.stringify({
     version: STORAGE_VERSION,
-    items: Object.values(items),
+    ...cartState(),
   }));
 }
 
-function persist() {
+async function fetchSavedCart(url) {
+  const resp = await authFetch(url);
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error(`Failed to load cart: ${resp.status}`);
+  const data = await resp.json();
+  return data.cart || data;
+}
+
+async function pushCart() {
+  const url = await customerUrl('cart');
+  if (!url) return;
+  const resp = await authFetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(cartState()),
+  });
+  if (!resp.ok) throw new Error(`Failed to save cart: ${resp.status}`);
+}
+
+function persistNow() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  writeStorage();
+  pushCart().catch(() => { /* saved again with the next change */ });
+}
+
+/**
+ * Records a cart change and writes it out after a short debounce.
+ * @param {Object} [options]
+ * @param {boolean} [options.immediate=false] - Write straight away
+ */
+function persist({ immediate = false } = {}) {
+  // Stamped when the change is made, so other tabs can tell which write is newer
+  updatedAt = Date.now();
   clearTimeout(persistTimer);
-  persistTimer = setTimeout(persistNow, 300);
+  if (immediate) persistNow();
+  else persistTimer = setTimeout(persistNow, 300);
+}
+
+/**
+ * Brings the local cart in line with the customer's saved cart, once per page
+ * load: whichever changed last wins. With `merge` (on login) the local guest
+ * cart is merged into the saved one using CART_MERGE_STRATEGY instead.
+ */
+async function syncCart({ merge = false } = {}) {
+  const url = await customerUrl('cart');
+  if (!url || (cartSynced && !merge)) return;
+
+  const saved = await fetchSavedCart(url);
+  cartSynced = true;
+  if (merge) {
+    // saved lines in another currency than the guest cart are left out
+    const { dropped, ...merged } = mergeCarts(cartState(), saved, {
+      strategy: CART_MERGE_STRATEGY,
+    });
+    mergeChanges = dropped.map((line) => ({
+      sku: line.sku, type: 'removed', previous: line.quantity, current: 0,
+    }));
+    applyCartState(merged);
+    persist({ immediate: true });
+  } else if (saved && (saved.updatedAt || 0) > updatedAt) {
+    applyCartState(saved);
+    writeStorage();
+  } else if (updatedAt > (saved?.updatedAt || 0)) {
+    await pushCart();
+  }
+}
+
+/** Syncs with the saved cart before reading or changing it; offline, the local cart is used */
+function syncedCart() {
+  return syncCart().catch(() => {});
+}
+
+/**
+ * The currency the cart is priced in, taken from its first priced item.
+ * @returns {string|null} Currency code, or null for an empty cart
+ */
+function getCartCurrency() {
+  const priced = Object.values(items).find((i) => i.currency);
+  return priced ? priced.currency.toUpperCase() : null;
+}
+
+/**
+ * Rejects items priced in a different currency from the cart.
+ * @param {Object} item - Item being added
+ * @throws {Error} When the currencies differ
+ */
+function assertSameCurrency(item) {
+  const current = getCartCurrency();
+  if (current && item.currency && item.currency.toUpperCase() !== current) {
+    throw new Error(`Your cart is priced in ${current}. Check out or clear it before adding items priced in ${item.currency.toUpperCase()}.`);
+  }
 }
 
 function buildCart() {
   const allItems = Object.values(items);
-  const subtotal = allItems.reduce((sum, i) => sum + i.quantity * i.price, 0);
+  // Items flagged by reconciliation can't be purchased, so they don't count towards the total
+  const subtotal = allItems
+    .filter((i) => !i.status)
+    .reduce((sum, i) => sum + i.quantity * i.price, 0);
+  const method = selectShippingMethod(
+    quoteShippingMethods(shippingRates, {
+      country: shippingCountry,
+      cart: { items: allItems, subtotal },
+    }),
+    shippingMethod,
+  );
+  const shipping = method?.amount || 0;
+  const discounts = calculateDiscounts(coupons, { items: allItems, subtotal, shipping });
+  const discountTotal = discounts.reduce((sum, d) => sum + d.amount, 0);
   return {
     items: allItems,
     itemCount: allItems.reduce((sum, i) => sum + i.quantity, 0),
     subtotal,
-    shipping: subtotal >= SHIPPING_THRESHOLD ? 0 : SHIPPING_COST,
+    shipping,
+    shippingMethod: method?.id || null,
+    coupons: coupons.map((c) => c.code),
+    discounts,
+    total: Math.max(0, subtotal + shipping - discountTotal),
+    currency: getCartCurrency(),
   };
 }
 
+/**
+ * Builds the cart once the shipping rates sheet has loaded.
+ * @returns {Promise<Object>} The cart
+ */
+async function currentCart() {
+  shippingRates = await loadShippingRates();
+  return buildCart();
+}
+
 // Restore cart from localStorage on module load
 restore();
 
-// --- Auth helpers ---
+// --- Cross-tab sync ---
+// Every tab keeps its own copy of the cart in memory. When another tab writes
+// the cart, the newer of the two (by updatedAt) wins: a newer write replaces
+// this tab's cart and drops any change still waiting for the debounce, an
+// older one is ignored and overwritten when that change is written.
 
-function authFetch(url, options = {}) {
-  const token = sessionStorage.getItem(AUTH_TOKEN_KEY);
-  if (!token) throw new Error('Not authenticated');
+const externalChangeListeners = new Set();
 
-  const headers = new Headers(options.headers || {});
-  headers.set('Authorization', `Bearer ${token}`);
+function onStorage(e) {
+  if (e.key !== STORAGE_KEY || e.storageArea !== localStorage) return;
+  let incoming = null;
+  try {
+    incoming = JSON.parse(e.newValue);
+  } catch { /* unreadable — treat as cleared */ }
+  if (incoming && incoming.version !== STORAGE_VERSION) return;
+  const incomingAt = incoming?.updatedAt || 0;
+  if (persistTimer && incomingAt < updatedAt) return;
 
-  return fetch(url, { ...options, headers }).then((resp) => {
-    if (resp.status === 401) {
-      sessionStorage.removeItem(AUTH_TOKEN_KEY);
-      localStorage.removeItem(AUTH_USER_KEY);
-      document.dispatchEvent(new CustomEvent('commerce:auth-state-changed', {
-        detail: { loggedIn: false, email: null, reason: 'token_expired' },
-      }));
-    }
-    return resp;
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  applyCartState(incoming || {});
+  if (!incoming) updatedAt = Date.now();
+  externalChangeListeners.forEach((listener) => listener(buildCart()));
+}
+
+window.addEventListener('storage', onStorage);
+
+// --- Cart reconciliation ---
+
+let lastReconciled = 0;
+let reconciling = null;
+
+function itemPath(item) {
+  return new URL(item.url, window.location.origin).pathname;
+}
+
+/**
+ * Fetches the product bus JSON behind a cart item.
+ * @param {string} path - Product page path
+ * @returns {Promise<Object|null|undefined>} Product data, null if the product
+ *   no longer exists, undefined if it could not be checked (e.g. offline)
+ */
+async function fetchProductData(path) {
+  try {
+    const resp = await fetch(`${path}.json`);
+    if (resp.status === 404) return null;
+    if (!resp.ok) return undefined;
+    return await resp.json();
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Finds the offer (product or variant) for a SKU in product bus JSON.
+ * @param {Object} product - Product bus JSON
+ * @param {string} sku - Cart item SKU
+ * @returns {Object|null}
+ */
+function findOffer(product, sku) {
+  if (product.sku === sku) return product;
+  return (product.variants || []).find((v) => v.sku === sku) || null;
+}
+
+/**
+ * Works out a bundle line's current price and limits from its components'
+ * offers: the sum of their prices less the bundle discount, and only as many
+ * bundles as every component's stock makes.
+ * @param {Object} item - Bundle cart item
+ * @param {Object} product - The bundle's product bus JSON
+ * @param {Object} offer - The bundle's offer
+ * @param {Array<Object|null>} components - Product bus JSON of each component, null if gone
+ * @returns {{price: number, limits: Object}|null} null when a component is gone
+ */
+function reconcileBundle(item, product, offer, components) {
+  const parts = item.components.map((component, i) => {
+    const data = components[i];
+    const partOffer = data ? findOffer(data, component.sku) : null;
+    return partOffer && {
+      quantity: component.quantity,
+      price: parseFloat(partOffer.price?.final ?? data.price?.final),
+      limits: getPurchaseLimits(partOffer),
+    };
   });
+  if (parts.includes(null)) return null;
+  return {
+    price: parts.every((part) => Number.isFinite(part.price))
+      ? priceBundle(parts, parseBundle(product)?.discount).final
+      : NaN,
+    limits: getBundleLimits(getPurchaseLimits(offer), parts),
+  };
 }
 
+/**
+ * Compares a cart item with its current product data, updating it in place.
+ * Bundle lines are found by the bundle's SKU and priced and limited by their
+ * components, see reconcileBundle.
+ * @param {Object} item - Cart item
+ * @param {Object|null} product - Product bus JSON, or null if the product is gone
+ * @param {Array<Object|null>} [components] - Product bus JSON of a bundle line's components
+ * @returns {Array<Object>} Changes applied to the item
+ */
+function reconcileItem(item, product, components = []) {
+  const changes = [];
+  const isBundle = Boolean(item.components?.length);
+  const offer = product ? findOffer(product, isBundle ? item.parentSku : item.sku) : null;
+  const bundle = offer && isBundle ? reconcileBundle(item, product, offer, components) : null;
+
+  let limits = null;
+  if (offer) limits = isBundle ? bundle?.limits : getPurchaseLimits(offer);
+  if (limits) item.limits = limits;
+
+  let status = null;
+  if (!offer || (isBundle && !bundle)) status = 'unavailable';
+  else if (!isPurchasable(offer) || limits.max === 0) status = 'out-of-stock';
+
+  if (status !== (item.status || null)) {
+    changes.push({
+      sku: item.sku, type: status || 'available', previous: item.status || null, current: status,
+    });
+    if (status) item.status = status;
+    else delete item.status;
+  }
+
+  // only ever lowered: a quantity under the minimum is the customer's to raise
+  const quantity = limits && item.quantity >= limits.min
+    ? clampQuantity(item.quantity, limits)
+    : item.quantity;
+  if (!status && quantity !== item.quantity) {
+    changes.push({
+      sku: item.sku, type: 'quantity', previous: item.quantity, current: quantity,
+    });
+    item.previousQuantity = item.quantity;
+    item.quantity = quantity;
+  }
+
+  const price = isBundle ? bundle?.price : parseFloat(offer?.price?.final ?? product?.price?.final);
+  if (offer && Number.isFinite(price) && price !== item.price) {
+    changes.push({
+      sku: item.sku, type: 'price', previous: item.price, current: price,
+    });
+    item.previousPrice = item.price;
+    item.price = price;
+  }
+
+  return changes;
+}
+
+/**
+ * Re-reads every cart item's product data and applies price and stock changes.
+ * Runs at most once per RECONCILE_TTL unless forced; concurrent calls share one pass.
+ * @param {boolean} [force=false] - Ignore the TTL
+ * @returns {Promise<Array<Object>>} Changes applied to the cart
+ */
+function reconcile(force = false) {
+  if (reconciling) return reconciling;
+  if (!force && Date.now() - lastReconciled < RECONCILE_TTL) return Promise.resolve([]);
+
+  reconciling = (async () => {
+    const cartItems = Object.values(items).filter((i) => i.url);
+    // bundle lines are checked against their components' products too
+    const paths = [...new Set(cartItems
+      .flatMap((item) => [item, ...(item.components || [])])
+      .filter((entry) => entry.url)
+      .map(itemPath))];
+    const products = new Map(await Promise.all(
+      paths.map(async (path) => [path, await fetchProductData(path)]),
+    ));
+
+    const changes = cartItems.flatMap((item) => {
+      const product = products.get(itemPath(item));
+      const components = (item.components || [])
+        .map((c) => (c.url ? products.get(itemPath(c)) : undefined));
+      // undefined means the lookup failed — leave the item as it is
+      if (product === undefined || components.includes(undefined) || !items[item.sku]) return [];
+      return reconcileItem(item, product, components);
+    });
+
+    lastReconciled = Date.now();
+    if (changes.length) persist();
+    return changes;
+  })().finally(() => { reconciling = null; });
+
+  return reconciling;
+}
+
+// --- Tax ---
+
+const estimateTableTax = createTableTaxCalculator(loadTaxRates);
+
+async function buildTaxPayload(cart, address) {
+  const {
+    amount, rate, inclusive, lines,
+  } = await estimateTableTax({ cart, address });
+  return {
+    amount, rate, inclusive, lines,
+  };
+}
+
+// --- Wishlist ---
+// Guests keep the wishlist in localStorage only. For logged-in customers the
+// server copy is authoritative: it replaces the local copy on first read, and
+// every change is written back. A change that couldn't be written back is
+// kept and written with the next change or page load instead. Guest items are
+// merged in on login.
+
+let wishlist = [];
+let wishlistSynced = false;
+/** Whether the local copy has changes the server hasn't got */
+let wishlistUnsaved = false;
+
+function restoreWishlist() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(WISHLIST_KEY));
+    const current = parsed?.version === WISHLIST_VERSION;
+    wishlist = current ? parsed.items || [] : [];
+    wishlistUnsaved = current && Boolean(parsed.unsaved);
+  } catch {
+    wishlist = [];
+    wishlistUnsaved = false;
+  }
+}
+
+function persistWishlist() {
+  localStorage.setItem(WISHLIST_KEY, JSON.stringify({
+    version: WISHLIST_VERSION,
+    items: wishlist,
+    ...(wishlistUnsaved && { unsaved: true }),
+  }));
+}
+
+function buildWishlist() {
+  return { items: [...wishlist], itemCount: wishlist.length };
+}
+
+async function fetchRemoteWishlist(url) {
+  const resp = await authFetch(url);
+  if (!resp.ok) throw new Error(`Failed to load wishlist: ${resp.status}`);
+  const data = await resp.json();
+  return data.items || [];
+}
+
+async function pushWishlist() {
+  const url = await customerUrl('wishlist');
+  if (!url) return;
+  const resp = await authFetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ items: wishlist }),
+  });
+  if (!resp.ok) throw new Error(`Failed to save wishlist: ${resp.status}`);
+}
+
+/** Keeps a wishlist change and writes it back; a failed write is retried later */
+async function saveWishlist() {
+  wishlistUnsaved = true;
+  persistWishlist();
+  try {
+    await pushWishlist();
+    wishlistUnsaved = false;
+    persistWishlist();
+  } catch { /* written back with the next change or page load */ }
+}
+
+/**
+ * Replaces the local wishlist with the server copy, once per page load.
+ * With `mergeLocal`, local (guest) items missing on the server are added to it.
+ */
+async function syncWishlist({ mergeLocal = false } = {}) {
+  const url = await customerUrl('wishlist');
+  if (!url || (wishlistSynced && !mergeLocal)) return;
+
+  if (wishlistUnsaved && !mergeLocal) {
+    // changes made while the server couldn't be reached win over its copy
+    await pushWishlist();
+    wishlistUnsaved = false;
+    wishlistSynced = true;
+    persistWishlist();
+    return;
+  }
+
+  const remote = await fetchRemoteWishlist(url);
+  const added = mergeLocal
+    ? wishlist.filter((local) => !remote.some((r) => r.sku === local.sku))
+    : [];
+  wishlist = [...remote, ...added];
+  wishlistSynced = true;
+  persistWishlist();
+  if (added.length) await pushWishlist();
+}
+
+restoreWishlist();
+
 // --- Payload helpers ---
 
+/**
+ * Recognises the placeholder the service worker answers with when an order
+ * request is queued offline.
+ * @param {Response} resp - Worker response
+ * @returns {Promise<{queued: true, id: string}|null>}
+ */
+async function readQueued(resp) {
+  if (resp.status !== 202 || !resp.headers.get(QUEUED_HEADER)) return null;
+  const { id } = await resp.json();
+  return { queued: true, id };
+}
+
+/**
+ * @param {{idempotencyKey?: string}} [options]
+ * @returns {Object<string, string>} Headers for an order or payment request
+ */
+function checkoutHeaders({ idempotencyKey } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (idempotencyKey) headers[IDEMPOTENCY_HEADER] = idempotencyKey;
+  return headers;
+}
+
 function buildItemsPayload(cart) {
-  return cart.items.map((item) => ({
+  return cart.items.filter((item) => !item.status).map((item) => ({
     sku: item.sku,
+    parentSku: item.parentSku || null,
+    options: pickOptions(item.options),
+    components: pickComponents(item.components),
     name: item.name,
     quantity: item.quantity,
     price: item.price,
+    discount: getItemDiscount(cart.discounts, item.sku),
     currency: item.currency || 'USD',
     image: item.image || '',
     url: item.url || '',
   }));
 }
 
+function buildDiscountsPayload(cart) {
+  return cart.discounts.map(({ code, type, amount }) => ({ code, type, amount }));
+}
+
+function buildShippingMethodPayload(cart) {
+  return { id: cart.shippingMethod, amount: cart.shipping };
+}
+
 // --- Adapter factory ---
 
 export default function createEdgeAdapter() {
+  shareOutboxAuth();
   return {
+    capabilities: [
+      'cart', 'session', 'coupons', 'shipping', 'tax', 'reconciliation', 'crossTabSync',
+      'wishlist', 'hostedCheckout', 'paypal', 'stripe', 'orders', 'auth', 'customer', 'addresses',
+      'idempotency', 'backInStock',
+    ],
+
     // Cart
 
     async addToCart(item) {
+      await syncedCart();
+      assertSameCurrency(item);
       const existing = items[item.sku];
+      const limits = item.limits || existing?.limits;
+      const error = checkQuantity((existing?.quantity || 0) + item.quantity, limits, item.name);
+      if (error) throw new Error(error);
       if (existing) {
         existing.quantity += item.quantity;
+        if (item.limits) existing.limits = item.limits;
       } else {
         items[item.sku] = { ...item };
       }
@@ -118,21 +669,45 @@ export default function createEdgeAdapter() {
     },
 
     async getCart() {
-      return buildCart();
+      await syncedCart();
+      return currentCart();
+    },
+
+    /**
+     * Registers a callback for cart changes made in other tabs.
+     * @param {Function} callback - Called with the updated cart
+     * @returns {Function} Unsubscribe function
+     */
+    onExternalCartChange(callback) {
+      externalChangeListeners.add(callback);
+      return () => externalChangeListeners.delete(callback);
+    },
+
+    async reconcileCart({ force = false } = {}) {
+      const changes = [...mergeChanges, ...await reconcile(force)];
+      mergeChanges = [];
+      return { cart: await currentCart(), changes };
     },
 
     async updateItemQuantity(sku, quantity) {
+      await syncedCart();
       if (!items[sku]) throw new Error(`Item ${sku} not in cart`);
       if (quantity <= 0) {
         delete items[sku];
       } else {
+        const error = checkQuantity(quantity, items[sku].limits, items[sku].name);
+        if (error) throw new Error(error);
         items[sku].quantity = quantity;
+        // Touching the line acknowledges price and quantity change notices
+        delete items[sku].previousPrice;
+        delete items[sku].previousQuantity;
       }
       persist();
       return buildCart();
     },
 
     async removeItem(sku) {
+      await syncedCart();
       delete items[sku];
       persist();
       return buildCart();
@@ -140,22 +715,66 @@ export default function createEdgeAdapter() {
 
     async clearCart() {
       items = {};
-      persistNow();
+      coupons = [];
+      persist({ immediate: true });
+    },
+
+    async applyCoupon(code) {
+      const rule = await resolveCoupon(code, buildCart());
+      if (!coupons.some((c) => c.code === rule.code)) {
+        coupons.push(rule);
+        persist();
+      }
+      return buildCart();
+    },
+
+    async removeCoupon(code) {
+      const normalized = String(code || '').trim().toUpperCase();
+      coupons = coupons.filter((c) => c.code !== normalized);
+      persist();
+      return buildCart();
+    },
+
+    async getShippingMethods({ address, cart } = {}) {
+      const current = await currentCart();
+      return quoteShippingMethods(shippingRates, {
+        country: address?.country || shippingCountry,
+        cart: cart || current,
+      });
+    },
+
+    async setShippingMethod(id, { address } = {}) {
+      const country = address?.country || shippingCountry;
+      const methods = await this.getShippingMethods({ address: { country } });
+      if (!methods.some((m) => m.id === id)) {
+        throw new Error(`Shipping method ${id} is not available`);
+      }
+      shippingMethod = id;
+      shippingCountry = country;
+      persist();
+      return buildCart();
+    },
+
+    async estimateTax({ cart, address } = {}) {
+      return estimateTableTax({ cart: cart || await currentCart(), address });
     },
 
     // Orders
 
-    async createCheckoutSession({ customer, shipping }) {
-      const cart = buildCart();
+    async createCheckoutSession({ customer, shipping }, options) {
+      const cart = await currentCart();
       const body = {
         customer,
         shipping,
         items: buildItemsPayload(cart),
+        discounts: buildDiscountsPayload(cart),
+        shippingMethod: buildShippingMethodPayload(cart),
+        tax: await buildTaxPayload(cart, shipping),
       };
 
-      const resp = await fetch(`${API_ORIGIN}/checkout`, {
+      const resp = await fetch(await apiUrl('/checkout'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: checkoutHeaders(options),
         body: JSON.stringify(body),
       });
 
@@ -166,17 +785,20 @@ export default function createEdgeAdapter() {
       return resp.json();
     },
 
-    async createPayPalOrder({ customer, shipping }) {
-      const cart = buildCart();
+    async createPayPalOrder({ customer, shipping }, options) {
+      const cart = await currentCart();
       const body = {
         customer,
         shipping,
         items: buildItemsPayload(cart),
+        discounts: buildDiscountsPayload(cart),
+        shippingMethod: buildShippingMethodPayload(cart),
+        tax: await buildTaxPayload(cart, shipping),
       };
 
-      const resp = await fetch(`${API_ORIGIN}/paypal/orders`, {
+      const resp = await fetch(await apiUrl('/paypal/orders'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: checkoutHeaders(options),
         body: JSON.stringify(body),
       });
 
@@ -187,17 +809,20 @@ export default function createEdgeAdapter() {
       return resp.json();
     },
 
-    async capturePayPalOrder(orderId, { customer, shipping }) {
-      const cart = buildCart();
+    async capturePayPalOrder(orderId, { customer, shipping }, options) {
+      const cart = await currentCart();
       const body = {
         customer,
         shipping,
         items: buildItemsPayload(cart),
+        discounts: buildDiscountsPayload(cart),
+        shippingMethod: buildShippingMethodPayload(cart),
+        tax: await buildTaxPayload(cart, shipping),
       };
 
-      const resp = await fetch(`${API_ORIGIN}/paypal/orders/${encodeURIComponent(orderId)}/capture`, {
+      const resp = await fetch(await apiUrl(`/paypal/orders/${encodeURIComponent(orderId)}/capture`), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: checkoutHeaders(options),
         body: JSON.stringify(body),
       });
 
@@ -205,16 +830,21 @@ export default function createEdgeAdapter() {
         throw new Error(`PayPal capture failed: ${resp.status}`);
       }
 
-      return resp.json();
+      return (await readQueued(resp)) || resp.json();
     },
 
-    async createStripePaymentIntent() {
-      const cart = buildCart();
-      const body = { items: buildItemsPayload(cart) };
+    async createStripePaymentIntent({ shipping } = {}, options = {}) {
+      const cart = await currentCart();
+      const body = {
+        items: buildItemsPayload(cart),
+        discounts: buildDiscountsPayload(cart),
+        shippingMethod: buildShippingMethodPayload(cart),
+        tax: await buildTaxPayload(cart, shipping),
+      };
 
-      const resp = await fetch(`${API_ORIGIN}/stripe/payment-intents`, {
+      const resp = await fetch(await apiUrl('/stripe/payment-intents'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: checkoutHeaders(options),
         body: JSON.stringify(body),
       });
 
@@ -225,17 +855,20 @@ export default function createEdgeAdapter() {
       return resp.json();
     },
 
-    async captureStripePaymentIntent(id, { customer, shipping }) {
-      const cart = buildCart();
+    async captureStripePaymentIntent(id, { customer, shipping }, options) {
+      const cart = await currentCart();
       const body = {
         customer,
         shipping,
         items: buildItemsPayload(cart),
+        discounts: buildDiscountsPayload(cart),
+        shippingMethod: buildShippingMethodPayload(cart),
+        tax: await buildTaxPayload(cart, shipping),
       };
 
-      const resp = await fetch(`${API_ORIGIN}/stripe/payment-intents/${encodeURIComponent(id)}/capture`, {
+      const resp = await fetch(await apiUrl(`/stripe/payment-intents/${encodeURIComponent(id)}/capture`), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: checkoutHeaders(options),
         body: JSON.stringify(body),
       });
 
@@ -243,38 +876,58 @@ export default function createEdgeAdapter() {
         throw new Error(`Stripe PaymentIntent capture failed: ${resp.status}`);
       }
 
+      return (await readQueued(resp)) || resp.json();
+    },
+
+    async getPaymentStatus(capability, id) {
+      const path = PAYMENT_STATUS_PATHS[capability];
+      if (!path) throw new Error(`Unknown payment capability "${capability}"`);
+      const resp = await fetch(await apiUrl(path(id)));
+      if (!resp.ok) {
+        throw new Error(`Payment status fetch failed: ${resp.status}`);
+      }
       return resp.json();
     },
 
-    async createOrder({ customer, shipping }) {
-      const cart = buildCart();
+    async createOrder({ customer, shipping }, options) {
+      const cart = await currentCart();
       const body = {
         customer,
         shipping,
-        items: cart.items.map((item) => {
+        items: cart.items.filter((item) => !item.status).map((item) => {
           let image = '';
           if (item.image) {
             try { image = new URL(item.image).pathname; } catch { image = item.image; }
           }
           return {
             sku: item.sku,
-            path: (item.url || '').split('/').pop() || '',
+            path: productPath(item.url),
             name: item.name,
             quantity: item.quantity,
             price: {
               currency: item.currency || 'USD',
               final: String(item.price),
             },
-            custom: { image, url: item.url || '' },
+            custom: {
+              image,
+              url: item.url || '',
+              parentSku: item.parentSku || null,
+              options: pickOptions(item.options),
+              components: pickComponents(item.components),
+              discount: getItemDiscount(cart.discounts, item.sku),
+            },
           };
         }),
+        discounts: buildDiscountsPayload(cart),
+        shippingMethod: buildShippingMethodPayload(cart),
+        tax: await buildTaxPayload(cart, shipping),
       };
 
-      const headers = { 'Content-Type': 'application/json' };
+      const headers = checkoutHeaders(options);
       const token = sessionStorage.getItem(AUTH_TOKEN_KEY);
       if (token) headers.Authorization = `Bearer ${token}`;
 
-      const resp = await fetch(`${API_ORIGIN}/orders`, {
+      const resp = await fetch(await apiUrl('/orders'), {
         method: 'POST',
         headers,
         body: JSON.stringify(body),
@@ -284,6 +937,8 @@ export default function createEdgeAdapter() {
         throw new Error(`Order creation failed: ${resp.status}`);
       }
 
+      const queued = await readQueued(resp);
+      if (queued) return queued;
       const data = await resp.json();
       return data.order;
     },
@@ -294,7 +949,7 @@ export default function createEdgeAdapter() {
       if (token) headers.Authorization = `Bearer ${token}`;
 
       const resp = await fetch(
-        `${API_ORIGIN}/orders/${encodeURIComponent(orderId)}`,
+        await apiUrl(`/orders/${encodeURIComponent(orderId)}`),
         { headers },
       );
       if (!resp.ok) {
@@ -304,10 +959,61 @@ export default function createEdgeAdapter() {
       return data.order;
     },
 
+    async getCheckoutAttempt(key) {
+      const resp = await fetch(await apiUrl(`/checkout/attempts/${encodeURIComponent(key)}`));
+      if (resp.status === 404) return [];
+      if (!resp.ok) {
+        throw new Error(`Checkout attempt fetch failed: ${resp.status}`);
+      }
+      const data = await resp.json();
+      return data.requests;
+    },
+
+    // Wishlist
+
+    async getWishlist() {
+      await syncWishlist();
+      return buildWishlist();
+    },
+
+    async addToWishlist(item) {
+      await syncWishlist();
+      const entry = {
+        sku: item.sku,
+        variantSku: item.variantSku || null,
+        name: item.name || '',
+        price: item.price ?? null,
+        currency: item.currency || null,
+        image: item.image || '',
+        url: item.url || '',
+        // what a line saved from the cart needs to go back into it as it was
+        ...(item.options?.length && { options: pickOptions(item.options) }),
+        ...(item.components?.length && { components: pickComponents(item.components) }),
+        ...(item.categories?.length && { categories: [...item.categories] }),
+        ...(item.weight && { weight: item.weight }),
+        addedAt: new Date().toISOString(),
+      };
+      const index = wishlist.findIndex((w) => w.sku === item.sku);
+      if (index >= 0) {
+        wishlist[index] = { ...entry, addedAt: wishlist[index].addedAt };
+      } else {
+        wishlist.unshift(entry);
+      }
+      await saveWishlist();
+      return buildWishlist();
+    },
+
+    async removeFromWishlist(sku) {
+      await syncWishlist();
+      wishlist = wishlist.filter((w) => w.sku !== sku);
+      await saveWishlist();
+      return buildWishlist();
+    },
+
     // Auth
 
     async login(email) {
-      const resp = await fetch(`${API_ORIGIN}/auth/login`, {
+      const resp = await fetch(await apiUrl('/auth/login'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ email }),
@@ -320,7 +1026,7 @@ export default function createEdgeAdapter() {
     },
 
     async verifyCode(email, code, hash, exp) {
-      const resp = await fetch(`${API_ORIGIN}/auth/callback`, {
+      const resp = await fetch(await apiUrl('/auth/callback'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -339,13 +1045,23 @@ export default function createEdgeAdapter() {
         email: data.email,
         roles: data.roles,
       }));
+      shareOutboxAuth();
+      // Carry the guest cart and wishlist over to the customer's account
+      await syncCart({ merge: true }).catch(() => {});
+      await syncWishlist({ mergeLocal: true }).catch(() => {});
       return data;
     },
 
     async logout() {
+      if (LOGOUT_CART_POLICY === 'clear') {
+        // Make sure the latest changes are saved before the token goes
+        clearTimeout(persistTimer);
+        await pushCart().catch(() => {});
+      }
+      if (wishlistUnsaved) await pushWishlist().catch(() => {});
       const token = sessionStorage.getItem(AUTH_TOKEN_KEY);
       try {
-        await fetch(`${API_ORIGIN}/auth/logout`, {
+        await fetch(await apiUrl('/auth/logout'), {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -355,6 +1071,19 @@ export default function createEdgeAdapter() {
       } catch { /* best-effort */ }
       sessionStorage.removeItem(AUTH_TOKEN_KEY);
       localStorage.removeItem(AUTH_USER_KEY);
+      // Orders queued offline are the customer's, and aren't sent once they've left
+      window.navigator?.serviceWorker?.controller?.postMessage({ type: 'commerce:clear-outbox' });
+      // The customer's cart and wishlist stay on the server
+      cartSynced = false;
+      if (LOGOUT_CART_POLICY === 'clear') {
+        applyCartState({});
+        writeStorage();
+      }
+      mergeChanges = [];
+      wishlist = [];
+      wishlistSynced = false;
+      wishlistUnsaved = false;
+      localStorage.removeItem(WISHLIST_KEY);
     },
 
     isLoggedIn() {
@@ -371,7 +1100,7 @@ export default function createEdgeAdapter() {
       const user = this.getCustomer();
       if (!user?.email) return null;
       const resp = await authFetch(
-        `${API_ORIGIN}/customers/${encodeURIComponent(user.email)}`,
+        await apiUrl(`/customers/${encodeURIComponent(user.email)}`),
       );
       if (!resp.ok) return null;
       const data = await resp.json();
@@ -382,7 +1111,7 @@ export default function createEdgeAdapter() {
       const user = this.getCustomer();
       if (!user?.email) return [];
       const resp = await authFetch(
-        `${API_ORIGIN}/customers/${encodeURIComponent(user.email)}/orders`,
+        await apiUrl(`/customers/${encodeURIComponent(user.email)}/orders`),
       );
       if (!resp.ok) return [];
       const data = await resp.json();
@@ -395,12 +1124,12 @@ export default function createEdgeAdapter() {
       const user = this.getCustomer();
       if (!user?.email) return [];
       const resp = await authFetch(
-        `${API_ORIGIN}/customers/${user.email}/addresses`,
+        await apiUrl(`/customers/${user.email}/addresses`),
       );
       if (!resp.ok) return [];
       const data = await resp.json();
       const list = data.addresses || [];
-      const base = `${API_ORIGIN}/customers/${user.email}/addresses`;
+      const base = await apiUrl(`/customers/${user.email}/addresses`);
       const full = await Promise.all(
         list.map(async (a) => {
           const r = await authFetch(`${base}/${a.id}`);
@@ -416,7 +1145,7 @@ export default function createEdgeAdapter() {
       const user = this.getCustomer();
       if (!user?.email) throw new Error('Not authenticated');
       const resp = await authFetch(
-        `${API_ORIGIN}/customers/${user.email}/addresses`,
+        await apiUrl(`/customers/${user.email}/addresses`),
         {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
@@ -432,11 +1161,48 @@ export default function createEdgeAdapter() {
       const user = this.getCustomer();
       if (!user?.email) throw new Error('Not authenticated');
       const resp = await authFetch(
-        `${API_ORIGIN}/customers/${user.email}/addresses/${addressId}`,
+        await apiUrl(`/customers/${user.email}/addresses/${addressId}`),
         { method: 'DELETE' },
       );
       if (!resp.ok) throw new Error(`Delete address failed: ${resp.status}`);
       return true;
     },
+
+    // Back in stock
+
+    async subscribeBackInStock(sku, email, { name = '', url = '' } = {}) {
+      const resp = await fetch(await apiUrl('/back-in-stock'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sku, email, name, url,
+        }),
+      });
+      if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        throw new Error(err.message || `Back-in-stock signup failed: ${resp.status}`);
+      }
+      const data = await resp.json();
+      return data.subscription;
+    },
+
+    async getBackInStockSubscriptions() {
+      const url = await customerUrl('back-in-stock');
+      if (!url) return [];
+      const resp = await authFetch(url);
+      if (!resp.ok) return [];
+      const data = await resp.json();
+      return data.subscriptions || [];
+    },
+
+    async cancelBackInStock(subscriptionId) {
+      const url = await customerUrl('back-in-stock');
+      if (!url) throw new Error('Not authenticated');
+      const resp = await authFetch(`${url}/${encodeURIComponent(subscriptionId)}`, {
+        method: 'DELETE',
+      });
+      if (!resp.ok) throw new Error(`Cancel back-in-stock alert failed: ${resp.status}`);
+      return true;
+    },
   };
 }
@@ -1,21 +1,117 @@
 /**
  * Mock commerce adapter.
- * Client-side cart persisted to localStorage, no network calls.
- * Useful for UI development and testing without a backend.
+ * A complete offline backend: client-side cart persisted to localStorage, and
+ * customers, addresses, orders and one-time codes from a fixture dataset
+ * (see mock-fixtures.js). Useful for UI development and testing without a
+ * backend.
+ *
+ * Latency, failures and token expiry can be simulated with a JSON config in
+ * localStorage under 'mock-config':
+ *   latency   — delay before every call resolves, in ms or as [min, max]
+ *   errorRate — chance (0–1) that any call fails
+ *   failOn    — methods that always fail, e.g. ["createOrder"]
+ *   tokenTtl  — seconds a sign-in lasts (default 3600); expiry is announced
+ *               with an auth-state-changed event with reason 'token_expired'
+ *   fixtures  — URL of a JSON dataset to use instead of mock-fixtures.js
+ *
+ *   localStorage.setItem('mock-config', '{"latency":[200,800],"tokenTtl":30}');
  */
 
+import { pickComponents } from '../bundles.js';
+import { resolveCoupon, calculateDiscounts } from '../discounts.js';
+import {
+  DEFAULT_SHIPPING_RATES,
+  quoteShippingMethods,
+  selectShippingMethod,
+} from '../shipping.js';
+import { checkQuantity } from '../inventory.js';
+import { toMinorUnits } from '../money.js';
+import { createTableTaxCalculator, parseTaxRate } from '../tax.js';
+import { pickOptions, productPath } from '../variant-options.js';
+import DEFAULT_FIXTURES from '../mock-fixtures.js';
+
 const STORAGE_KEY = 'mock-cart';
+const COUPONS_KEY = 'mock-coupons';
+const WISHLIST_KEY = 'mock-wishlist';
+const ACCOUNTS_KEY = 'mock-accounts';
+const AUTH_TOKEN_KEY = 'mock-auth-token';
+const AUTH_USER_KEY = 'mock-auth-user';
+const BACK_IN_STOCK_KEY = 'mock-back-in-stock';
+const PAYMENTS_KEY = 'mock-payments';
+const CONFIG_KEY = 'mock-config';
+const DEFAULT_TOKEN_TTL = 3600;
+const OTP_TTL = 10 * 60 * 1000;
+
+/** Methods answered synchronously, never delayed or failed */
+const SYNC_METHODS = ['isLoggedIn', 'getCustomer'];
+
+/**
+ * Fixture tax table: exclusive US state rates and inclusive VAT for GB/DE.
+ * @type {Array<Object>}
+ */
+const MOCK_TAX_RATES = [
+  { country: 'US', state: 'CA', rate: 7.25 },
+  { country: 'US', state: 'NY', rate: 8.875 },
+  { country: 'US', rate: 0 },
+  {
+    country: 'CA', rate: 5, shipping: true, label: 'GST',
+  },
+  {
+    country: 'GB', rate: 20, inclusive: true, shipping: true, label: 'VAT',
+  },
+  {
+    country: 'DE', rate: 19, inclusive: true, shipping: true, label: 'MwSt.',
+  },
+].map(parseTaxRate);
+
+const estimateMockTax = createTableTaxCalculator(() => MOCK_TAX_RATES);
 
 let items = {};
+let coupons = [];
+let shippingMethod = null;
+let shippingCountry = '';
 let orderCounter = 0;
+let wishlist = [];
 const orders = {};
 
+// --- Idempotency ---
+// Order and payment requests repeated with the same key get the first
+// answer, as from the worker. Kept in memory, so a reload forgets them.
+
+/** @type {Map<string, {key: string, request: string, createdAt: string, result: Promise}>} */
+const replays = new Map();
+
+/**
+ * @param {{idempotencyKey?: string}} [options]
+ * @param {string} request - Names the request, e.g. 'capturePayPalOrder <id>'
+ * @param {Function} fn - Answers it
+ * @returns {Promise<*>}
+ */
+function idempotent(options, request, fn) {
+  const key = options?.idempotencyKey;
+  if (!key) return fn();
+  const id = `${key} ${request}`;
+  if (!replays.has(id)) {
+    const result = fn().catch((err) => {
+      replays.delete(id);
+      throw err;
+    });
+    replays.set(id, {
+      key, request, createdAt: new Date().toISOString(), result,
+    });
+  }
+  return replays.get(id).result;
+}
+
 function save() {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.values(items)));
+  localStorage.setItem(COUPONS_KEY, JSON.stringify(coupons));
+  localStorage.setItem(WISHLIST_KEY, JSON.stringify(wishlist));
 }
 
 function restore() {
   try {
+    wishlist = JSON.parse(localStorage.getItem(WISHLIST_KEY) || '[]');
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return;
     const parsed = JSON.parse(raw);
@@ -23,33 +119,323 @@ function restore() {
       acc[item.sku] = item;
       return acc;
     }, {});
+    coupons = JSON.parse(localStorage.getItem(COUPONS_KEY) || '[]');
   } catch {
     localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(COUPONS_KEY);
+  }
+}
+
+/**
+ * The currency the cart is priced in, taken from its first priced item.
+ * @returns {string|null} Currency code, or null for an empty cart
+ */
+function getCartCurrency() {
+  const priced = Object.values(items).find((i) => i.currency);
+  return priced ? priced.currency.toUpperCase() : null;
+}
+
+/**
+ * Rejects items priced in a different currency from the cart.
+ * @param {Object} item - Item being added
+ * @throws {Error} When the currencies differ
+ */
+function assertSameCurrency(item) {
+  const current = getCartCurrency();
+  if (current && item.currency && item.currency.toUpperCase() !== current) {
+    throw new Error(`Your cart is priced in ${current}. Check out or clear it before adding items priced in ${item.currency.toUpperCase()}.`);
   }
 }
 
 function buildCart() {
   const allItems = Object.values(items);
   const subtotal = allItems.reduce((sum, i) => sum + i.quantity * i.price, 0);
+  const method = selectShippingMethod(
+    quoteShippingMethods(DEFAULT_SHIPPING_RATES, {
+      country: shippingCountry,
+      cart: { items: allItems, subtotal },
+    }),
+    shippingMethod,
+  );
+  const shipping = method?.amount || 0;
+  const discounts = calculateDiscounts(coupons, { items: allItems, subtotal, shipping });
+  const discountTotal = discounts.reduce((sum, d) => sum + d.amount, 0);
   return {
     items: allItems,
     itemCount: allItems.reduce((sum, i) => sum + i.quantity, 0),
     subtotal,
-    shipping: 0,
+    shipping,
+    shippingMethod: method?.id || null,
+    coupons: coupons.map((c) => c.code),
+    discounts,
+    total: Math.max(0, subtotal + shipping - discountTotal),
+    currency: getCartCurrency(),
   };
 }
 
 // restore on module load
 restore();
 
+// --- Payments ---
+// Payments are approved straight away. Their status is kept in
+// sessionStorage so the confirmation page a hosted checkout sends the
+// shopper to can still read it.
+
+function readPayments() {
+  try {
+    return JSON.parse(sessionStorage.getItem(PAYMENTS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Records a payment for the cart as paid.
+ * @param {string} id - Session, PayPal order or payment intent id
+ * @param {{customer: Object, shipping: Object}} details - Checkout details
+ * @param {Object} [extra] - Provider fields to report with the status
+ * @returns {Promise<import('../payments/registry.js').PaymentStatus>}
+ */
+async function recordPayment(id, { customer, shipping }, extra = {}) {
+  const cart = buildCart();
+  const currency = cart.currency || 'USD';
+  const tax = await estimateMockTax({ cart, address: shipping });
+  const amount = cart.total + (tax && !tax.inclusive ? tax.amount : 0);
+  const payment = {
+    ...extra,
+    payment_status: 'paid',
+    customer_email: customer?.email || '',
+    amount_total: toMinorUnits(amount, currency),
+    currency: currency.toLowerCase(),
+  };
+  sessionStorage.setItem(PAYMENTS_KEY, JSON.stringify({ ...readPayments(), [id]: payment }));
+  return payment;
+}
+
+// --- Simulation ---
+
+function getConfig() {
+  try {
+    return JSON.parse(localStorage.getItem(CONFIG_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function simulateLatency({ latency = 0 }) {
+  const [min, max] = (Array.isArray(latency) ? latency : [latency, latency])
+    .map((ms) => Number(ms) || 0);
+  const ms = min + Math.random() * Math.max(0, max - min);
+  return ms > 0 ? new Promise((resolve) => { setTimeout(resolve, ms); }) : Promise.resolve();
+}
+
+/**
+ * Wraps every asynchronous adapter method with the configured latency and
+ * error injection. The config is read on each call, so it can be changed
+ * without reloading.
+ * @param {Object} adapter - Adapter instance
+ * @returns {Object} The same adapter
+ */
+function simulate(adapter) {
+  Object.entries(adapter).forEach(([name, method]) => {
+    if (typeof method !== 'function' || SYNC_METHODS.includes(name)) return;
+    adapter[name] = async function simulated(...args) {
+      const config = getConfig();
+      await simulateLatency(config);
+      const failOn = Array.isArray(config.failOn) ? config.failOn : [];
+      if (failOn.includes(name) || Math.random() < (Number(config.errorRate) || 0)) {
+        throw new Error(`Something went wrong (simulated ${name} failure)`);
+      }
+      return method.apply(this, args);
+    };
+  });
+  return adapter;
+}
+
+// --- Accounts ---
+// Customers start from the fixture dataset. Changes made while developing
+// (addresses, orders, new customers) are kept in localStorage until it is
+// cleared or a different dataset is configured.
+
+let accountsPromise = null;
+
+async function loadFixtures(url) {
+  if (!url) return DEFAULT_FIXTURES;
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Failed to load mock fixtures: ${resp.status}`);
+  return resp.json();
+}
+
+function loadAccounts() {
+  if (!accountsPromise) {
+    const source = getConfig().fixtures || '';
+    accountsPromise = (async () => {
+      try {
+        const stored = JSON.parse(localStorage.getItem(ACCOUNTS_KEY));
+        if (stored && stored.source === source) return stored;
+      } catch { /* rebuilt from the fixtures */ }
+      const fixtures = await loadFixtures(source);
+      const customers = (fixtures.customers || []).map((customer) => ({
+        addresses: [],
+        orders: [],
+        roles: ['customer'],
+        ...customer,
+        email: customer.email.toLowerCase(),
+      }));
+      return {
+        source,
+        otp: String(fixtures.otp || DEFAULT_FIXTURES.otp),
+        customers: Object.fromEntries(customers.map((c) => [c.email, c])),
+      };
+    })().catch((err) => {
+      accountsPromise = null;
+      throw err;
+    });
+  }
+  return accountsPromise;
+}
+
+async function saveAccounts() {
+  localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(await loadAccounts()));
+}
+
+// --- Back in stock ---
+// Signups from guests and customers alike, kept in localStorage; signed-in
+// customers see and cancel the ones made with their email.
+
+function readSubscriptions() {
+  try {
+    return JSON.parse(localStorage.getItem(BACK_IN_STOCK_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveSubscriptions(list) {
+  localStorage.setItem(BACK_IN_STOCK_KEY, JSON.stringify(list));
+}
+
+// --- Session ---
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function otpHash(email, exp) {
+  return btoa(encodeURIComponent(`${email}:${exp}`));
+}
+
+function readSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(AUTH_TOKEN_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function endSession() {
+  sessionStorage.removeItem(AUTH_TOKEN_KEY);
+  localStorage.removeItem(AUTH_USER_KEY);
+}
+
+/**
+ * The signed-in customer's account. An expired token ends the session and is
+ * announced the way the edge adapter announces a 401.
+ * @returns {Promise<Object|null>} Account, or null when signed out or expired
+ */
+async function currentAccount() {
+  const session = readSession();
+  if (!session) return null;
+  if (Date.now() >= session.expiresAt) {
+    endSession();
+    document.dispatchEvent(new CustomEvent('commerce:auth-state-changed', {
+      detail: { loggedIn: false, email: null, reason: 'token_expired' },
+    }));
+    return null;
+  }
+  const accounts = await loadAccounts();
+  return accounts.customers[session.email] || null;
+}
+
+async function findOrder(orderId) {
+  if (orders[orderId]) return orders[orderId];
+  const accounts = await loadAccounts();
+  return Object.values(accounts.customers)
+    .flatMap((c) => c.orders)
+    .find((o) => o.id === orderId) || null;
+}
+
+/**
+ * Places an order for the cart. Shared by createOrder and hosted checkout,
+ * so the simulated latency and failures apply once per call.
+ * @param {{customer: Object, shipping: Object}} details - Checkout details
+ * @returns {Promise<Object>} The order
+ */
+async function placeOrder({ customer, shipping }) {
+  // eslint-disable-next-line no-console
+  console.log('[mock] createOrder', { customer, shipping, items: Object.values(items) });
+  orderCounter += 1;
+
+  const orderItems = Object.values(items).map((item) => {
+    let image = '';
+    if (item.image) {
+      try { image = new URL(item.image).pathname; } catch { image = item.image; }
+    }
+    return {
+      sku: item.sku,
+      path: productPath(item.url),
+      name: item.name,
+      quantity: item.quantity,
+      price: {
+        currency: item.currency || 'USD',
+        final: String(item.price),
+      },
+      custom: {
+        image,
+        url: item.url || '',
+        parentSku: item.parentSku || null,
+        options: pickOptions(item.options),
+        components: pickComponents(item.components),
+      },
+    };
+  });
+
+  const order = {
+    // unique across reloads, since signed-in customers' orders are kept
+    id: `mock-${Date.now().toString(36)}${orderCounter}`,
+    customer,
+    shipping,
+    items: orderItems,
+    state: 'completed',
+    createdAt: new Date().toISOString(),
+  };
+  orders[order.id] = order;
+  const account = await currentAccount();
+  if (account) {
+    account.orders.push(order);
+    await saveAccounts();
+  }
+  return order;
+}
+
 export default function createMockAdapter() {
-  return {
+  return simulate({
+    capabilities: [
+      'cart', 'session', 'coupons', 'shipping', 'tax', 'wishlist', 'hostedCheckout', 'paypal',
+      'stripe', 'orders', 'auth', 'customer', 'addresses', 'idempotency', 'backInStock',
+    ],
+
     async addToCart(item) {
       // eslint-disable-next-line no-console
       console.log('[mock] addToCart', item);
+      assertSameCurrency(item);
       const existing = items[item.sku];
+      const limits = item.limits || existing?.limits;
+      const error = checkQuantity((existing?.quantity || 0) + item.quantity, limits, item.name);
+      if (error) throw new Error(error);
       if (existing) {
         existing.quantity += item.quantity;
+        if (item.limits) existing.limits = item.limits;
       } else {
         items[item.sku] = { ...item };
       }
@@ -64,9 +450,12 @@ export default function createMockAdapter() {
     async updateItemQuantity(sku, quantity) {
       // eslint-disable-next-line no-console
       console.log('[mock] updateItemQuantity', sku, quantity);
+      if (!items[sku]) throw new Error(`Item ${sku} not in cart`);
       if (quantity <= 0) {
         delete items[sku];
-      } else if (items[sku]) {
+      } else {
+        const error = checkQuantity(quantity, items[sku].limits, items[sku].name);
+        if (error) throw new Error(error);
         items[sku].quantity = quantity;
       }
       save();
@@ -85,87 +474,288 @@ export default function createMockAdapter() {
       // eslint-disable-next-line no-console
       console.log('[mock] clearCart');
       items = {};
+      coupons = [];
       save();
     },
 
-    async createPayPalOrder({ customer, shipping }) {
+    async applyCoupon(code) {
       // eslint-disable-next-line no-console
-      console.log('[mock] createPayPalOrder', { customer, shipping });
-      orderCounter += 1;
-      return { id: `mock-paypal-${orderCounter}` };
+      console.log('[mock] applyCoupon', code);
+      const rule = await resolveCoupon(code, buildCart());
+      if (!coupons.some((c) => c.code === rule.code)) coupons.push(rule);
+      save();
+      return buildCart();
     },
 
-    async capturePayPalOrder(orderId, { customer, shipping }) {
+    async removeCoupon(code) {
       // eslint-disable-next-line no-console
-      console.log('[mock] capturePayPalOrder', { orderId, customer, shipping });
-      return {
-        status: 'COMPLETED',
-        paypal_order_id: orderId,
-        customer_email: customer.email,
-        amount_total: 0,
-        currency: 'usd',
-      };
+      console.log('[mock] removeCoupon', code);
+      const normalized = String(code || '').trim().toUpperCase();
+      coupons = coupons.filter((c) => c.code !== normalized);
+      save();
+      return buildCart();
+    },
+
+    async getShippingMethods({ address, cart } = {}) {
+      return quoteShippingMethods(DEFAULT_SHIPPING_RATES, {
+        country: address?.country || shippingCountry,
+        cart: cart || buildCart(),
+      });
     },
 
-    async createStripePaymentIntent() {
+    async setShippingMethod(id, { address } = {}) {
       // eslint-disable-next-line no-console
-      console.log('[mock] createStripePaymentIntent');
-      orderCounter += 1;
-      return { clientSecret: `mock_secret_${orderCounter}`, id: `mock_pi_${orderCounter}` };
+      console.log('[mock] setShippingMethod', id, address);
+      shippingCountry = address?.country || shippingCountry;
+      shippingMethod = id;
+      return buildCart();
+    },
+
+    async estimateTax({ cart, address } = {}) {
+      return estimateMockTax({ cart: cart || buildCart(), address });
+    },
+
+    async createCheckoutSession({ customer, shipping }, options) {
+      return idempotent(options, 'createCheckoutSession', async () => {
+        // eslint-disable-next-line no-console
+        console.log('[mock] createCheckoutSession', { customer, shipping });
+        const order = await placeOrder({ customer, shipping });
+        const id = `mock_cs_${order.id}`;
+        await recordPayment(id, { customer, shipping }, { order_id: order.id });
+        return { id, url: `/order-confirmation?session_id=${id}` };
+      });
     },
 
-    async captureStripePaymentIntent(id, { customer, shipping }) {
+    async createPayPalOrder({ customer, shipping }, options) {
+      return idempotent(options, 'createPayPalOrder', async () => {
+        // eslint-disable-next-line no-console
+        console.log('[mock] createPayPalOrder', { customer, shipping });
+        orderCounter += 1;
+        return { id: `mock-paypal-${orderCounter}` };
+      });
+    },
+
+    async capturePayPalOrder(orderId, { customer, shipping }, options) {
+      return idempotent(options, `capturePayPalOrder ${orderId}`, async () => {
+        // eslint-disable-next-line no-console
+        console.log('[mock] capturePayPalOrder', { orderId, customer, shipping });
+        return recordPayment(orderId, { customer, shipping }, {
+          status: 'COMPLETED', paypal_order_id: orderId,
+        });
+      });
+    },
+
+    async createStripePaymentIntent({ shipping } = {}, options = {}) {
+      return idempotent(options, 'createStripePaymentIntent', async () => {
+        // eslint-disable-next-line no-console
+        console.log('[mock] createStripePaymentIntent', { shipping });
+        orderCounter += 1;
+        return { clientSecret: `mock_secret_${orderCounter}`, id: `mock_pi_${orderCounter}` };
+      });
+    },
+
+    async captureStripePaymentIntent(id, { customer, shipping }, options) {
+      return idempotent(options, `captureStripePaymentIntent ${id}`, async () => {
+        // eslint-disable-next-line no-console
+        console.log('[mock] captureStripePaymentIntent', { id, customer, shipping });
+        return recordPayment(id, { customer, shipping }, {
+          status: 'succeeded', payment_intent_id: id,
+        });
+      });
+    },
+
+    async getPaymentStatus(capability, id) {
+      const payment = readPayments()[id];
+      if (!payment) throw new Error(`Payment ${id} not found`);
+      return payment;
+    },
+
+    async createOrder({ customer, shipping }, options) {
+      return idempotent(options, 'createOrder', () => placeOrder({ customer, shipping }));
+    },
+
+    async getOrder(orderId) {
+      return findOrder(orderId);
+    },
+
+    async getCheckoutAttempt(key) {
+      const recorded = [...replays.values()].filter((r) => r.key === key);
+      return Promise.all(recorded.map(async ({ request, createdAt, result }) => ({
+        request, createdAt, result: await result,
+      })));
+    },
+
+    async getWishlist() {
+      return { items: [...wishlist], itemCount: wishlist.length };
+    },
+
+    async addToWishlist(item) {
       // eslint-disable-next-line no-console
-      console.log('[mock] captureStripePaymentIntent', { id, customer, shipping });
-      return {
-        status: 'succeeded',
-        payment_intent_id: id,
-        customer_email: customer.email,
-        amount_total: 0,
-        currency: 'usd',
-      };
+      console.log('[mock] addToWishlist', item);
+      wishlist = [
+        { ...item, addedAt: new Date().toISOString() },
+        ...wishlist.filter((w) => w.sku !== item.sku),
+      ];
+      save();
+      return { items: [...wishlist], itemCount: wishlist.length };
     },
 
-    async createOrder({ customer, shipping }) {
+    async removeFromWishlist(sku) {
       // eslint-disable-next-line no-console
-      console.log('[mock] createOrder', { customer, shipping, items: Object.values(items) });
-      orderCounter += 1;
-
-      const orderItems = Object.values(items).map((item) => {
-        let image = '';
-        if (item.image) {
-          try { image = new URL(item.image).pathname; } catch { image = item.image; }
-        }
-        return {
-          sku: item.sku,
-          path: (item.url || '').split('/').pop() || '',
-          name: item.name,
-          quantity: item.quantity,
-          price: {
-            currency: item.currency || 'USD',
-            final: String(item.price),
-          },
-          custom: { image, url: item.url || '' },
+      console.log('[mock] removeFromWishlist', sku);
+      wishlist = wishlist.filter((w) => w.sku !== sku);
+      save();
+      return { items: [...wishlist], itemCount: wishlist.length };
+    },
+
+    // Auth
+
+    async login(email) {
+      const normalized = normalizeEmail(email);
+      if (!/^[^@\s]+@[^@\s]+$/.test(normalized)) throw new Error('Enter a valid email address');
+      const accounts = await loadAccounts();
+      const code = accounts.customers[normalized]?.otp || accounts.otp;
+      // eslint-disable-next-line no-console
+      console.log(`[mock] login code for ${normalized}: ${code}`);
+      const exp = Date.now() + OTP_TTL;
+      return { hash: otpHash(normalized, exp), exp };
+    },
+
+    async verifyCode(email, code, hash, exp) {
+      const normalized = normalizeEmail(email);
+      if (hash !== otpHash(normalized, exp)) throw new Error('Invalid code');
+      if (Date.now() > exp) throw new Error('This code has expired. Request a new one.');
+      const accounts = await loadAccounts();
+      let account = accounts.customers[normalized];
+      if (String(code).trim() !== String(account?.otp || accounts.otp)) {
+        throw new Error('Invalid code');
+      }
+      if (!account) {
+        // the first sign-in creates the account
+        account = {
+          email: normalized, roles: ['customer'], addresses: [], orders: [],
         };
-      });
+        accounts.customers[normalized] = account;
+        await saveAccounts();
+      }
 
-      const order = {
-        id: `mock-${orderCounter}`,
-        customer,
-        shipping,
-        items: orderItems,
-        state: 'completed',
+      const ttl = Number(getConfig().tokenTtl) || DEFAULT_TOKEN_TTL;
+      const token = `mock-token-${Date.now().toString(36)}`;
+      sessionStorage.setItem(AUTH_TOKEN_KEY, JSON.stringify({
+        token, email: normalized, expiresAt: Date.now() + ttl * 1000,
+      }));
+      localStorage.setItem(AUTH_USER_KEY, JSON.stringify({
+        email: normalized,
+        roles: account.roles,
+      }));
+      return { email: normalized, roles: account.roles, token };
+    },
+
+    async logout() {
+      // eslint-disable-next-line no-console
+      console.log('[mock] logout');
+      endSession();
+    },
+
+    isLoggedIn() {
+      return !!readSession();
+    },
+
+    getCustomer() {
+      try {
+        return JSON.parse(localStorage.getItem(AUTH_USER_KEY));
+      } catch {
+        return null;
+      }
+    },
+
+    async getCustomerProfile() {
+      const account = await currentAccount();
+      if (!account) return null;
+      const {
+        addresses, orders: history, otp, ...profile
+      } = account;
+      return profile;
+    },
+
+    async getOrders() {
+      const account = await currentAccount();
+      if (!account) return [];
+      return [...account.orders]
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    },
+
+    // Addresses
+
+    async getAddresses() {
+      const account = await currentAccount();
+      return account ? account.addresses.map((a) => ({ ...a })) : [];
+    },
+
+    async createAddress(address) {
+      const account = await currentAccount();
+      if (!account) throw new Error('Not authenticated');
+      const created = { ...address, id: `addr-${crypto.randomUUID().slice(0, 8)}` };
+      // the first address is the default, and there is only ever one
+      if (created.isDefault || !account.addresses.length) {
+        account.addresses.forEach((a) => { a.isDefault = false; });
+        created.isDefault = true;
+      }
+      account.addresses.push(created);
+      await saveAccounts();
+      return { ...created };
+    },
+
+    async deleteAddress(addressId) {
+      const account = await currentAccount();
+      if (!account) throw new Error('Not authenticated');
+      const remaining = account.addresses.filter((a) => a.id !== addressId);
+      if (remaining.length === account.addresses.length) {
+        throw new Error('Delete address failed: 404');
+      }
+      account.addresses = remaining;
+      await saveAccounts();
+      return true;
+    },
+
+    // Back in stock
+
+    async subscribeBackInStock(sku, email, { name = '', url = '' } = {}) {
+      const address = normalizeEmail(email);
+      if (!sku || !/^[^@\s]+@[^@\s]+$/.test(address)) {
+        throw new Error('Enter a valid email address');
+      }
+      const list = readSubscriptions();
+      const existing = list.find((s) => s.sku === sku && s.email === address);
+      if (existing) return { ...existing };
+      const subscription = {
+        id: `bis-${crypto.randomUUID().slice(0, 8)}`,
+        sku,
+        email: address,
+        name,
+        url,
         createdAt: new Date().toISOString(),
       };
-      orders[order.id] = order;
-      return order;
+      saveSubscriptions([...list, subscription]);
+      return { ...subscription };
     },
 
-    async getOrder(orderId) {
-      return orders[orderId] || null;
+    async getBackInStockSubscriptions() {
+      if (!await currentAccount()) return [];
+      const { email } = readSession();
+      return readSubscriptions().filter((s) => s.email === email);
     },
 
-    isLoggedIn() { return false; },
-    getCustomer() { return null; },
-  };
+    async cancelBackInStock(subscriptionId) {
+      if (!await currentAccount()) throw new Error('Not authenticated');
+      const { email } = readSession();
+      const list = readSubscriptions();
+      const remaining = list.filter((s) => s.id !== subscriptionId || s.email !== email);
+      if (remaining.length === list.length) {
+        throw new Error('Cancel back-in-stock alert failed: 404');
+      }
+      saveSubscriptions(remaining);
+      return true;
+    },
+  });
 }
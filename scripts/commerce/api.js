@@ -8,7 +8,14 @@
  * @module commerce/api
  */
 
+import {
+  endAttempt, getAttempt, getUnansweredRequest, isAttemptBusy, resetAttempt, runInAttempt,
+} from './checkout-attempt.js';
+import { REQUIRED_CAPABILITIES, checkAdapter } from './contract.js';
 import { EVENTS, dispatch, listen } from './events.js';
+import {
+  getSnapshot, markCleared, remainingQuantities, saveSnapshot, wasCleared,
+} from './order-snapshot.js';
 
 /**
  * Default adapter. Change this to switch backends site-wide.
@@ -23,6 +30,14 @@ let adapter = null;
 /** @type {Promise<Object>|null} In-flight adapter loading promise */
 let loading = null;
 
+/** @type {Set<string>} Capabilities the loaded adapter supports (see contract.js) */
+let capabilities = new Set();
+
+/** Returned for reads from adapters without the tax capability */
+const NO_TAX = {
+  amount: 0, rate: 0, label: 'Tax', inclusive: false, shipping: 0, lines: [],
+};
+
 /**
  * Resolves the adapter name from localStorage override or default constant.
  * @returns {string}
@@ -32,7 +47,9 @@ function getAdapterName() {
 }
 
 /**
- * Lazy-loads and caches the configured adapter.
+ * Lazy-loads and caches the configured adapter, checking it against the
+ * adapter contract. Optional capabilities it lacks are only reported;
+ * without the required ones the adapter is unusable.
  * @returns {Promise<Object>} The adapter instance
  */
 async function loadAdapter() {
@@ -41,22 +58,155 @@ async function loadAdapter() {
 
   const name = getAdapterName();
   loading = import(`./adapters/${name}.js`).then((mod) => {
-    adapter = mod.default();
+    const instance = mod.default();
+    const { capabilities: supported, errors } = checkAdapter(instance);
+    if (errors.length) {
+      // eslint-disable-next-line no-console
+      console.warn(`[commerce] The ${name} adapter doesn't meet the adapter contract:`, errors);
+    }
+    if (!REQUIRED_CAPABILITIES.every((c) => supported.has(c))) {
+      throw new Error(`The ${name} commerce adapter can't be used: ${errors.join('; ')}`);
+    }
+
+    adapter = instance;
+    capabilities = supported;
     loading = null;
+    // Carts changed in another tab are announced like any other cart update
+    if (capabilities.has('crossTabSync')) {
+      adapter.onExternalCartChange((cart) => {
+        dispatch(EVENTS.CART_UPDATED, { cart, action: 'sync' });
+      });
+    }
     return adapter;
+  }).catch((err) => {
+    loading = null;
+    throw err;
   });
 
   return loading;
 }
 
+/**
+ * Loads the adapter for an operation that needs a capability.
+ * @param {string} capability - Capability from contract.js
+ * @returns {Promise<Object>} The adapter instance
+ * @throws {Error} When the adapter doesn't support the capability
+ */
+async function loadAdapterFor(capability) {
+  const a = await loadAdapter();
+  if (!capabilities.has(capability)) {
+    throw new Error(`This store doesn't support ${capability} (${getAdapterName()} adapter)`);
+  }
+  return a;
+}
+
+// --- Connectivity ---
+// Blocks learn about the connection through CONNECTIVITY_CHANGED. When it
+// comes back the service worker is asked to replay the checkout requests it
+// queued while offline; how each one went is reported as OUTBOX_REPLAYED.
+
+window.addEventListener('online', () => {
+  dispatch(EVENTS.CONNECTIVITY_CHANGED, { online: true });
+  navigator.serviceWorker?.controller?.postMessage({ type: 'commerce:replay-outbox' });
+});
+
+window.addEventListener('offline', () => {
+  dispatch(EVENTS.CONNECTIVITY_CHANGED, { online: false });
+});
+
+navigator.serviceWorker?.addEventListener('message', (e) => {
+  if (e.data?.type !== 'commerce:outbox-replayed') return;
+  const {
+    id, ok, status, data,
+  } = e.data;
+  dispatch(EVENTS.OUTBOX_REPLAYED, {
+    id, ok, status, data,
+  });
+});
+
+// --- Checkout attempts ---
+// Order and payment requests carry the idempotency key of the checkout
+// attempt (see checkout-attempt.js). CHECKOUT_STATE_CHANGED reports whether
+// one is in flight, so blocks can lock their checkout UI meanwhile.
+
+/** Operations whose answer is a placed order, which ends the attempt */
+const PLACES_ORDER = ['capturePayPalOrder', 'captureStripePaymentIntent', 'createOrder'];
+
+/** Operations that pay for the cart, and where each finds the payment id */
+const PAYMENT_IDS = {
+  createCheckoutSession: (result) => result?.id,
+  createPayPalOrder: (result) => result?.id,
+  createStripePaymentIntent: (result) => result?.id,
+  capturePayPalOrder: (result, [id]) => id,
+  captureStripePaymentIntent: (result, [id]) => id,
+};
+
+/**
+ * Keeps what a payment is for, for the order confirmation page (see
+ * order-snapshot.js). Taken again on capture, which has the customer details.
+ * @param {string} paymentId
+ * @param {{customer?: Object, shipping?: Object}} [details] - Sent with the payment
+ */
+async function snapshotCart(paymentId, { customer, shipping } = {}) {
+  try {
+    const a = await loadAdapter();
+    const cart = await a.getCart();
+    const address = shipping?.country ? shipping : undefined;
+    const tax = capabilities.has('tax') ? await a.estimateTax({ cart, address }) : null;
+    const methods = capabilities.has('shipping') ? await a.getShippingMethods({ cart, address }) : [];
+    saveSnapshot(paymentId, {
+      cart,
+      customer: customer || getSnapshot(paymentId)?.customer,
+      shipping,
+      tax,
+      shippingMethod: methods.find((m) => m.id === cart.shippingMethod) || null,
+    });
+  } catch { /* the confirmation page makes do with the order */ }
+}
+
+/**
+ * @param {string} operation - Public API method
+ * @param {Array} args - Its arguments
+ * @param {function({idempotencyKey: string}): Promise<*>} send - Calls the adapter
+ * @returns {Promise<*>} The adapter's answer
+ */
+async function sendInAttempt(operation, args, send) {
+  const cart = await (await loadAdapter()).getCart();
+  const request = runInAttempt(operation, args, (idempotencyKey) => send({ idempotencyKey }), cart);
+  dispatch(EVENTS.CHECKOUT_STATE_CHANGED, { busy: true });
+  try {
+    const result = await request;
+    const paymentId = PAYMENT_IDS[operation]?.(result, args);
+    if (paymentId) await snapshotCart(paymentId, args.find((arg) => typeof arg === 'object'));
+    if (PLACES_ORDER.includes(operation)) endAttempt();
+    return result;
+  } finally {
+    dispatch(EVENTS.CHECKOUT_STATE_CHANGED, { busy: isAttemptBusy() });
+  }
+}
+
+// A different cart is a different purchase
+listen(EVENTS.CART_UPDATED, (e) => resetAttempt(e.detail.cart));
+
 /**
  * Public commerce API.
  *
  * Every method lazy-loads the adapter on first call. Cart-mutating methods
  * dispatch standardized events after the adapter completes its work.
+ * When the adapter lacks a capability, reads return an empty result and
+ * actions throw; blocks can ask `supports()` to hide what won't work.
  */
 /* eslint-disable import/prefer-default-export -- single named export is the public API */
 export const commerce = {
+  /**
+   * @param {string} capability - Capability from contract.js, e.g. 'paypal'
+   * @returns {Promise<boolean>} Whether the active adapter supports it
+   */
+  async supports(capability) {
+    await loadAdapter();
+    return capabilities.has(capability);
+  },
+
   // --- Cart ---
 
   async addToCart(item) {
@@ -68,7 +218,14 @@ export const commerce = {
 
   async getCart() {
     const a = await loadAdapter();
-    return a.getCart();
+    if (!capabilities.has('reconciliation')) return a.getCart();
+
+    // Adapters that can re-check prices and stock report what changed
+    const { cart, changes } = await a.reconcileCart();
+    if (changes.length) {
+      dispatch(EVENTS.CART_UPDATED, { cart, changes, action: 'reconcile' });
+    }
+    return cart;
   },
 
   async updateItemQuantity(sku, quantity) {
@@ -91,72 +248,229 @@ export const commerce = {
     const a = await loadAdapter();
     await a.clearCart();
     const empty = {
-      items: [], itemCount: 0, subtotal: 0, shipping: 0,
+      items: [], itemCount: 0, subtotal: 0, shipping: 0, coupons: [], discounts: [], total: 0,
     };
     dispatch(EVENTS.CART_UPDATED, { cart: empty, action: 'clear' });
   },
 
+  // --- Promotions ---
+
+  async applyCoupon(code) {
+    const a = await loadAdapterFor('coupons');
+    const cart = await a.applyCoupon(code);
+    dispatch(EVENTS.CART_UPDATED, { cart, code, action: 'apply-coupon' });
+    return cart;
+  },
+
+  async removeCoupon(code) {
+    const a = await loadAdapterFor('coupons');
+    const cart = await a.removeCoupon(code);
+    dispatch(EVENTS.CART_UPDATED, { cart, code, action: 'remove-coupon' });
+    return cart;
+  },
+
+  // --- Shipping ---
+
+  async getShippingMethods({ address, cart } = {}) {
+    const a = await loadAdapter();
+    if (!capabilities.has('shipping')) return [];
+    return a.getShippingMethods({ address, cart });
+  },
+
+  async setShippingMethod(id, { address } = {}) {
+    const a = await loadAdapterFor('shipping');
+    const cart = await a.setShippingMethod(id, { address });
+    dispatch(EVENTS.CART_UPDATED, { cart, shippingMethod: id, action: 'shipping-method' });
+    return cart;
+  },
+
+  // --- Tax ---
+
+  async estimateTax({ cart, address } = {}) {
+    const a = await loadAdapter();
+    if (!capabilities.has('tax')) return NO_TAX;
+    return a.estimateTax({ cart: cart || await a.getCart(), address });
+  },
+
+  // --- Wishlist ---
+
+  async getWishlist() {
+    const a = await loadAdapter();
+    if (!capabilities.has('wishlist')) return { items: [], itemCount: 0 };
+    return a.getWishlist();
+  },
+
+  async addToWishlist(item) {
+    const a = await loadAdapterFor('wishlist');
+    const wishlist = await a.addToWishlist(item);
+    dispatch(EVENTS.WISHLIST_UPDATED, { wishlist, item, action: 'add' });
+    return wishlist;
+  },
+
+  async removeFromWishlist(sku) {
+    const a = await loadAdapterFor('wishlist');
+    const wishlist = await a.removeFromWishlist(sku);
+    dispatch(EVENTS.WISHLIST_UPDATED, { wishlist, sku, action: 'remove' });
+    return wishlist;
+  },
+
   // --- Orders ---
 
   async createCheckoutSession({ customer, shipping }) {
-    const a = await loadAdapter();
-    return a.createCheckoutSession({ customer, shipping });
+    const a = await loadAdapterFor('hostedCheckout');
+    return sendInAttempt('createCheckoutSession', [{ customer, shipping }], (options) => (
+      a.createCheckoutSession({ customer, shipping }, options)
+    ));
   },
 
   async createPayPalOrder({ customer, shipping }) {
-    const a = await loadAdapter();
-    return a.createPayPalOrder({ customer, shipping });
+    const a = await loadAdapterFor('paypal');
+    return sendInAttempt('createPayPalOrder', [{ customer, shipping }], (options) => (
+      a.createPayPalOrder({ customer, shipping }, options)
+    ));
   },
 
   async capturePayPalOrder(orderId, { customer, shipping }) {
-    const a = await loadAdapter();
-    const result = await a.capturePayPalOrder(orderId, { customer, shipping });
-    dispatch(EVENTS.ORDER_CREATED, { order: result });
+    const a = await loadAdapterFor('paypal');
+    const result = await sendInAttempt('capturePayPalOrder', [orderId, { customer, shipping }], (options) => (
+      a.capturePayPalOrder(orderId, { customer, shipping }, options)
+    ));
+    // queued offline results are announced by OUTBOX_REPLAYED once they are sent
+    if (!result?.queued) dispatch(EVENTS.ORDER_CREATED, { order: result });
     return result;
   },
 
-  async createStripePaymentIntent() {
-    const a = await loadAdapter();
-    return a.createStripePaymentIntent();
+  async createStripePaymentIntent({ shipping } = {}) {
+    const a = await loadAdapterFor('stripe');
+    return sendInAttempt('createStripePaymentIntent', [{ shipping }], (options) => (
+      a.createStripePaymentIntent({ shipping }, options)
+    ));
   },
 
   async captureStripePaymentIntent(paymentIntentId, { customer, shipping }) {
-    const a = await loadAdapter();
-    const result = await a.captureStripePaymentIntent(paymentIntentId, { customer, shipping });
-    dispatch(EVENTS.ORDER_CREATED, { order: result });
+    const a = await loadAdapterFor('stripe');
+    const args = [paymentIntentId, { customer, shipping }];
+    const result = await sendInAttempt('captureStripePaymentIntent', args, (options) => (
+      a.captureStripePaymentIntent(paymentIntentId, { customer, shipping }, options)
+    ));
+    if (!result?.queued) dispatch(EVENTS.ORDER_CREATED, { order: result });
     return result;
   },
 
+  /**
+   * @param {string} capability - Payment capability the payment was made
+   *   with: 'hostedCheckout', 'paypal' or 'stripe'
+   * @param {string} id - Checkout session, PayPal order or payment intent id
+   * @returns {Promise<import('./payments/registry.js').PaymentStatus>}
+   */
+  async getPaymentStatus(capability, id) {
+    const a = await loadAdapterFor(capability);
+    return a.getPaymentStatus(capability, id);
+  },
+
   async createOrder({ customer, shipping }) {
-    const a = await loadAdapter();
-    const order = await a.createOrder({ customer, shipping });
-    dispatch(EVENTS.ORDER_CREATED, { order });
+    const a = await loadAdapterFor('orders');
+    const order = await sendInAttempt('createOrder', [{ customer, shipping }], (options) => (
+      a.createOrder({ customer, shipping }, options)
+    ));
+    if (!order?.queued) dispatch(EVENTS.ORDER_CREATED, { order });
     return order;
   },
 
   async getOrder(orderId) {
     const a = await loadAdapter();
+    if (!capabilities.has('orders')) return null;
     return a.getOrder(orderId);
   },
 
+  /**
+   * @param {string} paymentId
+   * @returns {import('./order-snapshot.js').OrderSnapshot|null} The cart as
+   *   it was when the payment was made in this browser tab
+   */
+  getOrderSnapshot(paymentId) {
+    return getSnapshot(paymentId);
+  },
+
+  /**
+   * Takes what a payment bought out of the cart, once per payment. Items
+   * added since, and quantities beyond what was bought, stay.
+   * @param {string} paymentId
+   * @param {Array<{sku: string, quantity: number}>} purchased - Lines bought
+   * @returns {Promise<Object|null>} The cart, or null if they were already taken out
+   */
+  async removePurchasedItems(paymentId, purchased) {
+    if (wasCleared(paymentId)) return null;
+    const a = await loadAdapter();
+    const changes = remainingQuantities(await a.getCart(), purchased);
+    markCleared(paymentId);
+    return changes.reduce((previous, { sku, quantity }) => previous.then(() => (
+      quantity ? this.updateItemQuantity(sku, quantity) : this.removeItem(sku)
+    )), Promise.resolve()).then(() => a.getCart());
+  },
+
+  // --- Checkout attempts ---
+
+  /**
+   * The checkout attempt in progress, e.g. after a reload mid-payment, with
+   * what the backend recorded for its key when the adapter can tell.
+   * @returns {Promise<(import('./checkout-attempt.js').CheckoutAttempt
+   *   & {recorded?: Array<import('./contract.js').RecordedRequest>})|null>}
+   */
+  async getCheckoutAttempt() {
+    const attempt = getAttempt();
+    if (!attempt) return null;
+    const a = await loadAdapter();
+    if (!capabilities.has('idempotency')) return attempt;
+    return { ...attempt, recorded: await a.getCheckoutAttempt(attempt.key) };
+  },
+
+  /**
+   * Sends again, with the same idempotency key, an order-placing request of
+   * the attempt that was never answered. The backend places the order if it
+   * didn't get the first one, or answers with the order it placed then.
+   * @returns {Promise<{operation: string, args: Array, result: *}|null>} null
+   *   when nothing was waiting
+   */
+  async resumeCheckoutAttempt() {
+    const request = getUnansweredRequest();
+    if (!request || !PLACES_ORDER.includes(request.operation)) return null;
+    const result = await this[request.operation](...request.args);
+    return { operation: request.operation, args: request.args, result };
+  },
+
+  /**
+   * @returns {boolean} Whether an order or payment request is in flight
+   */
+  isCheckoutBusy() {
+    return isAttemptBusy();
+  },
+
   // --- Auth ---
 
   async login(email) {
-    const a = await loadAdapter();
+    const a = await loadAdapterFor('auth');
     return a.login(email);
   },
 
   async verifyCode(email, code, hash, exp) {
-    const a = await loadAdapter();
+    const a = await loadAdapterFor('auth');
     const result = await a.verifyCode(email, code, hash, exp);
     dispatch(EVENTS.AUTH_STATE_CHANGED, { loggedIn: true, email: result.email });
+    // the guest cart and wishlist are merged into the account's on login; lines
+    // the merge left out are reported through reconciliation, see getCart
+    dispatch(EVENTS.CART_UPDATED, { cart: await this.getCart(), action: 'merge' });
+    dispatch(EVENTS.WISHLIST_UPDATED, { wishlist: await this.getWishlist(), action: 'sync' });
     return result;
   },
 
   async logout() {
     const a = await loadAdapter();
+    if (!capabilities.has('auth')) return;
     await a.logout();
     dispatch(EVENTS.AUTH_STATE_CHANGED, { loggedIn: false, email: null });
+    dispatch(EVENTS.CART_UPDATED, { cart: await a.getCart(), action: 'logout' });
+    dispatch(EVENTS.WISHLIST_UPDATED, { wishlist: { items: [], itemCount: 0 }, action: 'clear' });
   },
 
   async isLoggedIn() {
@@ -171,11 +485,13 @@ export const commerce = {
 
   async getCustomerProfile() {
     const a = await loadAdapter();
+    if (!capabilities.has('customer')) return null;
     return a.getCustomerProfile();
   },
 
   async getOrders() {
     const a = await loadAdapter();
+    if (!capabilities.has('customer')) return [];
     return a.getOrders();
   },
 
@@ -183,19 +499,59 @@ export const commerce = {
 
   async getAddresses() {
     const a = await loadAdapter();
+    if (!capabilities.has('addresses')) return [];
     return a.getAddresses();
   },
 
   async createAddress(address) {
-    const a = await loadAdapter();
+    const a = await loadAdapterFor('addresses');
     return a.createAddress(address);
   },
 
   async deleteAddress(addressId) {
-    const a = await loadAdapter();
+    const a = await loadAdapterFor('addresses');
     return a.deleteAddress(addressId);
   },
 
+  // --- Back in stock ---
+
+  /**
+   * Asks to be emailed when an out-of-stock SKU can be bought again.
+   * Subscribing twice to the same SKU with the same email keeps one subscription.
+   * @param {string} sku - The variant SKU, for products with options
+   * @param {string} email
+   * @param {{name?: string, url?: string}} [product] - Shown with the subscription
+   * @returns {Promise<import('./contract.js').BackInStockSubscription>}
+   */
+  async subscribeBackInStock(sku, email, product = {}) {
+    const a = await loadAdapterFor('backInStock');
+    return a.subscribeBackInStock(sku, email, product);
+  },
+
+  /**
+   * @returns {Promise<Array<import('./contract.js').BackInStockSubscription>>} The
+   *   signed-in customer's active subscriptions
+   */
+  async getBackInStockSubscriptions() {
+    const a = await loadAdapter();
+    if (!capabilities.has('backInStock')) return [];
+    return a.getBackInStockSubscriptions();
+  },
+
+  async cancelBackInStock(subscriptionId) {
+    const a = await loadAdapterFor('backInStock');
+    return a.cancelBackInStock(subscriptionId);
+  },
+
+  // --- Connectivity ---
+
+  /**
+   * @returns {boolean} Whether the browser reports a network connection
+   */
+  isOnline() {
+    return navigator.onLine;
+  },
+
   // --- Events ---
 
   EVENTS,
@@ -0,0 +1,201 @@
+/**
+ * Product bundles and kits: products sold as a set of other products, listed
+ * in the bundle's product JSON under `custom.bundle`:
+ *
+ *   {
+ *     "components": [{"sku": "TEE", "path": "/products/classic-tee", "quantity": 2}],
+ *     "choices": [{
+ *       "id": "mug", "label": "Choose a mug", "quantity": 1, "optional": true,
+ *       "components": [{"sku": "MUG-RED", "path": "/products/enamel-mug"}, ...]
+ *     }],
+ *     "discount": {"type": "percentage", "value": 10}
+ *   }
+ *
+ * A component SKU that is a variant fixes the variant; a product SKU lets the
+ * customer pick its options. Choice groups offer one of several products, or
+ * none when optional. The discount ('percentage' or 'fixed') comes off the
+ * sum of the components' prices.
+ *
+ * In the cart a bundle is one line, `parentSku` the bundle's SKU, listing the
+ * components chosen for one bundle, so quantity changes and removal act on
+ * the whole set.
+ *
+ * No DOM access, so it runs under Node.
+ *
+ * @module commerce/bundles
+ */
+
+import { clampQuantity } from './inventory.js';
+import { formatOptions, pickOptions } from './variant-options.js';
+
+// --- Internal configuration ---
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+/**
+ * @typedef {Object} BundleSlot
+ * A place in the bundle, filled with one of its items: fixed components have
+ * a single item, choice groups several.
+ * @property {string} id - Choice group id, or 'component-N' for fixed components
+ * @property {string} label - Shown above a choice group, empty for fixed components
+ * @property {number} quantity - Units per bundle
+ * @property {boolean} optional - Whether the slot can be left empty
+ * @property {Array<{sku: string, path: string}>} items
+ */
+
+/**
+ * @typedef {Object} Bundle
+ * @property {Array<BundleSlot>} slots
+ * @property {{type: string, value: number}|null} discount
+ */
+
+/**
+ * @typedef {Object} BundleComponent
+ * @property {string} sku - The component's SKU (the variant, for products with options)
+ * @property {string} [parentSku] - Product SKU, for variants
+ * @property {string} name
+ * @property {number} quantity - Units per bundle; lines and orders multiply it by theirs
+ * @property {number} [price] - Unit price
+ * @property {Array<{id: string, value: string}>} [options] - Selected variant options
+ * @property {string} [url] - Product page of the component
+ * @property {import('./inventory.js').PurchaseLimits} [limits]
+ */
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toQuantity(value) {
+  const number = Math.floor(Number(value));
+  return number > 0 ? number : 1;
+}
+
+function isItem(component) {
+  return Boolean(component?.sku && component.path);
+}
+
+function toItem({ sku, path }) {
+  return { sku: String(sku), path };
+}
+
+/**
+ * Reads the bundle definition of a product.
+ * @param {Object} product - Product JSON-LD or product bus JSON
+ * @returns {Bundle|null} null when the product isn't a bundle
+ */
+export function parseBundle(product) {
+  const bundle = product?.custom?.bundle;
+  if (!bundle) return null;
+
+  const fixed = (bundle.components || []).filter(isItem).map((component, index) => ({
+    id: `component-${index + 1}`,
+    label: '',
+    quantity: toQuantity(component.quantity),
+    optional: false,
+    items: [toItem(component)],
+  }));
+  const choices = (bundle.choices || [])
+    .map((choice, index) => ({
+      id: String(choice?.id || `choice-${index + 1}`),
+      label: choice?.label || '',
+      quantity: toQuantity(choice?.quantity),
+      optional: Boolean(choice?.optional),
+      items: (choice?.components || []).filter(isItem).map(toItem),
+    }))
+    .filter((slot) => slot.items.length);
+
+  const slots = [...fixed, ...choices];
+  if (!slots.length) return null;
+
+  const { type, value } = bundle.discount || {};
+  const amount = parseFloat(value);
+  const discount = DISCOUNT_TYPES.includes(type) && amount > 0 ? { type, value: amount } : null;
+  return { slots, discount };
+}
+
+/**
+ * Prices one bundle from its components.
+ * @param {Array<BundleComponent>} components - Components chosen, with prices
+ * @param {{type: string, value: number}|null} [discount] - The bundle discount
+ * @returns {{final: number, regular: number|null}} In the shape of an offer's
+ *   pricing; `regular` is the undiscounted sum, null when nothing comes off
+ */
+export function priceBundle(components, discount) {
+  const regular = roundMoney(components
+    .reduce((sum, c) => sum + (Number(c.price) || 0) * c.quantity, 0));
+  let off = 0;
+  if (discount?.type === 'percentage') {
+    off = roundMoney((regular * Math.min(discount.value, 100)) / 100);
+  }
+  if (discount?.type === 'fixed') off = Math.min(discount.value, regular);
+  return { final: roundMoney(regular - off), regular: off > 0 ? regular : null };
+}
+
+/**
+ * @param {string} bundleSku - The bundle product's SKU
+ * @param {Array<BundleComponent>} components - Components chosen
+ * @returns {string} SKU of the cart line, the same for the same components
+ */
+export function getBundleLineSku(bundleSku, components) {
+  return `${bundleSku}:${components.map((c) => c.sku).join('+')}`;
+}
+
+/**
+ * Narrows the bundle's own purchase limits to the bundles its components'
+ * stock can make.
+ * @param {import('./inventory.js').PurchaseLimits} limits - The bundle offer's limits
+ * @param {Array<BundleComponent>} components - Components chosen, with their limits
+ * @returns {import('./inventory.js').PurchaseLimits}
+ */
+export function getBundleLimits(limits, components) {
+  const caps = components
+    .filter((c) => c.limits?.max != null)
+    .map((c) => Math.floor(c.limits.max / c.quantity));
+  if (limits.max != null) caps.push(limits.max);
+  if (!caps.length) return limits;
+
+  const lowest = Math.min(...caps);
+  const max = lowest < limits.min ? 0 : clampQuantity(lowest, { ...limits, max: null });
+  return { ...limits, max };
+}
+
+/**
+ * Keeps what orders and cart lines need of each component.
+ * @param {Array<Object>} [components]
+ * @returns {Array<BundleComponent>}
+ */
+export function pickComponents(components = []) {
+  return components.map((c) => ({
+    sku: c.sku,
+    parentSku: c.parentSku || null,
+    name: c.name || c.sku,
+    quantity: c.quantity,
+    options: pickOptions(c.options),
+    url: c.url || '',
+  }));
+}
+
+/**
+ * Labels a bundle line's components, e.g. '2 × Classic Tee (Size: M)'.
+ * @param {Array<BundleComponent>} [components]
+ * @returns {Array<string>}
+ */
+export function formatComponents(components = []) {
+  return components.map((c) => {
+    const options = formatOptions(c.options);
+    const label = `${c.quantity} × ${c.name || c.sku}`;
+    return options.length ? `${label} (${options.join(', ')})` : label;
+  });
+}
+
+/**
+ * Renders a bundle line's components for a line item template.
+ * @param {Array<BundleComponent>} [components]
+ * @param {string} className - Class of the list
+ * @returns {string} HTML, empty when the line isn't a bundle
+ */
+export function renderComponents(components, className) {
+  const labels = formatComponents(components);
+  if (!labels.length) return '';
+  return `<ul class="${className}">${labels.map((label) => `<li>${label}</li>`).join('')}</ul>`;
+}
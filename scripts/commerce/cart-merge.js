@@ -0,0 +1,87 @@
+/**
+ * Rules for merging a guest cart into a customer's saved cart on login.
+ *
+ * Lines are matched by SKU. When both carts hold the same SKU the strategy
+ * decides the quantity:
+ *   - 'sum'     — add the quantities together, within the line's purchase limits
+ *   - 'guest'   — the guest line replaces the saved one
+ *   - 'saved'   — the saved line is kept and the guest line dropped
+ * Lines only one cart holds are always kept, unless none of them can be
+ * ordered any more. A cart is priced in a single currency, so when the carts
+ * disagree the guest cart's currency wins and saved lines in the other
+ * currency are left out.
+ *
+ * @module commerce/cart-merge
+ */
+
+import { clampQuantity } from './inventory.js';
+
+export const MERGE_STRATEGIES = ['sum', 'guest', 'saved'];
+
+function currencyOf(cartItems) {
+  const priced = cartItems.find((i) => i.currency);
+  return priced ? priced.currency.toUpperCase() : null;
+}
+
+/**
+ * @returns {Object|null} The merged line, null when the limits leave none of it
+ */
+function mergeLine(guestLine, savedLine, strategy) {
+  if (strategy === 'saved') return savedLine;
+  if (strategy === 'guest') return guestLine;
+  const sum = savedLine.quantity + guestLine.quantity;
+  // a sum past the line's purchase limits is cut back to what one order can have
+  const limits = guestLine.limits || savedLine.limits;
+  const quantity = limits ? clampQuantity(sum, limits) : sum;
+  return quantity ? { ...savedLine, ...guestLine, quantity } : null;
+}
+
+/**
+ * Merges a guest cart into a saved cart.
+ * @param {Object} guest - Guest cart state ({ items, coupons, shippingMethod, shippingCountry })
+ * @param {Object} saved - Saved cart state, same shape
+ * @param {Object} [options]
+ * @param {string} [options.strategy='sum'] - One of MERGE_STRATEGIES
+ * @returns {{ items: Array<Object>, coupons: Array<Object>, shippingMethod: string|null,
+ *   shippingCountry: string, dropped: Array<Object> }} Merged state, and the lines
+ *   left out: saved lines priced in another currency, and lines none of which
+ *   can be ordered
+ */
+export function mergeCarts(guest, saved, { strategy = 'sum' } = {}) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown cart merge strategy: ${strategy}`);
+  }
+  const guestItems = guest?.items || [];
+  const savedItems = saved?.items || [];
+
+  const currency = currencyOf(guestItems);
+  const dropped = currency
+    ? savedItems.filter((i) => i.currency && i.currency.toUpperCase() !== currency)
+    : [];
+  const keptSaved = savedItems.filter((i) => !dropped.includes(i));
+
+  const merged = new Map(keptSaved.map((item) => [item.sku, { ...item }]));
+  guestItems.forEach((item) => {
+    const savedLine = merged.get(item.sku);
+    const line = savedLine ? mergeLine({ ...item }, savedLine, strategy) : { ...item };
+    if (line) {
+      merged.set(item.sku, line);
+    } else {
+      merged.delete(item.sku);
+      dropped.push(savedLine);
+    }
+  });
+
+  const coupons = [...(saved?.coupons || [])];
+  (guest?.coupons || []).forEach((coupon) => {
+    if (!coupons.some((c) => c.code === coupon.code)) coupons.push(coupon);
+  });
+
+  return {
+    items: [...merged.values()],
+    coupons,
+    shippingMethod: guest?.shippingMethod || saved?.shippingMethod || null,
+    shippingCountry: guest?.shippingCountry || saved?.shippingCountry || '',
+    dropped,
+  };
+}
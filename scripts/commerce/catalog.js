@@ -0,0 +1,243 @@
+/**
+ * Product index data service shared by every product-listing block.
+ *
+ * The paginated /products/index.json is fetched once per page view, with
+ * concurrent callers sharing the same request. The result is cached in
+ * sessionStorage together with the first page's ETag / Last-Modified
+ * validators: within CACHE_TTL the cache is used as is, after that a
+ * conditional request decides whether it is still current. Callers that
+ * want to render before every page has arrived pass `onProgress`.
+ *
+ * @module commerce/catalog
+ */
+
+// --- Internal configuration ---
+
+const INDEX_URL = '/products/index.json';
+const PAGE_SIZE = 256;
+const CACHE_KEY = 'product-index';
+const CACHE_VERSION = 1;
+
+/** How long the cached index is used without revalidating (ms) */
+const CACHE_TTL = 5 * 60 * 1000;
+
+const OUT_OF_STOCK = 'https://schema.org/OutOfStock';
+
+/** Shared load state: entries so far, progress listeners and the in-flight request */
+const state = {
+  entries: [],
+  complete: false,
+  listeners: new Set(),
+  promise: null,
+};
+
+// --- Cache ---
+
+function readCache() {
+  try {
+    const cached = JSON.parse(sessionStorage.getItem(CACHE_KEY));
+    return cached?.version === CACHE_VERSION ? cached : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(entries, validators) {
+  try {
+    sessionStorage.setItem(CACHE_KEY, JSON.stringify({
+      version: CACHE_VERSION, fetchedAt: Date.now(), validators, entries,
+    }));
+  } catch { /* quota exceeded — the index is simply refetched next time */ }
+}
+
+function touchCache(cached) {
+  writeCache(cached.entries, cached.validators);
+}
+
+// --- Loading ---
+
+function notify() {
+  const { entries, complete } = state;
+  state.listeners.forEach((listener) => listener(entries, { complete }));
+  if (complete) state.listeners.clear();
+}
+
+function pageUrl(offset) {
+  return `${INDEX_URL}?offset=${offset}&limit=${PAGE_SIZE}`;
+}
+
+/**
+ * Adds a page of the index to the shared state and tells listeners.
+ * @returns {{total: number, next: number}|null} Where the next page starts, or null when done
+ */
+function addPage(json, offset) {
+  const sheet = json.data || json;
+  state.entries = [...state.entries, ...sheet];
+  const total = json.total ?? sheet.length;
+  const next = offset + (json.limit ?? sheet.length);
+  state.complete = !json.limit || next >= total;
+  notify();
+  return state.complete ? null : { total, next };
+}
+
+/**
+ * Fetches the remaining pages after the first. A page that fails rejects
+ * the whole load: a truncated index is never reported as complete.
+ */
+async function fetchAllPages(first) {
+  let page = addPage(await first.json(), 0);
+  while (page) {
+    // eslint-disable-next-line no-await-in-loop
+    const resp = await fetch(pageUrl(page.next));
+    if (!resp.ok) throw new Error(`Product index page at ${page.next} failed: ${resp.status}`);
+    // eslint-disable-next-line no-await-in-loop
+    page = addPage(await resp.json(), page.next);
+  }
+}
+
+function resetEntries() {
+  state.entries = [];
+  state.complete = false;
+}
+
+function useEntries(entries) {
+  state.entries = entries;
+  state.complete = true;
+  notify();
+  return entries;
+}
+
+async function load() {
+  resetEntries();
+  const cached = readCache();
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL) return useEntries(cached.entries);
+
+  const headers = {};
+  if (cached?.validators.etag) headers['If-None-Match'] = cached.validators.etag;
+  if (cached?.validators.lastModified) headers['If-Modified-Since'] = cached.validators.lastModified;
+
+  let first;
+  try {
+    first = await fetch(pageUrl(0), { headers });
+  } catch (err) {
+    if (cached) return useEntries(cached.entries);
+    throw err;
+  }
+
+  if (first.status === 304 && cached) {
+    touchCache(cached);
+    return useEntries(cached.entries);
+  }
+  if (!first.ok) {
+    if (cached) return useEntries(cached.entries);
+    return useEntries([]);
+  }
+
+  try {
+    await fetchAllPages(first);
+  } catch (err) {
+    if (cached) return useEntries(cached.entries);
+    throw err;
+  }
+  writeCache(state.entries, {
+    etag: first.headers.get('ETag'),
+    lastModified: first.headers.get('Last-Modified'),
+  });
+  return state.entries;
+}
+
+/**
+ * Loads the whole product index, parents and variants.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (entriesSoFar, { complete })
+ *   after each page, and straight away with anything already loaded
+ * @returns {Promise<Array<Object>>} Every index row
+ */
+export function loadProductIndex({ onProgress } = {}) {
+  if (onProgress) {
+    if (state.entries.length || state.complete) {
+      onProgress(state.entries, { complete: state.complete });
+    }
+    if (!state.complete) state.listeners.add(onProgress);
+  }
+  if (!state.promise) {
+    state.promise = load().catch((err) => {
+      state.promise = null;
+      resetEntries();
+      state.listeners.clear();
+      throw err;
+    });
+  }
+  return state.promise;
+}
+
+// --- Query helpers ---
+
+/**
+ * @param {Object} product - Index row
+ * @returns {boolean} Whether the product is marked out of stock
+ */
+export function isOutOfStock(product) {
+  return product.availability === OUT_OF_STOCK;
+}
+
+/**
+ * @param {Object} product - Index row
+ * @returns {boolean} Whether the price is below the regular price
+ */
+export function isOnSale(product) {
+  const price = Number(product.price) || 0;
+  const regularPrice = Number(product.regularPrice) || 0;
+  return regularPrice > 0 && price < regularPrice;
+}
+
+/**
+ * Parent products only, excluding variant rows (those with parentSku).
+ * @param {Array<Object>} entries - Index rows
+ * @returns {Array<Object>}
+ */
+export function getParents(entries) {
+  return entries.filter((p) => !p.parentSku);
+}
+
+/**
+ * Variant rows of a parent product.
+ * @param {Array<Object>} entries - Index rows
+ * @param {string} parentSku - Parent SKU
+ * @returns {Array<Object>}
+ */
+export function getVariants(entries, parentSku) {
+  return entries.filter((p) => p.parentSku === parentSku);
+}
+
+/**
+ * Finds a parent or variant row by SKU.
+ * @param {Array<Object>} entries - Index rows
+ * @param {string} sku - SKU
+ * @returns {Object|null}
+ */
+export function getBySku(entries, sku) {
+  return entries.find((p) => p.sku === sku) || null;
+}
+
+/**
+ * Parent products in a category.
+ * @param {Array<Object>} entries - Index rows
+ * @param {string} categoryPath - Category path to match (e.g., "office/tech")
+ * @returns {Array<Object>}
+ */
+export function getByCategory(entries, categoryPath) {
+  return getParents(entries).filter((p) => {
+    const cats = p.categories || [];
+    return Array.isArray(cats) && cats.includes(categoryPath);
+  });
+}
+
+/**
+ * Parent products on sale.
+ * @param {Array<Object>} entries - Index rows
+ * @returns {Array<Object>}
+ */
+export function getOnSale(entries) {
+  return getParents(entries).filter(isOnSale);
+}
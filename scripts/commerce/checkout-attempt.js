@@ -0,0 +1,168 @@
+/**
+ * Checkout attempts: everything sent to pay for the cart once shares one
+ * idempotency key, so a double click, a reload or a retried callback
+ * replays the first order instead of placing a second one.
+ *
+ * The attempt is kept in sessionStorage with each request it has made, so
+ * after a reload mid-payment it can be inspected, and a request that never
+ * got its answer sent again with the same key. It ends once an order is
+ * placed, or, while nothing is waiting on an answer, when the cart's lines or
+ * total change or a request is sent with other details (address, customer)
+ * than last time: the backend answers a key it has seen with its first
+ * answer, whatever the amount now is.
+ *
+ * No DOM access, so it runs under Node.
+ *
+ * @module commerce/checkout-attempt
+ */
+
+// --- Internal configuration ---
+const STORAGE_KEY = 'checkout-attempt';
+
+/**
+ * @typedef {Object} AttemptRequest
+ * @property {string} operation - Commerce API method, e.g. 'capturePayPalOrder'
+ * @property {Array} args - Arguments it was called with
+ * @property {'pending'|'done'|'failed'} status - 'pending' until it is answered
+ * @property {string} at - ISO date it was sent
+ */
+
+/**
+ * @typedef {Object} CheckoutAttempt
+ * @property {string} key - Idempotency key sent with each request
+ * @property {string} startedAt - ISO date
+ * @property {string} [cart] - What the attempt pays for, see cartKey
+ * @property {Array<AttemptRequest>} requests
+ */
+
+/** @type {Map<string, Promise>} Requests in flight in this page, by operation and arguments */
+const inFlight = new Map();
+
+function save(attempt) {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(attempt));
+  return attempt;
+}
+
+/**
+ * @returns {CheckoutAttempt|null} The attempt in progress
+ */
+export function getAttempt() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The lines and grand total of a cart: updates that leave them alone, such
+ * as a reconcile that found nothing to change, don't change the purchase.
+ * @param {Object} cart
+ * @returns {string}
+ */
+function cartKey(cart) {
+  return JSON.stringify({
+    items: cart.items.map((i) => [i.sku, i.quantity, i.price]),
+    total: cart.total,
+  });
+}
+
+/**
+ * @param {Object} [cart] - The cart being paid for, when starting a new attempt
+ * @returns {CheckoutAttempt} The attempt in progress, or a new one
+ */
+export function beginAttempt(cart) {
+  return getAttempt() || save({
+    key: crypto.randomUUID(),
+    startedAt: new Date().toISOString(),
+    ...(cart && { cart: cartKey(cart) }),
+    requests: [],
+  });
+}
+
+/** Forgets the attempt; the next request starts a new one with a new key */
+export function endAttempt() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Ends the attempt unless one of its requests is still waiting on an answer,
+ * for when what is being paid for has changed.
+ * @param {Object} [cart] - The updated cart; the attempt is kept when its
+ *   lines and total are those the attempt started with
+ */
+export function resetAttempt(cart) {
+  const attempt = getAttempt();
+  if (!attempt || (cart && attempt.cart === cartKey(cart))) return;
+  if (!inFlight.size && !attempt.requests.some((r) => r.status === 'pending')) {
+    endAttempt();
+  }
+}
+
+/**
+ * @returns {AttemptRequest|null} The last request of the attempt that was
+ *   sent but never answered, e.g. because the page was reloaded
+ */
+export function getUnansweredRequest() {
+  if (inFlight.size) return null;
+  const requests = getAttempt()?.requests || [];
+  return requests.findLast((r) => r.status === 'pending') || null;
+}
+
+/**
+ * @returns {boolean} Whether a request of the attempt is in flight in this page
+ */
+export function isAttemptBusy() {
+  return inFlight.size > 0;
+}
+
+function setStatus(attempt, index, status) {
+  const current = getAttempt();
+  // the attempt may have ended while the request was in flight
+  if (current?.key !== attempt.key) return;
+  current.requests[index].status = status;
+  save(current);
+}
+
+/**
+ * Sends a request as part of the attempt. The same operation with the same
+ * arguments while one is in flight shares its answer instead of being sent
+ * twice; with other arguments it starts a new attempt, unless a request is
+ * still waiting on an answer.
+ * @param {string} operation - Commerce API method
+ * @param {Array} args - Its arguments, kept so the request can be sent again
+ * @param {function(string): Promise<*>} send - Sends the request with the idempotency key
+ * @param {Object} [cart] - The cart being paid for
+ * @returns {Promise<*>} The answer
+ */
+export function runInAttempt(operation, args, send, cart) {
+  const id = `${operation}:${JSON.stringify(args)}`;
+  if (inFlight.has(id)) return inFlight.get(id);
+
+  const changed = getAttempt()?.requests.some((r) => r.operation === operation
+    && JSON.stringify(r.args) !== JSON.stringify(args));
+  if (changed) resetAttempt();
+
+  const attempt = beginAttempt(cart);
+  const index = attempt.requests.findIndex((r) => r.operation === operation
+    && JSON.stringify(r.args) === JSON.stringify(args));
+  const request = {
+    operation, args, status: 'pending', at: new Date().toISOString(),
+  };
+  if (index === -1) attempt.requests.push(request); else attempt.requests[index] = request;
+  save(attempt);
+  const position = index === -1 ? attempt.requests.length - 1 : index;
+
+  const promise = Promise.resolve()
+    .then(() => send(attempt.key))
+    .then((result) => {
+      setStatus(attempt, position, 'done');
+      return result;
+    }, (err) => {
+      setStatus(attempt, position, 'failed');
+      throw err;
+    })
+    .finally(() => inFlight.delete(id));
+  inFlight.set(id, promise);
+  return promise;
+}
@@ -0,0 +1,69 @@
+/**
+ * Where the commerce worker API lives.
+ *
+ * The first of these wins:
+ *   1. localStorage 'commerce-api-origin' — a developer override, e.g.
+ *      localStorage.setItem('commerce-api-origin', 'http://localhost:8787')
+ *   2. the page's `commerce-api-origin` metadata
+ *   3. the `Commerce API Origin` key in the site's placeholders sheet
+ *   4. DEFAULT_API_ORIGIN
+ *
+ * The placeholders are only read when neither of the first two is set, with
+ * aem.js's fetchPlaceholders() so the sheet is fetched once per page. aem.js
+ * is imported then rather than up front, so adapters that use this module
+ * still load under Node.
+ *
+ * @module commerce/config
+ */
+
+export const DEFAULT_API_ORIGIN = 'https://aem-productbus-demo-worker.adobeaem.workers.dev';
+
+const OVERRIDE_KEY = 'commerce-api-origin';
+const METADATA_NAME = 'commerce-api-origin';
+
+/** @type {Promise<string>|null} Cached origin lookup */
+let originPromise = null;
+
+function normalizeOrigin(value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return null;
+  try {
+    return new URL(trimmed).origin;
+  } catch {
+    return null;
+  }
+}
+
+async function fromPlaceholders() {
+  try {
+    const { fetchPlaceholders } = await import('../aem.js');
+    const placeholders = await fetchPlaceholders();
+    return normalizeOrigin(placeholders.commerceApiOrigin);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves the commerce API origin, once per page.
+ * @returns {Promise<string>} Origin without a trailing slash
+ */
+export function getApiOrigin() {
+  if (!originPromise) {
+    const override = normalizeOrigin(localStorage.getItem(OVERRIDE_KEY));
+    const metadata = normalizeOrigin(document.querySelector?.(`meta[name="${METADATA_NAME}"]`)?.content);
+    originPromise = override || metadata
+      ? Promise.resolve(override || metadata)
+      : fromPlaceholders().then((origin) => origin || DEFAULT_API_ORIGIN);
+  }
+  return originPromise;
+}
+
+/**
+ * Builds a commerce API URL.
+ * @param {string} path - Path starting with '/', e.g. '/orders'
+ * @returns {Promise<string>}
+ */
+export async function apiUrl(path) {
+  return `${await getApiOrigin()}${path}`;
+}
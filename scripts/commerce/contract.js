@@ -0,0 +1,346 @@
+/**
+ * The commerce adapter contract.
+ *
+ * An adapter module's default export is a factory returning an object with
+ * the methods below, grouped into capabilities. `cart` and `session` are
+ * required; every other capability is optional, and the adapter lists the
+ * ones it implements in `capabilities`. api.js checks adapters against this
+ * contract when it loads them and falls back gracefully for capabilities an
+ * adapter lacks.
+ *
+ * The validators at the end describe the shapes adapters return. They are
+ * used by the conformance suite in test/commerce and kept free of DOM access
+ * so they run under Node.
+ *
+ * @module commerce/contract
+ */
+
+/**
+ * @typedef {Object} CartItem
+ * @property {string} sku - Line SKU (the variant, for products with options)
+ * @property {string} name
+ * @property {number} quantity - Positive integer
+ * @property {number} price - Unit price in major units
+ * @property {string} [currency] - ISO 4217 code
+ * @property {string} [parentSku] - Product SKU, for variants
+ * @property {Array<{id: string, value: string}>} [options] - Selected variant options
+ * @property {Array<import('./bundles.js').BundleComponent>} [components] - What one
+ *   bundle holds, for bundle lines; `parentSku` is the bundle's SKU
+ * @property {string} [image]
+ * @property {string} [url] - Product page, with the variant's options in the query string
+ * @property {'unavailable'|'out-of-stock'} [status] - Set by reconciliation
+ * @property {number} [previousPrice] - Set by reconciliation after a price change
+ * @property {import('./inventory.js').PurchaseLimits} [limits] - Quantities the line
+ *   can have; adapters reject others
+ * @property {number} [previousQuantity] - Set by reconciliation after lowering the
+ *   quantity to fit the limits; quantities under the minimum are left as they are
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {Array<CartItem>} items
+ * @property {number} itemCount - Sum of quantities
+ * @property {number} subtotal
+ * @property {number} shipping
+ * @property {string|null} shippingMethod - Selected shipping method id
+ * @property {Array<string>} coupons - Applied promo codes
+ * @property {Array<{code: string, type: string, amount: number}>} discounts
+ * @property {number} total
+ * @property {string|null} currency - null for an empty cart
+ */
+
+/**
+ * @typedef {Object} ShippingMethod
+ * @property {string} id
+ * @property {string} label
+ * @property {number} amount
+ */
+
+/**
+ * @typedef {Object} TaxEstimate
+ * @property {number} amount
+ * @property {number} rate - Percentage
+ * @property {boolean} inclusive - Whether prices already include the tax
+ */
+
+/**
+ * @typedef {Object} Wishlist
+ * @property {Array<{sku: string, variantSku?: string, name: string, price: number,
+ *   currency?: string, image?: string, url?: string, options?: Array,
+ *   components?: Array, categories?: Array<string>, weight?: number,
+ *   addedAt: string}>} items - Items saved from the cart keep what their line
+ *   needs to go back into it
+ * @property {number} itemCount
+ */
+
+/**
+ * @typedef {Object} Order
+ * @property {string} id
+ * @property {Array<{sku: string, name: string, quantity: number,
+ *   price: {currency: string, final: string}}>} items
+ * @property {string} [state]
+ * @property {string} [createdAt] - ISO date
+ */
+
+/**
+ * @typedef {Object} Customer
+ * @property {string} email
+ * @property {Array<string>} [roles]
+ */
+
+/**
+ * @typedef {Object} Address
+ * @property {string} id
+ * @property {string} [name]
+ * @property {string} address1
+ * @property {string} [address2]
+ * @property {string} city
+ * @property {string} [state]
+ * @property {string} zip
+ * @property {string} country
+ */
+
+/**
+ * A request to be emailed when an out-of-stock SKU is back.
+ * @typedef {Object} BackInStockSubscription
+ * @property {string} id
+ * @property {string} sku - The variant SKU, for products with options
+ * @property {string} email
+ * @property {string} [name] - Product name
+ * @property {string} [url] - Product page
+ * @property {string} createdAt - ISO date
+ */
+
+/**
+ * What the backend recorded for an idempotency key: each request it answered
+ * and the answer it replays when the request is repeated.
+ * @typedef {Object} RecordedRequest
+ * @property {string} request - The request, as the backend names it
+ * @property {string} createdAt - ISO date
+ * @property {*} result
+ */
+
+/**
+ * Methods by capability.
+ *
+ * The order and payment methods (`hostedCheckout`, `paypal`, `stripe`,
+ * `createOrder`) take a last `{idempotencyKey}` argument. Adapters with the
+ * `idempotency` capability answer a repeated key with the first answer
+ * instead of placing another order. Each payment capability also reports
+ * how a payment made with it went, with `getPaymentStatus(capability, id)`.
+ * @type {Object<string, Array<string>>}
+ */
+export const CAPABILITIES = {
+  cart: ['addToCart', 'getCart', 'updateItemQuantity', 'removeItem', 'clearCart'],
+  session: ['isLoggedIn', 'getCustomer'],
+  coupons: ['applyCoupon', 'removeCoupon'],
+  shipping: ['getShippingMethods', 'setShippingMethod'],
+  tax: ['estimateTax'],
+  reconciliation: ['reconcileCart'],
+  crossTabSync: ['onExternalCartChange'],
+  wishlist: ['getWishlist', 'addToWishlist', 'removeFromWishlist'],
+  hostedCheckout: ['createCheckoutSession', 'getPaymentStatus'],
+  paypal: ['createPayPalOrder', 'capturePayPalOrder', 'getPaymentStatus'],
+  stripe: ['createStripePaymentIntent', 'captureStripePaymentIntent', 'getPaymentStatus'],
+  orders: ['createOrder', 'getOrder'],
+  auth: ['login', 'verifyCode', 'logout'],
+  customer: ['getCustomerProfile', 'getOrders'],
+  addresses: ['getAddresses', 'createAddress', 'deleteAddress'],
+  idempotency: ['getCheckoutAttempt'],
+  backInStock: ['subscribeBackInStock', 'getBackInStockSubscriptions', 'cancelBackInStock'],
+};
+
+/** Capabilities every adapter must implement */
+export const REQUIRED_CAPABILITIES = ['cart', 'session'];
+
+function hasMethods(adapter, capability) {
+  return CAPABILITIES[capability].every((method) => typeof adapter[method] === 'function');
+}
+
+/**
+ * Checks an adapter against the contract.
+ * Adapters that don't declare `capabilities` are assumed to declare every
+ * capability whose methods they have.
+ * @param {Object} adapter - Adapter instance
+ * @returns {{capabilities: Set<string>, errors: Array<string>}} The capabilities
+ *   the adapter actually supports, and what is wrong with it
+ */
+export function checkAdapter(adapter) {
+  const errors = [];
+  const declared = Array.isArray(adapter?.capabilities)
+    ? adapter.capabilities
+    : Object.keys(CAPABILITIES).filter((c) => adapter && hasMethods(adapter, c));
+
+  declared.filter((c) => !CAPABILITIES[c]).forEach((c) => {
+    errors.push(`Unknown capability "${c}"`);
+  });
+
+  const capabilities = new Set();
+  declared.filter((c) => CAPABILITIES[c]).forEach((capability) => {
+    const missing = CAPABILITIES[capability].filter((m) => typeof adapter[m] !== 'function');
+    if (missing.length) {
+      errors.push(`Capability "${capability}" is declared but ${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} missing`);
+    } else {
+      capabilities.add(capability);
+    }
+  });
+
+  REQUIRED_CAPABILITIES.filter((c) => !capabilities.has(c)).forEach((c) => {
+    errors.push(`Required capability "${c}" is not supported`);
+  });
+
+  return { capabilities, errors };
+}
+
+// --- Shape validators ---
+// Each returns a list of problems, empty when the value is valid.
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isString = (value) => typeof value === 'string';
+
+function check(problems, condition, message) {
+  if (!condition) problems.push(message);
+}
+
+/**
+ * @param {*} item
+ * @param {string} [path='item']
+ * @returns {Array<string>}
+ */
+export function validateCartItem(item, path = 'item') {
+  const problems = [];
+  check(problems, isString(item?.sku) && item.sku, `${path}.sku must be a non-empty string`);
+  check(problems, Number.isInteger(item?.quantity) && item.quantity > 0, `${path}.quantity must be a positive integer`);
+  check(problems, isNumber(item?.price), `${path}.price must be a number`);
+  check(problems, item?.currency == null || isString(item.currency), `${path}.currency must be a string`);
+  return problems;
+}
+
+/**
+ * @param {*} cart
+ * @returns {Array<string>}
+ */
+export function validateCart(cart) {
+  if (!cart || typeof cart !== 'object') return ['cart must be an object'];
+  const problems = [];
+  if (!Array.isArray(cart.items)) {
+    problems.push('cart.items must be an array');
+  } else {
+    cart.items.forEach((item, i) => problems.push(...validateCartItem(item, `cart.items[${i}]`)));
+    const count = cart.items.reduce((sum, i) => sum + (i?.quantity || 0), 0);
+    check(problems, cart.itemCount === count, 'cart.itemCount must be the sum of item quantities');
+  }
+  ['subtotal', 'shipping', 'total'].forEach((key) => {
+    check(problems, isNumber(cart[key]) && cart[key] >= 0, `cart.${key} must be a non-negative number`);
+  });
+  check(problems, cart.shippingMethod === null || isString(cart.shippingMethod), 'cart.shippingMethod must be a string or null');
+  check(problems, Array.isArray(cart.coupons) && cart.coupons.every(isString), 'cart.coupons must be an array of codes');
+  const isDiscount = (d) => isString(d?.code) && isNumber(d?.amount);
+  check(
+    problems,
+    Array.isArray(cart.discounts) && cart.discounts.every(isDiscount),
+    'cart.discounts must be an array of { code, type, amount }',
+  );
+  check(problems, cart.currency === null || isString(cart.currency), 'cart.currency must be a string or null');
+  return problems;
+}
+
+/**
+ * @param {*} methods
+ * @returns {Array<string>}
+ */
+export function validateShippingMethods(methods) {
+  if (!Array.isArray(methods)) return ['shipping methods must be an array'];
+  return methods.flatMap((m, i) => {
+    const problems = [];
+    check(problems, isString(m?.id) && m.id, `methods[${i}].id must be a non-empty string`);
+    check(problems, isString(m?.label), `methods[${i}].label must be a string`);
+    check(problems, isNumber(m?.amount), `methods[${i}].amount must be a number`);
+    return problems;
+  });
+}
+
+/**
+ * @param {*} estimate
+ * @returns {Array<string>}
+ */
+export function validateTaxEstimate(estimate) {
+  if (!estimate || typeof estimate !== 'object') return ['tax estimate must be an object'];
+  const problems = [];
+  check(problems, isNumber(estimate.amount), 'tax.amount must be a number');
+  check(problems, isNumber(estimate.rate), 'tax.rate must be a number');
+  check(problems, typeof estimate.inclusive === 'boolean', 'tax.inclusive must be a boolean');
+  return problems;
+}
+
+/**
+ * @param {*} wishlist
+ * @returns {Array<string>}
+ */
+export function validateWishlist(wishlist) {
+  if (!wishlist || !Array.isArray(wishlist.items)) return ['wishlist.items must be an array'];
+  const problems = [];
+  wishlist.items.forEach((item, i) => {
+    check(problems, isString(item?.sku) && item.sku, `wishlist.items[${i}].sku must be a non-empty string`);
+    check(problems, isString(item?.addedAt), `wishlist.items[${i}].addedAt must be an ISO date string`);
+  });
+  check(problems, wishlist.itemCount === wishlist.items.length, 'wishlist.itemCount must match items');
+  return problems;
+}
+
+/**
+ * @param {*} order
+ * @returns {Array<string>}
+ */
+export function validateOrder(order) {
+  if (!order || typeof order !== 'object') return ['order must be an object'];
+  const problems = [];
+  check(problems, isString(order.id) && order.id, 'order.id must be a non-empty string');
+  if (!Array.isArray(order.items)) {
+    problems.push('order.items must be an array');
+  } else {
+    order.items.forEach((item, i) => {
+      check(problems, isString(item?.sku), `order.items[${i}].sku must be a string`);
+      check(problems, Number.isInteger(item?.quantity), `order.items[${i}].quantity must be an integer`);
+      check(problems, isString(item?.price?.final), `order.items[${i}].price.final must be a string`);
+    });
+  }
+  return problems;
+}
+
+/**
+ * @param {*} customer
+ * @returns {Array<string>}
+ */
+export function validateCustomer(customer) {
+  if (!customer || typeof customer !== 'object') return ['customer must be an object'];
+  return isString(customer.email) && customer.email ? [] : ['customer.email must be a non-empty string'];
+}
+
+/**
+ * @param {*} subscription
+ * @returns {Array<string>}
+ */
+export function validateBackInStockSubscription(subscription) {
+  if (!subscription || typeof subscription !== 'object') return ['subscription must be an object'];
+  const problems = [];
+  check(problems, subscription.id != null && String(subscription.id), 'subscription.id is required');
+  ['sku', 'email', 'createdAt'].forEach((key) => {
+    check(problems, isString(subscription[key]) && subscription[key], `subscription.${key} must be a non-empty string`);
+  });
+  return problems;
+}
+
+/**
+ * @param {*} address
+ * @returns {Array<string>}
+ */
+export function validateAddress(address) {
+  if (!address || typeof address !== 'object') return ['address must be an object'];
+  const problems = [];
+  check(problems, address.id != null && String(address.id), 'address.id is required');
+  ['address1', 'city', 'zip', 'country'].forEach((key) => {
+    check(problems, isString(address[key]), `address.${key} must be a string`);
+  });
+  return problems;
+}
@@ -0,0 +1,176 @@
+/**
+ * Promo code engine shared by all adapters.
+ *
+ * Coupon rules are authored in a spreadsheet published at COUPONS_URL with the
+ * columns: code, type (percentage | fixed | free-shipping), value, skus,
+ * categories, minSubtotal, expires, label. `skus` and `categories` are
+ * comma-separated; when either is set the rule only discounts matching items.
+ *
+ * The sheet is public — anyone can read every code in it — so it only suits
+ * codes meant to be shared, not single-use or per-customer ones. The
+ * discounts worked out here are what the cart shows; the backend must check
+ * the codes and amounts an order is sent with against its own copy of the
+ * rules before charging for it.
+ *
+ * @module commerce/discounts
+ */
+
+import { formatMoney } from './money.js';
+
+const COUPONS_URL = '/commerce/coupons.json';
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed', 'free-shipping'];
+
+/** @type {Promise<Array<Object>>|null} Cached rules request */
+let rulesPromise = null;
+
+function parseList(value) {
+  return String(value || '').split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalizes a spreadsheet row into a coupon rule.
+ * @param {Object} row - Raw sheet row (all values are strings)
+ * @returns {Object} Coupon rule
+ */
+function parseRule(row) {
+  return {
+    code: String(row.code || '').trim().toUpperCase(),
+    type: String(row.type || '').trim().toLowerCase(),
+    value: parseFloat(row.value) || 0,
+    skus: parseList(row.skus),
+    categories: parseList(row.categories),
+    minSubtotal: parseFloat(row.minSubtotal) || 0,
+    expires: String(row.expires || '').trim(),
+    label: String(row.label || '').trim(),
+  };
+}
+
+/**
+ * Fetches and caches the coupon rules sheet.
+ * @returns {Promise<Array<Object>>} Coupon rules
+ */
+export function fetchCouponRules() {
+  if (!rulesPromise) {
+    rulesPromise = fetch(COUPONS_URL)
+      .then((resp) => (resp.ok ? resp.json() : { data: [] }))
+      .then((json) => (json.data || [])
+        .map(parseRule)
+        .filter((rule) => rule.code && DISCOUNT_TYPES.includes(rule.type)))
+      .catch(() => {
+        rulesPromise = null;
+        return [];
+      });
+  }
+  return rulesPromise;
+}
+
+/**
+ * Checks whether a rule applies to a cart item.
+ * @param {Object} rule - Coupon rule
+ * @param {Object} item - Cart item
+ * @returns {boolean}
+ */
+function isEligibleItem(rule, item) {
+  if (item.status) return false;
+  if (!rule.skus.length && !rule.categories.length) return true;
+  if (rule.skus.includes(item.sku)) return true;
+  return (item.categories || []).some((cat) => rule.categories.includes(cat));
+}
+
+/**
+ * Returns the reason a coupon can't be used with a cart, if any.
+ * @param {Object} rule - Coupon rule
+ * @param {{items: Array, subtotal: number, currency?: string}} cart - Cart contents
+ * @returns {string|null} Error message, or null when the coupon is valid
+ */
+export function validateCoupon(rule, { items, subtotal, currency }) {
+  if (rule.expires && new Date(rule.expires) < new Date()) {
+    return 'This promo code has expired';
+  }
+  if (subtotal < rule.minSubtotal) {
+    const minimum = formatMoney(rule.minSubtotal, { currency: currency || items[0]?.currency });
+    return `Spend ${minimum} or more to use this promo code`;
+  }
+  if (rule.type !== 'free-shipping' && !items.some((item) => isEligibleItem(rule, item))) {
+    return 'This promo code doesn’t apply to any items in your cart';
+  }
+  return null;
+}
+
+/**
+ * Looks up a coupon rule by code and validates it against the cart.
+ * @param {string} code - Code entered by the shopper
+ * @param {{items: Array, subtotal: number, currency?: string}} cart - Cart contents
+ * @returns {Promise<Object>} The coupon rule
+ * @throws {Error} When the code is unknown or not valid for this cart
+ */
+export async function resolveCoupon(code, cart) {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!normalized) throw new Error('Enter a promo code');
+
+  const rules = await fetchCouponRules();
+  const rule = rules.find((r) => r.code === normalized);
+  if (!rule) throw new Error('This promo code isn’t valid');
+
+  const error = validateCoupon(rule, cart);
+  if (error) throw new Error(error);
+  return rule;
+}
+
+/**
+ * Computes the discounts a set of applied coupons grant on a cart.
+ * Coupons that are no longer valid (e.g. the subtotal dropped below the
+ * minimum) are skipped rather than removed, so they apply again once eligible.
+ * @param {Array<Object>} coupons - Applied coupon rules
+ * @param {{items: Array, subtotal: number, shipping: number}} cart - Cart contents
+ * @returns {Array<Object>} Discounts with code, type, label, amount and per-SKU allocations
+ */
+export function calculateDiscounts(coupons, { items, subtotal, shipping }) {
+  let remaining = subtotal;
+
+  return coupons.reduce((discounts, rule) => {
+    if (validateCoupon(rule, { items, subtotal })) return discounts;
+
+    if (rule.type === 'free-shipping') {
+      if (shipping > 0) {
+        discounts.push({
+          code: rule.code, type: rule.type, label: rule.label, amount: shipping, allocations: {},
+        });
+      }
+      return discounts;
+    }
+
+    const eligible = items.filter((item) => isEligibleItem(rule, item));
+    const base = eligible.reduce((sum, i) => sum + i.quantity * i.price, 0);
+    const raw = rule.type === 'percentage' ? base * (rule.value / 100) : rule.value;
+    const amount = roundMoney(Math.min(raw, base, remaining));
+    if (amount <= 0) return discounts;
+    remaining -= amount;
+
+    // Spread the discount across eligible lines in proportion to their value
+    const allocations = {};
+    eligible.forEach((item) => {
+      allocations[item.sku] = roundMoney(amount * ((item.quantity * item.price) / base));
+    });
+
+    discounts.push({
+      code: rule.code, type: rule.type, label: rule.label, amount, allocations,
+    });
+    return discounts;
+  }, []);
+}
+
+/**
+ * Sums the item-level discount allocated to a SKU across all discounts.
+ * @param {Array<Object>} discounts - Discounts from calculateDiscounts
+ * @param {string} sku - Line item SKU
+ * @returns {number}
+ */
+export function getItemDiscount(discounts, sku) {
+  return roundMoney(discounts.reduce((sum, d) => sum + (d.allocations[sku] || 0), 0));
+}
@@ -7,8 +7,24 @@ export const EVENTS = {
   CART_EMPTY: 'commerce:cart-empty',
   ORDER_CREATED: 'commerce:order-created',
   AUTH_STATE_CHANGED: 'commerce:auth-state-changed',
+  WISHLIST_UPDATED: 'commerce:wishlist-updated',
+  CONNECTIVITY_CHANGED: 'commerce:connectivity-changed',
+  OUTBOX_REPLAYED: 'commerce:outbox-replayed',
+  CHECKOUT_STATE_CHANGED: 'commerce:checkout-state-changed',
 };
 
+/**
+ * A cart change found by reconciliation, reported in CART_UPDATED detail.changes.
+ * 'removed' lines were left out when the guest cart was merged into the
+ * customer's on login.
+ * @typedef {Object} CartChange
+ * @property {string} sku - Affected line item
+ * @property {'price'|'quantity'|'removed'|'out-of-stock'|'unavailable'|'available'} type
+ *   - Kind of change
+ * @property {*} previous - Previous price, quantity or status
+ * @property {*} current - Current price, quantity or status
+ */
+
 /**
  * Dispatches a commerce CustomEvent on document.
  * Automatically fires CART_EMPTY when cart item count reaches zero.
@@ -0,0 +1,167 @@
+/**
+ * Inventory and purchase limits of an offer (a product or one of its
+ * variants), read the same way from the page's JSON-LD and the product bus
+ * JSON:
+ *
+ * - `availability` - schema.org ItemAvailability, e.g. 'https://schema.org/PreOrder'
+ * - `inventoryLevel` - units in stock, a number or a QuantitativeValue `{value}`
+ * - `eligibleQuantity` - purchase limits, a QuantitativeValue `{minValue, maxValue}`,
+ *   with `stepValue` for the increment
+ *
+ * The product page uses them for its quantity selector and stock messages,
+ * and adapters keep cart quantities within the limits a line carries.
+ *
+ * No DOM access, so it runs under Node.
+ *
+ * @module commerce/inventory
+ */
+
+// --- Internal configuration ---
+
+/** Stock at or below this is shown as "Only N left" */
+const LOW_STOCK_THRESHOLD = 5;
+
+/** Quantities the product page offers when the offer sets no lower maximum */
+const QUANTITY_CHOICES = 10;
+
+/** @type {Object<string, StockStatus>} By schema.org ItemAvailability name */
+const STOCK_STATUSES = {
+  InStock: 'in-stock',
+  OnlineOnly: 'in-stock',
+  LimitedAvailability: 'limited',
+  PreOrder: 'pre-order',
+  PreSale: 'pre-order',
+  BackOrder: 'back-order',
+  OutOfStock: 'out-of-stock',
+  SoldOut: 'out-of-stock',
+  Discontinued: 'out-of-stock',
+  InStoreOnly: 'out-of-stock',
+};
+
+/**
+ * @typedef {'in-stock'|'limited'|'pre-order'|'back-order'|'out-of-stock'} StockStatus
+ * Pre-orders and back-orders are sold whatever the stock.
+ */
+
+/**
+ * @typedef {Object} PurchaseLimits
+ * @property {number} min - Smallest quantity per order
+ * @property {number|null} max - Largest quantity per order, null for no limit
+ * @property {number} increment - Quantities go up from `min` in these steps
+ */
+
+/**
+ * Limits of cart lines that don't carry their own, e.g. added before limits
+ * were read or by an adapter that doesn't read them.
+ * @type {PurchaseLimits}
+ */
+export const DEFAULT_LIMITS = Object.freeze({ min: 1, max: null, increment: 1 });
+
+function toCount(value) {
+  const number = Number(value);
+  return value != null && value !== '' && Number.isFinite(number)
+    ? Math.max(0, Math.floor(number))
+    : null;
+}
+
+/**
+ * @param {Object} offer
+ * @returns {number|null} Units in stock, null when the offer doesn't say
+ */
+export function getInventoryLevel(offer) {
+  const level = offer?.inventoryLevel;
+  return toCount(level && typeof level === 'object' ? level.value : level);
+}
+
+/**
+ * @param {Object} offer
+ * @returns {StockStatus} Offers that don't say are in stock
+ */
+export function getStockStatus(offer) {
+  const name = String(offer?.availability || '').split('/').pop();
+  const status = STOCK_STATUSES[name] || 'in-stock';
+  const sellsStock = status === 'in-stock' || status === 'limited';
+  return sellsStock && getInventoryLevel(offer) === 0 ? 'out-of-stock' : status;
+}
+
+/**
+ * @param {Object} offer
+ * @returns {boolean} Whether the offer can be bought
+ */
+export function isPurchasable(offer) {
+  return getStockStatus(offer) !== 'out-of-stock';
+}
+
+/**
+ * @param {Object} offer
+ * @returns {number|null} Units left when few enough to say so, otherwise null
+ */
+export function getLowStock(offer) {
+  const level = getInventoryLevel(offer);
+  const status = getStockStatus(offer);
+  return (status === 'in-stock' || status === 'limited')
+    && level > 0 && level <= LOW_STOCK_THRESHOLD ? level : null;
+}
+
+/**
+ * Works out how much of an offer one order can have. Stock caps the maximum
+ * unless the offer is sold on pre-order or back-order.
+ * @param {Object} offer
+ * @returns {PurchaseLimits}
+ */
+export function getPurchaseLimits(offer) {
+  const eligible = offer?.eligibleQuantity || {};
+  const increment = toCount(eligible.stepValue) || 1;
+  const min = toCount(eligible.minValue) || increment;
+
+  const status = getStockStatus(offer);
+  const caps = [toCount(eligible.maxValue)];
+  if (status === 'in-stock' || status === 'limited') caps.push(getInventoryLevel(offer));
+  if (status === 'out-of-stock') caps.push(0);
+  const cap = caps.filter((value) => value != null);
+  if (!cap.length) return { min, max: null, increment };
+
+  // the largest quantity reachable in steps from the minimum, 0 when none is
+  const lowest = Math.min(...cap);
+  const max = lowest < min ? 0 : min + Math.floor((lowest - min) / increment) * increment;
+  return { min, max, increment };
+}
+
+/**
+ * @param {PurchaseLimits} limits
+ * @returns {Array<number>} Quantities to offer, at most QUANTITY_CHOICES of them
+ */
+export function getQuantityChoices({ min, max, increment }) {
+  const last = Math.min(max ?? Infinity, min + (QUANTITY_CHOICES - 1) * increment);
+  const choices = [];
+  for (let quantity = min; quantity <= last; quantity += increment) choices.push(quantity);
+  return choices;
+}
+
+/**
+ * @param {number} quantity
+ * @param {PurchaseLimits} limits
+ * @returns {number} The nearest quantity within the limits, rounding down; 0 when none is
+ */
+export function clampQuantity(quantity, { min, max, increment }) {
+  if (max === 0) return 0;
+  const steps = Math.max(0, Math.floor((quantity - min) / increment));
+  const clamped = min + steps * increment;
+  return max != null && clamped > max ? max : clamped;
+}
+
+/**
+ * @param {number} quantity - Quantity of a cart line
+ * @param {PurchaseLimits} [limits] - The line's limits; no limits allow anything
+ * @param {string} [name] - Product name for the message
+ * @returns {string|null} Why the quantity can't be ordered, null when it can
+ */
+export function checkQuantity(quantity, limits, name = 'This item') {
+  if (!limits) return null;
+  const { min, max, increment } = limits;
+  if (max === 0) return `${name} can't be ordered right now`;
+  if (max != null && quantity > max) return `Only ${max} of ${name} can be ordered`;
+  if (quantity < min) return `${name} is sold in quantities of at least ${min}`;
+  if ((quantity - min) % increment) return `${name} is sold in steps of ${increment}`;
+  return null;
+}
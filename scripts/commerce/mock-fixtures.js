@@ -0,0 +1,101 @@
+/**
+ * Default dataset for the mock adapter.
+ *
+ * Every customer can sign in with `otp` (or their own `otp`). Addresses and
+ * orders use the same shapes the commerce worker returns. A different
+ * dataset with the same shape can be served as JSON and selected with the
+ * `fixtures` option of the mock config, see adapters/mock.js.
+ *
+ * @module commerce/mock-fixtures
+ */
+
+export default {
+  otp: '123456',
+  customers: [
+    {
+      email: 'jane@example.com',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      phone: '+1 415 555 0100',
+      roles: ['customer'],
+      addresses: [
+        {
+          id: 'addr-jane-home',
+          name: 'Jane Doe',
+          address1: '500 Howard St',
+          address2: 'Apt 12',
+          city: 'San Francisco',
+          state: 'CA',
+          zip: '94105',
+          country: 'US',
+          phone: '+1 415 555 0100',
+          email: 'jane@example.com',
+          isDefault: true,
+        },
+        {
+          id: 'addr-jane-work',
+          name: 'Jane Doe',
+          company: 'Example Inc.',
+          address1: '1 Market St',
+          city: 'San Francisco',
+          state: 'CA',
+          zip: '94111',
+          country: 'US',
+          email: 'jane@example.com',
+        },
+      ],
+      orders: [
+        {
+          id: 'mock-1001',
+          state: 'completed',
+          createdAt: '2025-03-02T17:24:00.000Z',
+          items: [
+            {
+              sku: 'MOCK-TEE-BLK-M',
+              path: 'classic-tee',
+              name: 'Classic Tee — Black / M',
+              quantity: 2,
+              price: { currency: 'USD', final: '24.00' },
+              custom: { image: '', url: '/products/classic-tee' },
+            },
+          ],
+        },
+        {
+          id: 'mock-1002',
+          state: 'processing',
+          createdAt: '2025-04-18T09:05:00.000Z',
+          items: [
+            {
+              sku: 'MOCK-MUG',
+              path: 'enamel-mug',
+              name: 'Enamel Mug',
+              quantity: 1,
+              price: { currency: 'USD', final: '18.00' },
+              custom: { image: '', url: '/products/enamel-mug' },
+            },
+          ],
+        },
+      ],
+    },
+    {
+      email: 'max@example.com',
+      firstName: 'Max',
+      lastName: 'Mustermann',
+      roles: ['customer'],
+      addresses: [
+        {
+          id: 'addr-max-home',
+          name: 'Max Mustermann',
+          address1: 'Musterstraße 1',
+          city: 'Berlin',
+          state: 'BE',
+          zip: '10115',
+          country: 'DE',
+          email: 'max@example.com',
+          isDefault: true,
+        },
+      ],
+      orders: [],
+    },
+  ],
+};
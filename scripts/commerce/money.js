@@ -0,0 +1,112 @@
+/**
+ * Money formatting and currency helpers shared by every block.
+ *
+ * The site currency and locale are resolved from page metadata (`currency`,
+ * `locale`), then placeholders (`currencyCode`, `languageCode`), then
+ * USD / en-US. Blocks call loadMoneyConfig() once before rendering so
+ * placeholder values are available to the synchronous formatters.
+ *
+ * @module commerce/money
+ */
+
+import { fetchPlaceholders, getMetadata } from '../aem.js';
+
+const DEFAULT_CURRENCY = 'USD';
+const DEFAULT_LOCALE = 'en-US';
+
+/** @type {{currency: string, locale: string}|null} Resolved site config */
+let config = null;
+
+/** @type {Promise<{currency: string, locale: string}>|null} */
+let configPromise = null;
+
+function normalizeLocale(locale) {
+  return locale ? locale.replace('_', '-') : '';
+}
+
+/**
+ * Resolves currency and locale from metadata, then placeholders.
+ * @param {Object} [ph={}] - Placeholders
+ * @returns {{currency: string, locale: string}}
+ */
+function resolveConfig(ph = {}) {
+  return {
+    currency: (getMetadata('currency') || ph.currencyCode || DEFAULT_CURRENCY).toUpperCase(),
+    locale: normalizeLocale(getMetadata('locale') || ph.languageCode) || DEFAULT_LOCALE,
+  };
+}
+
+/**
+ * Loads the site money config, including placeholder values.
+ * @returns {Promise<{currency: string, locale: string}>}
+ */
+export function loadMoneyConfig() {
+  if (!configPromise) {
+    configPromise = fetchPlaceholders().then((ph) => {
+      config = resolveConfig(ph);
+      return config;
+    });
+  }
+  return configPromise;
+}
+
+/**
+ * The site currency code (ISO 4217).
+ * @returns {string}
+ */
+export function getCurrency() {
+  return (config || resolveConfig()).currency;
+}
+
+/**
+ * The site locale as a BCP 47 tag.
+ * @returns {string}
+ */
+export function getLocale() {
+  return (config || resolveConfig()).locale;
+}
+
+/**
+ * Number of minor units (decimal places) for a currency, e.g. 2 for USD, 0 for JPY.
+ * @param {string} [currency] - Currency code, defaults to the site currency
+ * @returns {number}
+ */
+export function getMinorUnits(currency = getCurrency()) {
+  return new Intl.NumberFormat(DEFAULT_LOCALE, { style: 'currency', currency })
+    .resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Converts a major-unit amount to integer minor units (e.g. 12.5 USD → 1250).
+ * @param {number} value - Amount in major units
+ * @param {string} [currency] - Currency code
+ * @returns {number}
+ */
+export function toMinorUnits(value, currency = getCurrency()) {
+  return Math.round(Number(value) * 10 ** getMinorUnits(currency));
+}
+
+/**
+ * Converts integer minor units to a major-unit amount (e.g. 1250 USD → 12.5).
+ * @param {number} amount - Amount in minor units
+ * @param {string} [currency] - Currency code
+ * @returns {number}
+ */
+export function fromMinorUnits(amount, currency = getCurrency()) {
+  return Number(amount) / 10 ** getMinorUnits(currency);
+}
+
+/**
+ * Formats an amount as a localized currency string.
+ * @param {number|string} value - Amount in major units
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Currency code, defaults to the site currency
+ * @param {string} [options.locale] - Locale, defaults to the site locale
+ * @returns {string} e.g. "$399.95" or "399,95 €"
+ */
+export function formatMoney(value, { currency, locale } = {}) {
+  return new Intl.NumberFormat(normalizeLocale(locale) || getLocale(), {
+    style: 'currency',
+    currency: (currency || getCurrency()).toUpperCase(),
+  }).format(Number(value) || 0);
+}
@@ -0,0 +1,105 @@
+/**
+ * Cart snapshots: what was in the cart when a payment started, kept in
+ * sessionStorage by payment id. The order confirmation page shows them when
+ * the backend can't return the order, and uses them to take only what was
+ * bought out of the cart.
+ *
+ * No DOM access, so it runs under Node.
+ *
+ * @module commerce/order-snapshot
+ */
+
+// --- Internal configuration ---
+const STORAGE_KEY = 'order-snapshots';
+const MAX_SNAPSHOTS = 5;
+
+/**
+ * @typedef {Object} OrderSnapshot
+ * @property {string} paymentId
+ * @property {import('./contract.js').Cart} cart
+ * @property {Object} [customer] - Customer details sent with the payment
+ * @property {Object} [shipping] - Shipping name and address sent with the payment
+ * @property {import('./contract.js').ShippingMethod|null} shippingMethod
+ * @property {import('./contract.js').TaxEstimate|null} tax
+ * @property {string} takenAt - ISO date
+ * @property {boolean} [cleared] - Whether its items were taken out of the cart
+ */
+
+/** @returns {Array<OrderSnapshot>} Newest last */
+function readAll() {
+  try {
+    const list = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(list) {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(list.slice(-MAX_SNAPSHOTS)));
+}
+
+/**
+ * Keeps a snapshot for a payment, replacing any earlier one for it.
+ * @param {string} paymentId
+ * @param {Omit<OrderSnapshot, 'paymentId'|'takenAt'>} snapshot
+ * @returns {OrderSnapshot}
+ */
+export function saveSnapshot(paymentId, snapshot) {
+  const saved = { ...snapshot, paymentId, takenAt: new Date().toISOString() };
+  writeAll([...readAll().filter((s) => s.paymentId !== paymentId), saved]);
+  return saved;
+}
+
+/**
+ * @param {string} paymentId
+ * @returns {OrderSnapshot|null}
+ */
+export function getSnapshot(paymentId) {
+  return readAll().find((s) => s.paymentId === paymentId) || null;
+}
+
+/**
+ * Records that a payment's items were taken out of the cart, so a reload of
+ * the confirmation page doesn't take them out again.
+ * @param {string} paymentId
+ */
+export function markCleared(paymentId) {
+  const list = readAll();
+  const snapshot = list.find((s) => s.paymentId === paymentId);
+  if (snapshot) {
+    snapshot.cleared = true;
+  } else {
+    list.push({ paymentId, cleared: true, takenAt: new Date().toISOString() });
+  }
+  writeAll(list);
+}
+
+/**
+ * @param {string} paymentId
+ * @returns {boolean} Whether the payment's items were taken out of the cart
+ */
+export function wasCleared(paymentId) {
+  return Boolean(getSnapshot(paymentId)?.cleared);
+}
+
+/**
+ * Works out how to take purchased items out of a cart, leaving anything
+ * added since and any quantity beyond what was bought.
+ * @param {import('./contract.js').Cart} cart - Cart now
+ * @param {Array<{sku: string, quantity: number}>} purchased - Lines bought
+ * @returns {Array<{sku: string, quantity: number}>} New quantity for each
+ *   line that changes; 0 removes it
+ */
+export function remainingQuantities(cart, purchased) {
+  const bought = new Map();
+  purchased.forEach(({ sku, quantity }) => {
+    bought.set(sku, (bought.get(sku) || 0) + quantity);
+  });
+  return (cart?.items || [])
+    .filter((item) => bought.has(item.sku))
+    .map((item) => ({
+      sku: item.sku,
+      quantity: Math.max(0, item.quantity - bought.get(item.sku)),
+    }));
+}
@@ -0,0 +1,23 @@
+/**
+ * What a payment will charge for a cart, for providers that show or
+ * authorise an amount before the order is placed.
+ *
+ * @module commerce/payments/order-total
+ */
+
+import { commerce } from '../api.js';
+
+/**
+ * Adds estimated tax to the cart total. Inclusive tax is already in the prices.
+ * @param {Object} cart
+ * @param {{country: string, state?: string, zip?: string}} [address] - Destination for tax
+ * @returns {Promise<number>} Amount to charge, in major units
+ */
+export default async function getOrderTotal(cart, address) {
+  try {
+    const tax = await commerce.estimateTax({ cart, address });
+    return cart.total + (tax.inclusive ? 0 : tax.amount);
+  } catch {
+    return cart.total;
+  }
+}
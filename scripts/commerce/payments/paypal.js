@@ -0,0 +1,91 @@
+/**
+ * PayPal Buttons. PayPal collects the payer's details, so the checkout form
+ * doesn't have to be complete; whatever is filled in is sent along.
+ *
+ * @module commerce/payments/paypal
+ */
+
+import { commerce } from '../api.js';
+import { getCurrency } from '../money.js';
+
+const PAYPAL_CLIENT_ID = 'AYfXbmal8BOpF1lesKHv4Cf1jRGYLaFnz2X8sq1YKdQGhARrLhFngnJBTmFQOp8qD1kIIItrC36YPc-w';
+const sdkPromises = {};
+
+/**
+ * Loads the PayPal SDK for a currency. The SDK binds its currency at load
+ * time, so each currency gets its own script.
+ * @param {string} currency - Currency code
+ * @returns {Promise<Object>} window.paypal
+ */
+function loadPayPalSDK(currency) {
+  if (sdkPromises[currency]) return sdkPromises[currency];
+
+  sdkPromises[currency] = new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = `https://www.paypal.com/sdk/js?client-id=${PAYPAL_CLIENT_ID}&currency=${currency}`;
+    script.addEventListener('load', () => resolve(window.paypal));
+    script.addEventListener('error', () => reject(new Error('Failed to load PayPal SDK')));
+    document.head.append(script);
+  });
+
+  return sdkPromises[currency];
+}
+
+/** @type {import('./registry.js').PaymentProvider} */
+export default {
+  id: 'paypal',
+  label: 'PayPal',
+  placement: 'express',
+
+  isAvailable() {
+    return commerce.supports('paypal');
+  },
+
+  async render(container, context) {
+    const cart = await commerce.getCart();
+    const paypal = await loadPayPalSDK(cart?.currency || getCurrency());
+
+    await paypal.Buttons({
+      style: { layout: 'horizontal', tagline: false },
+      createOrder: async () => {
+        const { id } = await this.createPayment(context.getDetails());
+        return id;
+      },
+      onApprove: async (data) => {
+        context.setStatus('Processing payment…');
+        try {
+          const result = await this.capture(data.orderID, context.getDetails());
+          context.complete(this, data.orderID, result);
+        } catch (err) {
+          context.setStatus(`Payment failed: ${err.message}`, true);
+        }
+      },
+      onError: (err) => {
+        context.setStatus(`PayPal error: ${err.message || 'Something went wrong'}`, true);
+      },
+      onCancel: () => {
+        context.setStatus('Payment cancelled.');
+      },
+    }).render(container);
+  },
+
+  createPayment(details) {
+    return commerce.createPayPalOrder(details);
+  },
+
+  capture(id, details) {
+    return commerce.capturePayPalOrder(id, details);
+  },
+
+  confirmationParams(id) {
+    return { paypal_order_id: id };
+  },
+
+  paymentId(params) {
+    return params.get('paypal_order_id');
+  },
+
+  getPayment(id) {
+    return commerce.getPaymentStatus('paypal', id);
+  },
+};
@@ -0,0 +1,164 @@
+/**
+ * Payment provider registry.
+ *
+ * A payment provider is one way to pay — a hosted card checkout, PayPal, a
+ * wallet button — behind a single interface. Checkout UIs render the
+ * providers they are configured with, in order, and the order confirmation
+ * page asks the registry which provider a payment was made with.
+ *
+ * The built-in providers are loaded on first use. Sites can add their own
+ * with registerProvider() before the checkout renders.
+ *
+ * @module commerce/payments/registry
+ */
+
+/**
+ * @typedef {Object} CheckoutDetails
+ * @property {{email: string, firstName: string, lastName: string}} customer
+ * @property {Object} shipping - Shipping address: name, email, address1,
+ *   address2, city, state, zip, country
+ */
+
+/**
+ * What the checkout UI hands the providers it renders.
+ * @typedef {Object} CheckoutContext
+ * @property {function(): CheckoutDetails} getDetails - Details entered so far
+ * @property {function(): boolean} validate - Whether the details are complete;
+ *   shows what's missing if not
+ * @property {function(): {country: string, state: string, zip: string}} getAddress
+ *   - Destination used for shipping and tax quotes
+ * @property {function(string, boolean=): void} setStatus - Shows a message,
+ *   as an error when the second argument is true
+ * @property {function(PaymentProvider, string, Object=): void} complete -
+ *   Moves on to the confirmation page for a payment, or waits there for an
+ *   order the capture result says was queued offline
+ */
+
+/**
+ * Payment status as the commerce worker reports it.
+ * @typedef {Object} PaymentStatus
+ * @property {string} payment_status - 'paid' once the payment went through
+ * @property {string} [customer_email]
+ * @property {number} [amount_total] - In minor units
+ * @property {string} [currency] - Lowercase currency code
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} id - Registry id, as used in block configuration
+ * @property {string} label - Name shown to shoppers
+ * @property {'express'|'form'} placement - Express providers collect the
+ *   shopper's details themselves and sit above the checkout form; form
+ *   providers pay for the details entered in it
+ * @property {function(CheckoutContext): Promise<boolean>} isAvailable
+ * @property {function(HTMLElement, CheckoutContext): Promise<void>} render -
+ *   Renders the provider's button or form into the container
+ * @property {function(HTMLElement): void} [destroy] - Undoes render for the
+ *   container: unmounts what was mounted there and stops listening for cart
+ *   changes
+ * @property {function(CheckoutDetails): Promise<{id: string}>} createPayment
+ * @property {function(string, CheckoutDetails): Promise<Object>} capture -
+ *   Captures an approved payment and places the order
+ * @property {function(string): Object<string, string>} confirmationParams -
+ *   Query parameters identifying a payment on the confirmation page
+ * @property {function(URLSearchParams): (string|null)} paymentId - Reads the
+ *   payment id back from those parameters, if they are this provider's
+ * @property {function(string): Promise<PaymentStatus>} getPayment
+ */
+
+/** Default providers, in the order they are offered */
+export const DEFAULT_PROVIDERS = ['stripe-payment-request', 'paypal', 'stripe-payment-element'];
+
+const CONFIRMATION_PATH = '/order-confirmation';
+
+/** @type {Map<string, function(): Promise<{default: PaymentProvider}>>} */
+const BUILT_IN = new Map([
+  ['stripe-payment-element', () => import('./stripe-payment-element.js')],
+  ['stripe-checkout', () => import('./stripe-checkout.js')],
+  ['stripe-payment-request', () => import('./stripe-payment-request.js')],
+  ['paypal', () => import('./paypal.js')],
+]);
+
+/** @type {Map<string, Promise<PaymentProvider|null>>} Loaded and registered providers */
+const providers = new Map();
+
+/**
+ * Adds a provider, or replaces the one with the same id.
+ * @param {PaymentProvider} provider
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, Promise.resolve(provider));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<PaymentProvider|null>} null for unknown ids or providers that fail to load
+ */
+export function getProvider(id) {
+  if (!providers.has(id)) {
+    const load = BUILT_IN.get(id);
+    if (!load) return Promise.resolve(null);
+    providers.set(id, load().then((module) => module.default).catch(() => {
+      providers.delete(id);
+      return null;
+    }));
+  }
+  return providers.get(id);
+}
+
+/**
+ * Loads providers in the given order, leaving out unknown ids.
+ * @param {string[]} [ids=DEFAULT_PROVIDERS]
+ * @returns {Promise<PaymentProvider[]>}
+ */
+export async function getProviders(ids = DEFAULT_PROVIDERS) {
+  const list = await Promise.all(ids.map(getProvider));
+  return list.filter(Boolean);
+}
+
+/**
+ * Reads a provider list from block configuration, e.g. "paypal, stripe-checkout".
+ * @param {string|string[]} [value] - Config value; one or more paragraphs
+ * @returns {string[]} Provider ids, DEFAULT_PROVIDERS when none are given
+ */
+export function parseProviderIds(value) {
+  const ids = [value].flat()
+    .flatMap((v) => String(v || '').split(','))
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+  return ids.length ? [...new Set(ids)] : DEFAULT_PROVIDERS;
+}
+
+/**
+ * @param {PaymentProvider} provider
+ * @param {string} paymentId
+ * @returns {string} Confirmation page URL for the payment
+ */
+export function confirmationUrl(provider, paymentId) {
+  return `${CONFIRMATION_PATH}?${new URLSearchParams(provider.confirmationParams(paymentId))}`;
+}
+
+/**
+ * Finds the payment a confirmation page URL refers to.
+ * @param {URLSearchParams} params - Confirmation page query
+ * @param {string[]} [ids] - Providers to consider; all known ones by default
+ * @returns {Promise<{provider: PaymentProvider, id: string}|null>}
+ */
+export async function findPayment(params, ids) {
+  const known = [...new Set([...BUILT_IN.keys(), ...providers.keys()])];
+  const candidates = await getProviders(ids || known);
+  const provider = candidates.find((p) => p.paymentId(params));
+  return provider ? { provider, id: provider.paymentId(params) } : null;
+}
+
+/**
+ * Finds the payment an order was placed for from the answer to its capture,
+ * which carries the payment id under the provider's confirmation parameter.
+ * @param {Object} result - What the provider's capture answered
+ * @param {string[]} [ids] - Providers to consider; all known ones by default
+ * @returns {Promise<{provider: PaymentProvider, id: string}|null>}
+ */
+export function findCapturedPayment(result, ids) {
+  const fields = Object.entries(result || {}).filter(([, value]) => typeof value === 'string');
+  return findPayment(new URLSearchParams(fields), ids);
+}
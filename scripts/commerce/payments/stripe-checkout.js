@@ -0,0 +1,62 @@
+/**
+ * Stripe Checkout: pays for the checkout form's details on Stripe's hosted
+ * payment page, which sends the shopper back to the confirmation page.
+ *
+ * @module commerce/payments/stripe-checkout
+ */
+
+import { commerce } from '../api.js';
+
+const BUTTON_LABEL = 'Pay with card';
+
+/** @type {import('./registry.js').PaymentProvider} */
+export default {
+  id: 'stripe-checkout',
+  label: 'Credit or debit card',
+  placement: 'form',
+
+  isAvailable() {
+    return commerce.supports('hostedCheckout');
+  },
+
+  async render(container, context) {
+    container.innerHTML = `<button type="button" class="payment-button">${BUTTON_LABEL}</button>`;
+    const button = container.querySelector('button');
+
+    button.addEventListener('click', async () => {
+      if (!context.validate()) return;
+
+      button.disabled = true;
+      button.textContent = 'Redirecting to payment…';
+      try {
+        const { url } = await this.createPayment(context.getDetails());
+        window.location.href = url;
+      } catch (err) {
+        button.disabled = false;
+        button.textContent = BUTTON_LABEL;
+        context.setStatus(`Checkout failed: ${err.message}`, true);
+      }
+    });
+  },
+
+  createPayment(details) {
+    return commerce.createCheckoutSession(details);
+  },
+
+  /** Stripe captures on its own page; this only reports the outcome */
+  capture(id) {
+    return this.getPayment(id);
+  },
+
+  confirmationParams(id) {
+    return { session_id: id };
+  },
+
+  paymentId(params) {
+    return params.get('session_id');
+  },
+
+  getPayment(id) {
+    return commerce.getPaymentStatus('hostedCheckout', id);
+  },
+};
@@ -0,0 +1,209 @@
+/**
+ * Stripe Payment Element: an inline card form, so the shopper pays without
+ * leaving the site. The element is mounted before a PaymentIntent exists and
+ * the intent is only created when the shopper pays, for the checkout form's
+ * details.
+ *
+ * Cards that need 3-D Secure are challenged in place. Payment methods that
+ * can only authenticate on another page come back to this page, where the
+ * payment is picked up again and the order placed.
+ *
+ * @module commerce/payments/stripe-payment-element
+ */
+
+import { commerce } from '../api.js';
+import { getCurrency, toMinorUnits } from '../money.js';
+import getOrderTotal from './order-total.js';
+import loadStripe from './stripe-sdk.js';
+
+const BUTTON_LABEL = 'Pay now';
+
+/** Payment waiting on a redirect, with the details to place the order with */
+const PENDING_KEY = 'stripe-pending-payment';
+
+/** Query parameters Stripe adds to the return URL */
+const RETURN_PARAMS = ['payment_intent', 'payment_intent_client_secret', 'redirect_status'];
+
+/** PaymentIntent statuses an order can be placed for */
+const AUTHORISED = ['succeeded', 'processing'];
+
+/** Undoes each render, by container */
+const cleanups = new WeakMap();
+
+function savePending(id, details) {
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({ id, details }));
+}
+
+function takePending(id) {
+  try {
+    const pending = JSON.parse(sessionStorage.getItem(PENDING_KEY));
+    sessionStorage.removeItem(PENDING_KEY);
+    return pending?.id === id ? pending : null;
+  } catch {
+    return null;
+  }
+}
+
+/** The current page without Stripe's return parameters */
+function returnUrl() {
+  const url = new URL(window.location.href);
+  RETURN_PARAMS.forEach((name) => url.searchParams.delete(name));
+  return url.href;
+}
+
+/**
+ * Reads and clears Stripe's return parameters, if the shopper has just come
+ * back from authenticating a payment.
+ * @returns {{id: string, clientSecret: string}|null}
+ */
+function readReturn() {
+  const params = new URLSearchParams(window.location.search);
+  const id = params.get('payment_intent');
+  if (!id) return null;
+  window.history.replaceState(window.history.state, '', returnUrl());
+  return { id, clientSecret: params.get('payment_intent_client_secret') };
+}
+
+async function toAmount(cart, address, currency) {
+  return toMinorUnits(await getOrderTotal(cart, address), currency);
+}
+
+/** @type {import('./registry.js').PaymentProvider} */
+export default {
+  id: 'stripe-payment-element',
+  label: 'Credit or debit card',
+  placement: 'form',
+
+  isAvailable() {
+    return commerce.supports('stripe');
+  },
+
+  async render(container, context) {
+    this.destroy(container);
+    const stripe = await loadStripe();
+    const cart = await commerce.getCart();
+    const currency = cart?.currency || getCurrency();
+
+    const returned = readReturn();
+    if (returned) {
+      const pending = takePending(returned.id);
+      if (pending) {
+        context.setStatus('Processing payment…');
+        try {
+          const { paymentIntent } = await stripe.retrievePaymentIntent(returned.clientSecret);
+          if (AUTHORISED.includes(paymentIntent?.status)) {
+            context.complete(this, returned.id, await this.capture(returned.id, pending.details));
+            return;
+          }
+          context.setStatus('Payment not completed. Please try again.', true);
+        } catch (err) {
+          context.setStatus(`Payment failed: ${err.message}`, true);
+        }
+      }
+    }
+
+    const elements = stripe.elements({
+      mode: 'payment',
+      amount: await toAmount(cart, context.getAddress(), currency),
+      currency: currency.toLowerCase(),
+    });
+
+    container.innerHTML = `
+      <div class="payment-element"></div>
+      <button type="button" class="payment-button">${BUTTON_LABEL}</button>`;
+    const button = container.querySelector('button');
+    const element = elements.create('payment', { layout: 'tabs' });
+    element.mount(container.querySelector('.payment-element'));
+
+    const reset = (message) => {
+      button.disabled = false;
+      button.textContent = BUTTON_LABEL;
+      if (message) context.setStatus(message, true);
+    };
+
+    button.addEventListener('click', async () => {
+      if (!context.validate()) return;
+
+      button.disabled = true;
+      button.textContent = 'Processing payment…';
+      try {
+        // Card errors are shown in the element itself
+        const { error: fieldError } = await elements.submit();
+        if (fieldError) {
+          reset();
+          return;
+        }
+
+        const details = context.getDetails();
+        const { clientSecret, id } = await this.createPayment(details);
+        savePending(id, details);
+
+        const { error, paymentIntent } = await stripe.confirmPayment({
+          elements,
+          clientSecret,
+          confirmParams: {
+            return_url: returnUrl(),
+            payment_method_data: {
+              billing_details: {
+                name: details.shipping.name,
+                email: details.customer.email,
+              },
+            },
+          },
+          redirect: 'if_required',
+        });
+
+        takePending(id);
+        if (error) {
+          reset(`Payment failed: ${error.message}`);
+          return;
+        }
+        if (!AUTHORISED.includes(paymentIntent.status)) {
+          reset('Payment not completed. Please try again.');
+          return;
+        }
+        context.complete(this, id, await this.capture(id, details));
+      } catch (err) {
+        reset(`Payment failed: ${err.message}`);
+      }
+    });
+
+    // The element checks the amount against each payment method's limits
+    const unsubscribe = commerce.on(commerce.EVENTS.CART_UPDATED, async (e) => {
+      const c = e.detail.cart;
+      if (!c?.items?.length) return;
+      try {
+        elements.update({ amount: await toAmount(c, context.getAddress(), currency) });
+      } catch { /* offline — the payment intent is priced from the cart when it's created */ }
+    });
+    cleanups.set(container, () => {
+      unsubscribe();
+      element.destroy();
+    });
+  },
+
+  destroy(container) {
+    cleanups.get(container)?.();
+    cleanups.delete(container);
+  },
+
+  createPayment({ shipping }) {
+    return commerce.createStripePaymentIntent({ shipping });
+  },
+
+  capture(id, details) {
+    return commerce.captureStripePaymentIntent(id, details);
+  },
+
+  confirmationParams(id) {
+    return { payment_intent_id: id };
+  },
+
+  paymentId(params) {
+    return params.get('payment_intent_id');
+  },
+
+  getPayment(id) {
+    return commerce.getPaymentStatus('stripe', id);
+  },
+};
@@ -0,0 +1,213 @@
+/**
+ * Stripe Payment Request Button: Apple Pay, Google Pay and Link. The payment
+ * sheet collects the payer's details and shipping address, and shipping
+ * options and tax are re-quoted as the shopper changes them there.
+ *
+ * Nothing is rendered when the browser has no wallet to offer.
+ *
+ * @module commerce/payments/stripe-payment-request
+ */
+
+import { commerce } from '../api.js';
+import { formatMoney, getCurrency, toMinorUnits } from '../money.js';
+import getOrderTotal from './order-total.js';
+import loadStripe from './stripe-sdk.js';
+
+/** Undoes each render, by container */
+const cleanups = new WeakMap();
+
+async function toTotal(cart, address, currency) {
+  return { label: 'Order total', amount: toMinorUnits(await getOrderTotal(cart, address), currency) };
+}
+
+/**
+ * Maps shipping methods to Payment Request shipping options.
+ * The sheet treats the first option as selected, so the current method leads.
+ */
+function toPaymentRequestOptions(methods, selectedId, currency) {
+  return [...methods]
+    .sort((a, b) => (b.id === selectedId) - (a.id === selectedId))
+    .map((m) => ({
+      id: m.id,
+      label: m.label,
+      detail: m.detail || (m.amount === 0 ? 'Free' : formatMoney(m.amount, { currency })),
+      amount: toMinorUnits(m.amount, currency),
+    }));
+}
+
+/**
+ * Customer and shipping details from the payment sheet's paymentmethod event.
+ * @returns {import('./registry.js').CheckoutDetails}
+ */
+function toCheckoutDetails(ev) {
+  const [firstName = '', ...rest] = (ev.payerName || '').split(' ');
+  const address = ev.shippingAddress || {};
+  return {
+    customer: {
+      email: ev.payerEmail || '',
+      firstName,
+      lastName: rest.join(' '),
+    },
+    shipping: {
+      name: ev.payerName || '',
+      email: ev.payerEmail || '',
+      address1: address.addressLine?.[0] || '',
+      address2: address.addressLine?.[1] || '',
+      city: address.city || '',
+      state: address.region || '',
+      zip: address.postalCode || '',
+      country: address.country || '',
+    },
+  };
+}
+
+/** @type {import('./registry.js').PaymentProvider} */
+export default {
+  id: 'stripe-payment-request',
+  label: 'Apple Pay or Google Pay',
+  placement: 'express',
+
+  isAvailable() {
+    return commerce.supports('stripe');
+  },
+
+  async render(container, context) {
+    this.destroy(container);
+    const stripe = await loadStripe();
+    const cart = await commerce.getCart();
+    const methods = await commerce.getShippingMethods();
+    const currency = cart?.currency || getCurrency();
+
+    const paymentRequest = stripe.paymentRequest({
+      country: 'US',
+      currency: currency.toLowerCase(),
+      total: await toTotal(cart, context.getAddress(), currency),
+      requestPayerName: true,
+      requestPayerEmail: true,
+      requestShipping: true,
+      shippingOptions: toPaymentRequestOptions(methods, cart.shippingMethod, currency),
+    });
+
+    if (!(await paymentRequest.canMakePayment())) return;
+
+    const prButton = stripe.elements().create('paymentRequestButton', { paymentRequest });
+    prButton.mount(container);
+
+    paymentRequest.on('paymentmethod', async (ev) => {
+      let sheetOpen = true;
+      const closeSheet = (status) => {
+        if (sheetOpen) ev.complete(status);
+        sheetOpen = false;
+      };
+
+      context.setStatus('Processing payment…');
+      try {
+        const details = toCheckoutDetails(ev);
+        const { clientSecret, id } = await this.createPayment(details);
+        // Confirm without next actions so the sheet can close first
+        const { error, paymentIntent } = await stripe.confirmCardPayment(
+          clientSecret,
+          { payment_method: ev.paymentMethod.id },
+          { handleActions: false },
+        );
+
+        if (error || !['succeeded', 'requires_action'].includes(paymentIntent.status)) {
+          closeSheet('fail');
+          context.setStatus(error ? `Payment failed: ${error.message}` : 'Payment not completed. Please try again.', true);
+          return;
+        }
+        closeSheet('success');
+
+        if (paymentIntent.status === 'requires_action') {
+          // 3-D Secure: Stripe shows the card issuer's challenge
+          const next = await stripe.confirmCardPayment(clientSecret);
+          if (next.error || next.paymentIntent.status !== 'succeeded') {
+            context.setStatus(`Payment failed: ${next.error?.message || 'the card was not authenticated'}`, true);
+            return;
+          }
+        }
+
+        context.complete(this, id, await this.capture(id, details));
+      } catch (err) {
+        closeSheet('fail');
+        context.setStatus(`Payment failed: ${err.message}`, true);
+      }
+    });
+
+    // Recompute shipping options and tax for the address chosen in the payment sheet
+    let sheetAddress = context.getAddress();
+    paymentRequest.on('shippingaddresschange', async (ev) => {
+      const { country, region, postalCode } = ev.shippingAddress || {};
+      const address = { country, state: region, zip: postalCode };
+      try {
+        const available = await commerce.getShippingMethods({ address });
+        if (!available.length) {
+          ev.updateWith({ status: 'invalid_shipping_address' });
+          return;
+        }
+        const current = await commerce.getCart();
+        const method = available.find((m) => m.id === current.shippingMethod) || available[0];
+        const c = await commerce.setShippingMethod(method.id, { address });
+        sheetAddress = address;
+        ev.updateWith({
+          status: 'success',
+          shippingOptions: toPaymentRequestOptions(available, c.shippingMethod, currency),
+          total: await toTotal(c, address, currency),
+        });
+      } catch {
+        ev.updateWith({ status: 'fail' });
+      }
+    });
+
+    paymentRequest.on('shippingoptionchange', async (ev) => {
+      try {
+        const c = await commerce.setShippingMethod(ev.shippingOption.id);
+        ev.updateWith({ status: 'success', total: await toTotal(c, sheetAddress, currency) });
+      } catch {
+        ev.updateWith({ status: 'fail' });
+      }
+    });
+
+    // Keep the sheet's totals in step with the cart
+    const unsubscribe = commerce.on(commerce.EVENTS.CART_UPDATED, async (e) => {
+      const c = e.detail.cart;
+      try {
+        const available = await commerce.getShippingMethods();
+        const total = await toTotal(c, context.getAddress(), currency);
+        paymentRequest.update({
+          total,
+          shippingOptions: toPaymentRequestOptions(available, c?.shippingMethod, currency),
+        });
+      } catch { /* offline, or the sheet is open — its own events keep it in sync */ }
+    });
+    cleanups.set(container, () => {
+      unsubscribe();
+      prButton.destroy();
+    });
+  },
+
+  destroy(container) {
+    cleanups.get(container)?.();
+    cleanups.delete(container);
+  },
+
+  createPayment({ shipping }) {
+    return commerce.createStripePaymentIntent({ shipping });
+  },
+
+  capture(id, details) {
+    return commerce.captureStripePaymentIntent(id, details);
+  },
+
+  confirmationParams(id) {
+    return { payment_intent_id: id };
+  },
+
+  paymentId(params) {
+    return params.get('payment_intent_id');
+  },
+
+  getPayment(id) {
+    return commerce.getPaymentStatus('stripe', id);
+  },
+};
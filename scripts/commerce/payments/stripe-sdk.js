@@ -0,0 +1,29 @@
+/**
+ * Loads Stripe.js once for the Stripe payment providers.
+ *
+ * @module commerce/payments/stripe-sdk
+ */
+
+const STRIPE_PUBLISHABLE_KEY = 'pk_test_51T20B1J8K3ZPob7hXjCQMZ5bNxcE4KatSkxkhp6avphylnYFaAJtpTWE7fnas9nA9z2MDLPblybCmD41WmkUJKVV00wlcTT7jc';
+
+let stripePromise = null;
+
+/**
+ * @returns {Promise<Object>} Stripe instance for the site's publishable key
+ */
+export default function loadStripe() {
+  if (stripePromise) return stripePromise;
+
+  stripePromise = new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = 'https://js.stripe.com/v3/';
+    script.addEventListener('load', () => resolve(window.Stripe(STRIPE_PUBLISHABLE_KEY)));
+    script.addEventListener('error', () => {
+      stripePromise = null;
+      reject(new Error('Failed to load Stripe.js'));
+    });
+    document.head.append(script);
+  });
+
+  return stripePromise;
+}
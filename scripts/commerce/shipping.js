@@ -0,0 +1,132 @@
+/**
+ * Shipping method and rate engine shared by the adapters, the cart block and
+ * the Payment Request sheet.
+ *
+ * Rates are authored in a spreadsheet published at SHIPPING_URL. Each row is
+ * one rate tier of a method: id, label, detail, countries (comma-separated
+ * ISO codes, `*` for all), basis (subtotal | weight | count), min, max, rate
+ * and freeOver (subtotal at or above which the method is free). A method is
+ * offered for an address when one of its rows matches the country and the
+ * cart's value for the row's basis falls within [min, max).
+ *
+ * @module commerce/shipping
+ */
+
+const SHIPPING_URL = '/commerce/shipping.json';
+
+/**
+ * Rates used until the sheet loads, or when it is missing.
+ * Matches the storefront's original flat rule: $10, free from $150.
+ * @type {Array<Object>}
+ */
+export const DEFAULT_SHIPPING_RATES = [{
+  id: 'standard',
+  label: 'Standard Shipping',
+  detail: '',
+  countries: ['*'],
+  basis: 'subtotal',
+  min: 0,
+  max: Infinity,
+  rate: 10,
+  freeOver: 150,
+}];
+
+/** @type {Promise<Array<Object>>|null} Cached rates request */
+let ratesPromise = null;
+
+function parseNumber(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Normalizes a spreadsheet row into a rate tier.
+ * @param {Object} row - Raw sheet row (all values are strings)
+ * @returns {Object} Rate tier
+ */
+function parseRate(row) {
+  return {
+    id: String(row.id || '').trim(),
+    label: String(row.label || row.id || '').trim(),
+    detail: String(row.detail || '').trim(),
+    countries: String(row.countries || '*').split(',').map((c) => c.trim().toUpperCase()).filter(Boolean),
+    basis: String(row.basis || 'subtotal').trim().toLowerCase(),
+    min: parseNumber(row.min, 0),
+    max: parseNumber(row.max, Infinity),
+    rate: parseNumber(row.rate, 0),
+    freeOver: parseNumber(row.freeOver, Infinity),
+  };
+}
+
+/**
+ * Fetches and caches the shipping rates sheet, falling back to the defaults.
+ * @returns {Promise<Array<Object>>} Rate tiers
+ */
+export function loadShippingRates() {
+  if (!ratesPromise) {
+    ratesPromise = fetch(SHIPPING_URL)
+      .then((resp) => (resp.ok ? resp.json() : { data: [] }))
+      .then((json) => {
+        const rates = (json.data || []).map(parseRate).filter((r) => r.id);
+        return rates.length ? rates : DEFAULT_SHIPPING_RATES;
+      })
+      .catch(() => {
+        ratesPromise = null;
+        return DEFAULT_SHIPPING_RATES;
+      });
+  }
+  return ratesPromise;
+}
+
+/**
+ * Measures a cart along every rate basis.
+ * @param {{items: Array, subtotal: number}} cart - Cart contents
+ * @returns {{subtotal: number, weight: number, count: number}}
+ */
+function measureCart({ items = [], subtotal = 0 }) {
+  const purchasable = items.filter((i) => !i.status);
+  return {
+    subtotal,
+    weight: purchasable.reduce((sum, i) => sum + (Number(i.weight) || 0) * i.quantity, 0),
+    count: purchasable.reduce((sum, i) => sum + i.quantity, 0),
+  };
+}
+
+/**
+ * Quotes the shipping methods available for an address and cart.
+ * @param {Array<Object>} rates - Rate tiers from loadShippingRates
+ * @param {{country?: string, cart: Object}} options - Destination country and cart contents
+ * @returns {Array<{id: string, label: string, detail: string, amount: number}>}
+ *   Available methods, cheapest first
+ */
+export function quoteShippingMethods(rates, { country, cart }) {
+  const metrics = measureCart(cart);
+  const code = (country || '').toUpperCase();
+  const quotes = new Map();
+
+  rates.forEach((tier) => {
+    if (quotes.has(tier.id)) return;
+    const countryMatch = tier.countries.includes('*') || (code && tier.countries.includes(code));
+    const value = metrics[tier.basis] ?? metrics.subtotal;
+    if (!countryMatch || value < tier.min || value >= tier.max) return;
+
+    quotes.set(tier.id, {
+      id: tier.id,
+      label: tier.label,
+      detail: tier.detail,
+      amount: metrics.subtotal >= tier.freeOver ? 0 : tier.rate,
+    });
+  });
+
+  return [...quotes.values()].sort((a, b) => a.amount - b.amount);
+}
+
+/**
+ * Picks the selected method from a quote, falling back to the cheapest.
+ * @param {Array<Object>} quotes - Result of quoteShippingMethods
+ * @param {string|null} id - Selected method ID
+ * @returns {Object|null}
+ */
+export function selectShippingMethod(quotes, id) {
+  return quotes.find((q) => q.id === id) || quotes[0] || null;
+}
@@ -0,0 +1,131 @@
+/**
+ * Table-driven tax estimation.
+ *
+ * Adapters expose `estimateTax({ cart, address })`; this module provides the
+ * default implementation. Rates are authored in a spreadsheet published at
+ * TAX_RATES_URL with the columns: country, state, rate (percent), inclusive
+ * (prices already include tax), shipping (shipping is taxable) and label.
+ * The most specific row wins: country + state, then country, then `*`.
+ *
+ * @module commerce/tax
+ */
+
+import { getItemDiscount } from './discounts.js';
+
+const TAX_RATES_URL = '/commerce/tax-rates.json';
+
+/** @type {Promise<Array<Object>>|null} Cached rates request */
+let ratesPromise = null;
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function parseFlag(value) {
+  return ['true', 'yes', '1'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Normalizes a spreadsheet row into a tax rate.
+ * @param {Object} row - Raw sheet row (all values are strings)
+ * @returns {Object} Tax rate
+ */
+export function parseTaxRate(row) {
+  return {
+    country: String(row.country || '*').trim().toUpperCase(),
+    state: String(row.state || '').trim().toUpperCase(),
+    rate: parseFloat(row.rate) || 0,
+    inclusive: typeof row.inclusive === 'boolean' ? row.inclusive : parseFlag(row.inclusive),
+    shipping: typeof row.shipping === 'boolean' ? row.shipping : parseFlag(row.shipping),
+    label: String(row.label || 'Tax').trim(),
+  };
+}
+
+/**
+ * Fetches and caches the tax rates sheet.
+ * @returns {Promise<Array<Object>>} Tax rates
+ */
+export function loadTaxRates() {
+  if (!ratesPromise) {
+    ratesPromise = fetch(TAX_RATES_URL)
+      .then((resp) => (resp.ok ? resp.json() : { data: [] }))
+      .then((json) => (json.data || []).map(parseTaxRate))
+      .catch(() => {
+        ratesPromise = null;
+        return [];
+      });
+  }
+  return ratesPromise;
+}
+
+/**
+ * Finds the most specific rate for an address.
+ * @param {Array<Object>} rates - Tax rates
+ * @param {Object} [address] - Address with country and state
+ * @returns {Object|null}
+ */
+function findRate(rates, address = {}) {
+  const country = String(address.country || '').toUpperCase();
+  const state = String(address.state || '').toUpperCase();
+  return rates.find((r) => r.country === country && r.state && r.state === state)
+    || rates.find((r) => r.country === country && !r.state)
+    || rates.find((r) => r.country === '*')
+    || null;
+}
+
+/**
+ * Computes the tax portion of an amount.
+ * Inclusive rates extract the tax already contained in the price.
+ */
+function taxOn(amount, rate) {
+  const r = rate.rate / 100;
+  return roundMoney(rate.inclusive ? amount - amount / (1 + r) : amount * r);
+}
+
+/**
+ * Estimates tax for a cart shipped to an address.
+ * @param {Array<Object>} rates - Tax rates
+ * @param {{cart: Object, address: Object}} options - Cart and destination
+ * @returns {{amount: number, rate: number, label: string, inclusive: boolean,
+ *   shipping: number, lines: Array<{sku: string, amount: number}>}}
+ *   `amount` is the total tax; when `inclusive` it is already part of the prices
+ */
+export function estimateTaxFromTable(rates, { cart, address }) {
+  const rate = findRate(rates, address);
+  if (!rate || !cart) {
+    return {
+      amount: 0, rate: 0, label: 'Tax', inclusive: false, shipping: 0, lines: [],
+    };
+  }
+
+  const discounts = cart.discounts || [];
+  const lines = (cart.items || []).filter((item) => !item.status).map((item) => ({
+    sku: item.sku,
+    amount: taxOn(item.quantity * item.price - getItemDiscount(discounts, item.sku), rate),
+  }));
+
+  const shippingDiscount = discounts
+    .filter((d) => d.type === 'free-shipping')
+    .reduce((sum, d) => sum + d.amount, 0);
+  const shipping = rate.shipping
+    ? taxOn(Math.max(0, (cart.shipping || 0) - shippingDiscount), rate)
+    : 0;
+
+  return {
+    amount: roundMoney(lines.reduce((sum, l) => sum + l.amount, 0) + shipping),
+    rate: rate.rate,
+    label: rate.label,
+    inclusive: rate.inclusive,
+    shipping,
+    lines,
+  };
+}
+
+/**
+ * Creates an adapter-ready tax calculator backed by a rate table.
+ * @param {Function} getRates - Returns (a promise of) the rate table
+ * @returns {Function} async ({ cart, address }) => tax estimate
+ */
+export function createTableTaxCalculator(getRates) {
+  return async ({ cart, address }) => estimateTaxFromTable(await getRates(), { cart, address });
+}
@@ -0,0 +1,121 @@
+/**
+ * Variant matrix: which combinations of a product's options exist and are in
+ * stock. The product page asks it, whenever a selection changes, how every
+ * value of every option group stands against the rest of the selection, and
+ * for the nearest variant when a combination doesn't exist.
+ *
+ * Selections map option ids to values in the form the caller keys them by
+ * (`toKey`), e.g. `{color: 'red', size: 'xl'}`.
+ *
+ * No DOM access, so it runs under Node.
+ *
+ * @module commerce/variant-matrix
+ */
+
+/**
+ * @typedef {'available'|'out-of-stock'|'unavailable'} OptionStatus
+ * 'unavailable' means no variant has the value alongside the rest of the selection.
+ */
+
+/**
+ * @typedef {Object} Resolution
+ * @property {Object|null} variant - The variant selected, null when none matches
+ * @property {Object<string, string>} selection - The selection for that variant
+ * @property {Array<string>} corrected - Option ids changed to reach it
+ */
+
+/**
+ * @param {Array<{sku: string, options: Array<{id: string, value: string}>}>} variants
+ * @param {Object} [config]
+ * @param {function(string): string} [config.toKey] - Turns option values into selection keys
+ * @param {function(Object): boolean} [config.isAvailable] - Whether a variant is in stock
+ */
+export default function createVariantMatrix(variants, {
+  toKey = String,
+  isAvailable = () => true,
+} = {}) {
+  const rows = (variants || []).map((variant) => ({
+    variant,
+    keys: Object.fromEntries((variant.options || []).map((o) => [o.id, toKey(o.value)])),
+    available: isAvailable(variant),
+  }));
+  const optionIds = [...new Set(rows.flatMap((row) => Object.keys(row.keys)))];
+
+  /** A variant matches when every option it has that is selected has the selected value */
+  function matches(row, selection) {
+    const relevant = Object.keys(row.keys).filter((id) => selection[id] != null);
+    return relevant.length > 0 && relevant.every((id) => row.keys[id] === selection[id]);
+  }
+
+  /**
+   * @param {Object<string, string>} selection
+   * @returns {Object|null} The variant matching the selection
+   */
+  function find(selection) {
+    return rows.find((row) => matches(row, selection))?.variant || null;
+  }
+
+  /**
+   * @param {Object<string, string>} selection
+   * @param {string} optionId
+   * @param {string} key - A value of the option
+   * @returns {OptionStatus} How the value stands with the rest of the selection
+   */
+  function getStatus(selection, optionId, key) {
+    const candidates = rows.filter((row) => row.keys[optionId] === key
+      && matches(row, { ...selection, [optionId]: key }));
+    if (!candidates.length) return 'unavailable';
+    return candidates.some((row) => row.available) ? 'available' : 'out-of-stock';
+  }
+
+  /**
+   * @param {Object<string, string>} selection
+   * @returns {Object<string, Object<string, OptionStatus>>} Status of every
+   *   value of every option group, by option id and value key
+   */
+  function getAvailability(selection) {
+    return Object.fromEntries(optionIds.map((id) => {
+      const keys = [...new Set(rows.map((row) => row.keys[id]).filter((key) => key != null))];
+      return [id, Object.fromEntries(keys.map((key) => [key, getStatus(selection, id, key)]))];
+    }));
+  }
+
+  /**
+   * Finds the variant for a selection. When the combination doesn't exist it
+   * keeps the option just chosen and picks the variant sharing the most of
+   * the other selected values, preferring ones in stock, then earlier ones.
+   * @param {Object<string, string>} selection
+   * @param {string} [changedId] - The option just chosen, kept as it is
+   * @returns {Resolution}
+   */
+  function resolve(selection, changedId) {
+    const exact = find(selection);
+    if (exact) return { variant: exact, selection, corrected: [] };
+
+    const candidates = rows.filter((row) => !changedId
+      || row.keys[changedId] === selection[changedId]);
+    if (!candidates.length) return { variant: null, selection, corrected: [] };
+
+    const shared = (row) => optionIds.filter((id) => row.keys[id] === selection[id]).length;
+    const [nearest] = candidates
+      .map((row, index) => ({ row, index, score: shared(row) }))
+      .sort((a, b) => b.score - a.score
+        || Number(b.row.available) - Number(a.row.available)
+        || a.index - b.index);
+
+    const next = { ...selection, ...nearest.row.keys };
+    return {
+      variant: nearest.row.variant,
+      selection: next,
+      corrected: optionIds.filter((id) => selection[id] != null && next[id] !== selection[id]),
+    };
+  }
+
+  return {
+    optionIds,
+    find,
+    getStatus,
+    getAvailability,
+    resolve,
+  };
+}
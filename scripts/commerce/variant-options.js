@@ -0,0 +1,56 @@
+/**
+ * Variant options on line items: the option values picked on the product
+ * page, e.g. `[{id: 'color', value: 'Blue'}]`, kept with cart lines and
+ * orders and shown as labels wherever the line is listed.
+ *
+ * No DOM access, so it runs under Node.
+ *
+ * @module commerce/variant-options
+ */
+
+/**
+ * @typedef {Object} VariantOption
+ * @property {string} id - Option id, e.g. 'color'; also its URL parameter
+ * @property {string} value - Option value as authored, e.g. 'Navy Blue'
+ */
+
+/**
+ * Keeps only the id and value of each option, dropping any without a value.
+ * @param {Array<Object>} [options] - Options of a variant, e.g. from JSON-LD offers
+ * @returns {Array<VariantOption>}
+ */
+export function pickOptions(options = []) {
+  return options
+    .filter((option) => option?.id && option.value != null && option.value !== '')
+    .map(({ id, value }) => ({ id, value: String(value) }));
+}
+
+/**
+ * Labels a line's options the way the product page does, e.g. 'Color: Blue'.
+ * @param {Array<VariantOption>} [options]
+ * @returns {Array<string>}
+ */
+export function formatOptions(options = []) {
+  return pickOptions(options)
+    .map(({ id, value }) => `${id.charAt(0).toUpperCase()}${id.slice(1)}: ${value}`);
+}
+
+/**
+ * Renders a line's option labels for a line item template.
+ * @param {Array<VariantOption>} [options]
+ * @param {string} className - Class of the list
+ * @returns {string} HTML, empty when the line has no options
+ */
+export function renderOptions(options, className) {
+  const labels = formatOptions(options);
+  if (!labels.length) return '';
+  return `<ul class="${className}">${labels.map((label) => `<li>${label}</li>`).join('')}</ul>`;
+}
+
+/**
+ * @param {string} [url] - Line item URL, possibly with a query string selecting options
+ * @returns {string} Last path segment, the product's path in the catalog
+ */
+export function productPath(url = '') {
+  return url.split(/[?#]/)[0].split('/').pop() || '';
+}
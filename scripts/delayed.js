@@ -14,3 +14,12 @@ try {
     }
   }
 } catch { /* empty */ }
+
+// offline support: app shell caching and queued checkout requests (see /sw.js)
+if ('serviceWorker' in navigator) {
+  // the worker queues requests to the configured commerce API
+  import('./commerce/config.js')
+    .then(({ getApiOrigin }) => getApiOrigin())
+    .then((origin) => navigator.serviceWorker.register(`/sw.js?api=${encodeURIComponent(origin)}`))
+    .catch(() => { /* the site works without it */ });
+}
@@ -0,0 +1,299 @@
+/**
+ * Client-side faceted filtering over the product index.
+ *
+ * Facets are derived from index columns: categories, price, regularPrice
+ * (on sale), availability, and variant option columns (e.g. color, size):
+ * whatever other columns the child rows that point at their parent through
+ * `parentSku` have values in.
+ * Filter state is mirrored to the query string (`?color=Red&color=Blue`)
+ * so filtered views can be shared. Values within a facet are ORed, facets
+ * are ANDed, and each facet's counts ignore its own selection so shoppers
+ * can see what adding another value would give them.
+ */
+
+import { loadCSS } from './aem.js';
+import { isOnSale, isOutOfStock } from './commerce/catalog.js';
+import { formatMoney } from './commerce/money.js';
+
+// --- Internal configuration ---
+
+/** Columns of variant rows that aren't options; every other column is one */
+const VARIANT_COLUMNS = new Set([
+  'sku', 'parentSku', 'path', 'url', 'title', 'description', 'image', 'price', 'regularPrice',
+  'currency', 'availability', 'categories', 'lastModified',
+]);
+
+/** Price buckets as [min, max); the last bucket is open-ended */
+const PRICE_BUCKETS = [[0, 50], [50, 100], [100, 250], [250, 500], [500, Infinity]];
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean).map(String);
+  return String(value || '').split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+function humanize(path) {
+  const last = path.split('/').pop().replace(/[-_]+/g, ' ');
+  return last.charAt(0).toUpperCase() + last.slice(1);
+}
+
+function bucketId([min, max]) {
+  return Number.isFinite(max) ? `${min}-${max}` : `${min}-`;
+}
+
+/**
+ * Facet definitions, besides the variant options (see optionFacets). Each
+ * facet maps a product (and its variant rows) to the values it matches.
+ * `valueLabel` formats a value for display and `order` sorts values: 'label'
+ * sorts alphabetically, a function compares two values, and without it
+ * values keep the order they first appear in the index.
+ * @type {Array<{id: string, label: string, values: Function,
+ *   valueLabel?: Function, order?: string|Function}>}
+ */
+export const FACETS = [
+  {
+    id: 'category',
+    label: 'Category',
+    values: (product) => toList(product.categories),
+    order: 'label',
+  },
+  {
+    id: 'price',
+    label: 'Price',
+    values: (product) => {
+      const price = Number(product.price) || 0;
+      const bucket = PRICE_BUCKETS.find(([min, max]) => price >= min && price < max);
+      return bucket ? [bucketId(bucket)] : [];
+    },
+    valueLabel: (value) => {
+      const [min, max] = value.split('-');
+      return max ? `${formatMoney(min)} – ${formatMoney(max)}` : `${formatMoney(min)} +`;
+    },
+    order: (a, b) => parseFloat(a) - parseFloat(b),
+  },
+  {
+    id: 'sale',
+    label: 'Offers',
+    values: (product) => (isOnSale(product) ? ['sale'] : []),
+    valueLabel: () => 'On sale',
+  },
+  {
+    id: 'availability',
+    label: 'Availability',
+    values: (product) => [isOutOfStock(product) ? 'out-of-stock' : 'in-stock'],
+    valueLabel: (value) => (value === 'in-stock' ? 'In stock' : 'Out of stock'),
+    order: (a, b) => (b === 'in-stock') - (a === 'in-stock'),
+  },
+];
+
+/**
+ * A facet per variant option column in the index, in the order the columns
+ * first appear.
+ * @param {Array<Object>} entries - Rows from /products/index.json
+ * @returns {Array<Object>} Facet definitions
+ */
+export function optionFacets(entries) {
+  const columns = new Set(entries.filter((e) => e.parentSku)
+    .flatMap((variant) => Object.keys(variant)
+      .filter((column) => !VARIANT_COLUMNS.has(column) && toList(variant[column]).length)));
+  return [...columns].map((column) => ({
+    id: column,
+    label: humanize(column),
+    values: (product, variants) => [...new Set(
+      [product, ...variants].flatMap((row) => toList(row[column])),
+    )],
+  }));
+}
+
+/**
+ * Indexes parent products with the facet values they match. The index's
+ * `facets` are those given followed by the variant options in the entries.
+ * @param {Array<Object>} entries - Rows from /products/index.json
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.facets=FACETS] - Facets to offer
+ * @param {Object<string, string>} [options.labels] - Display labels by value,
+ *   e.g. authored category titles
+ * @returns {{products: Array<Object>, facets: Array<Object>,
+ *   filter: Function, count: Function, label: Function}}
+ */
+export function createFacetIndex(entries, { facets: offered = FACETS, labels = {} } = {}) {
+  const facets = [
+    ...offered,
+    ...optionFacets(entries).filter((option) => !offered.some((f) => f.id === option.id)),
+  ];
+  const variantsByParent = new Map();
+  entries.filter((e) => e.parentSku).forEach((variant) => {
+    if (!variantsByParent.has(variant.parentSku)) variantsByParent.set(variant.parentSku, []);
+    variantsByParent.get(variant.parentSku).push(variant);
+  });
+
+  const products = entries.filter((e) => !e.parentSku);
+  const values = new Map(products.map((product) => {
+    const variants = variantsByParent.get(product.sku) || [];
+    return [product, Object.fromEntries(facets.map((f) => [f.id, f.values(product, variants)]))];
+  }));
+  // Selections come from the URL, so values a facet doesn't have in the index are ignored
+  const known = Object.fromEntries(facets.map((f) => [
+    f.id, new Set([...values.values()].flatMap((v) => v[f.id])),
+  ]));
+  const selectedIn = (state, f) => (state[f.id] || []).filter((v) => known[f.id].has(v));
+
+  const matches = (product, state, skip) => facets.every((f) => {
+    const selected = selectedIn(state, f);
+    return f.id === skip || !selected.length
+      || values.get(product)[f.id].some((v) => selected.includes(v));
+  });
+
+  function label(facet, value) {
+    if (labels[value]) return labels[value];
+    if (facet.valueLabel) return facet.valueLabel(value);
+    return facet.id === 'category' ? humanize(value) : value;
+  }
+
+  return {
+    products,
+    facets,
+    label,
+
+    /**
+     * @param {Object<string, Array<string>>} state - Selected values by facet ID
+     * @param {Array<Object>} [list=products] - Products to filter
+     * @returns {Array<Object>} Products matching every facet
+     */
+    filter(state, list = products) {
+      return list.filter((p) => values.has(p) && matches(p, state));
+    },
+
+    /**
+     * Counts products per facet value, ignoring each facet's own selection.
+     * @param {Object<string, Array<string>>} state - Selected values by facet ID
+     * @param {Array<Object>} [list=products] - Products to count
+     * @returns {Object<string, Array<{value: string, label: string, count: number}>>}
+     */
+    count(state, list = products) {
+      return Object.fromEntries(facets.map((f) => {
+        const counts = new Map();
+        list.filter((p) => values.has(p) && matches(p, state, f.id)).forEach((p) => {
+          values.get(p)[f.id].forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+        });
+        // keep selected values visible even when nothing else matches them
+        selectedIn(state, f).forEach((v) => { if (!counts.has(v)) counts.set(v, 0); });
+
+        const entriesList = [...counts].map(([value, count]) => ({
+          value, label: label(f, value), count,
+        }));
+        if (f.order === 'label') {
+          entriesList.sort((a, b) => a.label.localeCompare(b.label));
+        } else if (typeof f.order === 'function') {
+          entriesList.sort((a, b) => f.order(a.value, b.value));
+        }
+        return [f.id, entriesList];
+      }));
+    },
+  };
+}
+
+/**
+ * Reads the selected facet values from the query string.
+ * @param {Array<Object>} facets - Facet definitions
+ * @param {string} [search=window.location.search]
+ * @returns {Object<string, Array<string>>} Selected values by facet ID
+ */
+export function readFacetState(facets, search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(facets
+    .map((f) => [f.id, params.getAll(f.id)])
+    .filter(([, selected]) => selected.length));
+}
+
+/**
+ * Writes the selected facet values to the query string without reloading.
+ * @param {Array<Object>} facets - Facet definitions
+ * @param {Object<string, Array<string>>} state - Selected values by facet ID
+ */
+export function writeFacetState(facets, state) {
+  const url = new URL(window.location);
+  facets.forEach((f) => {
+    url.searchParams.delete(f.id);
+    (state[f.id] || []).forEach((v) => url.searchParams.append(f.id, v));
+  });
+  window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Renders the filter panel: one multi-select group per facet with counts.
+ * Facets with no values for the current products are omitted.
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} index - Result of createFacetIndex
+ * @param {Object<string, Array<string>>} state - Selected values by facet ID
+ * @param {Function} onChange - Called with the new state when a value is toggled
+ * @param {Array<Object>} [list] - Products the counts are based on
+ */
+export function renderFacets(container, index, state, onChange, list = index.products) {
+  loadCSS(`${window.hlx.codeBasePath}/styles/facets.css`);
+
+  const counts = index.count(state, list);
+  const selectedCount = index.facets.reduce((sum, f) => sum
+    + counts[f.id].filter(({ value }) => (state[f.id] || []).includes(value)).length, 0);
+  const wasOpen = container.querySelector('.facets')?.open;
+
+  // values come from the URL and the index, so everything is set as text, never as HTML
+  const details = document.createElement('details');
+  details.className = 'facets';
+  details.open = !!wasOpen;
+  const summary = document.createElement('summary');
+  summary.className = 'facets-toggle';
+  summary.textContent = `Filter${selectedCount ? ` (${selectedCount})` : ''}`;
+  const panel = document.createElement('div');
+  panel.className = 'facets-panel';
+  details.append(summary, panel);
+
+  index.facets.forEach((facet) => {
+    const values = counts[facet.id];
+    if (!values.length) return;
+
+    const group = document.createElement('fieldset');
+    group.className = 'facets-group';
+    const legend = document.createElement('legend');
+    legend.textContent = facet.label;
+    group.append(legend);
+    values.forEach(({ value, label, count }) => {
+      const checked = (state[facet.id] || []).includes(value);
+      const option = document.createElement('label');
+      option.className = 'facets-option';
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = facet.id;
+      input.value = value;
+      input.checked = checked;
+      input.disabled = !count && !checked;
+      const text = document.createElement('span');
+      text.textContent = label;
+      const countElement = document.createElement('span');
+      countElement.className = 'facets-count';
+      countElement.textContent = count;
+      option.append(input, text, countElement);
+
+      input.addEventListener('change', (e) => {
+        const current = new Set(state[facet.id] || []);
+        if (e.target.checked) current.add(value); else current.delete(value);
+        const next = { ...state, [facet.id]: [...current] };
+        if (!current.size) delete next[facet.id];
+        onChange(next);
+      });
+      group.append(option);
+    });
+    panel.append(group);
+  });
+
+  if (selectedCount) {
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'facets-clear';
+    clear.textContent = 'Clear all';
+    clear.addEventListener('click', () => onChange({}));
+    panel.append(clear);
+  }
+
+  container.replaceChildren(details);
+}
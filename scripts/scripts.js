@@ -12,6 +12,8 @@ import {
   loadSections,
   loadCSS,
 } from './aem.js';
+import { formatMoney } from './commerce/money.js';
+import { isPurchasable } from './commerce/inventory.js';
 
 /**
  * Extracts pricing from a JSON-LD offer object.
@@ -28,15 +30,13 @@ export function getOfferPricing(offer) {
 
 /**
  * Formats a price using the locale and currency from placeholders.
- * Uses Intl.NumberFormat for locale-aware currency formatting.
+ * Falls back to the site money config when a placeholder is missing.
  * @param {number} value - The price value to format
  * @param {Object} ph - Placeholders object containing languageCode and currencyCode
  * @returns {string} The formatted price string (e.g., "$399.95" or "399,95 $")
  */
 export function formatPrice(value, ph) {
-  const locale = (ph.languageCode || 'en_US').replace('_', '-');
-  const currency = ph.currencyCode || 'USD';
-  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+  return formatMoney(value, { currency: ph?.currencyCode, locale: ph?.languageCode });
 }
 
 /**
@@ -210,7 +210,8 @@ export function buildCarousel(container, pagination = true) {
 }
 
 /**
- * Checks if a variant is out of stock by SKU.
+ * Checks if a variant is out of stock by SKU. Pre-orders and back-orders can
+ * still be bought, so they are not.
  * @param {string} sku - The variant SKU to check
  * @param {Object} jsonLdData - Parsed JSON-LD product data
  * @returns {boolean} True if the variant is out of stock
@@ -218,7 +219,7 @@ export function buildCarousel(container, pagination = true) {
 export function checkVariantOutOfStock(sku, jsonLdData) {
   const offer = jsonLdData.offers.find((o) => o.sku === sku);
   if (!offer) return true;
-  return offer.availability === 'https://schema.org/OutOfStock';
+  return !isPurchasable(offer);
 }
 
 /**
@@ -231,7 +232,7 @@ export function isProductOutOfStock(jsonLdData) {
 
   if (!offers || offers.length === 0) return true;
 
-  return !offers.some((offer) => offer.availability === 'https://schema.org/InStock');
+  return !offers.some(isPurchasable);
 }
 
 /**
@@ -0,0 +1,216 @@
+/**
+ * Client-side product search.
+ *
+ * Builds an in-memory inverted index over the product index's title, SKU
+ * (including variant SKUs), category and description columns. Query terms
+ * match whole words, word prefixes, and — for longer words — words within
+ * one or two typos. A product must match every query term; results are
+ * ranked by which field matched and how closely.
+ */
+
+import { loadProductIndex } from './commerce/catalog.js';
+
+// --- Internal configuration ---
+
+/** Relative weight of a match in each field */
+const FIELD_WEIGHTS = {
+  title: 10,
+  sku: 8,
+  categories: 4,
+  description: 1,
+};
+
+/** Score multiplier by match kind */
+const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.4,
+};
+
+/** Bonus when the title starts with the whole query */
+const TITLE_PREFIX_BONUS = 5;
+
+/** @type {Promise<Object>|null} Cached search index */
+let indexPromise = null;
+
+/**
+ * Splits text into lowercase, accent-free search tokens.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Typos allowed for a query token of the given length.
+ * @param {number} length
+ * @returns {number}
+ */
+function allowedTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions), giving up once it exceeds `max`.
+ * @returns {number} The distance, or max + 1 when it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Extracts the searchable text of a product, by field.
+ * @param {Object} product - Parent row from the product index
+ * @param {Array<Object>} variants - Its variant rows
+ * @returns {Object<string, Array<string>>} Tokens by field
+ */
+function extractFields(product, variants) {
+  const categories = [].concat(product.categories || [])
+    .flatMap((c) => String(c).split(/[,/]/));
+  const skus = [product, ...variants].map((row) => row.sku).filter(Boolean);
+  return {
+    title: tokenize(product.title),
+    sku: skus.flatMap(tokenize),
+    categories: tokenize(categories.join(' ')),
+    description: tokenize(product.description),
+  };
+}
+
+/**
+ * Builds a search index over product index rows.
+ * Variant rows (with `parentSku`) are folded into their parent.
+ * @param {Array<Object>} entries - Rows from the product index
+ * @returns {{size: number, search: Function}}
+ */
+export function createSearchIndex(entries) {
+  const variantsByParent = new Map();
+  entries.filter((e) => e.parentSku).forEach((variant) => {
+    if (!variantsByParent.has(variant.parentSku)) variantsByParent.set(variant.parentSku, []);
+    variantsByParent.get(variant.parentSku).push(variant);
+  });
+
+  const products = entries.filter((e) => !e.parentSku);
+
+  /** @type {Map<string, Map<number, number>>} term → product index → best field weight */
+  const postings = new Map();
+  products.forEach((product, id) => {
+    const fields = extractFields(product, variantsByParent.get(product.sku) || []);
+    Object.entries(fields).forEach(([field, tokens]) => {
+      tokens.forEach((token) => {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const docs = postings.get(token);
+        docs.set(id, Math.max(docs.get(id) || 0, FIELD_WEIGHTS[field]));
+      });
+    });
+  });
+  const terms = [...postings.keys()];
+
+  /**
+   * Scores every product matching one query token.
+   * @returns {Map<number, number>} product index → score
+   */
+  function scoreToken(token) {
+    const scores = new Map();
+    const typos = allowedTypos(token.length);
+    const add = (term, factor) => {
+      postings.get(term).forEach((weight, id) => {
+        scores.set(id, Math.max(scores.get(id) || 0, weight * factor));
+      });
+    };
+
+    terms.forEach((term) => {
+      if (term === token) {
+        add(term, MATCH_FACTORS.exact);
+      } else if (token.length >= 2 && term.startsWith(token)) {
+        add(term, MATCH_FACTORS.prefix);
+      } else if (typos) {
+        const distance = editDistance(token, term, typos);
+        if (distance <= typos) add(term, MATCH_FACTORS.fuzzy / distance);
+      }
+    });
+    return scores;
+  }
+
+  return {
+    size: products.length,
+
+    /**
+     * Searches the index.
+     * @param {string} query - Free-text query
+     * @param {Object} [options]
+     * @param {number} [options.limit=Infinity] - Maximum results
+     * @returns {Array<{product: Object, score: number}>} Best matches first
+     */
+    search(query, { limit = Infinity } = {}) {
+      const tokens = [...new Set(tokenize(query))];
+      if (!tokens.length) return [];
+
+      // every token must match; sum the per-token scores
+      let totals = null;
+      tokens.forEach((token) => {
+        const scores = scoreToken(token);
+        if (!totals) {
+          totals = scores;
+          return;
+        }
+        totals = new Map([...totals]
+          .filter(([id]) => scores.has(id))
+          .map(([id, score]) => [id, score + scores.get(id)]));
+      });
+
+      const phrase = tokens.join(' ');
+      return [...totals]
+        .map(([id, score]) => {
+          const product = products[id];
+          const bonus = tokenize(product.title).join(' ').startsWith(phrase) ? TITLE_PREFIX_BONUS : 0;
+          return { product, score: score + bonus };
+        })
+        .sort((a, b) => b.score - a.score
+          || String(a.product.title).localeCompare(String(b.product.title)))
+        .slice(0, limit);
+    },
+  };
+}
+
+/**
+ * Builds the search index from the shared product index, once per page.
+ * @returns {Promise<{size: number, search: Function}>}
+ */
+export function loadSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = loadProductIndex()
+      .then(createSearchIndex)
+      .catch((err) => {
+        indexPromise = null;
+        throw err;
+      });
+  }
+  return indexPromise;
+}
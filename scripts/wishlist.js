@@ -0,0 +1,135 @@
+/**
+ * Wishlist heart toggles for product cards and the PDP.
+ *
+ * Toggles load the commerce API lazily and share one wishlist request per
+ * page; after that they stay in sync through WISHLIST_UPDATED, so saving a
+ * product in one place updates every heart showing it.
+ */
+
+import { loadCSS } from './aem.js';
+
+let commercePromise = null;
+let wishlistPromise = null;
+
+/** SKUs on the wishlist, once loaded */
+const saved = new Set();
+
+/** Toggle buttons by product SKU */
+const toggles = new Map();
+
+function getCommerce() {
+  if (!commercePromise) {
+    commercePromise = import('./commerce/api.js').then(({ commerce }) => {
+      commerce.on(commerce.EVENTS.WISHLIST_UPDATED, (e) => {
+        saved.clear();
+        e.detail.wishlist.items.forEach((item) => saved.add(item.sku));
+        toggles.forEach((buttons, sku) => {
+          buttons.forEach((b) => b.setAttribute('aria-pressed', String(saved.has(sku))));
+        });
+      });
+      return commerce;
+    });
+  }
+  return commercePromise;
+}
+
+function loadWishlist() {
+  if (!wishlistPromise) {
+    wishlistPromise = getCommerce()
+      .then((commerce) => commerce.getWishlist())
+      .then((wishlist) => {
+        wishlist.items.forEach((item) => saved.add(item.sku));
+      })
+      .catch(() => {
+        wishlistPromise = null;
+      });
+  }
+  return wishlistPromise;
+}
+
+function imagePath(src = '') {
+  return src.startsWith('./') ? `/products/${src.slice(2)}` : src;
+}
+
+function productPath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return url || '';
+  }
+}
+
+/**
+ * Maps a product index row to a wishlist item.
+ * @param {Object} product - Parent row from the product index
+ * @returns {Object} Wishlist item
+ */
+export function toWishlistItem(product) {
+  return {
+    sku: product.sku,
+    name: product.title || product.sku,
+    price: Number(product.price) || 0,
+    currency: product.currency,
+    image: imagePath(product.image),
+    url: productPath(product.url),
+  };
+}
+
+/**
+ * Creates a heart button that adds or removes an item from the wishlist.
+ * @param {Object} item - Wishlist item; `sku` is the product SKU, `variantSku`
+ *   the selected variant if there is one
+ * @returns {HTMLButtonElement}
+ */
+export function createWishlistToggle(item) {
+  loadCSS(`${window.hlx.codeBasePath}/styles/wishlist.css`);
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'wishlist-toggle';
+  button.setAttribute('aria-label', `Save ${item.name || 'item'} to wishlist`);
+  button.setAttribute('aria-pressed', 'false');
+  button.item = item;
+
+  if (!toggles.has(item.sku)) toggles.set(item.sku, new Set());
+  toggles.get(item.sku).add(button);
+
+  loadWishlist().then(() => {
+    button.setAttribute('aria-pressed', String(saved.has(item.sku)));
+  });
+
+  button.addEventListener('click', async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const isSaved = button.getAttribute('aria-pressed') === 'true';
+    button.disabled = true;
+    try {
+      const commerce = await getCommerce();
+      if (isSaved) {
+        await commerce.removeFromWishlist(item.sku);
+      } else {
+        await commerce.addToWishlist(button.item);
+      }
+    } catch {
+      button.setAttribute('aria-pressed', String(isSaved));
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  return button;
+}
+
+/**
+ * Wraps a product card link with a wishlist toggle. The toggle sits next to
+ * the link rather than inside it, since buttons can't be nested in links.
+ * @param {HTMLElement} card - Product card element
+ * @param {Object} product - Parent row from the product index
+ * @returns {HTMLElement} Wrapper to append in place of the card
+ */
+export function withWishlistToggle(card, product) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'wishlist-card';
+  wrapper.append(card, createWishlistToggle(toWishlistItem(product)));
+  return wrapper;
+}
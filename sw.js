@@ -0,0 +1,307 @@
+/**
+ * Storefront service worker.
+ *
+ * - Precaches the app shell (page chrome, commerce scripts, cart page) so the
+ *   site and cart keep working offline.
+ * - Block and shared JS/CSS are served stale-while-revalidate.
+ * - Pages, the product index, product JSON and commerce sheets are
+ *   network-first, falling back to the last copy seen; only the most recent
+ *   pages and product JSON are kept.
+ * - Order-related POSTs to the commerce worker that fail for lack of network
+ *   are queued in IndexedDB and replayed by Background Sync, or when a page
+ *   reports that the connection is back. The page gets a 202 with the
+ *   QUEUED_HEADER set and is told how each replay went through postMessage.
+ *   Queued requests are stored without their Authorization header: pages
+ *   hand over the current one ('commerce:outbox-auth'), which is only kept
+ *   in memory, and drop the queue on logout ('commerce:clear-outbox').
+ */
+
+/* eslint-env serviceworker */
+/* eslint-disable no-restricted-globals -- self is the service worker global scope */
+
+// --- Internal configuration ---
+
+// Bump whenever SHELL or what is cached changes, so activate drops the old caches
+const VERSION = 2;
+const SHELL_CACHE = `shell-v${VERSION}`;
+const ASSET_CACHE = `assets-v${VERSION}`;
+const PAGE_CACHE = `pages-v${VERSION}`;
+const DATA_CACHE = `data-v${VERSION}`;
+const CACHES = [SHELL_CACHE, ASSET_CACHE, PAGE_CACHE, DATA_CACHE];
+
+/** How many pages and product JSON responses are kept */
+const MAX_PAGES = 30;
+const MAX_DATA = 50;
+
+const SHELL = [
+  '/',
+  '/cart',
+  '/nav.plain.html',
+  '/footer.plain.html',
+  '/scripts/aem.js',
+  '/scripts/scripts.js',
+  '/scripts/delayed.js',
+  '/styles/styles.css',
+  '/styles/fonts.css',
+  '/styles/lazy-styles.css',
+  '/blocks/header/header.js',
+  '/blocks/header/header.css',
+  '/blocks/header/minicart.js',
+  '/blocks/footer/footer.js',
+  '/blocks/footer/footer.css',
+  '/blocks/cart/cart.js',
+  '/blocks/cart/cart.css',
+  '/blocks/cart/checkout-form.js',
+  '/scripts/commerce/api.js',
+  '/scripts/commerce/checkout-attempt.js',
+  '/scripts/commerce/order-snapshot.js',
+  '/scripts/commerce/variant-options.js',
+  '/scripts/commerce/variant-matrix.js',
+  '/scripts/commerce/inventory.js',
+  '/scripts/commerce/bundles.js',
+  '/scripts/commerce/config.js',
+  '/scripts/commerce/contract.js',
+  '/scripts/commerce/events.js',
+  '/scripts/commerce/money.js',
+  '/scripts/commerce/cart-merge.js',
+  '/scripts/commerce/discounts.js',
+  '/scripts/commerce/shipping.js',
+  '/scripts/commerce/tax.js',
+  '/scripts/commerce/adapters/edge.js',
+  '/scripts/commerce/payments/registry.js',
+  '/scripts/commerce/payments/status.js',
+  '/scripts/commerce/payments/paypal.js',
+  '/scripts/commerce/payments/order-total.js',
+  '/scripts/commerce/payments/stripe-checkout.js',
+  '/scripts/commerce/payments/stripe-payment-element.js',
+  '/scripts/commerce/payments/stripe-payment-request.js',
+  '/scripts/commerce/payments/stripe-sdk.js',
+  '/commerce/coupons.json',
+  '/commerce/shipping.json',
+  '/commerce/tax-rates.json',
+];
+
+/** Commerce worker paths whose POSTs are queued while offline */
+const DEFAULT_API_ORIGIN = 'https://aem-productbus-demo-worker.adobeaem.workers.dev';
+// the page registers the worker with the API origin it is configured with
+const API_ORIGIN = new URL(self.location).searchParams.get('api') || DEFAULT_API_ORIGIN;
+const QUEUED_PATHS = [
+  /^\/orders$/,
+  /^\/paypal\/orders\/[^/]+\/capture$/,
+  /^\/stripe\/payment-intents\/[^/]+\/capture$/,
+];
+const QUEUED_HEADER = 'X-Commerce-Queued';
+
+const OUTBOX_DB = 'commerce-outbox';
+const OUTBOX_STORE = 'requests';
+const SYNC_TAG = 'commerce-outbox';
+
+// --- Cache helpers ---
+
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((key) => cache.delete(key)));
+}
+
+async function networkFirst(request, cacheName, max) {
+  const cache = await caches.open(cacheName);
+  try {
+    const resp = await fetch(request);
+    if (resp.ok) {
+      // re-adding moves the entry to the end, so trimming drops the least recent
+      await cache.delete(request);
+      await cache.put(request, resp.clone());
+      if (max) trimCache(cacheName, max);
+    }
+    return resp;
+  } catch (err) {
+    const cached = await cache.match(request) || await caches.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(ASSET_CACHE);
+  const cached = await caches.match(request);
+  const update = fetch(request).then((resp) => {
+    if (resp.ok) cache.put(request, resp.clone());
+    return resp;
+  });
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+function offlinePage() {
+  return new Response(
+    '<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Offline</title></head>'
+    + '<body style="font-family: sans-serif; padding: 2rem"><h1>You\'re offline</h1>'
+    + '<p>This page hasn\'t been saved for offline use. Your cart is safe — <a href="/cart">view your cart</a>.</p></body></html>',
+    { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } },
+  );
+}
+
+// --- Outbox ---
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(OUTBOX_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function outbox(mode, fn) {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const result = fn(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => resolve(result.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach((client) => client.postMessage(message));
+}
+
+/** Authorization header of the signed-in customer, as the last page reported it */
+let authorization = null;
+
+async function queueRequest(request) {
+  const headers = [...request.headers];
+  const entry = {
+    id: crypto.randomUUID(),
+    url: request.url,
+    method: request.method,
+    // the credentials are added back when the request is replayed
+    headers: headers.filter(([name]) => name.toLowerCase() !== 'authorization'),
+    authorized: headers.some(([name]) => name.toLowerCase() === 'authorization'),
+    body: await request.text(),
+    queuedAt: Date.now(),
+  };
+  await outbox('readwrite', (store) => store.put(entry));
+  if (self.registration.sync) {
+    await self.registration.sync.register(SYNC_TAG).catch(() => {});
+  }
+  await notifyClients({ type: 'commerce:outbox-queued', id: entry.id, url: entry.url });
+  return new Response(JSON.stringify({ queued: true, id: entry.id }), {
+    status: 202,
+    headers: { 'Content-Type': 'application/json', [QUEUED_HEADER]: '1' },
+  });
+}
+
+let replaying = null;
+
+/**
+ * Sends queued requests in the order they were queued. Stops at the first
+ * network failure so the rest are retried together next time, and at a
+ * customer's request until a page reports who is signed in; requests the
+ * server answers are removed, whether it accepted them or not.
+ */
+function replayOutbox() {
+  if (replaying) return replaying;
+  replaying = (async () => {
+    const entries = await outbox('readonly', (store) => store.getAll());
+    entries.sort((a, b) => a.queuedAt - b.queuedAt);
+    for (let i = 0; i < entries.length; i += 1) {
+      const entry = entries[i];
+      if (entry.authorized && !authorization) throw new Error('Signed-in customer unknown');
+      const headers = new Headers(entry.headers);
+      if (entry.authorized) headers.set('Authorization', authorization);
+      let resp;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        resp = await fetch(entry.url, {
+          method: entry.method,
+          headers,
+          body: entry.body,
+        });
+      } catch {
+        throw new Error('Still offline');
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const data = await resp.clone().json().catch(() => null);
+      // eslint-disable-next-line no-await-in-loop
+      await outbox('readwrite', (store) => store.delete(entry.id));
+      // eslint-disable-next-line no-await-in-loop
+      await notifyClients({
+        type: 'commerce:outbox-replayed', id: entry.id, url: entry.url, ok: resp.ok, status: resp.status, data,
+      });
+    }
+  })().finally(() => { replaying = null; });
+  return replaying;
+}
+
+// --- Lifecycle ---
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE)
+    // one missing file shouldn't stop the rest from being cached
+    .then((cache) => Promise.all(SHELL.map((url) => cache.add(url).catch(() => {}))))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then((names) => Promise.all(names
+      .filter((name) => !CACHES.includes(name))
+      .map((name) => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayOutbox());
+});
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+  if (type === 'commerce:outbox-auth') authorization = event.data.authorization || null;
+  if (type === 'commerce:replay-outbox' || (type === 'commerce:outbox-auth' && authorization)) {
+    event.waitUntil(replayOutbox().catch(() => { /* retried on the next sync */ }));
+  }
+  if (type === 'commerce:clear-outbox') {
+    authorization = null;
+    event.waitUntil(outbox('readwrite', (store) => store.clear()));
+  }
+});
+
+// --- Routing ---
+
+function isQueueable(request, url) {
+  return request.method === 'POST'
+    && url.origin === API_ORIGIN
+    && QUEUED_PATHS.some((path) => path.test(url.pathname));
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (isQueueable(request, url)) {
+    const copy = request.clone();
+    event.respondWith(fetch(request).catch(() => queueRequest(copy)));
+    return;
+  }
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, PAGE_CACHE, MAX_PAGES)
+      .catch(() => offlinePage()));
+  } else if (/^\/products\/.+\.json$/.test(url.pathname)) {
+    // the product index and the product JSON of recently viewed products
+    event.respondWith(networkFirst(request, DATA_CACHE, MAX_DATA));
+  } else if (/^\/commerce\/.+\.json$/.test(url.pathname)) {
+    // coupon, shipping and tax sheets the cart is priced with
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (/^\/(blocks|scripts|styles|icons|fonts)\//.test(url.pathname) || url.pathname.endsWith('.plain.html')) {
+    event.respondWith(staleWhileRevalidate(request, event));
+  }
+});
@@ -0,0 +1,536 @@
+/**
+ * Conformance suite run against every commerce adapter.
+ *
+ * Each adapter is checked against the contract in scripts/commerce/contract.js,
+ * then exercised capability by capability; tests for capabilities an adapter
+ * doesn't declare are skipped. New adapters only need adding to ADAPTERS.
+ */
+
+/* eslint-env node */
+
+import {
+  after, before, beforeEach, describe, it, mock,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import { OTP, PRODUCTS, installBrowserStubs } from './stubs.js';
+import {
+  checkAdapter,
+  validateAddress,
+  validateBackInStockSubscription,
+  validateCart,
+  validateCustomer,
+  validateOrder,
+  validateShippingMethods,
+  validateTaxEstimate,
+  validateWishlist,
+} from '../../scripts/commerce/contract.js';
+
+const ADAPTERS = ['edge', 'mock'];
+
+const SHIRT = {
+  sku: 'TEST-SHIRT',
+  name: 'Test shirt',
+  quantity: 2,
+  price: 25,
+  currency: 'USD',
+  url: '/products/test-shirt',
+};
+
+const CUSTOMER = { email: 'shopper@example.com', firstName: 'Test', lastName: 'Shopper' };
+const ADDRESS = {
+  address1: '1 Main St', city: 'Los Angeles', state: 'CA', zip: '90001', country: 'US',
+};
+
+installBrowserStubs();
+
+ADAPTERS.forEach((name) => {
+  describe(`${name} adapter`, () => {
+    let adapter;
+    let capabilities;
+
+    /** Runs a test only when the adapter declares the capability */
+    function supports(capability, title, fn) {
+      it(title, async (t) => {
+        if (!capabilities.has(capability)) {
+          t.skip(`${name} doesn't support ${capability}`);
+          return;
+        }
+        await fn(t);
+      });
+    }
+
+    before(async () => {
+      // the mock adapter logs every call
+      mock.method(console, 'log', () => {});
+      const mod = await import(`../../scripts/commerce/adapters/${name}.js`);
+      adapter = mod.default();
+      ({ capabilities } = checkAdapter(adapter));
+    });
+
+    after(() => {
+      mock.restoreAll();
+    });
+
+    beforeEach(async () => {
+      if (capabilities.has('cart')) await adapter.clearCart();
+    });
+
+    it('meets the adapter contract', () => {
+      assert.deepEqual(checkAdapter(adapter).errors, []);
+      assert.ok(Array.isArray(adapter.capabilities), 'adapters declare their capabilities');
+    });
+
+    // --- Cart ---
+
+    supports('cart', 'starts with an empty cart', async () => {
+      const cart = await adapter.getCart();
+      assert.deepEqual(validateCart(cart), []);
+      assert.equal(cart.itemCount, 0);
+      assert.equal(cart.currency, null);
+    });
+
+    supports('cart', 'adds items and sums quantities of the same SKU', async () => {
+      let cart = await adapter.addToCart({ ...SHIRT });
+      assert.deepEqual(validateCart(cart), []);
+      assert.equal(cart.itemCount, 2);
+      assert.equal(cart.subtotal, 50);
+      assert.equal(cart.currency, 'USD');
+
+      cart = await adapter.addToCart({ ...SHIRT, quantity: 1 });
+      assert.equal(cart.items.length, 1);
+      assert.equal(cart.itemCount, 3);
+      assert.deepEqual(await adapter.getCart(), cart);
+    });
+
+    supports('cart', 'updates quantities and removes lines', async () => {
+      await adapter.addToCart({ ...SHIRT });
+      let cart = await adapter.updateItemQuantity(SHIRT.sku, 5);
+      assert.deepEqual(validateCart(cart), []);
+      assert.equal(cart.itemCount, 5);
+      assert.equal(cart.subtotal, 125);
+      await assert.rejects(adapter.updateItemQuantity('NOT-IN-CART', 1), /NOT-IN-CART not in cart/);
+
+      cart = await adapter.removeItem(SHIRT.sku);
+      assert.deepEqual(validateCart(cart), []);
+      assert.equal(cart.itemCount, 0);
+    });
+
+    supports('cart', 'rejects items priced in another currency', async () => {
+      await adapter.addToCart({ ...SHIRT });
+      await assert.rejects(adapter.addToCart({ ...SHIRT, sku: 'TEST-EUR', currency: 'EUR' }));
+      assert.equal((await adapter.getCart()).items.length, 1);
+    });
+
+    supports('cart', 'keeps quantities within the purchase limits of a line', async () => {
+      const limits = { min: 2, max: 6, increment: 2 };
+      let cart = await adapter.addToCart({ ...SHIRT, limits });
+      assert.equal(cart.itemCount, 2);
+
+      await assert.rejects(adapter.addToCart({ ...SHIRT, quantity: 6 }), /Only 6/);
+      await assert.rejects(adapter.updateItemQuantity(SHIRT.sku, 3), /steps of 2/);
+      cart = await adapter.updateItemQuantity(SHIRT.sku, 6);
+      assert.equal(cart.itemCount, 6);
+      assert.equal((await adapter.getCart()).items[0].quantity, 6);
+    });
+
+    supports('cart', 'clears the cart', async () => {
+      await adapter.addToCart({ ...SHIRT });
+      await adapter.clearCart();
+      assert.equal((await adapter.getCart()).itemCount, 0);
+    });
+
+    // --- Session ---
+
+    supports('session', 'reports a guest session', async () => {
+      assert.equal(await adapter.isLoggedIn(), false);
+      assert.equal(await adapter.getCustomer(), null);
+    });
+
+    // --- Auth, customer and addresses ---
+
+    async function signIn() {
+      const { hash, exp } = await adapter.login(CUSTOMER.email);
+      return adapter.verifyCode(CUSTOMER.email, OTP, hash, exp);
+    }
+
+    supports('auth', 'signs in with a one-time code and out again', async () => {
+      const { hash, exp } = await adapter.login(CUSTOMER.email);
+      await assert.rejects(adapter.verifyCode(CUSTOMER.email, '000000', hash, exp));
+      assert.equal(await adapter.isLoggedIn(), false);
+
+      const result = await adapter.verifyCode(CUSTOMER.email, OTP, hash, exp);
+      assert.equal(result.email, CUSTOMER.email);
+      assert.equal(await adapter.isLoggedIn(), true);
+      assert.deepEqual(validateCustomer(await adapter.getCustomer()), []);
+
+      await adapter.logout();
+      assert.equal(await adapter.isLoggedIn(), false);
+      assert.equal(await adapter.getCustomer(), null);
+    });
+
+    supports('customer', 'reads the signed-in profile and order history', async (t) => {
+      if (!capabilities.has('auth')) {
+        t.skip('needs auth to sign in');
+        return;
+      }
+      assert.equal(await adapter.getCustomerProfile(), null);
+      assert.deepEqual(await adapter.getOrders(), []);
+
+      await signIn();
+      try {
+        assert.deepEqual(validateCustomer(await adapter.getCustomerProfile()), []);
+        const orders = await adapter.getOrders();
+        assert.ok(Array.isArray(orders));
+        orders.forEach((order) => assert.deepEqual(validateOrder(order), []));
+      } finally {
+        await adapter.logout();
+      }
+    });
+
+    supports('addresses', 'adds and deletes saved addresses', async (t) => {
+      if (!capabilities.has('auth')) {
+        t.skip('needs auth to sign in');
+        return;
+      }
+      await signIn();
+      try {
+        const created = await adapter.createAddress({ name: 'Test Shopper', ...ADDRESS });
+        assert.deepEqual(validateAddress(created), []);
+
+        let addresses = await adapter.getAddresses();
+        addresses.forEach((address) => assert.deepEqual(validateAddress(address), []));
+        assert.ok(addresses.some((a) => a.id === created.id));
+
+        await adapter.deleteAddress(created.id);
+        addresses = await adapter.getAddresses();
+        assert.ok(!addresses.some((a) => a.id === created.id));
+      } finally {
+        await adapter.logout();
+      }
+    });
+
+    supports('backInStock', 'signs up for back-in-stock emails and cancels them', async (t) => {
+      if (!capabilities.has('auth')) {
+        t.skip('needs auth to sign in');
+        return;
+      }
+      // guests can sign up, once per SKU and email
+      const product = { name: SHIRT.name, url: SHIRT.url };
+      const created = await adapter.subscribeBackInStock('TEST-SHIRT-M', CUSTOMER.email, product);
+      assert.deepEqual(validateBackInStockSubscription(created), []);
+      const again = await adapter.subscribeBackInStock('TEST-SHIRT-M', CUSTOMER.email, product);
+      assert.equal(again.id, created.id);
+      assert.deepEqual(await adapter.getBackInStockSubscriptions(), [], 'guests have no list');
+
+      await signIn();
+      try {
+        let subscriptions = await adapter.getBackInStockSubscriptions();
+        assert.deepEqual(subscriptions.map((s) => s.sku), ['TEST-SHIRT-M']);
+        assert.equal(subscriptions[0].name, SHIRT.name);
+
+        await adapter.cancelBackInStock(created.id);
+        subscriptions = await adapter.getBackInStockSubscriptions();
+        assert.deepEqual(subscriptions, []);
+      } finally {
+        await adapter.logout();
+      }
+    });
+
+    // --- Coupons ---
+
+    supports('coupons', 'applies and removes promo codes', async () => {
+      await adapter.addToCart({ ...SHIRT });
+      let cart = await adapter.applyCoupon('save10');
+      assert.deepEqual(validateCart(cart), []);
+      assert.deepEqual(cart.coupons, ['SAVE10']);
+      assert.equal(cart.discounts[0].amount, 5);
+      assert.equal(cart.total, cart.subtotal + cart.shipping - 5);
+
+      cart = await adapter.removeCoupon('SAVE10');
+      assert.deepEqual(cart.coupons, []);
+      assert.deepEqual(cart.discounts, []);
+    });
+
+    supports('coupons', 'rejects unknown promo codes', async () => {
+      await adapter.addToCart({ ...SHIRT });
+      await assert.rejects(adapter.applyCoupon('NOPE'), /isn’t valid/);
+    });
+
+    // --- Shipping ---
+
+    supports('shipping', 'quotes and selects shipping methods', async () => {
+      const cart = await adapter.addToCart({ ...SHIRT });
+      const methods = await adapter.getShippingMethods({ address: ADDRESS, cart });
+      assert.deepEqual(validateShippingMethods(methods), []);
+      assert.ok(methods.length > 0, 'at least one method ships to the US');
+
+      const { id, amount } = methods[methods.length - 1];
+      const updated = await adapter.setShippingMethod(id, { address: ADDRESS });
+      assert.deepEqual(validateCart(updated), []);
+      assert.equal(updated.shippingMethod, id);
+      assert.equal(updated.shipping, amount);
+    });
+
+    // --- Tax ---
+
+    supports('tax', 'estimates tax for the destination', async () => {
+      const cart = await adapter.addToCart({ ...SHIRT });
+      const estimate = await adapter.estimateTax({ cart, address: ADDRESS });
+      assert.deepEqual(validateTaxEstimate(estimate), []);
+      assert.equal(estimate.rate, 7.25);
+      assert.equal(estimate.inclusive, false);
+    });
+
+    // --- Reconciliation ---
+
+    supports('reconciliation', 'applies current prices to the cart', async () => {
+      await adapter.addToCart({ ...SHIRT });
+      const { cart, changes } = await adapter.reconcileCart({ force: true });
+      assert.deepEqual(validateCart(cart), []);
+      assert.ok(Array.isArray(changes));
+      assert.equal(cart.items[0].price, 30);
+      assert.equal(cart.items[0].previousPrice, 25);
+    });
+
+    supports('reconciliation', 'lowers quantities to the stock left', async () => {
+      await adapter.addToCart({
+        sku: 'TEST-MUG', name: 'Test mug', quantity: 5, price: 12, currency: 'USD', url: '/products/test-mug',
+      });
+      const { cart, changes } = await adapter.reconcileCart({ force: true });
+      const mug = cart.items.find((i) => i.sku === 'TEST-MUG');
+      assert.equal(mug.quantity, 3);
+      assert.equal(mug.previousQuantity, 5);
+      assert.deepEqual(mug.limits, { min: 1, max: 3, increment: 1 });
+      assert.ok(changes.some((c) => c.sku === 'TEST-MUG' && c.type === 'quantity'));
+      await assert.rejects(adapter.updateItemQuantity('TEST-MUG', 4), /Only 3/);
+    });
+
+    supports('reconciliation', 'reports saved lines the login merge leaves out', async (t) => {
+      if (!capabilities.has('auth')) {
+        t.skip('needs auth to sign in');
+        return;
+      }
+      await signIn();
+      await adapter.addToCart({ ...SHIRT, sku: 'TEST-SHIRT-EU', currency: 'EUR' });
+      await adapter.logout();
+      await adapter.clearCart();
+      await adapter.addToCart({ ...SHIRT });
+      try {
+        await signIn();
+        const { cart, changes } = await adapter.reconcileCart();
+        assert.ok(!cart.items.some((i) => i.sku === 'TEST-SHIRT-EU'));
+        assert.deepEqual(changes.filter((c) => c.type === 'removed'), [{
+          sku: 'TEST-SHIRT-EU', type: 'removed', previous: 2, current: 0,
+        }]);
+        assert.deepEqual((await adapter.reconcileCart()).changes, [], 'reported once');
+      } finally {
+        await adapter.logout();
+      }
+    });
+
+    supports('reconciliation', 'leaves quantities under a new minimum for the customer to raise', async () => {
+      const shirt = PRODUCTS['/products/test-shirt.json'];
+      PRODUCTS['/products/test-shirt.json'] = { ...shirt, eligibleQuantity: { minValue: 3 } };
+      try {
+        await adapter.addToCart({ ...SHIRT, price: 30 });
+        const { cart, changes } = await adapter.reconcileCart({ force: true });
+        const line = cart.items.find((i) => i.sku === SHIRT.sku);
+        assert.equal(line.quantity, 2);
+        assert.equal(line.previousQuantity, undefined);
+        assert.equal(line.limits.min, 3);
+        assert.ok(!changes.some((c) => c.type === 'quantity'));
+      } finally {
+        PRODUCTS['/products/test-shirt.json'] = shirt;
+      }
+    });
+
+    // --- Cross-tab sync ---
+
+    supports('crossTabSync', 'subscribes to cart changes from other tabs', () => {
+      const unsubscribe = adapter.onExternalCartChange(() => {});
+      assert.equal(typeof unsubscribe, 'function');
+      unsubscribe();
+    });
+
+    // --- Wishlist ---
+
+    supports('wishlist', 'adds and removes wishlist items', async () => {
+      let wishlist = await adapter.getWishlist();
+      assert.deepEqual(validateWishlist(wishlist), []);
+
+      wishlist = await adapter.addToWishlist({ sku: SHIRT.sku, name: SHIRT.name, price: 25 });
+      assert.deepEqual(validateWishlist(wishlist), []);
+      assert.equal(wishlist.items.filter((i) => i.sku === SHIRT.sku).length, 1);
+
+      wishlist = await adapter.removeFromWishlist(SHIRT.sku);
+      assert.deepEqual(validateWishlist(wishlist), []);
+      assert.ok(!wishlist.items.some((i) => i.sku === SHIRT.sku));
+    });
+
+    supports('wishlist', 'keeps changes it couldn\'t save to the account', async (t) => {
+      if (!capabilities.has('auth')) {
+        t.skip('needs auth to sign in');
+        return;
+      }
+      await signIn();
+      const { fetch } = global;
+      global.fetch = async (input, init = {}) => {
+        if (init.method === 'PUT' && String(input).endsWith('/wishlist')) {
+          throw new TypeError('Failed to fetch');
+        }
+        return fetch(input, init);
+      };
+      try {
+        const { items } = await adapter.addToWishlist({ sku: SHIRT.sku, name: SHIRT.name });
+        assert.ok(items.some((i) => i.sku === SHIRT.sku));
+      } finally {
+        global.fetch = fetch;
+      }
+      const wishlist = await adapter.removeFromWishlist(SHIRT.sku);
+      assert.ok(!wishlist.items.some((i) => i.sku === SHIRT.sku));
+      await adapter.logout();
+    });
+
+    supports('wishlist', 'keeps what a line saved from the cart needs to go back', async () => {
+      const components = [{
+        sku: 'TEST-MUG', parentSku: null, name: 'Test mug', quantity: 1, options: [], url: '/products/test-mug',
+      }];
+      const wishlist = await adapter.addToWishlist({
+        sku: 'TEST-KIT',
+        variantSku: 'TEST-KIT:TEST-MUG',
+        name: 'Test kit',
+        price: 10,
+        components,
+        categories: ['/products/kits'],
+      });
+      const saved = wishlist.items.find((i) => i.sku === 'TEST-KIT');
+      assert.deepEqual(saved.components, components);
+      assert.deepEqual(saved.categories, ['/products/kits']);
+      await adapter.removeFromWishlist('TEST-KIT');
+    });
+
+    // --- Orders ---
+
+    supports('orders', 'creates an order from the cart and reads it back', async () => {
+      await adapter.addToCart({ ...SHIRT });
+      const order = await adapter.createOrder({ customer: CUSTOMER, shipping: ADDRESS });
+      assert.deepEqual(validateOrder(order), []);
+      assert.equal(order.items[0].sku, SHIRT.sku);
+      assert.equal(order.items[0].quantity, 2);
+
+      const fetched = await adapter.getOrder(order.id);
+      assert.deepEqual(validateOrder(fetched), []);
+      assert.equal(fetched.id, order.id);
+    });
+
+    supports('orders', 'keeps the variant options of order lines', async () => {
+      const options = [{ id: 'color', value: 'Navy Blue' }, { id: 'size', value: 'M' }];
+      await adapter.addToCart({
+        ...SHIRT,
+        sku: 'TEST-SHIRT-NAVY-M',
+        parentSku: SHIRT.sku,
+        options,
+        url: `${SHIRT.url}?color=navy-blue&size=m`,
+      });
+      const cart = await adapter.getCart();
+      assert.deepEqual(cart.items.find((i) => i.sku === 'TEST-SHIRT-NAVY-M').options, options);
+
+      const order = await adapter.createOrder({ customer: CUSTOMER, shipping: ADDRESS });
+      const line = order.items.find((i) => i.sku === 'TEST-SHIRT-NAVY-M');
+      assert.deepEqual(line.custom.options, options);
+      assert.equal(line.custom.parentSku, SHIRT.sku);
+      assert.equal(line.path, 'test-shirt');
+    });
+
+    supports('cart', 'keeps the components of a bundle on one line', async () => {
+      const components = [
+        {
+          sku: SHIRT.sku,
+          parentSku: null,
+          name: 'Test shirt',
+          quantity: 2,
+          options: [],
+          url: '/products/test-shirt',
+        },
+        {
+          sku: 'TEST-MUG',
+          parentSku: null,
+          name: 'Test mug',
+          quantity: 1,
+          options: [],
+          url: '/products/test-mug',
+        },
+      ];
+      const kit = {
+        sku: 'TEST-KIT:TEST-SHIRT+TEST-MUG',
+        parentSku: 'TEST-KIT',
+        name: 'Test kit',
+        quantity: 1,
+        price: 40,
+        currency: 'USD',
+        url: '/products/test-kit',
+        components,
+      };
+      await adapter.addToCart(kit);
+      let cart = await adapter.addToCart(kit);
+      assert.deepEqual(validateCart(cart), []);
+      assert.equal(cart.items.length, 1);
+      assert.equal(cart.items[0].quantity, 2);
+      assert.deepEqual(cart.items[0].components, components);
+
+      cart = await adapter.updateItemQuantity(kit.sku, 3);
+      assert.equal(cart.items[0].quantity, 3);
+      assert.deepEqual(cart.items[0].components, components, 'the components stay per bundle');
+
+      if (capabilities.has('reconciliation')) {
+        const { cart: reconciled } = await adapter.reconcileCart({ force: true });
+        const line = reconciled.items.find((i) => i.sku === kit.sku);
+        assert.equal(line.status, undefined, 'found by the bundle SKU');
+        assert.equal(line.price, 52, 'priced from the components less the discount');
+        assert.equal(line.limits.max, 3, 'no more bundles than mugs');
+
+        const mug = PRODUCTS['/products/test-mug.json'];
+        PRODUCTS['/products/test-mug.json'] = { ...mug, availability: 'https://schema.org/OutOfStock' };
+        try {
+          const { cart: short } = await adapter.reconcileCart({ force: true });
+          assert.equal(short.items.find((i) => i.sku === kit.sku).status, 'out-of-stock');
+        } finally {
+          PRODUCTS['/products/test-mug.json'] = mug;
+        }
+        await adapter.reconcileCart({ force: true });
+      }
+
+      if (capabilities.has('orders')) {
+        const order = await adapter.createOrder({ customer: CUSTOMER, shipping: ADDRESS });
+        assert.deepEqual(order.items[0].custom.components, components);
+        // adapters that empty the cart on ordering need the line back to remove it
+        if (!(await adapter.getCart()).items.length) await adapter.addToCart(kit);
+      }
+
+      cart = await adapter.removeItem(kit.sku);
+      assert.equal(cart.items.length, 0);
+    });
+
+    supports('idempotency', 'places one order for a repeated idempotency key', async (t) => {
+      if (!capabilities.has('orders')) {
+        t.skip(`${name} doesn't support orders`);
+        return;
+      }
+      await adapter.addToCart({ ...SHIRT });
+      const options = { idempotencyKey: `key-${name}` };
+      const details = { customer: CUSTOMER, shipping: ADDRESS };
+      const [first, second] = await Promise.all([
+        adapter.createOrder(details, options),
+        adapter.createOrder(details, options),
+      ]);
+      const again = await adapter.createOrder(details, options);
+      assert.equal(second.id, first.id);
+      assert.equal(again.id, first.id);
+      assert.notEqual((await adapter.createOrder(details, { idempotencyKey: 'other' })).id, first.id);
+
+      const recorded = await adapter.getCheckoutAttempt(`key-${name}`);
+      assert.equal(recorded.length, 1);
+      assert.deepEqual(await adapter.getCheckoutAttempt('unknown'), []);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Bundles: reading bundle definitions, pricing them and keeping their
+ * components with cart lines.
+ */
+
+/* eslint-env node */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatComponents, getBundleLimits, getBundleLineSku, parseBundle, pickComponents, priceBundle,
+} from '../../scripts/commerce/bundles.js';
+
+const KIT = {
+  sku: 'KIT',
+  custom: {
+    bundle: {
+      components: [
+        { sku: 'TEE', path: '/products/classic-tee', quantity: 2 },
+        { sku: 'NO-PATH' },
+      ],
+      choices: [{
+        id: 'mug',
+        label: 'Choose a mug',
+        optional: true,
+        components: [
+          { sku: 'MUG-RED', path: '/products/enamel-mug' },
+          { sku: 'TUMBLER', path: '/products/tumbler' },
+        ],
+      }],
+      discount: { type: 'percentage', value: '10' },
+    },
+  },
+};
+
+const TEE = {
+  sku: 'TEE-M', parentSku: 'TEE', name: 'Classic Tee', quantity: 2, price: 20,
+};
+const MUG = {
+  sku: 'MUG-RED', name: 'Enamel Mug', quantity: 1, price: 15,
+};
+
+describe('bundles', () => {
+  it('reads fixed components, choice groups and the discount', () => {
+    const bundle = parseBundle(KIT);
+    assert.deepEqual(bundle.slots.map((slot) => slot.id), ['component-1', 'mug']);
+    assert.equal(bundle.slots[0].quantity, 2);
+    assert.deepEqual(bundle.slots[0].items, [{ sku: 'TEE', path: '/products/classic-tee' }]);
+    assert.equal(bundle.slots[1].quantity, 1);
+    assert.ok(bundle.slots[1].optional);
+    assert.equal(bundle.slots[1].items.length, 2);
+    assert.deepEqual(bundle.discount, { type: 'percentage', value: 10 });
+
+    assert.equal(parseBundle({ sku: 'TEE' }), null, 'products that aren\'t bundles');
+    assert.equal(parseBundle({ custom: { bundle: { components: [{ sku: 'X' }] } } }), null);
+    assert.equal(parseBundle({
+      custom: { bundle: { ...KIT.custom.bundle, discount: { type: 'bogo', value: 1 } } },
+    }).discount, null);
+  });
+
+  it('prices a bundle from its components less the discount', () => {
+    assert.deepEqual(priceBundle([TEE, MUG]), { final: 55, regular: null });
+    assert.deepEqual(
+      priceBundle([TEE, MUG], { type: 'percentage', value: 10 }),
+      { final: 49.5, regular: 55 },
+    );
+    assert.deepEqual(
+      priceBundle([TEE, MUG], { type: 'fixed', value: 100 }),
+      { final: 0, regular: 55 },
+      'never below nothing',
+    );
+  });
+
+  it('gives the same line SKU to the same components', () => {
+    assert.equal(getBundleLineSku('KIT', [TEE, MUG]), 'KIT:TEE-M+MUG-RED');
+    assert.notEqual(
+      getBundleLineSku('KIT', [TEE]),
+      getBundleLineSku('KIT', [{ ...TEE, sku: 'TEE-L' }]),
+    );
+  });
+
+  it('sells only as many bundles as the components make', () => {
+    const limits = { min: 1, max: null, increment: 1 };
+    assert.deepEqual(getBundleLimits(limits, [TEE, MUG]), limits);
+    assert.deepEqual(getBundleLimits(limits, [
+      { ...TEE, limits: { min: 1, max: 7, increment: 1 } },
+      { ...MUG, limits: { min: 1, max: 10, increment: 1 } },
+    ]), { min: 1, max: 3, increment: 1 });
+    assert.equal(getBundleLimits({ min: 2, max: 10, increment: 2 }, [
+      { ...TEE, limits: { min: 1, max: 2, increment: 1 } },
+    ]).max, 0, 'fewer than the minimum');
+  });
+
+  it('keeps and labels what a bundle line holds', () => {
+    const components = pickComponents([
+      { ...TEE, options: [{ id: 'size', value: 'M' }], limits: { min: 1, max: 3, increment: 1 } },
+      MUG,
+    ]);
+    assert.deepEqual(components[0], {
+      sku: 'TEE-M',
+      parentSku: 'TEE',
+      name: 'Classic Tee',
+      quantity: 2,
+      options: [{ id: 'size', value: 'M' }],
+      url: '',
+    });
+    assert.deepEqual(formatComponents(components), [
+      '2 × Classic Tee (Size: M)',
+      '1 × Enamel Mug',
+    ]);
+    assert.deepEqual(pickComponents(undefined), []);
+  });
+});
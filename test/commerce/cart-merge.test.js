@@ -0,0 +1,34 @@
+/**
+ * Cart merge: a guest cart folded into the customer's saved cart on login.
+ */
+
+/* eslint-env node */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeCarts } from '../../scripts/commerce/cart-merge.js';
+
+const line = (sku, quantity, extra = {}) => ({
+  sku, quantity, price: 10, currency: 'USD', ...extra,
+});
+
+describe('cart merge', () => {
+  it('sums the quantities of lines in both carts, within their limits', () => {
+    const limits = { min: 1, max: 5, increment: 1 };
+    const { items, dropped } = mergeCarts(
+      { items: [line('TEE', 3, { limits }), line('MUG', 1)] },
+      { items: [line('TEE', 4), line('CAP', 2)] },
+    );
+    assert.deepEqual(items.map((i) => [i.sku, i.quantity]), [['TEE', 5], ['CAP', 2], ['MUG', 1]]);
+    assert.deepEqual(dropped, []);
+  });
+
+  it('leaves out lines none of which can be ordered', () => {
+    const { items, dropped } = mergeCarts(
+      { items: [line('TEE', 1, { limits: { min: 1, max: 0, increment: 1 } })] },
+      { items: [line('TEE', 2), line('CAP', 2, { currency: 'EUR' })] },
+    );
+    assert.deepEqual(items, []);
+    assert.deepEqual(dropped.map((i) => i.sku), ['CAP', 'TEE']);
+  });
+});
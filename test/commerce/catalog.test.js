@@ -0,0 +1,48 @@
+/**
+ * Product index: pages are fetched in order and a failed page fails the load.
+ */
+
+/* eslint-env node */
+
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './stubs.js';
+
+const ROWS = ['A', 'B', 'C', 'D'].map((sku) => ({ sku, path: `/products/${sku}` }));
+
+let catalog;
+/** How the second page fails, if it does */
+let failure = null;
+
+describe('catalog', () => {
+  before(async () => {
+    installBrowserStubs();
+    global.fetch = async (input) => {
+      const url = new URL(String(input), 'https://store.test');
+      const offset = Number(url.searchParams.get('offset'));
+      if (offset === 2 && failure === 'network') throw new TypeError('Failed to fetch');
+      if (offset === 2 && failure === 'status') return new Response('', { status: 503 });
+      return new Response(JSON.stringify({
+        total: ROWS.length, offset, limit: 2, data: ROWS.slice(offset, offset + 2),
+      }));
+    };
+    catalog = await import('../../scripts/commerce/catalog.js');
+  });
+
+  it('fails the load when a page comes back with an error', async () => {
+    failure = 'status';
+    await assert.rejects(catalog.loadProductIndex(), /503/);
+  });
+
+  it('starts over when a load that failed part way is retried', async () => {
+    failure = 'network';
+    const progress = [];
+    const onProgress = (entries, { complete }) => progress.push([entries.length, complete]);
+    await assert.rejects(catalog.loadProductIndex({ onProgress }), /Failed to fetch/);
+    assert.deepEqual(progress, [[2, false]], 'the first page is never reported as complete');
+
+    failure = null;
+    const entries = await catalog.loadProductIndex();
+    assert.deepEqual(entries.map((e) => e.sku), ['A', 'B', 'C', 'D']);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Checkout attempts: one idempotency key per attempt, shared answers for
+ * repeated requests in flight, and finding the request a reload cut off.
+ */
+
+/* eslint-env node */
+
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './stubs.js';
+import {
+  beginAttempt, endAttempt, getAttempt, getUnansweredRequest, isAttemptBusy, resetAttempt,
+  runInAttempt,
+} from '../../scripts/commerce/checkout-attempt.js';
+
+installBrowserStubs();
+
+const DETAILS = { customer: { email: 'shopper@example.com' } };
+
+describe('checkout attempts', () => {
+  beforeEach(() => endAttempt());
+
+  it('sends every request of an attempt with the same key', async () => {
+    const keys = [];
+    const send = async (key) => { keys.push(key); return { id: 'pi_1' }; };
+    await runInAttempt('createStripePaymentIntent', [{}], send);
+    await runInAttempt('captureStripePaymentIntent', ['pi_1', DETAILS], send);
+
+    assert.equal(keys.length, 2);
+    assert.equal(keys[0], keys[1]);
+    assert.equal(getAttempt().key, keys[0]);
+    assert.deepEqual(getAttempt().requests.map((r) => r.status), ['done', 'done']);
+
+    endAttempt();
+    assert.notEqual(beginAttempt().key, keys[0], 'a new attempt has a new key');
+  });
+
+  it('shares the answer of a repeated request while it is in flight', async () => {
+    let sent = 0;
+    let answer;
+    const send = () => {
+      sent += 1;
+      return new Promise((resolve) => { answer = resolve; });
+    };
+    const first = runInAttempt('capturePayPalOrder', ['PAYPAL-1', DETAILS], send);
+    const second = runInAttempt('capturePayPalOrder', ['PAYPAL-1', DETAILS], send);
+    await Promise.resolve();
+    assert.ok(isAttemptBusy());
+
+    answer({ status: 'COMPLETED' });
+    assert.equal(await first, await second);
+    assert.equal(sent, 1);
+    assert.ok(!isAttemptBusy());
+  });
+
+  it('finds the request a reload cut off, and keeps its attempt when the cart changes', async () => {
+    const attempt = beginAttempt();
+    attempt.requests.push({
+      operation: 'captureStripePaymentIntent', args: ['pi_1', DETAILS], status: 'pending', at: new Date().toISOString(),
+    });
+    sessionStorage.setItem('checkout-attempt', JSON.stringify(attempt));
+
+    assert.equal(getUnansweredRequest().operation, 'captureStripePaymentIntent');
+    resetAttempt();
+    assert.equal(getAttempt().key, attempt.key);
+
+    let key;
+    await runInAttempt('captureStripePaymentIntent', ['pi_1', DETAILS], async (k) => { key = k; });
+    assert.equal(key, attempt.key, 'sent again with the same key');
+    assert.equal(getAttempt().requests.length, 1);
+    assert.equal(getUnansweredRequest(), null);
+
+    resetAttempt();
+    assert.equal(getAttempt(), null);
+  });
+
+  it('starts a new attempt when the details sent change', async () => {
+    const keys = [];
+    const send = async (key) => { keys.push(key); };
+    const moved = { ...DETAILS, shipping: { country: 'US', state: 'CA' } };
+    await runInAttempt('createOrder', [DETAILS], send);
+    await runInAttempt('createOrder', [DETAILS], send);
+    await runInAttempt('createOrder', [moved], send);
+
+    assert.equal(keys[0], keys[1], 'the same details are sent again with the same key');
+    assert.notEqual(keys[2], keys[0], 'other details get a new key');
+    assert.equal(getAttempt().requests.length, 1);
+  });
+
+  it('keeps the attempt through cart updates that change nothing it pays for', async () => {
+    const cart = {
+      items: [{ sku: 'TEE', quantity: 2, price: 20 }], subtotal: 40, shipping: 5, total: 45,
+    };
+    let key;
+    await runInAttempt('createStripePaymentIntent', [{}], async (k) => { key = k; }, cart);
+
+    // a reconcile that found nothing to change, answered with a fresh copy
+    resetAttempt(structuredClone(cart));
+    assert.equal(getAttempt().key, key);
+
+    resetAttempt({ ...cart, items: [{ sku: 'TEE', quantity: 3, price: 20 }], total: 65 });
+    assert.equal(getAttempt(), null, 'another quantity is another purchase');
+  });
+
+  it('marks failed requests', async () => {
+    await assert.rejects(runInAttempt('createOrder', [DETAILS], async () => {
+      throw new Error('Order creation failed: 500');
+    }), /500/);
+    assert.equal(getAttempt().requests[0].status, 'failed');
+    assert.equal(getUnansweredRequest(), null);
+  });
+});
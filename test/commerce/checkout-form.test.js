@@ -0,0 +1,74 @@
+/**
+ * Checkout form: saved addresses come from the customer's account and are
+ * only ever rendered as text.
+ */
+
+/* eslint-env node */
+
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './stubs.js';
+
+/** Just enough of an element for renderSavedAddresses, with no HTML parsing at all */
+class Element extends EventTarget {
+  constructor(tagName) {
+    super();
+    this.tagName = tagName.toUpperCase();
+    this.children = [];
+    this.className = '';
+    this.textContent = '';
+  }
+
+  append(...nodes) { this.children.push(...nodes); }
+
+  replaceChildren(...nodes) { this.children = nodes; }
+
+  findAll(test) {
+    return this.children.flatMap((el) => [...(test(el) ? [el] : []), ...el.findAll(test)]);
+  }
+
+  set innerHTML(html) { throw new Error(`innerHTML of ${this.tagName} set to ${html}`); }
+}
+
+const ADDRESS = {
+  name: '<img src=x onerror=alert(1)>',
+  address1: '1 Main St<script>alert(1)</script>',
+  city: 'Springfield',
+  zip: '12345',
+  country: 'US',
+};
+
+let form;
+
+describe('checkout form', () => {
+  before(async () => {
+    installBrowserStubs();
+    global.document.createElement = (tagName) => new Element(tagName);
+    form = await import('../../blocks/cart/checkout-form.js');
+  });
+
+  it('renders saved addresses as text', () => {
+    const container = new Element('div');
+    const picked = [];
+    form.renderSavedAddresses(container, [ADDRESS], (addr) => picked.push(addr), 'checkout');
+
+    const [button] = container.children;
+    assert.equal(button.className, 'checkout-saved-address');
+    assert.deepEqual(button.children.map((el) => [el.tagName, el.textContent]), [
+      ['STRONG', ADDRESS.name],
+      ['SPAN', '1 Main St<script>alert(1)</script>, Springfield, 12345'],
+    ]);
+
+    button.dispatchEvent(new Event('click'));
+    assert.deepEqual(picked, [ADDRESS]);
+  });
+
+  it('prints an address a line at a time', () => {
+    assert.deepEqual(form.formatAddressLines({ ...ADDRESS, address2: 'Apt 2', state: 'IL' }), [
+      ADDRESS.name,
+      '1 Main St<script>alert(1)</script>, Apt 2',
+      'Springfield, IL, 12345',
+      'US',
+    ]);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Commerce config: the API origin from the placeholders sheet, read once.
+ */
+
+/* eslint-env node */
+
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './stubs.js';
+
+let config;
+let aem;
+const requested = [];
+
+describe('commerce config', () => {
+  before(async () => {
+    installBrowserStubs();
+    const { fetch } = global;
+    global.fetch = async (input, init) => {
+      const url = new URL(String(input), 'https://store.test');
+      requested.push(url.pathname);
+      if (url.pathname !== '/placeholders.json') return fetch(input, init);
+      return new Response(JSON.stringify({
+        data: [{ Key: 'Commerce API Origin', Text: 'http://localhost:8787/' }],
+      }));
+    };
+    config = await import('../../scripts/commerce/config.js');
+    aem = await import('../../scripts/aem.js');
+  });
+
+  it('reads the origin from the placeholders the page loads anyway', async () => {
+    assert.equal(await config.getApiOrigin(), 'http://localhost:8787');
+    assert.equal(await config.apiUrl('/orders'), 'http://localhost:8787/orders');
+    assert.equal((await aem.fetchPlaceholders()).commerceApiOrigin, 'http://localhost:8787/');
+    assert.deepEqual(requested, ['/placeholders.json'], 'the sheet is fetched once');
+  });
+});
@@ -0,0 +1,76 @@
+/* eslint-env node */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CAPABILITIES, checkAdapter, validateCart } from '../../scripts/commerce/contract.js';
+
+/** An adapter with the given capabilities, every method a no-op */
+function fakeAdapter(capabilities, { declare = true } = {}) {
+  const adapter = Object.fromEntries(capabilities
+    .flatMap((c) => CAPABILITIES[c] || [])
+    .map((method) => [method, async () => {}]));
+  if (declare) adapter.capabilities = capabilities;
+  return adapter;
+}
+
+describe('checkAdapter', () => {
+  it('accepts an adapter with the required capabilities', () => {
+    const { capabilities, errors } = checkAdapter(fakeAdapter(['cart', 'session']));
+    assert.deepEqual(errors, []);
+    assert.deepEqual([...capabilities], ['cart', 'session']);
+  });
+
+  it('infers capabilities from methods when none are declared', () => {
+    const adapter = fakeAdapter(['cart', 'session', 'wishlist'], { declare: false });
+    const { capabilities, errors } = checkAdapter(adapter);
+    assert.deepEqual(errors, []);
+    assert.ok(capabilities.has('wishlist'));
+  });
+
+  it('drops declared capabilities with missing methods', () => {
+    const adapter = fakeAdapter(['cart', 'session', 'coupons']);
+    delete adapter.removeCoupon;
+    const { capabilities, errors } = checkAdapter(adapter);
+    assert.ok(!capabilities.has('coupons'));
+    assert.deepEqual(errors, ['Capability "coupons" is declared but removeCoupon is missing']);
+  });
+
+  it('reports unknown and missing required capabilities', () => {
+    const { errors } = checkAdapter(fakeAdapter(['cart', 'teleport']));
+    assert.deepEqual(errors, [
+      'Unknown capability "teleport"',
+      'Required capability "session" is not supported',
+    ]);
+  });
+});
+
+describe('validateCart', () => {
+  const cart = {
+    items: [{
+      sku: 'A', name: 'A', quantity: 2, price: 10, currency: 'USD',
+    }],
+    itemCount: 2,
+    subtotal: 20,
+    shipping: 0,
+    shippingMethod: null,
+    coupons: [],
+    discounts: [],
+    total: 20,
+    currency: 'USD',
+  };
+
+  it('accepts a well-formed cart', () => {
+    assert.deepEqual(validateCart(cart), []);
+  });
+
+  it('reports each problem', () => {
+    const problems = validateCart({
+      ...cart, itemCount: 3, total: -1, items: [{ ...cart.items[0], quantity: 1.5 }],
+    });
+    assert.deepEqual(problems, [
+      'cart.items[0].quantity must be a positive integer',
+      'cart.itemCount must be the sum of item quantities',
+      'cart.total must be a non-negative number',
+    ]);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Promo codes: why a code can't be used with a cart.
+ */
+
+/* eslint-env node */
+
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './stubs.js';
+
+let discounts;
+
+const rule = (extra = {}) => ({
+  code: 'SAVE10',
+  type: 'percentage',
+  value: 10,
+  skus: [],
+  categories: [],
+  minSubtotal: 0,
+  expires: '',
+  label: '',
+  ...extra,
+});
+
+describe('discounts', () => {
+  before(async () => {
+    installBrowserStubs();
+    discounts = await import('../../scripts/commerce/discounts.js');
+  });
+
+  it('names the minimum spend in the cart\'s currency', () => {
+    const items = [{ sku: 'TEE', price: 20, quantity: 1 }];
+    assert.equal(
+      discounts.validateCoupon(rule({ minSubtotal: 50 }), { items, subtotal: 20, currency: 'EUR' }),
+      'Spend €50.00 or more to use this promo code',
+    );
+    const met = discounts.validateCoupon(rule({ minSubtotal: 50 }), { items, subtotal: 60 });
+    assert.equal(met, null);
+  });
+});
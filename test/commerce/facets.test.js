@@ -0,0 +1,104 @@
+/**
+ * Facets: filter state read from shared links is only ever rendered as text.
+ */
+
+/* eslint-env node */
+
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './stubs.js';
+
+/** Just enough of an element for renderFacets, with no HTML parsing at all */
+class Element extends EventTarget {
+  constructor(tagName) {
+    super();
+    this.tagName = tagName.toUpperCase();
+    this.children = [];
+    this.className = '';
+  }
+
+  append(...nodes) { this.children.push(...nodes); }
+
+  replaceChildren(...nodes) { this.children = nodes; }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  querySelectorAll(selector) {
+    return this.findAll((el) => `.${el.className}` === selector);
+  }
+
+  findAll(test) {
+    return this.children.flatMap((el) => [...(test(el) ? [el] : []), ...el.findAll(test)]);
+  }
+
+  set innerHTML(html) { throw new Error(`innerHTML of ${this.tagName} set to ${html}`); }
+}
+
+const ENTRIES = [
+  { sku: 'TEE', price: '20', categories: '/products/tees' },
+  {
+    sku: 'TEE-RED-M', parentSku: 'TEE', price: '20', color: 'Red', size: 'M',
+  },
+  { sku: 'MUG', price: '15', categories: '/products/mugs' },
+  {
+    sku: 'MUG-BLUE', parentSku: 'MUG', price: '15', color: '<b>Blue</b>', size: '',
+  },
+];
+
+let facets;
+
+describe('facets', () => {
+  before(async () => {
+    installBrowserStubs();
+    global.document.createElement = (tagName) => new Element(tagName);
+    global.document.querySelector = () => null;
+    global.document.head = new Element('head');
+    facets = await import('../../scripts/facets.js');
+  });
+
+  it('drops values from the URL the index doesn\'t have', () => {
+    const index = facets.createFacetIndex(ENTRIES);
+    const state = facets.readFacetState(index.facets, '?color=<img src=x onerror=alert(1)>&color=Red');
+    assert.deepEqual(index.count(state).color.map((c) => c.value), ['Red', '<b>Blue</b>']);
+    assert.equal(index.filter(state).length, 1, 'the known value still filters');
+    assert.equal(index.filter({ price: ['"><img src=x>'] }).length, 2, 'unknown values filter nothing');
+  });
+
+  it('offers a facet for each option column of the variant rows', () => {
+    const entries = [...ENTRIES, {
+      sku: 'MUG-STEEL', parentSku: 'MUG', price: '25', material: 'Steel', availability: '',
+    }];
+    const index = facets.createFacetIndex(entries);
+    assert.deepEqual(
+      index.facets.map((f) => f.id),
+      [...facets.FACETS.map((f) => f.id), 'color', 'size', 'material'],
+    );
+    assert.equal(index.facets.find((f) => f.id === 'material').label, 'Material');
+    assert.deepEqual(index.count({}).size.map((c) => c.value), ['M']);
+    assert.deepEqual(facets.readFacetState(index.facets, '?material=Steel&size=M'), {
+      size: ['M'], material: ['Steel'],
+    });
+  });
+
+  it('renders facet values as text', () => {
+    const index = facets.createFacetIndex(ENTRIES);
+    const container = new Element('div');
+    const state = {
+      color: ['<img src=x onerror=alert(1)>', '<b>Blue</b>'],
+      price: ['"><img src=x onerror=alert(1)>'],
+    };
+    facets.renderFacets(container, index, state, () => {});
+
+    const inputs = container.findAll((el) => el.tagName === 'INPUT');
+    const values = inputs.map((input) => input.value);
+    assert.ok(!values.some((value) => value.includes('img')), 'crafted values are not rendered');
+    assert.ok(inputs.find((input) => input.value === '<b>Blue</b>').checked);
+
+    const labels = container.findAll((el) => el.tagName === 'SPAN').map((el) => el.textContent);
+    assert.ok(labels.includes('<b>Blue</b>'), 'markup in a value stays text');
+    assert.ok(!container.findAll((el) => ['IMG', 'B'].includes(el.tagName)).length);
+    assert.equal(container.querySelector('.facets-toggle').textContent, 'Filter (1)');
+  });
+});
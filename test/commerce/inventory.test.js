@@ -0,0 +1,66 @@
+/**
+ * Inventory: stock status, low-stock counts and purchase limits of offers.
+ */
+
+/* eslint-env node */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkQuantity, clampQuantity, getLowStock, getPurchaseLimits, getQuantityChoices,
+  getStockStatus, isPurchasable,
+} from '../../scripts/commerce/inventory.js';
+
+const offer = (availability, extra = {}) => ({
+  sku: 'TEE', availability: `https://schema.org/${availability}`, ...extra,
+});
+
+describe('inventory', () => {
+  it('reads the stock status of an offer', () => {
+    assert.equal(getStockStatus(offer('InStock')), 'in-stock');
+    assert.equal(getStockStatus(offer('LimitedAvailability')), 'limited');
+    assert.equal(getStockStatus(offer('PreOrder')), 'pre-order');
+    assert.equal(getStockStatus(offer('BackOrder', { inventoryLevel: 0 })), 'back-order');
+    assert.equal(getStockStatus(offer('InStock', { inventoryLevel: { value: 0 } })), 'out-of-stock');
+    assert.equal(getStockStatus({ sku: 'TEE' }), 'in-stock', 'offers that don\'t say are sold');
+    assert.ok(isPurchasable(offer('PreOrder')));
+    assert.ok(!isPurchasable(offer('SoldOut')));
+  });
+
+  it('says how few are left', () => {
+    assert.equal(getLowStock(offer('InStock', { inventoryLevel: 3 })), 3);
+    assert.equal(getLowStock(offer('InStock', { inventoryLevel: 40 })), null);
+    assert.equal(getLowStock(offer('BackOrder', { inventoryLevel: 2 })), null);
+    assert.equal(getLowStock(offer('InStock')), null);
+  });
+
+  it('works out purchase limits from eligible quantity and stock', () => {
+    assert.deepEqual(getPurchaseLimits(offer('InStock')), { min: 1, max: null, increment: 1 });
+    assert.deepEqual(getPurchaseLimits(offer('InStock', {
+      inventoryLevel: { value: 9 },
+      eligibleQuantity: { minValue: 2, maxValue: 12, stepValue: 2 },
+    })), { min: 2, max: 8, increment: 2 });
+    assert.deepEqual(getPurchaseLimits(offer('PreOrder', {
+      inventoryLevel: 0, eligibleQuantity: { maxValue: 4 },
+    })), { min: 1, max: 4, increment: 1 }, 'pre-orders are not capped by stock');
+    assert.equal(getPurchaseLimits(offer('InStock', {
+      inventoryLevel: 1, eligibleQuantity: { minValue: 2 },
+    })).max, 0, 'fewer left than the minimum');
+  });
+
+  it('offers and keeps quantities within the limits', () => {
+    const limits = { min: 2, max: 8, increment: 2 };
+    assert.deepEqual(getQuantityChoices(limits), [2, 4, 6, 8]);
+    assert.equal(getQuantityChoices({ min: 1, max: null, increment: 1 }).length, 10);
+
+    assert.equal(clampQuantity(5, limits), 4);
+    assert.equal(clampQuantity(20, limits), 8);
+    assert.equal(clampQuantity(1, limits), 2);
+
+    assert.equal(checkQuantity(6, limits, 'Tee'), null);
+    assert.match(checkQuantity(10, limits, 'Tee'), /Only 8 of Tee/);
+    assert.match(checkQuantity(5, limits, 'Tee'), /steps of 2/);
+    assert.match(checkQuantity(1, { min: 2, max: null, increment: 1 }, 'Tee'), /at least 2/);
+    assert.equal(checkQuantity(500, undefined), null);
+  });
+});
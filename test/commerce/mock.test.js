@@ -0,0 +1,160 @@
+/**
+ * Mock adapter behaviour beyond the shared contract: the fixture dataset and
+ * the latency, failure and token expiry simulation.
+ */
+
+/* eslint-env node */
+
+import {
+  afterEach, before, describe, it, mock,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './stubs.js';
+import FIXTURES from '../../scripts/commerce/mock-fixtures.js';
+
+installBrowserStubs();
+
+const [JANE] = FIXTURES.customers;
+
+let adapter;
+
+function configure(config) {
+  localStorage.setItem('mock-config', JSON.stringify(config));
+}
+
+async function signIn(email = JANE.email) {
+  const { hash, exp } = await adapter.login(email);
+  return adapter.verifyCode(email, FIXTURES.otp, hash, exp);
+}
+
+describe('mock adapter', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    const { default: createMockAdapter } = await import('../../scripts/commerce/adapters/mock.js');
+    adapter = createMockAdapter();
+  });
+
+  afterEach(async () => {
+    localStorage.removeItem('mock-config');
+    await adapter.logout();
+    mock.timers.reset();
+  });
+
+  it('signs fixture customers in with their profile, addresses and orders', async () => {
+    await signIn();
+    const profile = await adapter.getCustomerProfile();
+    assert.equal(profile.firstName, JANE.firstName);
+    assert.equal(profile.addresses, undefined, 'the profile leaves out the account data');
+
+    const addresses = await adapter.getAddresses();
+    assert.deepEqual(addresses.map((a) => a.id), JANE.addresses.map((a) => a.id));
+
+    const orders = await adapter.getOrders();
+    assert.deepEqual(orders.map((o) => o.id), ['mock-1002', 'mock-1001'], 'newest first');
+    assert.equal((await adapter.getOrder('mock-1001')).items[0].sku, 'MOCK-TEE-BLK-M');
+  });
+
+  it('rejects a wrong, tampered or expired code', async () => {
+    const { hash, exp } = await adapter.login(JANE.email);
+    await assert.rejects(adapter.verifyCode(JANE.email, '000000', hash, exp), /Invalid code/);
+    await assert.rejects(adapter.verifyCode(JANE.email, FIXTURES.otp, hash, exp + 1), /Invalid code/);
+
+    mock.timers.enable({ apis: ['Date'], now: exp + 1 });
+    await assert.rejects(adapter.verifyCode(JANE.email, FIXTURES.otp, hash, exp), /expired/);
+  });
+
+  it('keeps one default address', async () => {
+    await signIn();
+    const created = await adapter.createAddress({
+      name: 'Jane Doe', address1: '2 Pine St', city: 'Seattle', zip: '98101', country: 'US', isDefault: true,
+    });
+    const addresses = await adapter.getAddresses();
+    assert.deepEqual(addresses.filter((a) => a.isDefault).map((a) => a.id), [created.id]);
+    await adapter.deleteAddress(created.id);
+    await assert.rejects(adapter.deleteAddress(created.id));
+  });
+
+  it('adds orders placed while signed in to the order history', async () => {
+    await signIn('new.customer@example.com');
+    assert.deepEqual(await adapter.getOrders(), []);
+    await adapter.addToCart({
+      sku: 'MOCK-MUG', name: 'Enamel Mug', quantity: 1, price: 18, currency: 'USD',
+    });
+    const order = await adapter.createOrder({ customer: { email: 'new.customer@example.com' }, shipping: {} });
+    assert.deepEqual((await adapter.getOrders()).map((o) => o.id), [order.id]);
+    await adapter.clearCart();
+  });
+
+  it('reports payments as paid for the cart total', async () => {
+    await adapter.addToCart({
+      sku: 'MOCK-MUG', name: 'Enamel Mug', quantity: 2, price: 18, currency: 'USD',
+    });
+    const details = { customer: { email: 'guest@example.com' }, shipping: { country: 'US' } };
+    const { total } = await adapter.getCart();
+
+    const session = await adapter.createCheckoutSession(details);
+    assert.equal(session.url, `/order-confirmation?session_id=${session.id}`);
+    const status = await adapter.getPaymentStatus('hostedCheckout', session.id);
+    assert.deepEqual(status, {
+      order_id: status.order_id,
+      payment_status: 'paid',
+      customer_email: 'guest@example.com',
+      amount_total: total * 100,
+      currency: 'usd',
+    });
+    assert.equal((await adapter.getOrder(status.order_id)).id, status.order_id);
+
+    const { id } = await adapter.createStripePaymentIntent(details);
+    await adapter.captureStripePaymentIntent(id, details);
+    assert.equal((await adapter.getPaymentStatus('stripe', id)).amount_total, total * 100);
+    await assert.rejects(adapter.getPaymentStatus('paypal', 'unknown'), /not found/);
+    await adapter.clearCart();
+  });
+
+  it('expires the token after tokenTtl and announces it', async () => {
+    configure({ tokenTtl: 60 });
+    await signIn();
+    const events = [];
+    document.addEventListener('commerce:auth-state-changed', (e) => events.push(e.detail));
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 1000 });
+    assert.equal(await adapter.getCustomerProfile(), null);
+    assert.equal(adapter.isLoggedIn(), false);
+    assert.deepEqual(events, [{ loggedIn: false, email: null, reason: 'token_expired' }]);
+  });
+
+  it('fails the methods listed in failOn', async () => {
+    configure({ failOn: ['createOrder'] });
+    await assert.rejects(adapter.createOrder({ customer: {}, shipping: {} }), /simulated createOrder failure/);
+    assert.equal((await adapter.getCart()).itemCount, 0);
+  });
+
+  it('simulates a hosted checkout as one call', async () => {
+    configure({ failOn: ['createOrder'] });
+    await adapter.addToCart({
+      sku: 'MOCK-MUG', name: 'Enamel Mug', quantity: 1, price: 18, currency: 'USD',
+    });
+    const session = await adapter.createCheckoutSession({ customer: {}, shipping: {} });
+    assert.match(session.id, /^mock_cs_/, 'the order it places is not failed as createOrder');
+    await adapter.clearCart();
+  });
+
+  it('fails any method at the configured error rate', async () => {
+    configure({ errorRate: 1 });
+    await assert.rejects(adapter.getCart(), /simulated getCart failure/);
+    assert.equal(adapter.isLoggedIn(), false, 'synchronous methods never fail');
+  });
+
+  it('delays calls by the configured latency', async () => {
+    configure({ latency: [100, 100] });
+    mock.timers.enable({ apis: ['setTimeout'] });
+    let settled = false;
+    const pending = adapter.getCart().then(() => { settled = true; });
+
+    await new Promise(setImmediate);
+    assert.equal(settled, false);
+    mock.timers.tick(100);
+    await pending;
+    assert.equal(settled, true);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Cart snapshots for the order confirmation page, and taking only what was
+ * bought out of the cart.
+ */
+
+/* eslint-env node */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserStubs } from './stubs.js';
+import {
+  getSnapshot, markCleared, remainingQuantities, saveSnapshot, wasCleared,
+} from '../../scripts/commerce/order-snapshot.js';
+
+installBrowserStubs();
+
+const CART = {
+  items: [
+    { sku: 'TEE', quantity: 2, price: 20 },
+    { sku: 'CAP', quantity: 1, price: 15 },
+  ],
+  itemCount: 3,
+  currency: 'USD',
+};
+
+describe('order snapshots', () => {
+  it('keeps snapshots by payment id, the latest few', () => {
+    saveSnapshot('pi_1', { cart: CART, shippingMethod: null, tax: null });
+    assert.equal(getSnapshot('pi_1').cart.itemCount, 3);
+    assert.equal(getSnapshot('pi_2'), null);
+
+    ['pi_2', 'pi_3', 'pi_4', 'pi_5', 'pi_6'].forEach((id) => saveSnapshot(id, { cart: CART }));
+    assert.equal(getSnapshot('pi_1'), null, 'the oldest is dropped');
+    assert.ok(getSnapshot('pi_6'));
+  });
+
+  it('remembers which payments were taken out of the cart', () => {
+    saveSnapshot('pi_7', { cart: CART });
+    assert.ok(!wasCleared('pi_7'));
+    markCleared('pi_7');
+    assert.ok(wasCleared('pi_7'));
+    assert.equal(getSnapshot('pi_7').cart.itemCount, 3, 'the snapshot is kept');
+
+    markCleared('session_1');
+    assert.ok(wasCleared('session_1'), 'also without a snapshot');
+  });
+
+  it('takes out only the quantities bought', () => {
+    const cart = {
+      items: [
+        { sku: 'TEE', quantity: 3 },
+        { sku: 'CAP', quantity: 1 },
+        { sku: 'SOCKS', quantity: 1 },
+      ],
+    };
+    assert.deepEqual(remainingQuantities(cart, [
+      { sku: 'TEE', quantity: 2 },
+      { sku: 'CAP', quantity: 1 },
+      { sku: 'GONE', quantity: 1 },
+    ]), [
+      { sku: 'TEE', quantity: 1 },
+      { sku: 'CAP', quantity: 0 },
+    ]);
+    assert.deepEqual(remainingQuantities(null, [{ sku: 'TEE', quantity: 1 }]), []);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Payment provider registry: configuration, ordering and finding the provider
+ * behind a confirmation page URL. The built-in providers need a browser, so
+ * these use providers registered here.
+ */
+
+/* eslint-env node */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PROVIDERS, confirmationUrl, findCapturedPayment, findPayment, getProviders,
+  parseProviderIds, registerProvider,
+} from '../../scripts/commerce/payments/registry.js';
+
+function testProvider(id, param) {
+  return {
+    id,
+    label: id,
+    placement: 'express',
+    isAvailable: async () => true,
+    render: async () => {},
+    createPayment: async () => ({ id: `${id}-1` }),
+    capture: async () => ({}),
+    confirmationParams: (paymentId) => ({ [param]: paymentId }),
+    paymentId: (params) => params.get(param),
+    getPayment: async () => ({ payment_status: 'paid' }),
+  };
+}
+
+registerProvider(testProvider('test-wallet', 'wallet_id'));
+registerProvider(testProvider('test-invoice', 'invoice_id'));
+
+describe('payment provider registry', () => {
+  it('reads provider lists from block config', () => {
+    assert.deepEqual(parseProviderIds('PayPal, stripe-checkout'), ['paypal', 'stripe-checkout']);
+    assert.deepEqual(parseProviderIds(['paypal', 'paypal, test-wallet']), ['paypal', 'test-wallet']);
+    assert.deepEqual(parseProviderIds(''), DEFAULT_PROVIDERS);
+    assert.deepEqual(parseProviderIds(undefined), DEFAULT_PROVIDERS);
+  });
+
+  it('returns providers in the configured order, leaving out unknown ones', async () => {
+    const providers = await getProviders(['test-invoice', 'no-such-provider', 'test-wallet']);
+    assert.deepEqual(providers.map((p) => p.id), ['test-invoice', 'test-wallet']);
+  });
+
+  it('finds the provider a confirmation URL belongs to', async () => {
+    const [, invoice] = await getProviders(['test-wallet', 'test-invoice']);
+    const url = new URL(confirmationUrl(invoice, 'inv 42'), 'https://store.test');
+    assert.equal(url.pathname, '/order-confirmation');
+
+    const ids = ['test-wallet', 'test-invoice'];
+    const found = await findPayment(url.searchParams, ids);
+    assert.equal(found.provider, invoice);
+    assert.equal(found.id, 'inv 42');
+    assert.equal(await findPayment(new URLSearchParams('session_id=x'), ids), null);
+  });
+
+  it('finds the payment a capture answer is for', async () => {
+    const ids = ['test-wallet', 'test-invoice'];
+    const found = await findCapturedPayment({ status: 'paid', invoice_id: 'inv 7', amount_total: 100 }, ids);
+    assert.equal(found.provider.id, 'test-invoice');
+    assert.equal(found.id, 'inv 7');
+    assert.equal(await findCapturedPayment({ queued: true, id: 'q1' }, ids), null);
+  });
+
+  it('lets a registered provider replace another with the same id', async () => {
+    const replacement = testProvider('test-wallet', 'other_id');
+    registerProvider(replacement);
+    const [provider] = await getProviders(['test-wallet']);
+    assert.equal(provider, replacement);
+  });
+});
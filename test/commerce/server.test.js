@@ -0,0 +1,201 @@
+/**
+ * Local commerce server: the worker API flows the storefront relies on,
+ * against a server on a random port with a throwaway data directory.
+ */
+
+/* eslint-env node */
+
+import {
+  after, before, describe, it,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import createServer from '../../tools/commerce-server/server.js';
+
+const OTP = '654321';
+const EMAIL = 'jane@example.com';
+
+const ORDER = {
+  customer: { email: EMAIL },
+  shipping: { name: 'Jane Doe', country: 'US' },
+  items: [{
+    sku: 'TEE', name: 'Tee', quantity: 2, price: 20, currency: 'USD', url: '/products/tee',
+  }],
+  discounts: [{ code: 'SAVE5', type: 'fixed', amount: 5 }],
+  shippingMethod: { id: 'standard', amount: 4.5 },
+  tax: { amount: 3, inclusive: false },
+};
+
+let server;
+let dataDir;
+let origin;
+
+async function call(path, {
+  method = 'GET', body, token, idempotencyKey,
+} = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+  const resp = await fetch(`${origin}${path}`, {
+    method, headers, body: body && JSON.stringify(body),
+  });
+  return { status: resp.status, data: await resp.json() };
+}
+
+async function signIn(email = EMAIL) {
+  const { data: { hash, exp } } = await call('/auth/login', { method: 'POST', body: { email } });
+  const { data } = await call('/auth/callback', {
+    method: 'POST',
+    body: {
+      email, code: OTP, hash, exp,
+    },
+  });
+  return data.token;
+}
+
+describe('local commerce server', () => {
+  before(async () => {
+    dataDir = await mkdtemp(join(tmpdir(), 'commerce-server-'));
+    server = createServer({ dataDir, otp: OTP, log: () => {} });
+    await new Promise((resolve) => { server.listen(0, resolve); });
+    origin = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => { server.close(resolve); });
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('answers CORS preflights', async () => {
+    const resp = await fetch(`${origin}/orders`, { method: 'OPTIONS' });
+    assert.equal(resp.status, 204);
+    assert.match(resp.headers.get('access-control-allow-headers'), /Authorization/);
+  });
+
+  it('pays hosted checkout sessions with the order total', async () => {
+    const { data: session } = await call('/checkout', { method: 'POST', body: ORDER });
+    assert.match(session.url, /\/order-confirmation\?session_id=/);
+
+    const { data } = await call(`/checkout/session?id=${session.id}`);
+    assert.equal(data.payment_status, 'paid');
+    assert.equal(data.customer_email, EMAIL);
+    assert.equal(data.amount_total, 4250, '40 - 5 + 4.50 shipping + 3 tax, in cents');
+    assert.equal(data.currency, 'usd');
+  });
+
+  it('creates and captures PayPal orders and Stripe payment intents', async () => {
+    const { data: paypal } = await call('/paypal/orders', { method: 'POST', body: ORDER });
+    assert.equal(paypal.status, 'CREATED');
+    const { data: captured } = await call(`/paypal/orders/${paypal.id}/capture`, { method: 'POST', body: ORDER });
+    assert.equal(captured.status, 'COMPLETED');
+    assert.equal((await call(`/paypal/orders/${paypal.id}`)).data.payment_status, 'paid');
+    assert.equal((await call(`/paypal/orders/${paypal.id}/capture`, { method: 'POST', body: ORDER })).status, 404);
+
+    const { data: intent } = await call('/stripe/payment-intents', { method: 'POST', body: ORDER });
+    assert.ok(intent.clientSecret.startsWith(intent.id));
+    const { data: paid } = await call(`/stripe/payment-intents/${intent.id}/capture`, { method: 'POST', body: ORDER });
+    assert.equal(paid.status, 'succeeded');
+    assert.equal(paid.amount_total, 4250);
+  });
+
+  it('answers a repeated idempotency key with the first answer', async () => {
+    const idempotencyKey = 'attempt-1';
+    const { data: intent } = await call('/stripe/payment-intents', { method: 'POST', body: ORDER, idempotencyKey });
+    const { data: same } = await call('/stripe/payment-intents', { method: 'POST', body: ORDER, idempotencyKey });
+    assert.equal(same.id, intent.id);
+
+    const capture = () => call(`/stripe/payment-intents/${intent.id}/capture`, { method: 'POST', body: ORDER, idempotencyKey });
+    const [first, second] = await Promise.all([capture(), capture()]);
+    const third = await capture();
+    assert.equal(first.status, 200);
+    assert.equal(second.data.order_id, first.data.order_id);
+    assert.equal(third.data.order_id, first.data.order_id);
+
+    const { data: attempt } = await call(`/checkout/attempts/${idempotencyKey}`);
+    assert.deepEqual(attempt.requests.map((r) => r.request), [
+      'POST /stripe/payment-intents',
+      `POST /stripe/payment-intents/${intent.id}/capture`,
+    ]);
+    assert.equal((await call('/checkout/attempts/unknown')).status, 404);
+  });
+
+  it('signs customers in with the code and keeps their data', async () => {
+    const { data: { hash, exp } } = await call('/auth/login', { method: 'POST', body: { email: EMAIL } });
+    const wrong = await call('/auth/callback', {
+      method: 'POST',
+      body: {
+        email: EMAIL, code: '000000', hash, exp,
+      },
+    });
+    assert.equal(wrong.status, 401);
+
+    const token = await signIn();
+    const base = `/customers/${encodeURIComponent(EMAIL)}`;
+    assert.equal((await call(base)).status, 401, 'customer data needs the token');
+    assert.equal((await call(base, { token })).data.customer.email, EMAIL);
+    assert.equal((await call(`${base}/cart`, { token })).status, 404, 'no saved cart yet');
+
+    await call(`${base}/cart`, { method: 'PUT', token, body: { items: { TEE: { sku: 'TEE', quantity: 1 } } } });
+    assert.equal((await call(`${base}/cart`, { token })).data.cart.items.TEE.quantity, 1);
+    await call(`${base}/wishlist`, { method: 'PUT', token, body: { items: [{ sku: 'MUG' }] } });
+    assert.deepEqual((await call(`${base}/wishlist`, { token })).data.items, [{ sku: 'MUG' }]);
+
+    const { data: { order } } = await call('/orders', { method: 'POST', token, body: ORDER });
+    assert.equal((await call(`/orders/${order.id}`)).data.order.items[0].price.final, '20');
+    assert.ok((await call(`${base}/orders`, { token })).data.orders.some((o) => o.id === order.id));
+
+    await call('/auth/logout', { method: 'POST', token });
+    assert.equal((await call(base, { token })).status, 401);
+  });
+
+  it('keeps one default address', async () => {
+    const token = await signIn();
+    const base = `/customers/${encodeURIComponent(EMAIL)}/addresses`;
+    const { data: { address: first } } = await call(base, { method: 'POST', token, body: { name: 'Home' } });
+    assert.equal(first.isDefault, true, 'the first address is the default');
+    const { data: { address: second } } = await call(base, {
+      method: 'POST', token, body: { name: 'Work', isDefault: true },
+    });
+    const { data: { addresses } } = await call(base, { token });
+    assert.deepEqual(addresses.filter((a) => a.isDefault).map((a) => a.id), [second.id]);
+
+    assert.equal((await call(`${base}/${first.id}`, { method: 'DELETE', token })).status, 200);
+    assert.equal((await call(`${base}/${first.id}`, { token })).status, 404);
+  });
+
+  it('keeps back-in-stock signups for the customer to cancel', async () => {
+    const signup = { sku: 'TEE-RED-XL', email: 'Jane@Example.com', name: 'Tee' };
+    assert.equal((await call('/back-in-stock', { method: 'POST', body: { sku: 'TEE' } })).status, 400);
+    const { data: { subscription } } = await call('/back-in-stock', { method: 'POST', body: signup });
+    assert.equal(subscription.email, EMAIL);
+    const repeated = await call('/back-in-stock', { method: 'POST', body: signup });
+    assert.equal(repeated.data.subscription.id, subscription.id);
+
+    const token = await signIn();
+    const base = `/customers/${encodeURIComponent(EMAIL)}/back-in-stock`;
+    assert.equal((await call(base)).status, 401);
+    assert.deepEqual((await call(base, { token })).data.subscriptions.map((s) => s.sku), ['TEE-RED-XL']);
+    assert.equal((await call(`${base}/${subscription.id}`, { method: 'DELETE', token })).status, 200);
+    assert.deepEqual((await call(base, { token })).data.subscriptions, []);
+    assert.equal((await call(`${base}/${subscription.id}`, { method: 'DELETE', token })).status, 404);
+  });
+
+  it('suggests and resolves addresses', async () => {
+    const { data } = await call('/places/autocomplete?input=howard');
+    assert.equal(data.predictions.length, 1);
+    const { data: details } = await call(`/places/details?place_id=${data.predictions[0].place_id}`);
+    const zip = details.result.address_components.find((c) => c.types.includes('postal_code'));
+    assert.equal(zip.long_name, '94105');
+  });
+
+  it('persists data across restarts', async () => {
+    const { data: { order } } = await call('/orders', { method: 'POST', body: ORDER });
+    const restarted = createServer({ dataDir, otp: OTP, log: () => {} });
+    await new Promise((resolve) => { restarted.listen(0, resolve); });
+    const resp = await fetch(`http://localhost:${restarted.address().port}/orders/${order.id}`);
+    await new Promise((resolve) => { restarted.close(resolve); });
+    assert.equal((await resp.json()).order.id, order.id);
+  });
+});
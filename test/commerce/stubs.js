@@ -0,0 +1,221 @@
+/**
+ * Browser globals for running commerce adapters under Node.
+ *
+ * Adapters only touch localStorage, sessionStorage, document.cookie, window
+ * events and fetch, and the money formatting promo code messages use only
+ * reads page metadata, so these stand-ins are enough. fetch serves the commerce
+ * sheets and product JSON from SHEETS and PRODUCTS, answers the commerce
+ * worker's order, auth and customer endpoints from an in-memory store, and
+ * returns 404 for everything else. Orders repeated with an Idempotency-Key
+ * are answered with the first one, and back-in-stock signups are kept in
+ * memory.
+ */
+
+/* eslint-env node */
+
+export const ORIGIN = 'https://store.test';
+
+/** One-time code the worker stub accepts, the same as the mock fixtures' */
+export const OTP = '123456';
+
+export const SHEETS = {
+  '/commerce/coupons.json': {
+    data: [{ code: 'SAVE10', type: 'percentage', value: '10' }],
+  },
+  '/commerce/shipping.json': { data: [] },
+  '/commerce/tax-rates.json': {
+    data: [
+      { country: 'US', state: 'CA', rate: '7.25' },
+      { country: 'US', rate: '0' },
+    ],
+  },
+};
+
+/** Product bus JSON by product path, read by cart reconciliation */
+export const PRODUCTS = {
+  '/products/test-shirt.json': {
+    sku: 'TEST-SHIRT',
+    price: { currency: 'USD', final: '30.00' },
+    availability: 'https://schema.org/InStock',
+  },
+  '/products/test-mug.json': {
+    sku: 'TEST-MUG',
+    price: { currency: 'USD', final: '12.00' },
+    availability: 'https://schema.org/LimitedAvailability',
+    inventoryLevel: { value: 3 },
+  },
+  '/products/test-kit.json': {
+    sku: 'TEST-KIT',
+    price: { currency: 'USD', final: '99.00' },
+    availability: 'https://schema.org/InStock',
+    custom: {
+      bundle: {
+        components: [
+          { sku: 'TEST-SHIRT', path: '/products/test-shirt', quantity: 2 },
+          { sku: 'TEST-MUG', path: '/products/test-mug' },
+        ],
+        discount: { type: 'fixed', value: '20' },
+      },
+    },
+  },
+};
+
+function createStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => { data.set(key, String(value)); },
+    removeItem: (key) => { data.delete(key); },
+    clear: () => data.clear(),
+    key: (i) => [...data.keys()][i] ?? null,
+    get length() { return data.size; },
+  };
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * An in-memory commerce worker.
+ * @returns {Function} Answers a request, or returns null for unknown routes
+ */
+function createWorker() {
+  const orders = new Map();
+  const subscriptions = new Map();
+  /** Order answers by idempotency key */
+  const replays = new Map();
+  const customers = new Map();
+  const customer = (email) => {
+    if (!customers.has(email)) customers.set(email, { addresses: [], cart: null, items: [] });
+    return customers.get(email);
+  };
+
+  return (url, { method = 'GET', body, headers } = {}) => {
+    const data = body ? JSON.parse(body) : {};
+    const path = url.pathname.split('/').slice(1).map(decodeURIComponent);
+    const key = new Headers(headers).get('Idempotency-Key');
+
+    if (path[0] === 'auth') {
+      if (path[1] === 'login') return json({ hash: 'stub-hash', exp: Date.now() + 60000 });
+      if (path[1] === 'logout') return json({});
+      if (data.code !== OTP) return json({ message: 'Invalid code' }, 401);
+      return json({ token: 'stub-token', email: data.email, roles: ['customer'] });
+    }
+
+    if (path[0] === 'checkout' && path[1] === 'attempts') {
+      const recorded = replays.get(path[2]);
+      return recorded
+        ? json({ key: path[2], requests: [{ request: 'POST /orders', createdAt: recorded.createdAt, result: { order: recorded.order } }] })
+        : json({ message: 'Checkout attempt not found' }, 404);
+    }
+
+    if (path[0] === 'orders') {
+      if (method === 'POST') {
+        if (replays.has(key)) return json({ order: replays.get(key).order }, 201);
+        const order = {
+          id: `order-${orders.size + 1}`,
+          items: data.items,
+          customer: data.customer,
+          shipping: data.shipping,
+          state: 'pending',
+          createdAt: new Date().toISOString(),
+        };
+        orders.set(order.id, order);
+        if (key) replays.set(key, { order, createdAt: order.createdAt });
+        return json({ order }, 201);
+      }
+      const order = orders.get(path[1]);
+      return order ? json({ order }) : json({ error: 'Not found' }, 404);
+    }
+
+    if (path[0] === 'back-in-stock' && method === 'POST') {
+      const existing = [...subscriptions.values()]
+        .find((s) => s.sku === data.sku && s.email === data.email);
+      if (existing) return json({ subscription: existing });
+      const subscription = {
+        ...data, id: `bis-${subscriptions.size + 1}`, createdAt: new Date().toISOString(),
+      };
+      subscriptions.set(subscription.id, subscription);
+      return json({ subscription }, 201);
+    }
+
+    if (path[0] === 'customers' && path[1]) {
+      const [, email, resource, id] = path;
+      const account = customer(email);
+      switch (`${method} ${resource || ''}${id ? '/:id' : ''}`) {
+        case 'GET ':
+          return json({ customer: { email, firstName: 'Test', lastName: 'Shopper' } });
+        case 'GET orders':
+          return json({ orders: [...orders.values()].filter((o) => o.customer?.email === email) });
+        case 'GET cart':
+          return account.cart ? json({ cart: account.cart }) : json({ error: 'Not found' }, 404);
+        case 'PUT cart':
+          account.cart = data;
+          return json({ cart: data });
+        case 'GET wishlist':
+          return json({ items: account.items });
+        case 'PUT wishlist':
+          account.items = data.items;
+          return json({ items: data.items });
+        case 'GET addresses':
+          return json({ addresses: account.addresses.map((a) => ({ id: a.id })) });
+        case 'POST addresses': {
+          const address = { ...data, id: `addr-${account.addresses.length + 1}` };
+          account.addresses.push(address);
+          return json({ address }, 201);
+        }
+        case 'GET addresses/:id': {
+          const address = account.addresses.find((a) => a.id === id);
+          return address ? json({ address }) : json({ error: 'Not found' }, 404);
+        }
+        case 'DELETE addresses/:id':
+          account.addresses = account.addresses.filter((a) => a.id !== id);
+          return json({});
+        case 'GET back-in-stock': {
+          const list = [...subscriptions.values()].filter((s) => s.email === email);
+          return json({ subscriptions: list });
+        }
+        case 'DELETE back-in-stock/:id':
+          if (subscriptions.get(id)?.email !== email) return json({ error: 'Not found' }, 404);
+          subscriptions.delete(id);
+          return json({});
+        default:
+          return null;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Installs the stubs as globals. Call before importing an adapter, since
+ * adapters read storage and register listeners when they load.
+ */
+export function installBrowserStubs() {
+  const worker = createWorker();
+
+  global.localStorage = createStorage();
+  global.sessionStorage = createStorage();
+  global.document = Object.assign(new EventTarget(), {
+    cookie: '',
+    // a page without scripts or metadata, for aem.js
+    querySelector: () => null,
+    head: { querySelectorAll: () => [] },
+  });
+  global.window = Object.assign(new EventTarget(), {
+    location: new URL(`${ORIGIN}/cart`),
+  });
+
+  global.fetch = async (input, init = {}) => {
+    const url = new URL(String(input), ORIGIN);
+    if (url.origin === ORIGIN) {
+      const body = SHEETS[url.pathname] || PRODUCTS[url.pathname];
+      return body ? json(body) : json({ error: 'Not found' }, 404);
+    }
+    return worker(url, init) || json({ error: 'Not found' }, 404);
+  };
+}
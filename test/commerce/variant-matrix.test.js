@@ -0,0 +1,72 @@
+/**
+ * Variant matrix: availability of each option value against the rest of the
+ * selection, and moving to the nearest variant for combinations not made.
+ */
+
+/* eslint-env node */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import createVariantMatrix from '../../scripts/commerce/variant-matrix.js';
+
+const variant = (sku, color, size) => ({
+  sku, options: [{ id: 'color', value: color }, { id: 'size', value: size }],
+});
+
+// No Red XL; Blue L is out of stock
+const VARIANTS = [
+  variant('TEE-RED-M', 'Red', 'M'),
+  variant('TEE-RED-L', 'Red', 'L'),
+  variant('TEE-BLUE-M', 'Blue', 'M'),
+  variant('TEE-BLUE-L', 'Blue', 'L'),
+  variant('TEE-BLUE-XL', 'Blue', 'XL'),
+];
+const OUT_OF_STOCK = new Set(['TEE-BLUE-L']);
+
+const matrix = createVariantMatrix(VARIANTS, {
+  toKey: (value) => value.toLowerCase(),
+  isAvailable: (v) => !OUT_OF_STOCK.has(v.sku),
+});
+
+describe('variant matrix', () => {
+  it('finds the variant for a selection', () => {
+    assert.deepEqual(matrix.optionIds, ['color', 'size']);
+    assert.equal(matrix.find({ color: 'blue', size: 'xl' }).sku, 'TEE-BLUE-XL');
+    assert.equal(matrix.find({ color: 'red', size: 'xl' }), null);
+  });
+
+  it('rates every value against the rest of the selection', () => {
+    assert.deepEqual(matrix.getAvailability({ color: 'red', size: 'm' }), {
+      color: { red: 'available', blue: 'available' },
+      size: { m: 'available', l: 'available', xl: 'unavailable' },
+    });
+    assert.deepEqual(matrix.getAvailability({ color: 'blue', size: 'l' }), {
+      color: { red: 'available', blue: 'out-of-stock' },
+      size: { m: 'available', l: 'out-of-stock', xl: 'available' },
+    });
+  });
+
+  it('moves to the nearest variant, keeping the option just chosen', () => {
+    const picked = matrix.resolve({ color: 'red', size: 'xl' }, 'color');
+    assert.equal(picked.variant.sku, 'TEE-RED-M');
+    assert.deepEqual(picked.selection, { color: 'red', size: 'm' });
+    assert.deepEqual(picked.corrected, ['size']);
+
+    const sized = matrix.resolve({ color: 'red', size: 'xl' }, 'size');
+    assert.equal(sized.variant.sku, 'TEE-BLUE-XL');
+    assert.deepEqual(sized.corrected, ['color']);
+
+    const exact = matrix.resolve({ color: 'blue', size: 'l' }, 'size');
+    assert.equal(exact.variant.sku, 'TEE-BLUE-L', 'an out of stock variant that exists is kept');
+    assert.deepEqual(exact.corrected, []);
+  });
+
+  it('prefers variants in stock among equally near ones', () => {
+    const stocked = createVariantMatrix([
+      variant('CAP-GREEN-S', 'Green', 'S'),
+      variant('CAP-GREEN-L', 'Green', 'L'),
+    ], { isAvailable: (v) => v.sku !== 'CAP-GREEN-S' });
+    assert.equal(stocked.resolve({ color: 'Green', size: 'M' }, 'color').variant.sku, 'CAP-GREEN-L');
+    assert.equal(stocked.resolve({ color: 'Pink' }, 'color').variant, null);
+  });
+});
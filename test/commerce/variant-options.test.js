@@ -0,0 +1,40 @@
+/**
+ * Variant options on line items: labels and product paths.
+ */
+
+/* eslint-env node */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatOptions, pickOptions, productPath, renderOptions,
+} from '../../scripts/commerce/variant-options.js';
+
+describe('variant options', () => {
+  it('keeps only ids and values that are set', () => {
+    assert.deepEqual(pickOptions([
+      { id: 'color', value: 'Blue', uid: 'Y29sb3I' },
+      { id: 'size', value: '' },
+      { value: 'orphan' },
+      null,
+      { id: 'length', value: 32 },
+    ]), [{ id: 'color', value: 'Blue' }, { id: 'length', value: '32' }]);
+    assert.deepEqual(pickOptions(undefined), []);
+  });
+
+  it('labels options the way the product page does', () => {
+    const options = [{ id: 'color', value: 'Navy Blue' }, { id: 'size', value: 'M' }];
+    assert.deepEqual(formatOptions(options), ['Color: Navy Blue', 'Size: M']);
+    assert.equal(
+      renderOptions(options, 'cart-item-options'),
+      '<ul class="cart-item-options"><li>Color: Navy Blue</li><li>Size: M</li></ul>',
+    );
+    assert.equal(renderOptions([], 'cart-item-options'), '');
+  });
+
+  it('reads the product path from a deep link', () => {
+    assert.equal(productPath('/products/tee?color=blue&size=m'), 'tee');
+    assert.equal(productPath('/products/tee#reviews'), 'tee');
+    assert.equal(productPath(''), '');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Addresses the local server's places endpoints suggest, in the shape of
+ * Google Places autocomplete predictions and details results.
+ */
+
+function place(id, {
+  number, street, city, state, stateName = state, zip, country, countryName,
+}) {
+  const component = (longName, types, shortName = longName) => ({
+    long_name: longName, short_name: shortName, types,
+  });
+  return {
+    place_id: id,
+    description: `${number} ${street}, ${city}, ${state} ${zip}, ${countryName}`,
+    address_components: [
+      component(number, ['street_number']),
+      component(street, ['route']),
+      component(city, ['locality', 'political']),
+      component(stateName, ['administrative_area_level_1', 'political'], state),
+      component(zip, ['postal_code']),
+      component(countryName, ['country', 'political'], country),
+    ],
+  };
+}
+
+export default [
+  place('local-sf-howard', {
+    number: '500', street: 'Howard Street', city: 'San Francisco', state: 'CA', stateName: 'California', zip: '94105', country: 'US', countryName: 'USA',
+  }),
+  place('local-sf-market', {
+    number: '1', street: 'Market Street', city: 'San Francisco', state: 'CA', stateName: 'California', zip: '94111', country: 'US', countryName: 'USA',
+  }),
+  place('local-nyc-broadway', {
+    number: '1500', street: 'Broadway', city: 'New York', state: 'NY', stateName: 'New York', zip: '10036', country: 'US', countryName: 'USA',
+  }),
+  place('local-sea-pine', {
+    number: '2', street: 'Pine Street', city: 'Seattle', state: 'WA', stateName: 'Washington', zip: '98101', country: 'US', countryName: 'USA',
+  }),
+  place('local-tor-king', {
+    number: '100', street: 'King Street West', city: 'Toronto', state: 'ON', stateName: 'Ontario', zip: 'M5X 1A9', country: 'CA', countryName: 'Canada',
+  }),
+  place('local-ber-muster', {
+    number: '1', street: 'Musterstraße', city: 'Berlin', state: 'BE', stateName: 'Berlin', zip: '10115', country: 'DE', countryName: 'Germany',
+  }),
+  place('local-lon-baker', {
+    number: '221B', street: 'Baker Street', city: 'London', state: 'ENG', stateName: 'England', zip: 'NW1 6XE', country: 'GB', countryName: 'UK',
+  }),
+];
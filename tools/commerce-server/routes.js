@@ -0,0 +1,365 @@
+/**
+ * Routes of the local commerce server, mirroring the commerce worker API.
+ *
+ * Payments always succeed: checkout sessions are paid as soon as they are
+ * created and PayPal orders and Stripe payment intents capture without
+ * contacting either provider. One-time codes are printed to the console
+ * instead of being emailed.
+ *
+ * Order and payment requests with an `Idempotency-Key` header are answered
+ * once: repeating one replays the first answer.
+ *
+ * Discounts are taken as the storefront sends them. The commerce worker
+ * checks promo codes against its own rules before charging; this server
+ * doesn't, so it is for development only.
+ */
+
+/* eslint-env node */
+
+import {
+  createHmac, randomBytes, randomInt, randomUUID,
+} from 'node:crypto';
+import PLACES from './places.js';
+
+// --- Internal configuration ---
+
+const OTP_TTL = 10 * 60 * 1000;
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+function fail(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function shortId(prefix) {
+  return `${prefix}_${randomUUID().replace(/-/g, '').slice(0, 16)}`;
+}
+
+function minorUnits(amount, currency) {
+  const digits = new Intl.NumberFormat('en-US', { style: 'currency', currency })
+    .resolvedOptions().maximumFractionDigits;
+  return Math.round(amount * 10 ** digits);
+}
+
+/**
+ * Totals an order payload as the worker does: items less discounts, plus
+ * shipping and any tax not already included in the prices.
+ * @param {Object} payload - Body of a checkout, PayPal or Stripe request
+ * @returns {{amount: number, currency: string}} Total in major units
+ */
+function totalOf({
+  items = [], discounts = [], shippingMethod, tax,
+}) {
+  const currency = (items[0]?.currency || 'USD').toUpperCase();
+  const subtotal = items.reduce((sum, i) => sum + Number(i.price) * i.quantity, 0);
+  const discount = discounts.reduce((sum, d) => sum + Number(d.amount || 0), 0);
+  const taxAmount = tax && !tax.inclusive ? Number(tax.amount || 0) : 0;
+  const amount = Math.max(0, subtotal - discount) + Number(shippingMethod?.amount || 0) + taxAmount;
+  return { amount: Math.round(amount * 100) / 100, currency };
+}
+
+/** Order line items in the shape the worker stores them */
+function toOrderItems(items = []) {
+  return items.map((item) => ({
+    sku: item.sku,
+    path: item.path || (item.url || '').split(/[?#]/)[0].split('/').pop() || '',
+    name: item.name,
+    quantity: item.quantity,
+    price: typeof item.price === 'object'
+      ? item.price
+      : { currency: item.currency || 'USD', final: String(item.price) },
+    custom: item.custom || {
+      image: item.image || '',
+      url: item.url || '',
+      parentSku: item.parentSku || null,
+      options: item.options || [],
+      components: item.components || [],
+    },
+  }));
+}
+
+/**
+ * @param {Object} store - See store.js
+ * @param {Object} [options]
+ * @param {string} [options.otp] - Fixed one-time code, e.g. for CI; random when unset
+ * @param {Function} [options.log=console.log]
+ * @returns {Array<[string, RegExp, Function]>} Method, path pattern and handler
+ */
+// eslint-disable-next-line no-console
+export default function createRoutes(store, { otp, log = console.log } = {}) {
+  const secret = randomBytes(32);
+  const sign = (email, code, exp) => createHmac('sha256', secret).update(`${email}:${code}:${exp}`).digest('hex');
+
+  async function createOrder(payload) {
+    const order = {
+      id: shortId('order'),
+      state: 'pending',
+      createdAt: new Date().toISOString(),
+      customer: payload.customer || {},
+      shipping: payload.shipping || {},
+      items: toOrderItems(payload.items),
+      discounts: payload.discounts || [],
+      shippingMethod: payload.shippingMethod || null,
+      tax: payload.tax || null,
+    };
+    return store.set('orders', order.id, order);
+  }
+
+  /** Creates the order for a payment and records it as paid */
+  async function pay(id, payload, details) {
+    const order = await createOrder(payload);
+    const { amount, currency } = totalOf(payload);
+    const payment = {
+      ...details,
+      id,
+      payment_status: 'paid',
+      customer_email: payload.customer?.email || '',
+      amount_total: minorUnits(amount, currency),
+      currency: currency.toLowerCase(),
+      order_id: order.id,
+    };
+    return store.set('payments', id, payment);
+  }
+
+  async function getPayment(id) {
+    const payment = await store.get('payments', id);
+    if (!payment) throw fail(404, 'Payment not found');
+    return payment;
+  }
+
+  /** The signed-in customer a request is for, or a 401 */
+  async function authorize({ token, params }) {
+    const session = token && await store.get('sessions', token);
+    if (!session || session.expiresAt < Date.now() || session.email !== params.email) {
+      throw fail(401, 'Not authenticated');
+    }
+    return (await store.get('customers', session.email)) || {
+      email: session.email, addresses: [], cart: null, wishlist: [],
+    };
+  }
+
+  const saveCustomer = (customer) => store.set('customers', customer.email, customer);
+
+  /** Answers in flight, so a repeat that arrives before the first is answered waits for it */
+  const inFlight = new Map();
+
+  /** Wraps a handler to answer each idempotency key and request once */
+  function idempotent(handler) {
+    return (req) => {
+      const { idempotencyKey: key, path } = req;
+      if (!key) return handler(req);
+      const id = `${key} POST ${path}`;
+      if (!inFlight.has(id)) {
+        inFlight.set(id, (async () => {
+          const recorded = await store.get('idempotency', id);
+          if (recorded) return recorded.result;
+          const result = await handler(req);
+          await store.set('idempotency', id, {
+            key, request: `POST ${path}`, createdAt: new Date().toISOString(), result,
+          });
+          return result;
+        })().finally(() => inFlight.delete(id)));
+      }
+      return inFlight.get(id);
+    };
+  }
+
+  return [
+    // --- Hosted checkout ---
+
+    ['POST', /^\/checkout$/, idempotent(async ({ body, origin }) => {
+      const id = shortId('cs_local');
+      await pay(id, body, { object: 'checkout.session' });
+      return { id, url: `${origin}/order-confirmation?session_id=${id}` };
+    })],
+    ['GET', /^\/checkout\/session$/, ({ query }) => getPayment(query.get('id'))],
+    ['GET', /^\/checkout\/attempts\/(?<key>[^/]+)$/, async ({ params }) => {
+      const requests = (await store.list('idempotency'))
+        .filter((r) => r.key === params.key)
+        .map(({ request, createdAt, result }) => ({ request, createdAt, result }));
+      if (!requests.length) throw fail(404, 'Checkout attempt not found');
+      return { key: params.key, requests };
+    }],
+
+    // --- PayPal ---
+
+    ['POST', /^\/paypal\/orders$/, idempotent(async ({ body }) => {
+      const id = shortId('PAYPAL').toUpperCase();
+      await store.set('pending', id, body);
+      return { id, status: 'CREATED' };
+    })],
+    ['POST', /^\/paypal\/orders\/(?<id>[^/]+)\/capture$/, idempotent(async ({ params, body }) => {
+      if (!(await store.get('pending', params.id))) throw fail(404, 'PayPal order not found');
+      await store.remove('pending', params.id);
+      return pay(params.id, body, { status: 'COMPLETED', paypal_order_id: params.id });
+    })],
+    ['GET', /^\/paypal\/orders\/(?<id>[^/]+)$/, ({ params }) => getPayment(params.id)],
+
+    // --- Stripe ---
+
+    ['POST', /^\/stripe\/payment-intents$/, idempotent(async ({ body }) => {
+      const id = shortId('pi_local');
+      await store.set('pending', id, body);
+      return { id, clientSecret: `${id}_secret_${randomUUID().slice(0, 8)}` };
+    })],
+    ['POST', /^\/stripe\/payment-intents\/(?<id>[^/]+)\/capture$/, idempotent(async ({ params, body }) => {
+      if (!(await store.get('pending', params.id))) throw fail(404, 'Payment intent not found');
+      await store.remove('pending', params.id);
+      return pay(params.id, body, { status: 'succeeded', payment_intent_id: params.id });
+    })],
+    ['GET', /^\/stripe\/payment-intents\/(?<id>[^/]+)$/, ({ params }) => getPayment(params.id)],
+
+    // --- Orders ---
+
+    ['POST', /^\/orders$/, idempotent(async ({ body }) => ({ order: await createOrder(body) }))],
+    ['GET', /^\/orders\/(?<id>[^/]+)$/, async ({ params }) => {
+      const order = await store.get('orders', params.id);
+      if (!order) throw fail(404, 'Order not found');
+      return { order };
+    }],
+
+    // --- Auth ---
+
+    ['POST', /^\/auth\/login$/, ({ body }) => {
+      const email = String(body.email || '').trim().toLowerCase();
+      if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw fail(400, 'Enter a valid email address');
+      const code = otp || String(randomInt(0, 1000000)).padStart(6, '0');
+      const exp = Date.now() + OTP_TTL;
+      log(`[commerce-server] sign-in code for ${email}: ${code}`);
+      return { hash: sign(email, code, exp), exp };
+    }],
+    ['POST', /^\/auth\/callback$/, async ({ body }) => {
+      const email = String(body.email || '').trim().toLowerCase();
+      if (body.hash !== sign(email, String(body.code || '').trim(), body.exp)) {
+        throw fail(401, 'Invalid code');
+      }
+      if (Date.now() > body.exp) throw fail(401, 'This code has expired. Request a new one.');
+      const token = randomBytes(24).toString('hex');
+      await store.set('sessions', token, { email, expiresAt: Date.now() + SESSION_TTL });
+      if (!(await store.get('customers', email))) {
+        await saveCustomer({
+          email, addresses: [], cart: null, wishlist: [],
+        });
+      }
+      return { token, email, roles: ['customer'] };
+    }],
+    ['POST', /^\/auth\/logout$/, async ({ token }) => {
+      if (token) await store.remove('sessions', token);
+      return {};
+    }],
+
+    // --- Customers ---
+
+    ['GET', /^\/customers\/(?<email>[^/]+)$/, async (req) => {
+      const {
+        addresses, cart, wishlist, ...customer
+      } = await authorize(req);
+      return { customer };
+    }],
+    ['GET', /^\/customers\/(?<email>[^/]+)\/orders$/, async (req) => {
+      const { email } = await authorize(req);
+      const orders = (await store.list('orders'))
+        .filter((o) => o.customer?.email?.toLowerCase() === email)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return { orders };
+    }],
+    ['GET', /^\/customers\/(?<email>[^/]+)\/cart$/, async (req) => {
+      const { cart } = await authorize(req);
+      if (!cart) throw fail(404, 'No saved cart');
+      return { cart };
+    }],
+    ['PUT', /^\/customers\/(?<email>[^/]+)\/cart$/, async (req) => {
+      const customer = await authorize(req);
+      await saveCustomer({ ...customer, cart: req.body });
+      return { cart: req.body };
+    }],
+    ['GET', /^\/customers\/(?<email>[^/]+)\/wishlist$/, async (req) => {
+      const { wishlist } = await authorize(req);
+      return { items: wishlist || [] };
+    }],
+    ['PUT', /^\/customers\/(?<email>[^/]+)\/wishlist$/, async (req) => {
+      const customer = await authorize(req);
+      await saveCustomer({ ...customer, wishlist: req.body.items || [] });
+      return { items: req.body.items || [] };
+    }],
+
+    // --- Addresses ---
+
+    ['GET', /^\/customers\/(?<email>[^/]+)\/addresses$/, async (req) => {
+      const { addresses } = await authorize(req);
+      return { addresses };
+    }],
+    ['POST', /^\/customers\/(?<email>[^/]+)\/addresses$/, async (req) => {
+      const customer = await authorize(req);
+      const isDefault = Boolean(req.body.isDefault) || !customer.addresses.length;
+      const address = { ...req.body, id: shortId('addr'), isDefault };
+      const others = isDefault
+        ? customer.addresses.map((a) => ({ ...a, isDefault: false }))
+        : customer.addresses;
+      await saveCustomer({ ...customer, addresses: [...others, address] });
+      return { address };
+    }],
+    ['GET', /^\/customers\/(?<email>[^/]+)\/addresses\/(?<id>[^/]+)$/, async (req) => {
+      const { addresses } = await authorize(req);
+      const address = addresses.find((a) => a.id === req.params.id);
+      if (!address) throw fail(404, 'Address not found');
+      return { address };
+    }],
+    ['DELETE', /^\/customers\/(?<email>[^/]+)\/addresses\/(?<id>[^/]+)$/, async (req) => {
+      const customer = await authorize(req);
+      const addresses = customer.addresses.filter((a) => a.id !== req.params.id);
+      if (addresses.length === customer.addresses.length) throw fail(404, 'Address not found');
+      await saveCustomer({ ...customer, addresses });
+      return {};
+    }],
+
+    // --- Back in stock ---
+
+    ['POST', /^\/back-in-stock$/, async ({ body }) => {
+      const email = String(body.email || '').trim().toLowerCase();
+      if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw fail(400, 'Enter a valid email address');
+      if (!body.sku) throw fail(400, 'sku is required');
+      const existing = (await store.list('back-in-stock'))
+        .find((s) => s.sku === body.sku && s.email === email);
+      if (existing) return { subscription: existing };
+      const id = shortId('bis');
+      const subscription = await store.set('back-in-stock', id, {
+        id,
+        sku: String(body.sku),
+        email,
+        name: body.name || '',
+        url: body.url || '',
+        createdAt: new Date().toISOString(),
+      });
+      log(`[commerce-server] ${email} will be told when ${subscription.sku} is back in stock`);
+      return { subscription };
+    }],
+    ['GET', /^\/customers\/(?<email>[^/]+)\/back-in-stock$/, async (req) => {
+      const { email } = await authorize(req);
+      const subscriptions = (await store.list('back-in-stock')).filter((s) => s.email === email);
+      return { subscriptions };
+    }],
+    ['DELETE', /^\/customers\/(?<email>[^/]+)\/back-in-stock\/(?<id>[^/]+)$/, async (req) => {
+      const { email } = await authorize(req);
+      const subscription = await store.get('back-in-stock', req.params.id);
+      if (subscription?.email !== email) throw fail(404, 'Subscription not found');
+      await store.remove('back-in-stock', req.params.id);
+      return {};
+    }],
+
+    // --- Places ---
+
+    ['GET', /^\/places\/autocomplete$/, ({ query }) => {
+      const input = String(query.get('input') || '').trim().toLowerCase();
+      const predictions = input.length < 2 ? [] : PLACES
+        .filter((p) => p.description.toLowerCase().includes(input))
+        .slice(0, 5)
+        .map(({ description, place_id: placeId }) => ({ description, place_id: placeId }));
+      return { predictions, status: predictions.length ? 'OK' : 'ZERO_RESULTS' };
+    }],
+    ['GET', /^\/places\/details$/, ({ query }) => {
+      const place = PLACES.find((p) => p.place_id === query.get('place_id'));
+      if (!place) throw fail(404, 'Place not found');
+      return { result: place, status: 'OK' };
+    }],
+  ];
+}
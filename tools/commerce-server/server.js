@@ -0,0 +1,117 @@
+/**
+ * Local commerce server: a stand-in for the commerce worker for development
+ * and offline demos. Data is kept in JSON files, payments always succeed and
+ * sign-in codes are printed to the console.
+ *
+ *   npm run commerce-server
+ *   localStorage.setItem('commerce-api-origin', 'http://localhost:8787')
+ *
+ * Environment:
+ *   PORT               - Port to listen on (default 8787)
+ *   COMMERCE_DATA_DIR  - Where data is stored (default .commerce-data)
+ *   COMMERCE_OTP       - Fixed sign-in code instead of a random one per login
+ *   SITE_ORIGIN        - Site to send checkout redirects to when a request
+ *                        has no Origin header (default http://localhost:3000)
+ */
+
+/* eslint-env node */
+
+import http from 'node:http';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import createStore from './store.js';
+import createRoutes from './routes.js';
+
+const MAX_BODY = 1024 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  let text = '';
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of req) {
+    text += chunk;
+    if (text.length > MAX_BODY) throw Object.assign(new Error('Request too large'), { status: 413 });
+  }
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw Object.assign(new Error('Invalid JSON'), { status: 400 });
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.dataDir='.commerce-data']
+ * @param {string} [options.otp] - Fixed sign-in code
+ * @param {string} [options.siteOrigin='http://localhost:3000']
+ * @param {Function} [options.log=console.log]
+ * @returns {http.Server} Not yet listening
+ */
+export default function createServer({
+  // eslint-disable-next-line no-console
+  dataDir = '.commerce-data', otp, siteOrigin = 'http://localhost:3000', log = console.log,
+} = {}) {
+  const routes = createRoutes(createStore(resolve(dataDir)), { otp, log });
+
+  return http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    let match;
+    const route = routes.find(([method, pattern]) => {
+      match = method === req.method && url.pathname.match(pattern);
+      return match;
+    });
+    if (!route) {
+      send(res, 404, { message: 'Not found' });
+      return;
+    }
+
+    try {
+      const handler = route[2];
+      const params = Object.fromEntries(Object.entries(match.groups || {})
+        .map(([key, value]) => [key, decodeURIComponent(value)]));
+      if (params.email) params.email = params.email.toLowerCase();
+      const result = await handler({
+        params,
+        query: url.searchParams,
+        body: ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {},
+        path: url.pathname,
+        token: (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || null,
+        idempotencyKey: req.headers['idempotency-key'] || null,
+        origin: req.headers.origin || siteOrigin,
+      });
+      send(res, 200, result);
+    } catch (err) {
+      if (!err.status) log(`[commerce-server] ${req.method} ${url.pathname} failed`, err);
+      send(res, err.status || 500, { message: err.status ? err.message : 'Internal error' });
+    }
+  });
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8787;
+  createServer({
+    dataDir: process.env.COMMERCE_DATA_DIR,
+    otp: process.env.COMMERCE_OTP,
+    siteOrigin: process.env.SITE_ORIGIN,
+  }).listen(port, () => {
+    // eslint-disable-next-line no-console
+    console.log(`[commerce-server] listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,71 @@
+/**
+ * File-backed storage for the local commerce server.
+ *
+ * Each collection is a JSON object of records by id, kept in memory and
+ * written to `<dir>/<collection>.json` after every change. Writes to a
+ * collection are serialized so concurrent requests can't interleave them.
+ */
+
+/* eslint-env node */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * @param {string} dir - Directory the collections are stored in
+ * @returns {{get: Function, set: Function, remove: Function, list: Function}}
+ */
+export default function createStore(dir) {
+  const collections = new Map();
+  const writes = new Map();
+
+  async function load(name) {
+    if (!collections.has(name)) {
+      collections.set(name, readFile(join(dir, `${name}.json`), 'utf8')
+        .then((text) => JSON.parse(text))
+        .catch(() => ({})));
+    }
+    return collections.get(name);
+  }
+
+  async function save(name) {
+    const records = await load(name);
+    const previous = writes.get(name) || Promise.resolve();
+    const write = previous.then(async () => {
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, `${name}.json`), JSON.stringify(records, null, 2));
+    });
+    writes.set(name, write.catch(() => {}));
+    return write;
+  }
+
+  return {
+    /** @returns {Promise<Object|null>} */
+    async get(name, id) {
+      const records = await load(name);
+      return records[id] ?? null;
+    },
+
+    /** @returns {Promise<Object>} The stored value */
+    async set(name, id, value) {
+      const records = await load(name);
+      records[id] = value;
+      await save(name);
+      return value;
+    },
+
+    /** @returns {Promise<boolean>} Whether the record existed */
+    async remove(name, id) {
+      const records = await load(name);
+      if (!(id in records)) return false;
+      delete records[id];
+      await save(name);
+      return true;
+    },
+
+    /** @returns {Promise<Array<Object>>} Every record in the collection */
+    async list(name) {
+      return Object.values(await load(name));
+    },
+  };
+}